@@ -0,0 +1,18 @@
+-- Migration: Approximate nearest-neighbour (IVF) index for duplicate search
+-- Run this migration after migration_add_binary_vectors.sql
+
+-- Inverted list each vector belongs to (NULL until the model's index exists / after a retrain)
+ALTER TABLE embeddings ADD COLUMN ann_list INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_ann_list ON embeddings(model_name, ann_list);
+
+-- k-means centroids per embedding model (see src/nlp/annIndex.js); trained by the cron trigger
+CREATE TABLE IF NOT EXISTS ann_indexes (
+    model_name TEXT PRIMARY KEY,
+    version INTEGER NOT NULL DEFAULT 1,   -- bumped on every retrain
+    dimensions INTEGER NOT NULL,
+    list_count INTEGER NOT NULL,
+    centroids BLOB NOT NULL,              -- float32, list_count × dimensions, row-major
+    trained_vectors INTEGER NOT NULL,     -- corpus size when trained
+    trained_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,33 @@
+-- Migration: Scoped API keys for machine integrations
+-- Run this migration after migration_add_two_factor.sql
+
+-- A key acts as its owner (user_id) but only on the routes its scopes allow.
+-- Only a SHA-256 hash of the key is stored; key_prefix ('gak_xxxxxxxx') identifies it in lists and logs.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,                 -- comma separated, e.g. 'grievances:write,batches:read'
+    user_id INTEGER NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,                  -- NULL = never expires
+    revoked_at DATETIME,
+    last_used_at DATETIME,
+    last_used_ip TEXT,
+    request_count INTEGER DEFAULT 0,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+-- Requests per key per day
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    api_key_id INTEGER NOT NULL,
+    day TEXT NOT NULL,                    -- YYYY-MM-DD (UTC)
+    request_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (api_key_id, day),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+);
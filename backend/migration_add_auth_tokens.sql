@@ -0,0 +1,23 @@
+-- Migration: Password reset and email verification
+-- Run this migration after migration_add_sessions.sql
+
+-- New accounts must confirm their email before submitting grievances
+ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+
+-- Existing accounts predate verification and stay usable
+UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP;
+
+-- Single-use tokens sent by email (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL CHECK(purpose IN ('PASSWORD_RESET', 'EMAIL_VERIFICATION')),
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
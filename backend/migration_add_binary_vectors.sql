@@ -0,0 +1,27 @@
+-- Migration: Binary embedding storage
+-- Run this migration after migration_add_embedding_versions.sql
+
+-- Vectors are stored as BLOBs (see src/nlp/vectorCodec.js) instead of JSON text.
+-- Existing rows keep their JSON and are tagged 'json'; the cron trigger converts them
+-- in batches, and they are readable in either form meanwhile.
+ALTER TABLE embeddings ADD COLUMN vector_encoding TEXT NOT NULL DEFAULT 'json'
+    CHECK(vector_encoding IN ('f32', 'i8', 'json'));
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_encoding ON embeddings(vector_encoding);
+
+-- The cache only holds recomputable vectors, so it is rebuilt rather than converted
+DROP TABLE IF EXISTS embedding_cache;
+
+CREATE TABLE embedding_cache (
+    content_hash TEXT NOT NULL,
+    model_name TEXT NOT NULL,
+    embedding_vector BLOB NOT NULL,
+    vector_encoding TEXT NOT NULL CHECK(vector_encoding IN ('f32', 'i8')),
+    vector_dimension INTEGER NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (content_hash, model_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
@@ -0,0 +1,90 @@
+-- Migration: Department routing and officer assignment
+-- Run this migration after migration_add_grievance_workflow.sql
+
+-- Departments responsible for resolving grievances
+CREATE TABLE IF NOT EXISTS departments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    is_active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Officers working in each department (users with role 'officer')
+CREATE TABLE IF NOT EXISTS department_officers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    department_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (department_id, user_id),
+    FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Category (+ optional area) -> department routing
+-- area = '' means "any area"; area-specific rules take precedence
+-- officer_id pins the rule to one officer, otherwise least-loaded officer is picked
+CREATE TABLE IF NOT EXISTS department_routing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    department_id INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    area TEXT NOT NULL DEFAULT '',
+    officer_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (category, area),
+    FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE CASCADE,
+    FOREIGN KEY (officer_id) REFERENCES users(id)
+);
+
+-- Automatic routing records status changes without a user: rebuild the
+-- history table with a nullable changed_by (NULL = system)
+CREATE TABLE grievance_status_history_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    grievance_id INTEGER NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    changed_by INTEGER,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (grievance_id) REFERENCES grievances(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id)
+);
+
+INSERT INTO grievance_status_history_new (id, grievance_id, from_status, to_status, changed_by, note, created_at)
+SELECT id, grievance_id, from_status, to_status, changed_by, note, created_at FROM grievance_status_history;
+
+DROP TABLE grievance_status_history;
+ALTER TABLE grievance_status_history_new RENAME TO grievance_status_history;
+
+CREATE INDEX IF NOT EXISTS idx_status_history_grievance ON grievance_status_history(grievance_id);
+CREATE INDEX IF NOT EXISTS idx_status_history_changed_by ON grievance_status_history(changed_by);
+
+-- Assignment on each grievance
+ALTER TABLE grievances ADD COLUMN department_id INTEGER;
+ALTER TABLE grievances ADD COLUMN assigned_officer_id INTEGER;
+ALTER TABLE grievances ADD COLUMN assigned_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_grievances_department ON grievances(department_id);
+CREATE INDEX IF NOT EXISTS idx_grievances_officer ON grievances(assigned_officer_id);
+CREATE INDEX IF NOT EXISTS idx_department_officers_user ON department_officers(user_id);
+CREATE INDEX IF NOT EXISTS idx_routing_rules_category ON department_routing_rules(category);
+
+-- Default departments (one per detected category)
+INSERT OR IGNORE INTO departments (code, name) VALUES
+    ('WATER', 'Water Supply Department'),
+    ('SANITATION', 'Sanitation & Solid Waste Department'),
+    ('PWD', 'Public Works (Roads) Department'),
+    ('ELECTRICAL', 'Electrical Department'),
+    ('SEWERAGE', 'Sewerage & Drainage Department'),
+    ('ENVIRONMENT', 'Environment & Pollution Control Cell'),
+    ('HORTICULTURE', 'Horticulture (Parks) Department');
+
+INSERT OR IGNORE INTO department_routing_rules (department_id, category, area)
+SELECT id, 'WATER', '' FROM departments WHERE code = 'WATER'
+UNION ALL SELECT id, 'GARBAGE', '' FROM departments WHERE code = 'SANITATION'
+UNION ALL SELECT id, 'ROAD', '' FROM departments WHERE code = 'PWD'
+UNION ALL SELECT id, 'ELECTRICITY', '' FROM departments WHERE code = 'ELECTRICAL'
+UNION ALL SELECT id, 'SEWAGE', '' FROM departments WHERE code = 'SEWERAGE'
+UNION ALL SELECT id, 'NOISE', '' FROM departments WHERE code = 'ENVIRONMENT'
+UNION ALL SELECT id, 'PARK', '' FROM departments WHERE code = 'HORTICULTURE';
@@ -0,0 +1,17 @@
+-- Migration: Content-hash embedding cache
+-- Run this migration after migration_add_rate_limits.sql
+
+-- Vectors keyed by SHA-256 of the preprocessed text and the model that produced them,
+-- so re-uploaded grievances (e.g. the same PDF batch twice) are not embedded again
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    content_hash TEXT NOT NULL,
+    model_name TEXT NOT NULL,
+    embedding_vector TEXT NOT NULL,       -- JSON array, like embeddings.embedding_vector
+    vector_dimension INTEGER NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (content_hash, model_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
@@ -0,0 +1,35 @@
+-- Migration: Embedding model versioning and background re-embedding
+-- Run this migration after migration_add_embedding_cache.sql
+
+-- embeddings.model_name defaulted to 'paraphrase-MiniLM-L6-v2', but vectors were really
+-- produced by all-MiniLM-L6-v2 (HuggingFace / embedding server) or by the old hash fallback.
+-- There is no way to tell which, so these rows are excluded from similarity comparisons
+-- until a re-embedding job (POST /api/admin/reembedding-jobs) replaces them.
+UPDATE embeddings SET model_name = 'legacy-unverified' WHERE model_name = 'paraphrase-MiniLM-L6-v2';
+
+-- Similarity queries only load vectors of the submission's model
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings(model_name);
+
+-- Corpus re-embedding runs; processed in chunks by the cron trigger, resumable from cursor_grievance_id
+CREATE TABLE IF NOT EXISTS reembedding_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_model TEXT NOT NULL,
+    target_dimension INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running'
+        CHECK(status IN ('running', 'paused', 'completed', 'failed', 'cancelled')),
+    chunk_size INTEGER NOT NULL DEFAULT 50,
+    total_count INTEGER NOT NULL DEFAULT 0,     -- grievances needing re-embedding when the job started
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    cursor_grievance_id INTEGER NOT NULL DEFAULT 0,  -- last grievance id handled
+    consecutive_errors INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    lease_until INTEGER,                        -- epoch ms; stops two runs processing the same chunk
+    started_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (started_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reembedding_jobs_status ON reembedding_jobs(status);
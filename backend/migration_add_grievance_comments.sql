@@ -0,0 +1,22 @@
+-- Migration: Grievance comments
+-- Run this migration after migration_add_grievance_merge.sql
+
+-- Conversation between citizens and staff on a grievance
+-- parent_id: comment being replied to (NULL = top level)
+-- is_internal: staff-only note, never shown to citizens
+CREATE TABLE IF NOT EXISTS grievance_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    grievance_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    user_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    is_internal INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    edited_at DATETIME,
+    FOREIGN KEY (grievance_id) REFERENCES grievances(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES grievance_comments(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grievance_comments_grievance ON grievance_comments(grievance_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_grievance_comments_parent ON grievance_comments(parent_id);
@@ -0,0 +1,10 @@
+-- Migration: Merge duplicates into a master grievance
+-- Run this migration after migration_add_sla_policies.sql
+
+-- merged_into_id: master grievance this duplicate supports (always a top-level master)
+-- supporter_count: number of duplicates merged into this grievance
+ALTER TABLE grievances ADD COLUMN merged_into_id INTEGER REFERENCES grievances(id);
+ALTER TABLE grievances ADD COLUMN merged_at DATETIME;
+ALTER TABLE grievances ADD COLUMN supporter_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_grievances_merged_into ON grievances(merged_into_id);
@@ -0,0 +1,26 @@
+-- Migration: Grievance resolution workflow
+-- Run this migration after schema_migration_v2.sql
+
+-- Resolution lifecycle state (separate from duplicate_status)
+-- OPEN -> ASSIGNED -> IN_PROGRESS -> RESOLVED / REJECTED
+ALTER TABLE grievances ADD COLUMN resolution_status TEXT NOT NULL DEFAULT 'OPEN';
+
+-- When the grievance was last marked RESOLVED
+ALTER TABLE grievances ADD COLUMN resolved_at DATETIME;
+
+-- Every status transition (who, when, note)
+CREATE TABLE IF NOT EXISTS grievance_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    grievance_id INTEGER NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    changed_by INTEGER NOT NULL,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (grievance_id) REFERENCES grievances(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grievances_resolution_status ON grievances(resolution_status);
+CREATE INDEX IF NOT EXISTS idx_status_history_grievance ON grievance_status_history(grievance_id);
+CREATE INDEX IF NOT EXISTS idx_status_history_changed_by ON grievance_status_history(changed_by);
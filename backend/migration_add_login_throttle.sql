@@ -0,0 +1,14 @@
+-- Migration: Login brute-force protection
+-- Run this migration after migration_add_rbac.sql
+
+-- Generic failure / request counters keyed like 'login:account:<email>' or 'login:ip:<ip>'
+-- Times are epoch milliseconds so the window arithmetic stays in JS
+CREATE TABLE IF NOT EXISTS attempt_counters (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    window_started_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    locked_until INTEGER                  -- NULL or in the past = not locked
+);
+
+CREATE INDEX IF NOT EXISTS idx_attempt_counters_updated ON attempt_counters(updated_at);
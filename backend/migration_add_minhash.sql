@@ -0,0 +1,27 @@
+-- Migration: MinHash signatures and LSH buckets for the near-verbatim duplicate prefilter
+-- Run this migration after migration_add_ann_index.sql
+
+-- One signature per grievance: 128 × uint32 minimums over word bigrams (see src/nlp/minhash.js)
+CREATE TABLE IF NOT EXISTS minhash_signatures (
+    grievance_id INTEGER PRIMARY KEY,
+    signature BLOB NOT NULL,
+    shingle_count INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (grievance_id) REFERENCES grievances(id) ON DELETE CASCADE
+);
+
+-- One row per signature band; grievances sharing a bucket are near-verbatim candidates
+CREATE TABLE IF NOT EXISTS lsh_buckets (
+    bucket INTEGER NOT NULL,              -- band * 2^32 + hash of the band's slots
+    grievance_id INTEGER NOT NULL,
+    PRIMARY KEY (bucket, grievance_id),
+    FOREIGN KEY (grievance_id) REFERENCES grievances(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lsh_buckets_grievance ON lsh_buckets(grievance_id);
+
+-- Score breakdown: how a duplicate was found and the MinHash Jaccard estimate
+ALTER TABLE grievances ADD COLUMN match_method TEXT;      -- 'minhash' | 'embedding' (NULL before this migration)
+ALTER TABLE grievances ADD COLUMN minhash_jaccard REAL;
+
+-- Existing grievances are signed by the cron trigger (backfillMinHashSignatures)
@@ -0,0 +1,7 @@
+-- Migration: In-app notification center
+-- Run this migration after migration_add_notifications.sql
+
+-- read_at: when the user opened / dismissed an in-app notification (NULL = unread)
+ALTER TABLE notifications ADD COLUMN read_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_feed ON notifications(user_id, channel, read_at);
@@ -0,0 +1,7 @@
+-- Migration: Notification delivery leases
+-- Run this migration after migration_add_term_frequencies.sql
+
+-- Email / SMS rows are delivered after the request that queued them (or by the
+-- cron); a run claims a row by setting lease_until (epoch ms) so two runs never
+-- send the same message
+ALTER TABLE notifications ADD COLUMN lease_until INTEGER;
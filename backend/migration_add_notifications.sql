@@ -0,0 +1,35 @@
+-- Migration: Citizen notifications
+-- Run this migration after migration_add_reference_numbers.sql
+
+-- Outbox: one row per message per channel
+-- status: PENDING -> SENT, or FAILED (retried by the cron until attempts runs out)
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    channel TEXT NOT NULL CHECK(channel IN ('in_app', 'email', 'sms')),
+    event_type TEXT NOT NULL,
+    grievance_id INTEGER,
+    batch_id INTEGER,
+    recipient TEXT,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'SENT', 'FAILED')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Per-user channel opt-in (missing row = defaults: in-app and email on, SMS off)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY,
+    in_app_enabled INTEGER DEFAULT 1,
+    email_enabled INTEGER DEFAULT 1,
+    sms_enabled INTEGER DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
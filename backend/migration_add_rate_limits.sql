@@ -0,0 +1,12 @@
+-- Migration: Token-bucket rate limiting
+-- Run this migration after migration_add_api_keys.sql
+
+-- One bucket per route and caller, keyed like 'rate:submit-text:user:42' or 'rate:submit-text:ip:<ip>'
+-- tokens is fractional (buckets refill continuously); updated_at is epoch milliseconds
+CREATE TABLE IF NOT EXISTS token_buckets (
+    key TEXT PRIMARY KEY,
+    tokens REAL NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_buckets_updated ON token_buckets(updated_at);
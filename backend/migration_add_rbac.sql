@@ -0,0 +1,25 @@
+-- Migration: Role-based access control
+-- Run this migration after migration_add_auth_tokens.sql
+
+-- Roles: citizen, field_officer, department_head, data_entry, analyst, super_admin
+-- Rename the original roles (tokens issued earlier are mapped in code)
+UPDATE users SET role = 'citizen' WHERE role = 'user';
+UPDATE users SET role = 'field_officer' WHERE role = 'officer';
+UPDATE users SET role = 'super_admin' WHERE role = 'admin';
+
+-- Areas a field officer / department head is limited to
+-- No rows = every area of the departments they belong to
+CREATE TABLE IF NOT EXISTS user_area_scopes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    area TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, area),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_area_scopes_user ON user_area_scopes(user_id);
+
+-- Escalations recorded under the old role names
+UPDATE grievances SET escalated_to_role = 'field_officer' WHERE escalated_to_role = 'officer';
+UPDATE grievances SET escalated_to_role = 'super_admin' WHERE escalated_to_role = 'admin';
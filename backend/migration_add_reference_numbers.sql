@@ -0,0 +1,8 @@
+-- Migration: Human-readable grievance reference numbers
+-- Run this migration after migration_add_grievance_comments.sql
+
+-- Format: <CATEGORY>-<YEAR>-<AREA>-<ID>, e.g. WTR-2026-SEC15-000123
+-- Existing grievances are backfilled by the scheduled handler
+ALTER TABLE grievances ADD COLUMN reference_number TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grievances_reference_number ON grievances(reference_number);
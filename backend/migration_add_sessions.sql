@@ -0,0 +1,18 @@
+-- Migration: Sessions and refresh tokens
+-- Run this migration after migration_add_notification_center.sql
+
+-- One row per login; the refresh token is stored as a SHA-256 hash and rotated on use
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by_id INTEGER,               -- set when rotated; reuse of a rotated token revokes all sessions
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, revoked_at);
@@ -0,0 +1,50 @@
+-- Migration: SLA deadlines and escalation
+-- Run this migration after migration_add_department_routing.sql
+
+-- Per-category service levels (hours from submission)
+-- OTHER is the fallback for categories without their own policy
+CREATE TABLE IF NOT EXISTS sla_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category TEXT NOT NULL UNIQUE,
+    acknowledge_hours INTEGER NOT NULL,
+    resolve_hours INTEGER NOT NULL,
+    is_active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deadlines and escalation state on each grievance
+-- acknowledged_at is set when work starts (IN_PROGRESS) or the grievance is closed
+ALTER TABLE grievances ADD COLUMN ack_due_at DATETIME;
+ALTER TABLE grievances ADD COLUMN due_at DATETIME;
+ALTER TABLE grievances ADD COLUMN acknowledged_at DATETIME;
+ALTER TABLE grievances ADD COLUMN is_overdue INTEGER DEFAULT 0;
+ALTER TABLE grievances ADD COLUMN escalation_level INTEGER DEFAULT 0;
+ALTER TABLE grievances ADD COLUMN escalated_to_role TEXT;
+ALTER TABLE grievances ADD COLUMN escalated_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_grievances_due_at ON grievances(due_at);
+CREATE INDEX IF NOT EXISTS idx_grievances_ack_due_at ON grievances(ack_due_at);
+CREATE INDEX IF NOT EXISTS idx_grievances_overdue ON grievances(is_overdue);
+
+INSERT OR IGNORE INTO sla_policies (category, acknowledge_hours, resolve_hours) VALUES
+    ('WATER', 24, 72),
+    ('SEWAGE', 24, 72),
+    ('ELECTRICITY', 12, 48),
+    ('GARBAGE', 24, 96),
+    ('ROAD', 72, 336),
+    ('NOISE', 48, 120),
+    ('PARK', 72, 336),
+    ('OTHER', 72, 240);
+
+-- Existing grievances get deadlines from their submission time
+UPDATE grievances
+SET ack_due_at = datetime(created_at, '+' || COALESCE(
+        (SELECT acknowledge_hours FROM sla_policies WHERE category = grievances.category),
+        (SELECT acknowledge_hours FROM sla_policies WHERE category = 'OTHER')
+    ) || ' hours'),
+    due_at = datetime(created_at, '+' || COALESCE(
+        (SELECT resolve_hours FROM sla_policies WHERE category = grievances.category),
+        (SELECT resolve_hours FROM sla_policies WHERE category = 'OTHER')
+    ) || ' hours')
+WHERE due_at IS NULL;
@@ -0,0 +1,26 @@
+-- Migration: Corpus term document frequencies for IDF-weighted lexical similarity
+-- Run this migration after migration_add_minhash.sql
+
+-- Grievances containing each (preprocessed) term; scope '*' is the whole corpus,
+-- otherwise the lower-cased area (see src/nlp/termStats.js)
+CREATE TABLE IF NOT EXISTS term_document_frequency (
+    scope TEXT NOT NULL,
+    term TEXT NOT NULL,
+    doc_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope, term)
+);
+
+-- Documents and tokens per scope (IDF denominator, BM25 average document length)
+CREATE TABLE IF NOT EXISTS corpus_term_stats (
+    scope TEXT PRIMARY KEY,
+    doc_count INTEGER NOT NULL DEFAULT 0,
+    term_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- 1 once a grievance's terms are in the counts; existing rows are counted by the cron trigger
+ALTER TABLE grievances ADD COLUMN terms_counted INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_grievances_terms_counted ON grievances(terms_counted);
+
+-- Score breakdown: BM25 lexical score next to the (now IDF-weighted) jaccard_score
+ALTER TABLE grievances ADD COLUMN bm25_score REAL DEFAULT 0.0;
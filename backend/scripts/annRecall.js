@@ -0,0 +1,139 @@
+// ANN Recall Check
+// File: scripts/annRecall.js
+//
+// Measures how many of the brute-force top-K neighbours the IVF index in
+// src/nlp/annIndex.js returns, on a synthetic corpus of topic clusters
+// (grievances about the same issue land close together). Half the queries
+// are near-copies of stored vectors - the duplicates the index must not
+// miss - and half are new vectors from the same topics.
+//
+// Exits with status 1 when recall@K at the default nprobe is below the target.
+//
+// Usage: node scripts/annRecall.js [rows=20000] [queries=200] [target=0.9]
+
+import { cosineSimilarity } from '../src/nlp/embedding.js';
+import {
+    trainCentroids,
+    nearestLists,
+    rankCandidates,
+    getListCount,
+    getProbeCount,
+    ANN_TRAINING_SAMPLE
+} from '../src/nlp/annIndex.js';
+
+const ROWS = parseInt(process.argv[2]) || 20000;
+const QUERIES = parseInt(process.argv[3]) || 200;
+const TARGET = parseFloat(process.argv[4]) || 0.9;
+const DIMENSIONS = 384;
+const TOPICS = Math.max(10, Math.round(ROWS / 60));
+const K = 10;
+
+/**
+ * Seeded PRNG so runs are comparable
+ */
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = mulberry32(7);
+const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+
+function unit(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return Float32Array.from(vector, v => v / magnitude);
+}
+
+function around(center, noise) {
+    return unit(Array.from(center, v => v + gaussian() * noise));
+}
+
+console.log(`\n🗂️ IVF recall: ${ROWS.toLocaleString()} vectors, ${TOPICS} topics, ${QUERIES} queries, recall@${K}\n`);
+
+const topics = Array.from({ length: TOPICS }, () => unit(Array.from({ length: DIMENSIONS }, gaussian)));
+const corpus = Array.from({ length: ROWS }, (_, id) => ({
+    id,
+    embedding: around(topics[Math.floor(random() * TOPICS)], 0.06)
+}));
+
+const queries = Array.from({ length: QUERIES }, (_, i) => i % 2 === 0
+    ? { kind: 'near-copy', source: Math.floor(random() * ROWS) }
+    : { kind: 'new', source: null }
+).map(query => ({
+    ...query,
+    embedding: query.source !== null
+        ? around(corpus[query.source].embedding, 0.01)
+        : around(topics[Math.floor(random() * TOPICS)], 0.06)
+}));
+
+// Build the index the way maintainAnnIndex() does
+let start = performance.now();
+const listCount = getListCount(ROWS);
+const sample = [...corpus].sort(() => random() - 0.5).slice(0, ANN_TRAINING_SAMPLE).map(row => row.embedding);
+const centroids = trainCentroids(sample, listCount, { random });
+const lists = Array.from({ length: listCount }, () => []);
+for (const row of corpus) {
+    lists[nearestLists(row.embedding, centroids, 1)[0]].push(row);
+}
+console.log(`   ${listCount} lists built in ${((performance.now() - start) / 1000).toFixed(1)}s ` +
+    `(largest ${Math.max(...lists.map(l => l.length))}, smallest ${Math.min(...lists.map(l => l.length))})`);
+
+// Exact neighbours
+start = performance.now();
+const exact = queries.map(query => rankCandidates(query.embedding, corpus, K).map(c => c.id));
+const bruteMs = (performance.now() - start) / QUERIES;
+
+const defaultProbe = getProbeCount(listCount);
+const probes = [...new Set([1, 2, 4, defaultProbe, 16, 32])].filter(p => p <= listCount).sort((a, b) => a - b);
+
+const rows = probes.map(nprobe => {
+    let found = 0;
+    let copiesFound = 0;
+    let scanned = 0;
+
+    start = performance.now();
+    queries.forEach((query, q) => {
+        const candidates = nearestLists(query.embedding, centroids, nprobe).flatMap(list => lists[list]);
+        scanned += candidates.length;
+
+        const approximate = new Set(rankCandidates(query.embedding, candidates, K).map(c => c.id));
+        found += exact[q].filter(id => approximate.has(id)).length;
+
+        if (query.kind === 'near-copy' && approximate.has(query.source)) {
+            copiesFound++;
+        }
+    });
+    const annMs = (performance.now() - start) / QUERIES;
+
+    return {
+        nprobe: nprobe === defaultProbe ? `${nprobe} (default)` : nprobe,
+        [`recall@${K}`]: Number((found / (QUERIES * K)).toFixed(3)),
+        'near-copy found': Number((copiesFound / Math.ceil(QUERIES / 2)).toFixed(3)),
+        'scanned %': Number(((scanned / QUERIES / ROWS) * 100).toFixed(1)),
+        'ms/query': Number(annMs.toFixed(2)),
+        speedup: Number((bruteMs / annMs).toFixed(1))
+    };
+});
+
+console.table(rows);
+console.log(`   brute force: ${bruteMs.toFixed(2)} ms/query\n`);
+
+// Sanity check that cosineSimilarity agrees with the ranking used above
+const check = queries[0];
+const best = rankCandidates(check.embedding, corpus, 1)[0];
+if (Math.abs(best.cosine - cosineSimilarity(check.embedding, corpus[best.id].embedding)) > 1e-6) {
+    throw new Error('rankCandidates and cosineSimilarity disagree');
+}
+
+const recall = rows.find(row => String(row.nprobe).includes('default'))[`recall@${K}`];
+if (recall < TARGET) {
+    console.error(`❌ recall@${K} ${recall} at default nprobe is below target ${TARGET}`);
+    process.exit(1);
+}
+
+console.log(`✅ recall@${K} ${recall} at default nprobe (target ${TARGET})\n`);
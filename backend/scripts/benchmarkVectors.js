@@ -0,0 +1,156 @@
+// Vector Storage Benchmark
+// File: scripts/benchmarkVectors.js
+//
+// Compares the old JSON text storage with the binary encodings in
+// src/nlp/vectorCodec.js on a synthetic corpus: bytes stored, time to
+// decode every row (what each submission used to do with JSON.parse) and
+// time to score one query against all rows with cosineSimilarity.
+// Each encoding runs in its own process: the worker only ever sees one
+// vector type, and mixing Array and Float32Array in one process would
+// deoptimize cosineSimilarity and skew the timings.
+//
+// Usage: node scripts/benchmarkVectors.js [rows=50000] [dimensions=384]
+
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { cosineSimilarity } from '../src/nlp/embedding.js';
+import { encodeVector, decodeVector } from '../src/nlp/vectorCodec.js';
+
+const ROWS = parseInt(process.argv[2]) || 50000;
+const DIMENSIONS = parseInt(process.argv[3]) || 384;
+const ENCODING = process.argv[4];
+const ROUNDS = 3;
+
+/**
+ * Seeded PRNG so runs are comparable
+ */
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Unit vector with sentence-transformer-like values (float64, as providers return them)
+ */
+function randomVector(random) {
+    const vector = new Array(DIMENSIONS);
+    let magnitude = 0;
+    for (let i = 0; i < DIMENSIONS; i++) {
+        vector[i] = (random() + random() + random() - 1.5) * 0.1;
+        magnitude += vector[i] * vector[i];
+    }
+    magnitude = Math.sqrt(magnitude);
+    return vector.map(v => v / magnitude);
+}
+
+/**
+ * Best of ROUNDS runs, in milliseconds
+ */
+function time(fn) {
+    let best = Infinity;
+    let result;
+    for (let round = 0; round < ROUNDS; round++) {
+        const start = performance.now();
+        result = fn();
+        best = Math.min(best, performance.now() - start);
+    }
+    return { ms: best, result };
+}
+
+/**
+ * Float64 reference cosine, kept apart so cosineSimilarity only sees the encoding under test
+ */
+function referenceCosine(a, b) {
+    let dot = 0, magA = 0, magB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        magA += a[i] * a[i];
+        magB += b[i] * b[i];
+    }
+    return dot / Math.sqrt(magA * magB);
+}
+
+function scoreAll(query, vectors) {
+    let best = -Infinity;
+    let bestIndex = -1;
+    for (let i = 0; i < vectors.length; i++) {
+        const score = cosineSimilarity(query, vectors[i]);
+        if (score > best) {
+            best = score;
+            bestIndex = i;
+        }
+    }
+    return { best, bestIndex };
+}
+
+/**
+ * Measure one encoding (child process)
+ */
+function measure(encoding) {
+    const random = mulberry32(42);
+    const vectors = Array.from({ length: ROWS }, () => randomVector(random));
+    const queryIndex = Math.floor(ROWS / 2);
+
+    const values = encoding === 'json'
+        ? vectors.map(v => JSON.stringify(v))
+        : vectors.map(v => new Uint8Array(encodeVector(v, encoding)));
+
+    const bytes = encoding === 'json'
+        ? values.reduce((sum, text) => sum + Buffer.byteLength(text), 0)
+        : values.reduce((sum, blob) => sum + blob.byteLength, 0);
+
+    const decode = encoding === 'json'
+        ? time(() => values.map(text => JSON.parse(text)))
+        : time(() => values.map(blob => decodeVector(blob, encoding)));
+
+    const decoded = decode.result;
+    const score = time(() => scoreAll(decoded[queryIndex], decoded));
+
+    // How far scores drift from the float64 originals
+    let maxError = 0;
+    for (let i = 0; i < ROWS; i += 97) {
+        const drift = Math.abs(
+            referenceCosine(decoded[queryIndex], decoded[i]) - referenceCosine(vectors[queryIndex], vectors[i])
+        );
+        maxError = Math.max(maxError, drift);
+    }
+
+    return {
+        encoding,
+        'storage (MB)': (bytes / 1024 / 1024).toFixed(1),
+        'bytes/row': Math.round(bytes / ROWS),
+        'decode all (ms)': Math.round(decode.ms),
+        'cosine all (ms)': Math.round(score.ms),
+        'top-1 ok': score.result.bestIndex === queryIndex,
+        'max cosine error': maxError.toExponential(1)
+    };
+}
+
+if (ENCODING) {
+    console.log(JSON.stringify(measure(ENCODING)));
+} else {
+    console.log(`\n📐 Synthetic corpus: ${ROWS.toLocaleString()} rows × ${DIMENSIONS} dimensions\n`);
+
+    const rows = ['json', 'f32', 'i8'].map(encoding => {
+        const child = spawnSync(process.execPath, [fileURLToPath(import.meta.url), ROWS, DIMENSIONS, encoding], {
+            encoding: 'utf8',
+            maxBuffer: 1024 * 1024
+        });
+        if (child.status !== 0) {
+            throw new Error(`${encoding} run failed: ${child.stderr}`);
+        }
+        return JSON.parse(child.stdout.trim().split('\n').pop());
+    });
+
+    console.table(rows);
+
+    const [json, f32] = rows;
+    console.log(`\n⚡ f32 vs JSON: decode ${(json['decode all (ms)'] / Math.max(1, f32['decode all (ms)'])).toFixed(1)}x faster, ` +
+        `cosine ${(json['cosine all (ms)'] / Math.max(1, f32['cosine all (ms)'])).toFixed(1)}x faster, ` +
+        `${(json['storage (MB)'] / f32['storage (MB)']).toFixed(1)}x smaller\n`);
+}
@@ -0,0 +1,183 @@
+// User Management Module
+// File: src/admin/userManagement.js
+
+import { ROLES, SCOPED_ROLES, normalizeRole } from '../auth/permissions.js';
+import { revokeAllSessions } from '../auth/sessions.js';
+
+/**
+ * Columns returned for a user - never includes the password hash
+ */
+const USER_COLUMNS = `
+    u.id, u.email, u.full_name, u.phone, u.role, u.is_active, u.email_verified, u.totp_enabled,
+    u.created_at, u.updated_at, u.last_login
+`;
+
+/**
+ * List / search users
+ * @param {Object} filters - {search, role, active, limit, offset}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {users, total}
+ */
+export async function listUsers(filters, env) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.search) {
+        where += ' AND (u.email LIKE ? OR u.full_name LIKE ? OR u.phone LIKE ?)';
+        const pattern = `%${filters.search}%`;
+        params.push(pattern, pattern, pattern);
+    }
+
+    if (filters.role) {
+        where += ' AND u.role = ?';
+        params.push(normalizeRole(filters.role));
+    }
+
+    if (filters.active === 'true' || filters.active === 'false') {
+        where += ' AND u.is_active = ?';
+        params.push(filters.active === 'true' ? 1 : 0);
+    }
+
+    const [{ results }, count] = await Promise.all([
+        env.DB.prepare(`
+            SELECT ${USER_COLUMNS},
+                   (SELECT GROUP_CONCAT(d.name, '|')
+                    FROM department_officers o JOIN departments d ON o.department_id = d.id
+                    WHERE o.user_id = u.id) as departments
+            FROM users u
+            ${where}
+            ORDER BY u.created_at DESC, u.id DESC
+            LIMIT ? OFFSET ?
+        `).bind(...params, filters.limit || 50, filters.offset || 0).all(),
+        env.DB.prepare(`SELECT COUNT(*) as total FROM users u ${where}`).bind(...params).first()
+    ]);
+
+    return {
+        users: results.map(u => ({
+            ...u,
+            departments: u.departments ? u.departments.split('|') : []
+        })),
+        total: count.total
+    };
+}
+
+/**
+ * Get one user with departments, area scopes and activity counts
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>}
+ */
+export async function getUserDetail(userId, env) {
+    const user = await env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`)
+        .bind(userId).first();
+
+    if (!user) return null;
+
+    const [departments, areas, counts] = await Promise.all([
+        env.DB.prepare(`
+            SELECT d.id, d.name, d.code FROM department_officers o
+            JOIN departments d ON o.department_id = d.id
+            WHERE o.user_id = ?
+            ORDER BY d.name
+        `).bind(userId).all(),
+        env.DB.prepare('SELECT area FROM user_area_scopes WHERE user_id = ? ORDER BY area')
+            .bind(userId).all(),
+        env.DB.prepare(`
+            SELECT
+                (SELECT COUNT(*) FROM grievances WHERE user_id = ?) as grievance_count,
+                (SELECT COUNT(*) FROM sessions
+                 WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP) as active_sessions
+        `).bind(userId, userId).first()
+    ]);
+
+    return {
+        ...user,
+        departments: departments.results,
+        areas: areas.results.map(a => a.area),
+        grievanceCount: counts.grievance_count,
+        activeSessions: counts.active_sessions
+    };
+}
+
+/**
+ * Validate an admin update of a user
+ * @param {Object} changes - {fullName, phone, role}
+ * @returns {Object} - {isValid, error}
+ */
+export function validateUserUpdate(changes) {
+    if (changes.role !== undefined && !ROLES.includes(normalizeRole(changes.role))) {
+        return { isValid: false, error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+
+    if (changes.fullName !== undefined && String(changes.fullName).trim().length === 0) {
+        return { isValid: false, error: 'fullName cannot be empty' };
+    }
+
+    if (changes.phone !== undefined && changes.phone !== null && String(changes.phone).length > 20) {
+        return { isValid: false, error: 'phone is too long' };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Apply an admin update to a user
+ * Role changes apply on the user's next request (roles are read from the
+ * database per request). Leaving an officer role also removes the user
+ * from their departments and area scopes.
+ *
+ * @param {Object} user - Current users row
+ * @param {Object} changes - {fullName, phone, role} (validated)
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - Changed fields: {field: {from, to}}
+ */
+export async function updateUserAccount(user, changes, env) {
+    const next = {
+        full_name: changes.fullName !== undefined ? String(changes.fullName).trim() : user.full_name,
+        phone: changes.phone !== undefined ? (changes.phone || null) : user.phone,
+        role: changes.role !== undefined ? normalizeRole(changes.role) : normalizeRole(user.role)
+    };
+
+    const changed = {};
+    for (const field of Object.keys(next)) {
+        if (next[field] !== user[field]) {
+            changed[field] = { from: user[field], to: next[field] };
+        }
+    }
+
+    if (Object.keys(changed).length === 0) {
+        return changed;
+    }
+
+    await env.DB.prepare(`
+        UPDATE users SET full_name = ?, phone = ?, role = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(next.full_name, next.phone, next.role, user.id).run();
+
+    if (changed.role && !SCOPED_ROLES.includes(next.role)) {
+        await env.DB.prepare('DELETE FROM department_officers WHERE user_id = ?').bind(user.id).run();
+        await env.DB.prepare('DELETE FROM user_area_scopes WHERE user_id = ?').bind(user.id).run();
+    }
+
+    return changed;
+}
+
+/**
+ * Activate or deactivate an account
+ * Deactivation revokes every session, logging the user out everywhere.
+ *
+ * @param {number} userId - User ID
+ * @param {boolean} active - New state
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {changed, sessionsRevoked}
+ */
+export async function setUserActive(userId, active, env) {
+    const result = await env.DB.prepare(`
+        UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND is_active != ?
+    `).bind(active ? 1 : 0, userId, active ? 1 : 0).run();
+
+    const sessionsRevoked = active ? 0 : await revokeAllSessions(userId, env);
+
+    return { changed: result.meta.changes > 0, sessionsRevoked };
+}
@@ -0,0 +1,125 @@
+// Audit Log Module
+// File: src/audit/auditLog.js
+
+/**
+ * Write an entry to the audit_logs table
+ * Never throws - auditing must not break the action being audited
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} entry - {userId, action, entityType, entityId, details, ipAddress}
+ * @returns {Promise<number|null>} - Audit log ID, or null on failure
+ */
+export async function logAudit(env, entry) {
+    const details = entry.details && typeof entry.details === 'object'
+        ? JSON.stringify(entry.details)
+        : entry.details || null;
+
+    try {
+        const result = await env.DB.prepare(`
+            INSERT INTO audit_logs (user_id, action, entity_type, entity_id, details, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(
+            entry.userId || null,
+            entry.action,
+            entry.entityType || null,
+            entry.entityId || null,
+            details,
+            entry.ipAddress || null
+        ).run();
+
+        return result.meta.last_row_id;
+    } catch (error) {
+        console.warn(`Failed to write audit log (${entry.action}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Search the audit log (newest first)
+ * @param {Object} filters - {userId, action (comma-separated), entityType, entityId, from, to, limit, offset}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {entries, total}
+ */
+export async function queryAuditLogs(filters, env) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    // A user's own actions plus actions on their account (e.g. failed logins)
+    if (filters.userId) {
+        where += " AND (a.user_id = ? OR (a.entity_type = 'user' AND a.entity_id = ?))";
+        params.push(filters.userId, filters.userId);
+    }
+
+    if (filters.action) {
+        const actions = filters.action.split(',').map(a => a.trim()).filter(Boolean);
+        where += ` AND a.action IN (${actions.map(() => '?').join(',')})`;
+        params.push(...actions);
+    }
+
+    if (filters.entityType) {
+        where += ' AND a.entity_type = ?';
+        params.push(filters.entityType);
+    }
+
+    if (filters.entityId) {
+        where += ' AND a.entity_id = ?';
+        params.push(filters.entityId);
+    }
+
+    if (filters.from) {
+        where += ' AND a.created_at >= datetime(?)';
+        params.push(filters.from);
+    }
+
+    if (filters.to) {
+        // A bare date means the whole day
+        where += /^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+            ? " AND a.created_at < datetime(?, '+1 day')"
+            : ' AND a.created_at <= datetime(?)';
+        params.push(filters.to);
+    }
+
+    let query = `
+        SELECT a.id, a.created_at, a.user_id, u.email as user_email, a.action,
+               a.entity_type, a.entity_id, a.details, a.ip_address
+        FROM audit_logs a
+        LEFT JOIN users u ON a.user_id = u.id
+        ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+    `;
+    const queryParams = [...params];
+
+    if (filters.limit) {
+        query += ' LIMIT ? OFFSET ?';
+        queryParams.push(filters.limit, filters.offset || 0);
+    }
+
+    const [{ results }, count] = await Promise.all([
+        env.DB.prepare(query).bind(...queryParams).all(),
+        env.DB.prepare(`SELECT COUNT(*) as total FROM audit_logs a ${where}`).bind(...params).first()
+    ]);
+
+    return { entries: results, total: count.total };
+}
+
+/**
+ * Render audit entries as CSV (RFC 4180 quoting)
+ * Text cells a spreadsheet would run as a formula (=, +, -, @, tab, CR) get a leading '
+ * @param {Array} entries - Rows from queryAuditLogs()
+ * @returns {string}
+ */
+export function auditLogsToCsv(entries) {
+    const columns = ['id', 'created_at', 'user_id', 'user_email', 'action', 'entity_type', 'entity_id', 'details', 'ip_address'];
+
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.join(','),
+        ...entries.map(entry => columns.map(column => escape(entry[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
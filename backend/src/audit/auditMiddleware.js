@@ -0,0 +1,196 @@
+// Audit Middleware Module
+// File: src/audit/auditMiddleware.js
+
+import { verifyJWT, extractToken } from '../auth/jwt.js';
+import { findActiveApiKey } from '../auth/apiKeys.js';
+import { logAudit } from './auditLog.js';
+
+/**
+ * Requests that are audited automatically
+ * describe() turns the outcome into audit entries (or [] to skip):
+ *   status - response status, body - parsed JSON request body (when readBody),
+ *   result - parsed JSON response, params - path captures
+ */
+const AUDITED_ROUTES = [
+    {
+        method: 'POST',
+        pattern: /^\/api\/auth\/login$/,
+        readBody: true,
+        describe: ({ status, body, result }) => {
+            // Password accepted but a second factor is pending - logged once the login completes
+            if (status === 200 && !result.user) return [];
+
+            if (status === 200) {
+                return [{
+                    action: 'LOGIN',
+                    userId: result.user.id,
+                    entityType: 'user',
+                    entityId: result.user.id,
+                    details: result.twoFactorMethod ? { twoFactor: result.twoFactorMethod } : null
+                }];
+            }
+
+            // Failed second factors are audited by the login route (TWO_FACTOR_FAILED)
+            if (status >= 400 && status < 500 && !body.challengeToken) {
+                return [{ action: 'LOGIN_FAILED', entityType: 'user', lookupEmail: body.email, details: { email: body.email || null, status } }];
+            }
+
+            return [];
+        }
+    },
+    {
+        // Admins who had to enroll in 2FA are signed in when enrollment completes
+        method: 'POST',
+        pattern: /^\/api\/auth\/2fa\/enable$/,
+        describe: ({ status, result }) => status === 200 && result.user
+            ? [{ action: 'LOGIN', userId: result.user.id, entityType: 'user', entityId: result.user.id, details: { twoFactor: 'setup' } }]
+            : []
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/grievances\/submit-text$/,
+        describe: ({ status, result }) => status === 201
+            ? [{
+                action: 'GRIEVANCE_SUBMITTED',
+                entityType: 'grievance',
+                entityId: result.grievance.id,
+                details: { type: 'text', referenceNumber: result.grievance.referenceNumber, status: result.grievance.status }
+            }]
+            : []
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/grievances\/submit-pdf$/,
+        describe: ({ status, result }) => status === 201
+            ? [{
+                action: 'PDF_SUBMITTED',
+                entityType: 'pdf_upload',
+                entityId: result.pdfId,
+                details: { grievancesProcessed: result.grievancesProcessed, grievanceIds: result.results.map(r => r.id) }
+            }]
+            : []
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/grievances\/submit-batch$/,
+        describe: ({ status, result }) => status === 202
+            ? [{ action: 'BATCH_SUBMITTED', entityType: 'batch', entityId: result.batchId, details: { pdfs: result.pdfsReceived } }]
+            : []
+    },
+    {
+        method: 'DELETE',
+        pattern: /^\/api\/areas\/([^/]+)$/,
+        describe: ({ status, result, params }) => status === 200
+            ? [{ action: 'AREA_DELETED', entityType: 'area', details: { area: decodeURIComponent(params[0]), deleted: result.deleted } }]
+            : []
+    },
+    {
+        method: 'POST',
+        pattern: /^\/api\/feedback$/,
+        readBody: true,
+        describe: ({ status, body, result }) => {
+            if (status !== 200) return [];
+
+            const entries = [{
+                action: 'FEEDBACK_CORRECTION',
+                entityType: 'grievance',
+                entityId: body.grievanceId,
+                details: { originalStatus: body.originalStatus, correctedStatus: body.correctedStatus, originalScore: body.originalScore ?? null }
+            }];
+
+            if (result.adjustment) {
+                entries.push({
+                    action: 'THRESHOLD_CHANGED',
+                    entityType: 'threshold',
+                    details: { ...result.adjustment, grievanceId: body.grievanceId }
+                });
+            }
+
+            return entries;
+        }
+    }
+];
+
+/**
+ * Start auditing a request, before it is handled
+ * The JSON body is cloned up front because handlers consume it.
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Object|null} - Pending audit, or null if the route is not audited
+ */
+export function beginAudit(request) {
+    const { pathname } = new URL(request.url);
+    const rule = AUDITED_ROUTES.find(r => r.method === request.method && r.pattern.test(pathname));
+
+    if (!rule) return null;
+
+    return {
+        rule,
+        params: pathname.match(rule.pattern).slice(1),
+        token: extractToken(request),
+        apiKey: request.headers.get('X-API-Key'),
+        ipAddress: request.headers.get('CF-Connecting-IP'),
+        body: rule.readBody ? request.clone().json().catch(() => ({})) : Promise.resolve({})
+    };
+}
+
+/**
+ * Write the audit entries for a handled request. Never throws.
+ * @param {Object} audit - From beginAudit()
+ * @param {Response} response - Clone of the response sent to the client
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>} - Entries written
+ */
+export async function finishAudit(audit, response, env) {
+    try {
+        const [body, result] = await Promise.all([
+            audit.body,
+            response.json().catch(() => ({}))
+        ]);
+
+        const entries = audit.rule.describe({
+            status: response.status,
+            body,
+            result,
+            params: audit.params
+        });
+
+        if (entries.length === 0) return 0;
+
+        // The handler already authenticated the caller; only the identity is needed here
+        let actorId = null;
+        let apiKeyPrefix = null;
+        if (audit.apiKey) {
+            const key = await findActiveApiKey(audit.apiKey, env).catch(() => null);
+            actorId = key?.user_id || null;
+            apiKeyPrefix = key?.key_prefix || null;
+        } else if (audit.token) {
+            const payload = await verifyJWT(audit.token, env.JWT_SECRET).catch(() => null);
+            actorId = payload?.userId || null;
+        }
+
+        for (const entry of entries) {
+            let entityId = entry.entityId;
+
+            if (entry.lookupEmail) {
+                const user = await env.DB.prepare('SELECT id FROM users WHERE email = ?')
+                    .bind(String(entry.lookupEmail)).first();
+                entityId = user?.id;
+            }
+
+            await logAudit(env, {
+                userId: entry.userId || actorId,
+                action: entry.action,
+                entityType: entry.entityType,
+                entityId,
+                details: apiKeyPrefix ? { ...entry.details, apiKey: apiKeyPrefix } : entry.details,
+                ipAddress: audit.ipAddress
+            });
+        }
+
+        return entries.length;
+    } catch (error) {
+        console.warn(`Failed to audit ${audit.rule.method} ${audit.rule.pattern}:`, error.message);
+        return 0;
+    }
+}
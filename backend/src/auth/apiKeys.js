@@ -0,0 +1,253 @@
+// API Key Module
+// File: src/auth/apiKeys.js
+
+import { generateOpaqueToken, hashToken } from './sessions.js';
+
+/**
+ * Keys look like gak_<8 chars>_<secret>. The first 12 characters
+ * (key_prefix) are stored in clear so a key can be recognised in lists
+ * and logs; the full key is only ever stored as a SHA-256 hash.
+ */
+const KEY_PREFIX = 'gak_';
+const KEY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * Scopes a key can be granted
+ */
+export const API_KEY_SCOPES = {
+    'grievances:write': 'Submit text and PDF grievances',
+    'grievances:read': 'Read grievances, their status and history',
+    'batches:write': 'Upload PDF batches',
+    'batches:read': 'Read batch status and results',
+    'areas:read': 'List known areas'
+};
+
+/**
+ * Routes callable with an API key and the scope each needs.
+ * Everything else (auth, admin, workflow actions...) stays JWT-only.
+ * The key's owner must still hold the route's role permission.
+ */
+const API_KEY_ROUTES = [
+    { method: 'POST', pattern: /^\/api\/grievances\/submit-(text|pdf)$/, scope: 'grievances:write' },
+    { method: 'GET', pattern: /^\/api\/grievances$/, scope: 'grievances:read' },
+    { method: 'GET', pattern: /^\/api\/grievances\/by-ref\/[^/]+$/, scope: 'grievances:read' },
+    { method: 'GET', pattern: /^\/api\/grievances\/\d+(\/history)?$/, scope: 'grievances:read' },
+    { method: 'POST', pattern: /^\/api\/grievances\/submit-batch$/, scope: 'batches:write' },
+    { method: 'GET', pattern: /^\/api\/batches(\/\d+\/(status|results))?$/, scope: 'batches:read' },
+    { method: 'GET', pattern: /^\/api\/areas(\/[^/]+\/exists)?$/, scope: 'areas:read' }
+];
+
+export const MAX_API_KEY_LIFETIME_DAYS = 365;
+
+/**
+ * Scope required to call a route with an API key
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {string|null} - Scope, or null if the route does not accept API keys
+ */
+export function getRequiredScope(method, pathname) {
+    const route = API_KEY_ROUTES.find(r => r.method === method && r.pattern.test(pathname));
+    return route ? route.scope : null;
+}
+
+/**
+ * Parse the stored comma separated scopes
+ */
+export function parseScopes(scopes) {
+    return scopes ? scopes.split(',').filter(Boolean) : [];
+}
+
+/**
+ * Validate a new key request
+ * @param {Object} input - {name, scopes, expiresInDays}
+ * @returns {Object} - {isValid, error}
+ */
+export function validateApiKeyInput(input) {
+    if (!input.name || String(input.name).trim().length === 0) {
+        return { isValid: false, error: 'name is required' };
+    }
+
+    if (String(input.name).length > 100) {
+        return { isValid: false, error: 'name is too long' };
+    }
+
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+        return { isValid: false, error: 'At least one scope is required' };
+    }
+
+    const unknown = input.scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+        return {
+            isValid: false,
+            error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+        };
+    }
+
+    if (input.expiresInDays !== undefined && input.expiresInDays !== null) {
+        const days = Number(input.expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_API_KEY_LIFETIME_DAYS) {
+            return { isValid: false, error: `expiresInDays must be between 1 and ${MAX_API_KEY_LIFETIME_DAYS}` };
+        }
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Create a key
+ * @param {Object} input - {name, scopes, expiresInDays} (validated)
+ * @param {number} ownerId - User the key acts as
+ * @param {number} createdBy - Admin creating the key
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {key, apiKey} - the raw key is only returned here
+ */
+export async function createApiKey(input, ownerId, createdBy, env) {
+    const secret = generateOpaqueToken().replace(/[-_]/g, '');
+    const key = `${KEY_PREFIX}${secret.slice(0, 8)}_${secret.slice(8)}`;
+    const scopes = [...new Set(input.scopes)].join(',');
+
+    const expiresAt = input.expiresInDays
+        ? new Date(Date.now() + Number(input.expiresInDays) * 86400000).toISOString().replace('T', ' ').slice(0, 19)
+        : null;
+
+    const result = await env.DB.prepare(`
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, user_id, created_by, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        String(input.name).trim(),
+        key.slice(0, KEY_PREFIX_LENGTH),
+        await hashToken(key),
+        scopes,
+        ownerId,
+        createdBy,
+        expiresAt
+    ).run();
+
+    return {
+        key,
+        apiKey: await getApiKey(result.meta.last_row_id, env)
+    };
+}
+
+/**
+ * Columns returned for a key - never includes the hash
+ */
+const KEY_COLUMNS = `
+    k.id, k.name, k.key_prefix, k.scopes, k.user_id, k.created_by, k.created_at,
+    k.expires_at, k.revoked_at, k.last_used_at, k.last_used_ip, k.request_count,
+    u.email as user_email, u.full_name as user_name
+`;
+
+function formatApiKey(row) {
+    return row && { ...row, scopes: parseScopes(row.scopes) };
+}
+
+/**
+ * Get one key
+ */
+export async function getApiKey(id, env) {
+    const row = await env.DB.prepare(`
+        SELECT ${KEY_COLUMNS} FROM api_keys k JOIN users u ON k.user_id = u.id
+        WHERE k.id = ?
+    `).bind(id).first();
+
+    return formatApiKey(row);
+}
+
+/**
+ * List keys, newest first
+ * @param {Object} filters - {userId, includeRevoked}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>}
+ */
+export async function listApiKeys(filters, env) {
+    let query = `SELECT ${KEY_COLUMNS} FROM api_keys k JOIN users u ON k.user_id = u.id WHERE 1=1`;
+    const params = [];
+
+    if (filters.userId) {
+        query += ' AND k.user_id = ?';
+        params.push(filters.userId);
+    }
+
+    if (!filters.includeRevoked) {
+        query += ' AND k.revoked_at IS NULL';
+    }
+
+    query += ' ORDER BY k.created_at DESC, k.id DESC';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+    return results.map(formatApiKey);
+}
+
+/**
+ * Revoke a key (immediately stops working)
+ * @returns {Promise<boolean>} - False if already revoked
+ */
+export async function revokeApiKey(id, env) {
+    const result = await env.DB.prepare(`
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+    `).bind(id).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Look up a presented key
+ * @param {string} rawKey - Value of the X-API-Key header
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - Key with owner {user_email, user_role}, or null if unknown,
+ *                                   revoked, expired or owned by a deactivated user
+ */
+export async function findActiveApiKey(rawKey, env) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const row = await env.DB.prepare(`
+        SELECT k.id, k.key_prefix, k.scopes, k.user_id, u.email as user_email, u.role as user_role
+        FROM api_keys k JOIN users u ON k.user_id = u.id
+        WHERE k.key_hash = ?
+          AND k.revoked_at IS NULL
+          AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+          AND u.is_active = 1
+    `).bind(await hashToken(rawKey)).first();
+
+    return formatApiKey(row);
+}
+
+/**
+ * Count a request made with a key
+ * @param {number} keyId - API key ID
+ * @param {string} ipAddress - Caller IP
+ * @param {Object} env - Cloudflare Worker environment
+ */
+export async function recordApiKeyUsage(keyId, ipAddress, env) {
+    await env.DB.prepare(`
+        UPDATE api_keys
+        SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?, request_count = request_count + 1
+        WHERE id = ?
+    `).bind(ipAddress || null, keyId).run();
+
+    await env.DB.prepare(`
+        INSERT INTO api_key_usage (api_key_id, day, request_count) VALUES (?, DATE('now'), 1)
+        ON CONFLICT(api_key_id, day) DO UPDATE SET request_count = request_count + 1
+    `).bind(keyId).run();
+}
+
+/**
+ * Daily request counts for a key
+ * @param {number} keyId - API key ID
+ * @param {number} days - How many days back
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - [{day, request_count}], oldest first
+ */
+export async function getApiKeyUsage(keyId, days, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT day, request_count FROM api_key_usage
+        WHERE api_key_id = ? AND day >= DATE('now', ?)
+        ORDER BY day
+    `).bind(keyId, `-${days - 1} days`).all();
+
+    return results;
+}
@@ -0,0 +1,76 @@
+// One-Time Auth Token Module
+// File: src/auth/authTokens.js
+
+import { generateOpaqueToken, hashToken } from './sessions.js';
+
+/**
+ * Token purposes and how long each stays valid (minutes)
+ */
+export const AUTH_TOKEN_TTL_MINUTES = {
+    PASSWORD_RESET: 60,
+    EMAIL_VERIFICATION: 48 * 60
+};
+
+/**
+ * Issue a single-use token for a user
+ * Earlier unused tokens of the same purpose are invalidated, so only the
+ * most recent email link works.
+ *
+ * @param {number} userId - User ID
+ * @param {string} purpose - PASSWORD_RESET | EMAIL_VERIFICATION
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<string>} - Raw token (only its hash is stored)
+ */
+export async function createAuthToken(userId, purpose, env) {
+    const token = generateOpaqueToken();
+
+    await env.DB.prepare(`
+        UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `).bind(userId, purpose).run();
+
+    await env.DB.prepare(`
+        INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES (?, ?, ?, datetime('now', ?))
+    `).bind(
+        userId,
+        purpose,
+        await hashToken(token),
+        `+${AUTH_TOKEN_TTL_MINUTES[purpose]} minutes`
+    ).run();
+
+    return token;
+}
+
+/**
+ * Redeem a single-use token
+ * @param {string} token - Raw token from the email link
+ * @param {string} purpose - Expected purpose
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {valid, userId} or {valid, error}
+ */
+export async function consumeAuthToken(token, purpose, env) {
+    const tokenHash = await hashToken(token || '');
+
+    const row = await env.DB.prepare(`
+        SELECT id, user_id FROM auth_tokens
+        WHERE token_hash = ? AND purpose = ?
+          AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `).bind(tokenHash, purpose).first();
+
+    if (!row) {
+        return { valid: false, error: 'Invalid or expired link' };
+    }
+
+    // Guarded update - a second concurrent redemption changes nothing
+    const result = await env.DB.prepare(`
+        UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+    `).bind(row.id).run();
+
+    if (result.meta.changes === 0) {
+        return { valid: false, error: 'Invalid or expired link' };
+    }
+
+    return { valid: true, userId: row.user_id };
+}
@@ -0,0 +1,129 @@
+// Login Throttling Module
+// File: src/auth/loginThrottle.js
+
+/**
+ * Failed logins are counted per account and per client IP.
+ * - From the 3rd failure on, the next attempt has to wait 1s, 2s, 4s... (max 30s)
+ * - 5 failures lock the account for 15 minutes
+ * - 20 failures from one IP lock that IP for 15 minutes
+ * Counters restart when no failure happened for FAILURE_WINDOW_MINUTES.
+ * Accounts are keyed by email so unknown emails are throttled the same way.
+ */
+export const LOGIN_THROTTLE = {
+    FAILURE_WINDOW_MINUTES: 15,
+    DELAY_AFTER_FAILURES: 3,
+    MAX_DELAY_SECONDS: 30,
+    ACCOUNT_LOCK_THRESHOLD: 5,
+    IP_LOCK_THRESHOLD: 20,
+    LOCK_MINUTES: 15
+};
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Seconds a client has to wait after `failures` consecutive failures
+ */
+function delaySeconds(failures) {
+    if (failures < LOGIN_THROTTLE.DELAY_AFTER_FAILURES) return 0;
+    return Math.min(2 ** (failures - LOGIN_THROTTLE.DELAY_AFTER_FAILURES), LOGIN_THROTTLE.MAX_DELAY_SECONDS);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} store - Counter store (src/store/counterStore.js)
+ * @param {string} email - Submitted email
+ * @param {string|null} ip - Client IP
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {allowed} or {allowed: false, reason, retryAfter (seconds)}
+ */
+export async function checkLoginAllowed(store, email, ip, now = Date.now()) {
+    const [account, client] = await Promise.all([
+        store.get(accountKey(email)),
+        ip ? store.get(ipKey(ip)) : null
+    ]);
+
+    const blocked = (reason, untilMs) => ({
+        allowed: false,
+        reason,
+        retryAfter: Math.max(1, Math.ceil((untilMs - now) / 1000))
+    });
+
+    if (client?.lockedUntil > now) {
+        return blocked('IP_LOCKED', client.lockedUntil);
+    }
+
+    if (account?.lockedUntil > now) {
+        return blocked('ACCOUNT_LOCKED', account.lockedUntil);
+    }
+
+    const windowMs = LOGIN_THROTTLE.FAILURE_WINDOW_MINUTES * 60 * 1000;
+    if (account && account.windowStartedAt > now - windowMs) {
+        const nextAttemptAt = account.updatedAt + delaySeconds(account.count) * 1000;
+        if (nextAttemptAt > now) {
+            return blocked('TOO_MANY_ATTEMPTS', nextAttemptAt);
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Count a failed login and lock the account / IP once over the limit
+ * @param {Object} store - Counter store
+ * @param {string} email - Submitted email
+ * @param {string|null} ip - Client IP
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {failures, accountLocked, ipLocked, lockedUntil}
+ */
+export async function recordLoginFailure(store, email, ip, now = Date.now()) {
+    const windowMs = LOGIN_THROTTLE.FAILURE_WINDOW_MINUTES * 60 * 1000;
+    const lockedUntil = now + LOGIN_THROTTLE.LOCK_MINUTES * 60 * 1000;
+
+    const account = await store.increment(accountKey(email), windowMs, now);
+    const client = ip ? await store.increment(ipKey(ip), windowMs, now) : null;
+
+    // Lock at or over the threshold; lock() succeeds for one caller only, so
+    // concurrent failures cannot skip the lockout and each one is reported once
+    const accountLocked = account.count >= LOGIN_THROTTLE.ACCOUNT_LOCK_THRESHOLD
+        && await store.lock(accountKey(email), lockedUntil, now);
+    const ipLocked = Boolean(client && client.count >= LOGIN_THROTTLE.IP_LOCK_THRESHOLD
+        && await store.lock(ipKey(ip), lockedUntil, now));
+
+    return {
+        failures: account.count,
+        accountLocked,
+        ipLocked,
+        lockedUntil: accountLocked || ipLocked ? lockedUntil : null
+    };
+}
+
+/**
+ * Clear an account's failures after a successful login
+ * The IP counter is kept - one valid account must not reset a spraying IP.
+ */
+export async function recordLoginSuccess(store, email) {
+    await store.reset(accountKey(email));
+}
+
+/**
+ * Lock state of an account (for the admin screens)
+ * @returns {Promise<Object>} - {failures, locked, lockedUntil}
+ */
+export async function getAccountLockStatus(store, email, now = Date.now()) {
+    const account = await store.get(accountKey(email));
+
+    return {
+        failures: account ? account.count : 0,
+        locked: Boolean(account?.lockedUntil > now),
+        lockedUntil: account?.lockedUntil > now ? new Date(account.lockedUntil).toISOString() : null
+    };
+}
+
+/**
+ * Lift an account lockout and clear its failures (admin)
+ * @returns {Promise<boolean>} - True if there was anything to clear
+ */
+export async function unlockAccount(store, email) {
+    return await store.reset(accountKey(email));
+}
@@ -0,0 +1,149 @@
+// Role-Based Access Control Module
+// File: src/auth/permissions.js
+
+/**
+ * Roles
+ * - citizen:         files grievances, follows their own
+ * - field_officer:   works grievances assigned to them / in their area
+ * - department_head: manages a department's queue and officers' assignments
+ * - data_entry:      uploads batches of paper grievances
+ * - analyst:         read-only statistics and clusters
+ * - super_admin:     everything
+ */
+export const ROLES = ['citizen', 'field_officer', 'department_head', 'data_entry', 'analyst', 'super_admin'];
+
+/**
+ * Role names used before RBAC (still found in old tokens)
+ */
+const ROLE_ALIASES = {
+    user: 'citizen',
+    officer: 'field_officer',
+    admin: 'super_admin'
+};
+
+/**
+ * Roles that belong to departments and are limited to their scope
+ */
+export const SCOPED_ROLES = ['field_officer', 'department_head'];
+
+/**
+ * Permission matrix: permission -> roles holding it
+ * super_admin holds every permission implicitly.
+ */
+export const PERMISSIONS = {
+    'grievance.submit': ['citizen', 'data_entry'],
+    'grievance.view_all': [],
+    'grievance.view_scoped': ['field_officer', 'department_head'],
+    'grievance.assign': ['department_head'],
+    'grievance.merge': ['department_head'],
+    'grievance.feedback': [],
+    'comment.internal': ['field_officer', 'department_head'],
+    'batch.upload': ['data_entry'],
+    'batch.view_all': ['analyst'],
+    'department.view': ['department_head'],
+    'department.manage': [],
+    'sla.view_overdue': ['field_officer', 'department_head'],
+    'sla.manage': [],
+    'stats.view': ['analyst'],
+    'clusters.view': ['analyst'],
+    'thresholds.view': ['analyst'],
+    'users.manage': [],
+    'audit.view': [],
+    'apikeys.manage': [],
+    'embeddings.manage': []
+};
+
+/**
+ * Map legacy role names onto the current ones
+ * @param {string} role - Stored or token role
+ * @returns {string} - Canonical role
+ */
+export function normalizeRole(role) {
+    return ROLE_ALIASES[role] || role;
+}
+
+/**
+ * Check a single permission
+ * @param {Object} user - Authenticated user ({role})
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+    const role = normalizeRole(user.role);
+    if (role === 'super_admin') return true;
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * All permissions of a role (sent to the frontend to drive navigation)
+ * @param {string} role - Role
+ * @returns {string[]}
+ */
+export function getRolePermissions(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission({ role }, permission));
+}
+
+/**
+ * Load the departments and areas a staff member is limited to
+ * Department membership comes from department_officers; an empty area
+ * list means every area of those departments.
+ *
+ * @param {Object} user - Authenticated user ({userId, role})
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - {departmentIds, areas} or null for unscoped roles
+ */
+export async function loadUserScope(user, env) {
+    if (!SCOPED_ROLES.includes(normalizeRole(user.role))) {
+        return null;
+    }
+
+    const [departments, areas] = await Promise.all([
+        env.DB.prepare('SELECT department_id FROM department_officers WHERE user_id = ?')
+            .bind(user.userId).all(),
+        env.DB.prepare('SELECT area FROM user_area_scopes WHERE user_id = ?')
+            .bind(user.userId).all()
+    ]);
+
+    return {
+        departmentIds: departments.results.map(d => d.department_id),
+        areas: areas.results.map(a => a.area.toLowerCase())
+    };
+}
+
+/**
+ * Check whether a grievance falls inside a staff member's department/area scope
+ * @param {Object} scope - From loadUserScope()
+ * @param {Object} grievance - Grievance row (department_id, area)
+ * @returns {boolean}
+ */
+export function isWithinScope(scope, grievance) {
+    if (!scope) return false;
+
+    const inDepartment = scope.departmentIds.includes(grievance.department_id);
+    const inArea = scope.areas.length === 0
+        || scope.areas.includes((grievance.area || '').toLowerCase());
+
+    return inDepartment && inArea;
+}
+
+/**
+ * SQL condition limiting a grievance query to a staff member's scope
+ * @param {Object} scope - From loadUserScope()
+ * @param {string} alias - Table alias of grievances
+ * @returns {Object} - {clause, params}
+ */
+export function buildScopeFilter(scope, alias = 'g') {
+    if (!scope || scope.departmentIds.length === 0) {
+        return { clause: '0', params: [] };
+    }
+
+    let clause = `${alias}.department_id IN (${scope.departmentIds.map(() => '?').join(',')})`;
+    const params = [...scope.departmentIds];
+
+    if (scope.areas.length > 0) {
+        clause += ` AND LOWER(${alias}.area) IN (${scope.areas.map(() => '?').join(',')})`;
+        params.push(...scope.areas);
+    }
+
+    return { clause: `(${clause})`, params };
+}
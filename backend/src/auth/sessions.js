@@ -0,0 +1,220 @@
+// Session & Refresh Token Module
+// File: src/auth/sessions.js
+
+import { generateJWT } from './jwt.js';
+
+/**
+ * Access tokens are short-lived; the refresh token (stored hashed in
+ * `sessions`) is rotated on every use and can be revoked server-side.
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Generate an opaque random token (base64url, 256 bits)
+ */
+export function generateOpaqueToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+}
+
+/**
+ * SHA-256 hex digest - only hashes of refresh tokens are stored
+ */
+export async function hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Issue a signed access token bound to a session
+ */
+async function issueAccessToken(user, sessionId, env) {
+    return await generateJWT({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId
+    }, env.JWT_SECRET, ACCESS_TOKEN_TTL_SECONDS);
+}
+
+/**
+ * Start a new session for a user (login / register)
+ * @param {Object} user - users row {id, email, role}
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} client - {userAgent, ipAddress}
+ * @returns {Promise<Object>} - {token, refreshToken, expiresIn, sessionId}
+ */
+export async function createSession(user, env, client = {}) {
+    const refreshToken = generateOpaqueToken();
+
+    const result = await env.DB.prepare(`
+        INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?))
+    `).bind(
+        user.id,
+        await hashToken(refreshToken),
+        client.userAgent || null,
+        client.ipAddress || null,
+        `+${REFRESH_TOKEN_TTL_DAYS} days`
+    ).run();
+
+    const sessionId = result.meta.last_row_id;
+
+    return {
+        token: await issueAccessToken(user, sessionId, env),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        sessionId
+    };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The old session is revoked and replaced. Presenting an already-rotated
+ * token means it was stolen or replayed, so every session of that user
+ * is revoked.
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} client - {userAgent, ipAddress}
+ * @returns {Promise<Object>} - {valid, error} or {valid, token, refreshToken, expiresIn, user}
+ */
+export async function rotateSession(refreshToken, env, client = {}) {
+    const session = await env.DB.prepare(`
+        SELECT s.*, (s.expires_at <= CURRENT_TIMESTAMP) as is_expired,
+               u.email, u.role, u.full_name, u.is_active, u.email_verified, u.totp_enabled
+        FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.refresh_token_hash = ?
+    `).bind(await hashToken(refreshToken)).first();
+
+    if (!session) {
+        return { valid: false, error: 'Invalid refresh token' };
+    }
+
+    if (session.revoked_at) {
+        if (session.replaced_by_id) {
+            console.warn(`⚠️ Refresh token reuse for user ${session.user_id} - revoking all sessions`);
+            await revokeAllSessions(session.user_id, env);
+        }
+        return { valid: false, error: 'Session has been revoked' };
+    }
+
+    if (session.is_expired || !session.is_active) {
+        await revokeSession(session.id, env);
+        return { valid: false, error: 'Session expired' };
+    }
+
+    const user = {
+        id: session.user_id,
+        email: session.email,
+        role: session.role,
+        fullName: session.full_name,
+        emailVerified: Boolean(session.email_verified),
+        twoFactorEnabled: Boolean(session.totp_enabled)
+    };
+
+    const next = await createSession(user, env, client);
+
+    await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, replaced_by_id = ?
+        WHERE id = ?
+    `).bind(next.sessionId, session.id).run();
+
+    return {
+        valid: true,
+        token: next.token,
+        refreshToken: next.refreshToken,
+        expiresIn: next.expiresIn,
+        user
+    };
+}
+
+/**
+ * Get the user behind a live session
+ * The role is read fresh so role changes apply without a new login.
+ *
+ * @param {number} sessionId - Session ID (`sid` claim)
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - {id, role}, or null if revoked / user inactive
+ */
+export async function getSessionUser(sessionId, env) {
+    return await env.DB.prepare(`
+        SELECT u.id, u.role FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.id = ? AND s.revoked_at IS NULL AND u.is_active = 1
+    `).bind(sessionId).first();
+}
+
+/**
+ * Revoke a single session (logout)
+ * @param {number} sessionId - Session ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<boolean>} - True if a live session was revoked
+ */
+export async function revokeSession(sessionId, env) {
+    const result = await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+    `).bind(sessionId).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * Lets clients log out even after their access token expired.
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<boolean>} - True if a live session was revoked
+ */
+export async function revokeSessionByToken(refreshToken, env) {
+    const result = await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE refresh_token_hash = ? AND revoked_at IS NULL
+    `).bind(await hashToken(refreshToken)).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Revoke every session of a user (password change, deactivation)
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number|null} exceptSessionId - Session to keep (the caller's own)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, env, exceptSessionId = null) {
+    const result = await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+    `).bind(userId, exceptSessionId || 0).run();
+
+    if (result.meta.changes > 0) {
+        console.log(`🔒 Revoked ${result.meta.changes} sessions of user ${userId}`);
+    }
+
+    return result.meta.changes;
+}
+
+/**
+ * Delete sessions that expired or were revoked more than a week ago
+ * Called from the scheduled handler.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export async function purgeExpiredSessions(env) {
+    const result = await env.DB.prepare(`
+        DELETE FROM sessions
+        WHERE expires_at <= datetime('now', '-7 days')
+           OR revoked_at <= datetime('now', '-7 days')
+    `).run();
+
+    return result.meta.changes;
+}
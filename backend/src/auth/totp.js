@@ -0,0 +1,170 @@
+// TOTP (RFC 6238) Module
+// File: src/auth/totp.js
+
+/**
+ * Authenticator app parameters - the defaults every app supports
+ */
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Accept codes from one step before/after to tolerate clock drift
+ */
+const TOTP_DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 encode (RFC 4648, no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 decode (case-insensitive, ignores spaces and padding)
+ * @param {string} input
+ * @returns {Uint8Array}
+ */
+export function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Generate a new shared secret (160 bits, base32)
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+export function buildProvisioningUri(secret, accountName, issuer = 'GrievanceAI') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} now - Epoch ms
+ */
+export function getTimeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Compute the code for one time step (HOTP with HMAC-SHA1, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {Promise<string>} - Zero-padded code
+ */
+export async function generateTotp(secret, step) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        base32Decode(secret),
+        { name: 'HMAC', hash: 'SHA-1' },
+        false,
+        ['sign']
+    );
+
+    // 8-byte big-endian counter
+    const counter = new ArrayBuffer(8);
+    const view = new DataView(counter);
+    view.setUint32(0, Math.floor(step / 2 ** 32));
+    view.setUint32(4, step >>> 0);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a code against the current time (± drift)
+ * Steps at or before `lastUsedStep` are rejected so a code cannot be replayed.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {valid, step}
+ */
+export async function verifyTotp(secret, code, lastUsedStep = null, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return { valid: false };
+    }
+
+    const current = getTimeStep(now);
+
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const step = current + drift;
+        if (lastUsedStep != null && step <= lastUsedStep) continue;
+
+        if (await generateTotp(secret, step) === normalized) {
+            return { valid: true, step };
+        }
+    }
+
+    return { valid: false };
+}
@@ -0,0 +1,217 @@
+// Two-Factor Authentication Module
+// File: src/auth/twoFactor.js
+
+import { generateJWT, verifyJWT } from './jwt.js';
+import { generateOpaqueToken, hashToken } from './sessions.js';
+import { normalizeRole } from './permissions.js';
+import { generateTotpSecret, buildProvisioningUri, verifyTotp } from './totp.js';
+
+/**
+ * Between the password step and the code step of a login the client
+ * holds a short-lived signed challenge instead of a session.
+ *   LOGIN:  2FA enabled, a code is needed to finish the login
+ *   SETUP:  2FA required for the role but not enrolled yet
+ */
+export const CHALLENGE_TTL_SECONDS = {
+    LOGIN: 5 * 60,
+    SETUP: 15 * 60
+};
+
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Roles that must use 2FA when REQUIRE_ADMIN_2FA = "true"
+ */
+const ADMIN_ROLES = ['super_admin'];
+
+/**
+ * Whether 2FA is mandatory for a role in this environment
+ * @param {string} role - User role
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {boolean}
+ */
+export function isTwoFactorRequired(role, env) {
+    return env.REQUIRE_ADMIN_2FA === 'true' && ADMIN_ROLES.includes(normalizeRole(role));
+}
+
+/**
+ * Issue a login challenge for a user who passed the password check
+ * @param {number} userId - User ID
+ * @param {string} purpose - LOGIN | SETUP
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<string>} - Signed challenge token
+ */
+export async function createLoginChallenge(userId, purpose, env) {
+    return await generateJWT({
+        userId,
+        purpose: `2fa_${purpose.toLowerCase()}`
+    }, env.JWT_SECRET, CHALLENGE_TTL_SECONDS[purpose]);
+}
+
+/**
+ * Verify a login challenge
+ * @param {string} token - Challenge token from the client
+ * @param {string} purpose - LOGIN | SETUP
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number|null>} - User ID, or null if invalid / expired
+ */
+export async function verifyLoginChallenge(token, purpose, env) {
+    try {
+        const payload = await verifyJWT(token, env.JWT_SECRET);
+        return payload.purpose === `2fa_${purpose.toLowerCase()}` ? payload.userId : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Start (or restart) enrollment: store a new, not yet enabled secret
+ * @param {Object} user - users row {id, email}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {secret, otpauthUri}
+ */
+export async function beginEnrollment(user, env) {
+    const secret = generateTotpSecret();
+
+    await env.DB.prepare(`
+        UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL
+        WHERE id = ?
+    `).bind(secret, user.id).run();
+
+    return {
+        secret,
+        otpauthUri: buildProvisioningUri(secret, user.email)
+    };
+}
+
+/**
+ * Check a TOTP code and remember its step so it cannot be reused
+ * @param {Object} user - users row (totp_secret, totp_last_step)
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<boolean>}
+ */
+async function acceptTotp(user, code, env) {
+    if (!user.totp_secret) return false;
+
+    const result = await verifyTotp(user.totp_secret, code, user.totp_last_step);
+    if (!result.valid) return false;
+
+    // Guarded update: of two concurrent requests with the same code only one wins
+    const update = await env.DB.prepare(`
+        UPDATE users SET totp_last_step = ?
+        WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `).bind(result.step, user.id, result.step).run();
+
+    return update.meta.changes > 0;
+}
+
+/**
+ * Finish enrollment with a first code from the app
+ * @param {Object} user - users row
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {valid, error} or {valid, recoveryCodes}
+ */
+export async function confirmEnrollment(user, code, env) {
+    if (user.totp_enabled) {
+        return { valid: false, error: 'Two-factor authentication is already enabled' };
+    }
+
+    if (!user.totp_secret) {
+        return { valid: false, error: 'Start two-factor setup first' };
+    }
+
+    if (!(await acceptTotp(user, code, env))) {
+        return { valid: false, error: 'Invalid code' };
+    }
+
+    await env.DB.prepare(`
+        UPDATE users SET totp_enabled = 1, totp_enabled_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(user.id).run();
+
+    return { valid: true, recoveryCodes: await regenerateRecoveryCodes(user.id, env) };
+}
+
+/**
+ * Check the second factor of a login: a TOTP code or an unused recovery code
+ * @param {Object} user - users row
+ * @param {Object} factor - {code} or {recoveryCode}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {valid, method: 'totp'|'recovery_code', remainingRecoveryCodes}
+ */
+export async function verifySecondFactor(user, factor, env) {
+    if (factor.recoveryCode) {
+        const normalized = String(factor.recoveryCode).trim().toLowerCase().replace(/\s/g, '');
+
+        const result = await env.DB.prepare(`
+            UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        `).bind(user.id, await hashToken(normalized)).run();
+
+        if (result.meta.changes === 0) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            method: 'recovery_code',
+            remainingRecoveryCodes: await countRecoveryCodes(user.id, env)
+        };
+    }
+
+    return {
+        valid: await acceptTotp(user, factor.code, env),
+        method: 'totp'
+    };
+}
+
+/**
+ * Replace all recovery codes of a user
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - Raw codes (shown to the user once, only hashes are stored)
+ */
+export async function regenerateRecoveryCodes(userId, env) {
+    await env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId).run();
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        // 10 lowercase alphanumerics, shown as xxxxx-xxxxx
+        const raw = generateOpaqueToken().toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 10);
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        codes.push(code);
+
+        await env.DB.prepare(
+            'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)'
+        ).bind(userId, await hashToken(code)).run();
+    }
+
+    return codes;
+}
+
+/**
+ * Number of unused recovery codes
+ */
+export async function countRecoveryCodes(userId, env) {
+    const row = await env.DB.prepare(
+        'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL'
+    ).bind(userId).first();
+
+    return row.count;
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ */
+export async function disableTwoFactor(userId, env) {
+    await env.DB.prepare(`
+        UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL, totp_last_step = NULL
+        WHERE id = ?
+    `).bind(userId).run();
+
+    await env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId).run();
+}
@@ -2,14 +2,22 @@
 // File: src/batch/batchProcessor.js
 
 import { preprocessText, validateGrievanceText, extractNGrams } from '../nlp/textPreprocessing.js';
-import { generateEmbedding, generateBatchEmbeddings, cosineSimilarity, calculateNGramOverlap } from '../nlp/embedding.js';
-import { 
-    getAdaptiveThresholds, 
-    classifyWithAdaptiveThresholds, 
-    calculateAdaptiveWeightedScore 
-} from '../nlp/adaptiveThreshold.js';
+import { generateBatchEmbeddings } from '../nlp/embedding.js';
+import { embedWithCache } from '../nlp/embeddingCache.js';
+import { getVectorEncoding, encodeVector } from '../nlp/vectorCodec.js';
+import { createAnnSearcher, assignAnnList } from '../nlp/annIndex.js';
+import { computeMinHash, createNearVerbatimMatcher, storeMinHash } from '../nlp/minhash.js';
+import { getEmbeddingProvider } from '../nlp/embeddingProvider.js';
+import { recordDocumentTerms } from '../nlp/termStats.js';
+import { getAdaptiveThresholds } from '../nlp/adaptiveThreshold.js';
+import { createScoringEngine } from '../nlp/scoringEngine.js';
 import { detectCategory, extractArea } from '../nlp/categoryDetector.js';
 import { applyDBSCANClustering } from '../nlp/dbscan.js';
+import { routeGrievance } from '../routing/departmentRouter.js';
+import { applySlaPolicy } from '../workflow/sla.js';
+import { autoMergeDuplicate } from '../workflow/grievanceMerge.js';
+import { assignReferenceNumber } from '../workflow/referenceNumber.js';
+import { notifyUser } from '../notifications/notificationService.js';
 
 /**
  * Main batch processing orchestrator
@@ -94,28 +102,49 @@ export async function processBatch(batchId, pdfEntries, env) {
             throw new Error('No valid grievances found in the uploaded PDFs');
         }
         
+        // STEP 1b: MinHash prefilter - near-verbatim copies of a stored or earlier batch
+        // grievance are flagged before embedding and reuse the matched vector
+        const verbatimMatcher = createNearVerbatimMatcher(getEmbeddingProvider(env).model, env);
+        for (const g of allGrievances) {
+            g.minhash = computeMinHash(g.processedText);
+            g.lexicalMatch = await verbatimMatcher.match(g);
+            if (!g.lexicalMatch) {
+                verbatimMatcher.add(g);
+            }
+        }
+        
+        const toEmbed = allGrievances.filter(g => !g.lexicalMatch);
+        console.log(`\n🔏 MinHash prefilter: ${allGrievances.length - toEmbed.length} near-verbatim duplicate(s), embedding ${toEmbed.length}`);
+        
         // STEP 2: Generate embeddings in batch
-        const embeddings = await generateBatchEmbeddingsOptimized(
-            allGrievances.map(g => g.processedText),
+        const { embeddings, model: embeddingModel } = await generateBatchEmbeddingsOptimized(
+            toEmbed.map(g => g.processedText),
             env
         );
         
-        // Attach embeddings to grievances
-        allGrievances.forEach((g, i) => {
+        // Attach embeddings to grievances (batch matches point at grievances embedded above)
+        toEmbed.forEach((g, i) => {
             g.embedding = embeddings[i];
         });
+        allGrievances.forEach(g => {
+            if (g.lexicalMatch) {
+                g.embedding = g.lexicalMatch.embedding || g.lexicalMatch.source.embedding;
+            }
+            g.embeddingModel = embeddingModel;
+        });
         
-        // STEP 3: Fetch existing embeddings for global dedup
-        const existingEmbeddings = await getExistingEmbeddings(env);
+        // STEP 3: Nearest-neighbour search over stored embeddings (same model only) for global dedup
+        const historicalSearch = createAnnSearcher(embeddingModel, env);
         
-        // STEP 4: Get adaptive thresholds
+        // STEP 4: Get adaptive thresholds; the scoring engine weighs its scorers with them
         const thresholds = await getAdaptiveThresholds(env);
+        const scoring = createScoringEngine(thresholds, env);
         
         // STEP 5: Hierarchical deduplication
         const results = await hierarchicalDeduplication(
             allGrievances,
-            existingEmbeddings,
-            thresholds,
+            historicalSearch,
+            scoring,
             env
         );
         
@@ -150,6 +179,26 @@ export async function processBatch(batchId, pdfEntries, env) {
             stats.nearDuplicate,
             batchId
         ).run();
+
+        // STEP 9: Tell the uploader the batch is done
+        const batch = await env.DB.prepare(
+            'SELECT user_id FROM processing_batches WHERE id = ?'
+        ).bind(batchId).first();
+
+        if (batch) {
+            await notifyUser(env, {
+                userId: batch.user_id,
+                type: 'BATCH_COMPLETED',
+                batchId,
+                data: {
+                    batchId,
+                    total: savedResults.length,
+                    unique: stats.unique,
+                    duplicate: stats.duplicate,
+                    nearDuplicate: stats.nearDuplicate
+                }
+            });
+        }
         
         return {
             batchId,
@@ -168,64 +217,54 @@ export async function processBatch(batchId, pdfEntries, env) {
                 processing_completed_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `).bind(error.message, batchId).run();
+
+        const batch = await env.DB.prepare(
+            'SELECT user_id FROM processing_batches WHERE id = ?'
+        ).bind(batchId).first();
+
+        if (batch) {
+            await notifyUser(env, {
+                userId: batch.user_id,
+                type: 'BATCH_FAILED',
+                batchId,
+                data: { batchId, error: error.message }
+            });
+        }
         
         throw error;
     }
 }
 
 /**
- * Generate embeddings using custom server (Colab+ngrok) OR HuggingFace API
- * Custom server is ~100x faster when configured
+ * Generate embeddings with the configured provider
+ * Texts already in the embedding cache (re-uploaded PDFs) are not sent again.
+ * The custom server (EMBEDDING_SERVER_URL, Colab+ngrok) is ~100x faster when configured
  * 
  * @param {string[]} texts - Array of preprocessed texts
  * @param {Object} env - Cloudflare Worker environment
- * @returns {Promise<number[][]>} - Array of embedding vectors
+ * @returns {Promise<Object>} - {embeddings, model, hits, misses}
  */
 export async function generateBatchEmbeddingsOptimized(texts, env) {
-    // Try custom embedding server first (Colab + ngrok = FAST)
-    // Set EMBEDDING_SERVER_URL in .dev.vars to use your Colab server
-    const customUrl = env.EMBEDDING_SERVER_URL || null;
-    
-    const embeddings = await generateBatchEmbeddings(
-        texts, 
-        env.HUGGINGFACE_API_TOKEN,
-        customUrl
-    );
-    return embeddings;
-}
-
-/**
- * Fetch existing grievance embeddings from database
- * @param {Object} env - Cloudflare Worker environment
- * @returns {Promise<Array>} - Array of {id, text, embedding}
- */
-async function getExistingEmbeddings(env) {
-    const { results } = await env.DB.prepare(`
-        SELECT g.id, g.grievance_text as text, e.embedding_vector as embedding
-        FROM grievances g
-        JOIN embeddings e ON g.id = e.grievance_id
-        WHERE g.processed = 1
-        ORDER BY g.created_at DESC
-        LIMIT 1000
-    `).all();
-    
-    return results.map(r => ({
-        id: r.id,
-        text: r.text,
-        embedding: JSON.parse(r.embedding)
-    }));
+    return await embedWithCache(texts, env, (missing) => generateBatchEmbeddings(missing, env));
 }
 
 /**
  * Hierarchical deduplication: local (within PDF) then global (across all)
  * 
  * @param {Array} grievances - All grievances with embeddings
- * @param {Array} existingEmbeddings - Historical embeddings from DB
- * @param {Object} thresholds - Adaptive thresholds
+ * @param {Object} historicalSearch - ANN searcher over stored embeddings (src/nlp/annIndex.js)
+ * @param {Object} scoring - Scoring engine shared with single submissions (src/nlp/scoringEngine.js)
  * @param {Object} env - Cloudflare Worker environment
  * @returns {Promise<Array>} - Grievances with duplicate status
  */
-async function hierarchicalDeduplication(grievances, existingEmbeddings, thresholds, env) {
+async function hierarchicalDeduplication(grievances, historicalSearch, scoring, env) {
+    const { thresholds } = scoring;
+    
+    // Term frequencies for every batch text, per area of the batch
+    for (const area of new Set(grievances.map(g => g.area))) {
+        await scoring.load(grievances, area);
+    }
+    
     // LAYER 1: Local deduplication (within same PDF)
     const pdfGroups = groupByPDF(grievances);
     
@@ -236,13 +275,18 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
         for (let i = 0; i < pdfGrievances.length; i++) {
             const current = pdfGrievances[i];
             
+            // Near-verbatim copies were already matched by the MinHash prefilter
+            if (current.lexicalMatch) {
+                continue;
+            }
+            
             // Find best match within same PDF (excluding self)
             let bestLocalMatch = null;
             let bestLocalScore = 0;
             
             for (let j = 0; j < i; j++) {
                 const other = pdfGrievances[j];
-                const similarity = computeContextualSimilarity(current, other, thresholds);
+                const similarity = scoring.score(current, other);
                 
                 console.log(`   Within-PDF comparison ${i+1} vs ${j+1}: score=${similarity.combinedScore.toFixed(3)}`);
                 
@@ -257,13 +301,13 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
             }
             
             // Classify local status
-            if (bestLocalMatch && bestLocalScore >= thresholds.duplicate) {
+            if (bestLocalMatch?.similarity.status === 'DUPLICATE') {
                 current.localStatus = 'LOCAL_DUPLICATE';
                 current.localDuplicateOf = pdfGrievances[bestLocalMatch.index];
                 current.localScore = bestLocalScore;
                 current.localMatchId = `pdf_${pdfId}_${bestLocalMatch.index}`;
                 console.log(`   ✓ Grievance ${i+1} is LOCAL_DUPLICATE of ${bestLocalMatch.index+1} (score: ${bestLocalScore.toFixed(3)})`);
-            } else if (bestLocalMatch && bestLocalScore >= thresholds.near_duplicate) {
+            } else if (bestLocalMatch?.similarity.status === 'NEAR_DUPLICATE') {
                 current.localStatus = 'LOCAL_NEAR_DUPLICATE';
                 current.localDuplicateOf = pdfGrievances[bestLocalMatch.index];
                 current.localScore = bestLocalScore;
@@ -283,6 +327,20 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
     for (let i = 0; i < grievances.length; i++) {
         const grievance = grievances[i];
         
+        if (grievance.lexicalMatch) {
+            applyLexicalMatch(grievance, grievances);
+            processedInBatch.push({
+                idx: i,
+                id: `batch_${i}`,
+                text: grievance.processedText,
+                embedding: grievance.embedding,
+                category: grievance.category,
+                area: grievance.area,
+                grievanceRef: grievance
+            });
+            continue;
+        }
+        
         // If already marked as local duplicate within same PDF, mark as duplicate
         if (grievance.localStatus === 'LOCAL_DUPLICATE') {
             grievance.globalStatus = 'DUPLICATE';
@@ -301,7 +359,8 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
             continue;
         }
         
-        // Build comparison pool: historical + already processed in this batch
+        // Build comparison pool: nearest historical grievances + already processed in this batch
+        const existingEmbeddings = await historicalSearch.search(grievance.embedding);
         const comparisonPool = [
             // Existing embeddings from database
             ...existingEmbeddings.map(e => ({
@@ -325,7 +384,7 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
         
         console.log(`\n📊 Grievance ${i + 1}: "${grievance.processedText.substring(0, 50)}..."`);
         console.log(`   Category: ${grievance.category}, Area: ${grievance.area || 'N/A'}`);
-        console.log(`   Historical embeddings: ${existingEmbeddings.length}, Batch items so far: ${processedInBatch.length}`);
+        console.log(`   Historical candidates: ${existingEmbeddings.length}, Batch items so far: ${processedInBatch.length}`);
         console.log(`   Total comparison pool: ${comparisonPool.length}`);
         
         // HIERARCHICAL FILTERING: Category → Area → Semantic
@@ -357,12 +416,7 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
         // If pool is empty, use full comparison pool
         const searchPool = filteredPool.length > 0 ? filteredPool : comparisonPool;
         
-        const topMatches = topKSimilaritySearch(
-            grievance,
-            searchPool,
-            10,
-            thresholds
-        );
+        const topMatches = await scoring.rank(grievance, searchPool, 10);
         
         // Log results
         console.log(`   Thresholds: duplicate=${thresholds.duplicate}, near_duplicate=${thresholds.near_duplicate}`);
@@ -373,13 +427,13 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
             console.log(`   No matches found in pool`);
         }
         
-        if (topMatches.length > 0 && topMatches[0].combinedScore >= thresholds.duplicate) {
+        if (topMatches.length > 0 && topMatches[0].status === 'DUPLICATE') {
             grievance.globalStatus = 'DUPLICATE';
             grievance.globalMatchId = topMatches[0].id;
             grievance.globalScore = topMatches[0].combinedScore;
             grievance.scoreBreakdown = topMatches[0].breakdown;
             console.log(`   ➡️ Classified as: DUPLICATE`);
-        } else if (topMatches.length > 0 && topMatches[0].combinedScore >= thresholds.near_duplicate) {
+        } else if (topMatches.length > 0 && topMatches[0].status === 'NEAR_DUPLICATE') {
             grievance.globalStatus = 'NEAR_DUPLICATE';
             grievance.globalMatchId = topMatches[0].id;
             grievance.globalScore = topMatches[0].combinedScore;
@@ -411,156 +465,32 @@ async function hierarchicalDeduplication(grievances, existingEmbeddings, thresho
 }
 
 /**
- * Compute contextual similarity between two grievances
- * Combines semantic, lexical, n-gram, metadata, and ADVANCED features:
- * - Rare keyword boost
- * - Category match/mismatch penalty
- * - Location keyword boost
- */
-function computeContextualSimilarity(grievance1, grievance2, thresholds) {
-    // 1. Semantic similarity (cosine on embeddings)
-    const cosineScore = cosineSimilarity(grievance1.embedding, grievance2.embedding);
-    
-    // 2. Lexical similarity (Jaccard on word sets)
-    const words1 = new Set(grievance1.processedText.split(' ').filter(w => w.length > 0));
-    const words2 = new Set((grievance2.processedText || grievance2.text).split(' ').filter(w => w.length > 0));
-    const intersection = new Set([...words1].filter(x => words2.has(x)));
-    const union = new Set([...words1, ...words2]);
-    const jaccardScore = union.size === 0 ? 0 : intersection.size / union.size;
-    
-    // 3. N-gram overlap (bigrams)
-    const ngramScore = calculateNGramOverlap(
-        grievance1.processedText, 
-        grievance2.processedText || grievance2.text, 
-        2
-    );
-    
-    // 4. RARE KEYWORD BOOST
-    // Common words that appear in many grievances (should not boost)
-    const commonWords = new Set([
-        'problem', 'issue', 'complaint', 'please', 'help', 'need', 'request',
-        'government', 'department', 'office', 'area', 'road', 'water', 'service',
-        'days', 'weeks', 'months', 'time', 'action', 'taken', 'urgent'
-    ]);
-    
-    // Find rare matching words (words that appear in both but are not common)
-    const rareMatches = [...intersection].filter(word => 
-        word.length > 3 && !commonWords.has(word)
-    );
-    
-    // Location-specific keywords get extra boost
-    const locationKeywords = rareMatches.filter(word =>
-        /^(sector|ward|block|colony|nagar|road|chowk|market|park|school|hospital|station)$/i.test(word) ||
-        word.match(/^\d+$/) // Numbers like sector 15
-    );
-    
-    // Calculate rare keyword boost (max 0.08 = 8%)
-    const rareBoost = Math.min(0.08, rareMatches.length * 0.02);
-    const locationBoost = Math.min(0.06, locationKeywords.length * 0.03);
-    
-    // 5. CATEGORY MATCH/MISMATCH PENALTY
-    let categoryModifier = 0;
-    const cat1 = grievance1.category || 'OTHER';
-    const cat2 = grievance2.category || grievance2.metadata?.category || 'OTHER';
-    
-    if (cat1 !== 'OTHER' && cat2 !== 'OTHER') {
-        if (cat1 === cat2) {
-            categoryModifier = 0.10; // +10% for same category
-        } else {
-            categoryModifier = -0.25; // -25% for different category (stronger penalty)
-        }
-    }
-    
-    // 6. Calculate base weighted score
-    const baseScore = calculateAdaptiveWeightedScore({
-        cosine: cosineScore,
-        jaccard: jaccardScore,
-        ngram: ngramScore,
-        metadata: 0
-    }, thresholds);
-    
-    // 7. Apply boosts and penalties
-    let finalScore = baseScore + rareBoost + locationBoost + categoryModifier;
-    
-    // Clamp between 0 and 1
-    finalScore = Math.max(0, Math.min(1, finalScore));
-    
-    // DEBUG: Log detailed similarity
-    console.log(`   🔍 Comparing texts:`);
-    console.log(`      Text1: "${grievance1.processedText?.substring(0, 40) || 'N/A'}..."`);
-    console.log(`      Text2: "${(grievance2.processedText || grievance2.text)?.substring(0, 40) || 'N/A'}..."`);
-    console.log(`      Base scores -> Cosine: ${cosineScore.toFixed(3)}, Jaccard: ${jaccardScore.toFixed(3)}, N-gram: ${ngramScore.toFixed(3)}`);
-    console.log(`      Base weighted: ${baseScore.toFixed(3)}`);
-    console.log(`      Rare keywords: [${rareMatches.join(', ')}] → +${rareBoost.toFixed(2)}`);
-    console.log(`      Location keywords: [${locationKeywords.join(', ')}] → +${locationBoost.toFixed(2)}`);
-    console.log(`      Category: ${cat1} vs ${cat2} → ${categoryModifier > 0 ? '+' : ''}${categoryModifier.toFixed(2)}`);
-    console.log(`      FINAL SCORE: ${finalScore.toFixed(3)}`);
-    
-    return {
-        combinedScore: finalScore,
-        breakdown: {
-            cosine: Math.round(cosineScore * 1000) / 1000,
-            jaccard: Math.round(jaccardScore * 1000) / 1000,
-            ngram: Math.round(ngramScore * 1000) / 1000,
-            rareBoost: Math.round(rareBoost * 1000) / 1000,
-            locationBoost: Math.round(locationBoost * 1000) / 1000,
-            categoryModifier: Math.round(categoryModifier * 1000) / 1000,
-            base: Math.round(baseScore * 1000) / 1000,
-            final: Math.round(finalScore * 1000) / 1000
-        }
-    };
-}
-
-/**
- * Compute similarity between metadata objects
+ * Mark a grievance matched by the MinHash prefilter as a duplicate
+ * A copy of an earlier grievance in the same PDF is a local duplicate (merged
+ * into it once saved); other batch matches are referenced as batch_<index>
+ * until saveGrievancesToDB() resolves them.
  */
-function computeMetadataSimilarity(meta1, meta2) {
-    let matches = 0;
-    let total = 0;
-    
-    const fields = ['department', 'location', 'issue_category'];
-    
-    for (const field of fields) {
-        if (meta1[field] && meta2[field]) {
-            total++;
-            if (meta1[field].toLowerCase() === meta2[field].toLowerCase()) {
-                matches++;
-            }
-        }
+function applyLexicalMatch(grievance, grievances) {
+    const { id, source, jaccard } = grievance.lexicalMatch;
+    const matchId = source ? `batch_${grievances.indexOf(source)}` : id;
+    const score = Math.round(jaccard * 1000) / 1000;
+    
+    if (source && source.pdfId === grievance.pdfId) {
+        grievance.localStatus = 'LOCAL_DUPLICATE';
+        grievance.localDuplicateOf = source;
+        grievance.localScore = jaccard;
+    } else {
+        grievance.localStatus = 'LOCAL_UNIQUE';
+        grievance.globalMatchId = matchId;
     }
     
-    return total === 0 ? 0 : matches / total;
-}
-
-/**
- * Top-K similarity search with early termination
- * Avoids O(n²) by stopping after finding K confident matches
- */
-function topKSimilaritySearch(grievance, pool, k, thresholds) {
-    const matches = [];
+    grievance.globalStatus = 'DUPLICATE';
+    grievance.finalStatus = 'DUPLICATE';
+    grievance.globalScore = jaccard;
+    grievance.scoreBreakdown = { method: 'minhash', minhashJaccard: score, final: score };
+    grievance.topMatches = [{ id: matchId, combinedScore: jaccard, breakdown: grievance.scoreBreakdown }];
     
-    for (const existing of pool) {
-        const similarity = computeContextualSimilarity(
-            grievance,
-            { 
-                processedText: existing.text, 
-                embedding: existing.embedding,
-                metadata: existing.metadata
-            },
-            thresholds
-        );
-        
-        matches.push({
-            id: existing.id,
-            ...similarity
-        });
-    }
-    
-    // Sort by combined score descending
-    matches.sort((a, b) => b.combinedScore - a.combinedScore);
-    
-    // Return top K
-    return matches.slice(0, k);
+    console.log(`\n🔏 "${grievance.processedText.substring(0, 50)}..." is a near-verbatim copy of ${matchId} (MinHash Jaccard ≈ ${score})`);
 }
 
 /**
@@ -585,8 +515,14 @@ function groupByPDF(grievances) {
  */
 async function saveGrievancesToDB(grievances, batchId, env) {
     const savedResults = [];
+    const encoding = getVectorEncoding(env);
     
     for (const g of grievances) {
+        // A batch_<index> match was saved earlier in this loop (grievances are saved in order)
+        if (typeof g.globalMatchId === 'string' && g.globalMatchId.startsWith('batch_')) {
+            g.globalMatchId = grievances[parseInt(g.globalMatchId.slice('batch_'.length))].id;
+        }
+        
         // Insert grievance with category and area metadata
         const result = await env.DB.prepare(`
             INSERT INTO grievances 
@@ -595,8 +531,8 @@ async function saveGrievancesToDB(grievances, batchId, env) {
              category, area, location_details,
              duplicate_status, similarity_score, matched_grievance_id,
              local_duplicate_of, cosine_score, jaccard_score, ngram_score,
-             contextual_score, processed)
-            VALUES (?, ?, ?, 'pdf', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+             contextual_score, bm25_score, match_method, minhash_jaccard, processed)
+            VALUES (?, ?, ?, 'pdf', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
         `).bind(
             g.userId || 1,
             g.processedText,
@@ -615,26 +551,52 @@ async function saveGrievancesToDB(grievances, batchId, env) {
             g.scoreBreakdown?.cosine || 0,
             g.scoreBreakdown?.jaccard || 0,
             g.scoreBreakdown?.ngram || 0,
-            g.scoreBreakdown?.metadata || 0
+            g.scoreBreakdown?.metadata || 0,
+            g.scoreBreakdown?.bm25 || 0,
+            g.lexicalMatch ? 'minhash' : 'embedding',
+            g.scoreBreakdown?.minhashJaccard ?? null
         ).run();
         
         const grievanceId = result.meta.last_row_id;
         g.id = grievanceId;
+        g.referenceNumber = await assignReferenceNumber({ id: grievanceId, category: g.category, area: g.area }, env);
+        await storeMinHash(grievanceId, g.minhash, env);
+        await recordDocumentTerms({ id: grievanceId, grievance_text: g.processedText, area: g.area }, env);
         
         // Insert embedding
         await env.DB.prepare(`
-            INSERT INTO embeddings (grievance_id, embedding_vector, vector_dimension, model_name)
-            VALUES (?, ?, 384, 'paraphrase-MiniLM-L6-v2')
-        `).bind(grievanceId, JSON.stringify(g.embedding)).run();
+            INSERT INTO embeddings (grievance_id, embedding_vector, vector_encoding, vector_dimension, model_name, ann_list)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(
+            grievanceId,
+            encodeVector(g.embedding, encoding),
+            encoding,
+            g.embedding.length,
+            g.embeddingModel,
+            await assignAnnList(g.embedding, g.embeddingModel, env)
+        ).run();
+        
+        // Duplicates join the matched grievance as supporters; everything else is routed
+        const masterId = g.globalMatchId || g.localDuplicateOf?.id;
+        const merge = g.finalStatus === 'DUPLICATE' && masterId
+            ? await autoMergeDuplicate({ id: grievanceId, resolution_status: 'OPEN' }, masterId, env)
+            : null;
+        const assignment = merge ? null : await routeGrievance({ id: grievanceId, category: g.category, area: g.area }, env);
+        const sla = await applySlaPolicy(grievanceId, g.category, env);
         
         savedResults.push({
             id: grievanceId,
+            referenceNumber: g.referenceNumber,
             pdfName: g.pdfName,
             pageNumber: g.pageNumber,
             status: g.finalStatus,
             score: g.globalScore || g.localScore || 0,
             matchedId: g.globalMatchId,
-            breakdown: g.scoreBreakdown
+            breakdown: g.scoreBreakdown,
+            departmentId: assignment?.departmentId || null,
+            assignedOfficerId: assignment?.officerId || null,
+            mergedIntoId: merge?.masterId || null,
+            dueAt: sla?.dueAt || null
         });
     }
     
@@ -650,14 +612,8 @@ async function formDuplicateClusters(results, batchId, env) {
     // Group by matched grievance ID
     for (const r of results) {
         if (r.status === 'DUPLICATE' || r.status === 'NEAR_DUPLICATE') {
-            // Skip if matchedId is a batch reference (string like "batch_0") instead of a real ID
-            const matchedId = r.matchedId;
-            if (typeof matchedId === 'string' && matchedId.startsWith('batch_')) {
-                // This is a within-batch duplicate, use the current grievance's ID as primary
-                continue;
-            }
-            
-            const key = matchedId || r.id;
+            // Within-batch matches were resolved to the saved grievance's ID
+            const key = r.matchedId || r.id;
             
             // Skip if key is not a valid number
             if (typeof key !== 'number' || isNaN(key)) {
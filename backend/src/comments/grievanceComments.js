@@ -0,0 +1,164 @@
+// Grievance Comments Module
+// File: src/comments/grievanceComments.js
+
+import { hasPermission } from '../auth/permissions.js';
+
+/**
+ * Authors can edit their own comment for this long after posting
+ */
+export const COMMENT_EDIT_WINDOW_MINUTES = 15;
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Check whether a user is municipal staff (sees and writes internal notes)
+ * @param {Object} user - Authenticated user ({role})
+ * @returns {boolean}
+ */
+export function isStaff(user) {
+    return hasPermission(user, 'comment.internal');
+}
+
+/**
+ * Validate comment text
+ * @param {string} body - Comment text
+ * @returns {Object} - {isValid, errors}
+ */
+export function validateComment(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+        errors.push('Comment cannot be empty');
+    } else if (body.length > MAX_COMMENT_LENGTH) {
+        errors.push(`Comment is too long (max ${MAX_COMMENT_LENGTH} characters)`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Get the comment thread of a grievance
+ * Internal notes are only returned to staff.
+ *
+ * @param {number} grievanceId - Grievance ID
+ * @param {Object} viewer - Authenticated user ({userId, role})
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - Top-level comments, each with nested `replies`
+ */
+export async function getCommentThread(grievanceId, viewer, env) {
+    let query = `
+        SELECT c.id, c.grievance_id, c.parent_id, c.user_id, c.body, c.is_internal,
+               c.created_at, c.edited_at,
+               u.full_name as author_name, u.role as author_role
+        FROM grievance_comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.grievance_id = ?
+    `;
+
+    if (!isStaff(viewer)) {
+        query += ' AND c.is_internal = 0';
+    }
+
+    query += ' ORDER BY c.created_at ASC, c.id ASC';
+
+    const { results } = await env.DB.prepare(query).bind(grievanceId).all();
+
+    const byId = new Map();
+    const thread = [];
+
+    for (const row of results) {
+        const comment = {
+            ...row,
+            is_internal: row.is_internal === 1,
+            can_edit: canEditComment(row, viewer).isValid,
+            replies: []
+        };
+        byId.set(comment.id, comment);
+
+        const parent = comment.parent_id ? byId.get(comment.parent_id) : null;
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            thread.push(comment);
+        }
+    }
+
+    return thread;
+}
+
+/**
+ * Add a comment (or reply) to a grievance
+ * @param {number} grievanceId - Grievance ID
+ * @param {Object} comment - {userId, body, parentId, isInternal}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - Saved comment row
+ */
+export async function addComment(grievanceId, comment, env) {
+    const result = await env.DB.prepare(`
+        INSERT INTO grievance_comments (grievance_id, parent_id, user_id, body, is_internal)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(
+        grievanceId,
+        comment.parentId || null,
+        comment.userId,
+        comment.body.trim(),
+        comment.isInternal ? 1 : 0
+    ).run();
+
+    console.log(`💬 Comment added to grievance ${grievanceId}${comment.isInternal ? ' (internal)' : ''}`);
+
+    return await env.DB.prepare(`
+        SELECT * FROM grievance_comments WHERE id = ?
+    `).bind(result.meta.last_row_id).first();
+}
+
+/**
+ * Check whether a user may edit a comment
+ * Only the author, and only within the edit window.
+ *
+ * @param {Object} comment - Comment row ({user_id, created_at})
+ * @param {Object} user - Authenticated user ({userId})
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Object} - {isValid, reason, error}
+ */
+export function canEditComment(comment, user, now = new Date()) {
+    if (comment.user_id !== user.userId) {
+        return { isValid: false, reason: 'NOT_AUTHOR', error: 'Only the author can edit a comment' };
+    }
+
+    // created_at is stored as UTC 'YYYY-MM-DD HH:MM:SS'
+    const createdAt = new Date(`${comment.created_at.replace(' ', 'T')}Z`);
+    const ageMinutes = (now.getTime() - createdAt.getTime()) / 60000;
+
+    if (ageMinutes > COMMENT_EDIT_WINDOW_MINUTES) {
+        return {
+            isValid: false,
+            reason: 'EDIT_WINDOW_CLOSED',
+            error: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+        };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Update the text of a comment
+ * @param {number} commentId - Comment ID
+ * @param {string} body - New text
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - Updated comment row
+ */
+export async function updateComment(commentId, body, env) {
+    await env.DB.prepare(`
+        UPDATE grievance_comments
+        SET body = ?, edited_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(body.trim(), commentId).run();
+
+    return await env.DB.prepare(`
+        SELECT * FROM grievance_comments WHERE id = ?
+    `).bind(commentId).first();
+}
@@ -13,13 +13,81 @@ import {
 import { 
     generateEmbedding, 
     findMostSimilar,
-    findMostSimilarEnhanced,
-    classifyDuplicate,
-    cosineSimilarity,
-    calculateContextualSimilarity 
+    cosineSimilarity
 } from './nlp/embedding.js';
-import { verifyJWT, generateJWT } from './auth/jwt.js';
-import { hashPassword, verifyPassword } from './auth/password.js';
+import { verifyJWT } from './auth/jwt.js';
+import { hashPassword, verifyPassword, checkPasswordStrength } from './auth/password.js';
+import {
+    createSession,
+    rotateSession,
+    getSessionUser,
+    revokeSession,
+    revokeSessionByToken,
+    revokeAllSessions,
+    purgeExpiredSessions
+} from './auth/sessions.js';
+import {
+    ROLES,
+    SCOPED_ROLES,
+    normalizeRole,
+    hasPermission,
+    getRolePermissions,
+    loadUserScope,
+    isWithinScope,
+    buildScopeFilter
+} from './auth/permissions.js';
+import {
+    AUTH_TOKEN_TTL_MINUTES,
+    createAuthToken,
+    consumeAuthToken
+} from './auth/authTokens.js';
+import {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getAccountLockStatus,
+    unlockAccount
+} from './auth/loginThrottle.js';
+import {
+    CHALLENGE_TTL_SECONDS,
+    isTwoFactorRequired,
+    createLoginChallenge,
+    verifyLoginChallenge,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    countRecoveryCodes,
+    disableTwoFactor
+} from './auth/twoFactor.js';
+import {
+    API_KEY_SCOPES,
+    getRequiredScope,
+    validateApiKeyInput,
+    createApiKey,
+    getApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findActiveApiKey,
+    recordApiKeyUsage,
+    getApiKeyUsage
+} from './auth/apiKeys.js';
+import { embedWithCache, getEmbeddingCacheStats, purgeEmbeddingCache } from './nlp/embeddingCache.js';
+import { getVectorEncoding, encodeVector, decodeVector, convertLegacyVectors } from './nlp/vectorCodec.js';
+import { createAnnSearcher, assignAnnList, maintainAnnIndex, getAnnIndexStats } from './nlp/annIndex.js';
+import { computeMinHash, storeMinHash, backfillMinHashSignatures } from './nlp/minhash.js';
+import { recordDocumentTerms, removeDocumentTerms, backfillDocumentTerms } from './nlp/termStats.js';
+import { createScoringEngine } from './nlp/scoringEngine.js';
+import {
+    getEmbeddingModelCoverage,
+    getReembeddingJob,
+    listReembeddingJobs,
+    createReembeddingJob,
+    updateReembeddingJobStatus,
+    runReembeddingJobs
+} from './nlp/reembedding.js';
+import { getCounterStore } from './store/counterStore.js';
+import { consumeRateLimit } from './ratelimit/rateLimiter.js';
 import { processBatch } from './batch/batchProcessor.js';
 import { 
     getAdaptiveThresholds, 
@@ -27,14 +95,73 @@ import {
     logFeedback,
     getThresholdConfidence 
 } from './nlp/adaptiveThreshold.js';
+import {
+    validateTransition,
+    getAllowedTransitions,
+    recordStatusChange,
+    getStatusHistory
+} from './workflow/grievanceStatus.js';
+import {
+    assignGrievance,
+    routeGrievance,
+    listDepartments
+} from './routing/departmentRouter.js';
+import { applySlaPolicy, runSlaEscalation } from './workflow/sla.js';
+import {
+    resolveMaster,
+    validateMerge,
+    mergeGrievance,
+    unmergeGrievance,
+    autoMergeDuplicate,
+    syncSupporters,
+    refreshSupporterCount,
+    getSupporters
+} from './workflow/grievanceMerge.js';
+import {
+    COMMENT_EDIT_WINDOW_MINUTES,
+    isStaff,
+    validateComment,
+    getCommentThread,
+    addComment,
+    canEditComment,
+    updateComment
+} from './comments/grievanceComments.js';
+import {
+    assignReferenceNumber,
+    normalizeReferenceNumber,
+    backfillReferenceNumbers
+} from './workflow/referenceNumber.js';
+import {
+    getPreferences,
+    updatePreferences,
+    notifyGrievanceOwner,
+    processOutbox,
+    deliverPendingNotifications,
+    getNotificationFeed,
+    countUnread,
+    markNotificationsRead,
+    sendAccountEmail
+} from './notifications/notificationService.js';
+import { logAudit, queryAuditLogs, auditLogsToCsv } from './audit/auditLog.js';
+import { beginAudit, finishAudit } from './audit/auditMiddleware.js';
+import {
+    listUsers,
+    getUserDetail,
+    validateUserUpdate,
+    updateUserAccount,
+    setUserActive
+} from './admin/userManagement.js';
 
 const router = Router();
 
+const WEAK_PASSWORD_ERROR = 'Password too weak: use at least 8 characters with 3 of lowercase, uppercase, numbers and symbols';
+const EMAIL_NOT_VERIFIED_ERROR = 'Please verify your email address before submitting grievances';
+
 // CORS middleware
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
 };
 
 function corsify(response) {
@@ -58,12 +185,35 @@ router.get('/', async (request, env) => {
     const endpoints = [
         "POST   /api/auth/register          - Register new user",
         "POST   /api/auth/login             - User login",
+        "POST   /api/auth/refresh           - Rotate refresh token, new access token",
+        "POST   /api/auth/logout            - Revoke current session (or all)",
+        "POST   /api/auth/change-password   - Change password, revoke other sessions",
+        "POST   /api/auth/forgot-password   - Email a password reset link",
+        "POST   /api/auth/reset-password    - Set new password with reset token",
+        "POST   /api/auth/verify-email      - Confirm email with verification token",
+        "POST   /api/auth/resend-verification - Send a new verification email",
+        "GET    /api/auth/2fa/status        - Two-factor status",
+        "POST   /api/auth/2fa/setup         - Start TOTP enrollment (secret + URI)",
+        "POST   /api/auth/2fa/enable        - Confirm TOTP, get recovery codes",
+        "POST   /api/auth/2fa/disable       - Turn two-factor off",
+        "POST   /api/auth/2fa/recovery-codes - Regenerate recovery codes",
         "",
         "POST   /api/grievances/submit-text - Submit text grievance",
         "POST   /api/grievances/submit-pdf  - Upload PDF grievance",
         "POST   /api/grievances/submit-batch- Batch process PDFs",
         "GET    /api/grievances             - List grievances",
         "GET    /api/grievances/:id         - Get grievance by ID",
+        "GET    /api/grievances/by-ref/:ref - Get grievance by reference number",
+        "PUT    /api/grievances/:id/status  - Update resolution status",
+        "GET    /api/grievances/:id/history - Status transition history",
+        "POST   /api/grievances/:id/merge   - Merge duplicate into master (admin)",
+        "POST   /api/grievances/:id/unmerge - Unmerge duplicate (admin)",
+        "GET    /api/grievances/:id/supporters - Merged supporters",
+        "GET    /api/grievances/:id/comments - Comment thread",
+        "POST   /api/grievances/:id/comments - Add comment / reply",
+        "PUT    /api/grievances/:id/comments/:commentId - Edit own comment",
+        "PUT    /api/grievances/:id/assignment - Reassign grievance (admin)",
+        "GET    /api/my-assignments         - Officer assignment queue",
         "",
         "GET    /api/areas                  - List areas",
         "GET    /api/areas/:name/exists     - Check area exists",
@@ -71,12 +221,51 @@ router.get('/', async (request, env) => {
         "",
         "GET    /api/batches                - List batches",
         "GET    /api/batches/:id/status     - Batch status",
-        "GET    /api/batches/:id/results    - Batch results",
+        "GET    /api/batches/:id/results    - Batch results (per-grievance score breakdown)",
         "",
         "GET    /api/thresholds             - Get thresholds",
         "GET    /api/clusters               - Get clusters (admin)",
         "POST   /api/feedback               - Submit feedback (admin)",
-        "GET    /api/stats/dashboard        - Dashboard stats (admin)"
+        "GET    /api/stats/dashboard        - Dashboard stats (admin)",
+        "GET    /api/stats/embedding-cache  - Embedding cache hit rate (admin)",
+        "",
+        "GET    /api/departments            - List departments (admin)",
+        "POST   /api/departments            - Create department (admin)",
+        "POST   /api/departments/:id/routes - Add routing rule (admin)",
+        "DELETE /api/departments/:id/routes/:ruleId - Remove routing rule (admin)",
+        "POST   /api/departments/:id/officers - Add officer / department head (admin)",
+        "PUT    /api/users/:id/areas        - Limit officer to areas (admin)",
+        "",
+        "GET    /api/admin/users            - List / search users (admin)",
+        "GET    /api/admin/users/:id        - User details (admin)",
+        "PUT    /api/admin/users/:id        - Update user / change role (admin)",
+        "POST   /api/admin/users/:id/deactivate - Deactivate user, revoke sessions (admin)",
+        "POST   /api/admin/users/:id/reactivate - Reactivate user (admin)",
+        "POST   /api/admin/users/:id/unlock - Lift login lockout (admin)",
+        "POST   /api/admin/users/:id/reset-2fa - Remove a user's 2FA (admin)",
+        "GET    /api/admin/audit            - Audit log, filterable, CSV export (admin)",
+        "",
+        "GET    /api/admin/api-keys         - List API keys and scopes (admin)",
+        "POST   /api/admin/api-keys         - Create API key, returned once (admin)",
+        "GET    /api/admin/api-keys/:id/usage - Daily request counts (admin)",
+        "POST   /api/admin/api-keys/:id/revoke - Revoke API key (admin)",
+        "",
+        "GET    /api/admin/embeddings       - Embeddings per model, ANN index state (admin)",
+        "GET    /api/admin/reembedding-jobs - List re-embedding jobs (admin)",
+        "POST   /api/admin/reembedding-jobs - Re-embed corpus with configured model (admin)",
+        "GET    /api/admin/reembedding-jobs/:id - Job progress (admin)",
+        "POST   /api/admin/reembedding-jobs/:id/(pause|resume|cancel) - Control job (admin)",
+        "",
+        "GET    /api/sla/policies           - List SLA policies (admin)",
+        "PUT    /api/sla/policies/:category - Set SLA policy (admin)",
+        "GET    /api/sla/overdue            - Overdue grievances (officer/admin)",
+        "",
+        "GET    /api/notifications          - In-app notification feed",
+        "GET    /api/notifications/unread-count - Unread notification count",
+        "PUT    /api/notifications/:id/read - Mark notification read",
+        "PUT    /api/notifications/read-all - Mark all notifications read",
+        "GET    /api/notifications/preferences - Notification preferences",
+        "PUT    /api/notifications/preferences - Update notification preferences"
     ];
 
     const html = `<!DOCTYPE html>
@@ -91,7 +280,7 @@ router.get('/', async (request, env) => {
 </head>
 <body>
     <h1>Grievance Detection System API</h1>
-    <p>17 Endpoints | Cloudflare Workers | AI-Powered</p>
+    <p>${endpoints.filter(line => line).length} Endpoints | Cloudflare Workers | AI-Powered</p>
     <hr style="border-color: #333; margin: 20px 0;">
     <pre>${endpoints.join('\n')}</pre>
 </body>
@@ -117,6 +306,14 @@ router.post('/api/auth/register', async (request, env) => {
             return jsonResponse({ error: 'Missing required fields' }, 400);
         }
         
+        const strength = checkPasswordStrength(password);
+        if (!strength.isValid) {
+            return jsonResponse({
+                error: WEAK_PASSWORD_ERROR,
+                checks: strength.checks
+            }, 400);
+        }
+        
         // Check if user exists
         const existing = await env.DB.prepare(
             'SELECT id FROM users WHERE email = ?'
@@ -132,24 +329,34 @@ router.post('/api/auth/register', async (request, env) => {
         // Insert user
         const result = await env.DB.prepare(
             `INSERT INTO users (email, password_hash, full_name, phone, role) 
-             VALUES (?, ?, ?, ?, 'user')`
+             VALUES (?, ?, ?, ?, 'citizen')`
         ).bind(email, passwordHash, fullName, phone || null).run();
         
-        // Generate JWT
-        const token = await generateJWT({ 
-            userId: result.meta.last_row_id, 
-            email, 
-            role: 'user' 
-        }, env.JWT_SECRET);
+        // Start session (access + refresh token)
+        const session = await createSession({
+            id: result.meta.last_row_id,
+            email,
+            role: 'citizen'
+        }, env, getClientInfo(request));
+        
+        await sendVerificationEmail({
+            id: result.meta.last_row_id,
+            email,
+            full_name: fullName
+        }, env);
         
         return jsonResponse({
             success: true,
-            token,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             user: {
                 id: result.meta.last_row_id,
                 email,
                 fullName,
-                role: 'user'
+                role: 'citizen',
+                permissions: getRolePermissions('citizen'),
+                emailVerified: false
             }
         }, 201);
         
@@ -164,48 +371,100 @@ router.post('/api/auth/register', async (request, env) => {
  */
 router.post('/api/auth/login', async (request, env) => {
     try {
-        const { email, password } = await request.json();
+        const { email, password, challengeToken, code, recoveryCode } = await request.json();
+        
+        // Second step of a two-factor login
+        if (challengeToken) {
+            return await completeTwoFactorLogin(request, env, { challengeToken, code, recoveryCode });
+        }
         
         if (!email || !password) {
             return jsonResponse({ error: 'Email and password required' }, 400);
         }
         
+        // Brute-force protection: progressive delay, account and IP lockout
+        const counters = getCounterStore(env);
+        const { ipAddress } = getClientInfo(request);
+        
+        const throttle = await checkLoginAllowed(counters, email, ipAddress);
+        if (!throttle.allowed) {
+            return throttledLoginResponse(throttle);
+        }
+        
         // Get user
         const user = await env.DB.prepare(
             'SELECT * FROM users WHERE email = ? AND is_active = 1'
         ).bind(email).first();
         
-        if (!user) {
-            return jsonResponse({ error: 'Invalid credentials' }, 401);
-        }
-        
         // Verify password
-        const isValid = await verifyPassword(password, user.password_hash);
+        const isValid = user ? await verifyPassword(password, user.password_hash) : false;
         
         if (!isValid) {
-            return jsonResponse({ error: 'Invalid credentials' }, 401);
+            return await rejectLogin(counters, email, ipAddress, env);
         }
         
-        // Update last login
-        await env.DB.prepare(
-            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?'
-        ).bind(user.id).run();
+        // Failed attempts are only cleared once the second factor is checked too
+        if (user.totp_enabled) {
+            return jsonResponse({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: await createLoginChallenge(user.id, 'LOGIN', env),
+                expiresIn: CHALLENGE_TTL_SECONDS.LOGIN
+            });
+        }
         
-        // Generate JWT
-        const token = await generateJWT({
-            userId: user.id,
-            email: user.email,
-            role: user.role
-        }, env.JWT_SECRET);
+        await recordLoginSuccess(counters, email);
+        
+        // Admins without 2FA (when it is required) get no session until they enroll
+        if (isTwoFactorRequired(user.role, env)) {
+            return jsonResponse({
+                success: true,
+                twoFactorSetupRequired: true,
+                setupToken: await createLoginChallenge(user.id, 'SETUP', env),
+                expiresIn: CHALLENGE_TTL_SECONDS.SETUP
+            });
+        }
+        
+        return await startLoginSession(user, request, env);
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ */
+router.post('/api/auth/refresh', async (request, env) => {
+    try {
+        const { refreshToken } = await request.json();
+        
+        if (!refreshToken) {
+            return jsonResponse({ error: 'Refresh token required' }, 400);
+        }
+        
+        const session = await rotateSession(refreshToken, env, getClientInfo(request));
+        
+        if (!session.valid) {
+            return jsonResponse({ error: session.error }, 401);
+        }
+        
+        // REQUIRE_ADMIN_2FA was switched on after this session started
+        if (isTwoFactorRequired(session.user.role, env) && !session.user.twoFactorEnabled) {
+            await revokeSessionByToken(session.refreshToken, env);
+            return jsonResponse({ error: 'Two-factor authentication must be set up - please sign in again' }, 401);
+        }
         
         return jsonResponse({
             success: true,
-            token,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             user: {
-                id: user.id,
-                email: user.email,
-                fullName: user.full_name,
-                role: user.role
+                ...session.user,
+                role: normalizeRole(session.user.role),
+                permissions: getRolePermissions(session.user.role)
             }
         });
         
@@ -214,213 +473,194 @@ router.post('/api/auth/login', async (request, env) => {
     }
 });
 
-// ===== GRIEVANCE SUBMISSION ENDPOINTS =====
-
 /**
- * POST /api/grievances/submit-text
- * Submit text grievance with structured metadata
+ * POST /api/auth/logout
+ * Revoke the current session, or every session with { allDevices: true }
+ * Works with an expired access token as long as the refresh token is sent.
  */
-router.post('/api/grievances/submit-text', async (request, env) => {
+router.post('/api/auth/logout', async (request, env) => {
     try {
-        // Verify authentication
+        const body = await request.json().catch(() => ({}));
         const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
-        }
-        
-        const { grievanceText, category, area, locationDetails } = await request.json();
-        
-        // Validate required fields
-        if (!category) {
-            return jsonResponse({ error: 'Category is required' }, 400);
-        }
         
-        if (!area) {
-            return jsonResponse({ error: 'Area is required' }, 400);
-        }
+        let revoked = 0;
         
-        // Validate text
-        const validation = validateGrievanceText(grievanceText);
-        if (!validation.isValid) {
-            return jsonResponse({ 
-                error: 'Invalid grievance text', 
-                details: validation.errors 
-            }, 400);
+        if (auth.valid && body.allDevices) {
+            revoked = await revokeAllSessions(auth.user.userId, env);
+        } else if (auth.valid) {
+            revoked = await revokeSession(auth.user.sid, env) ? 1 : 0;
+        } else if (body.refreshToken) {
+            revoked = await revokeSessionByToken(body.refreshToken, env) ? 1 : 0;
+        } else {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
         }
         
-        // Process grievance with structured metadata
-        const result = await processGrievance(
-            auth.user.userId,
-            grievanceText,
-            'text',
-            null,
-            env,
-            { category, area, locationDetails: locationDetails || '' }
-        );
-        
         return jsonResponse({
             success: true,
-            grievance: result
-        }, 201);
+            sessionsRevoked: revoked
+        });
         
     } catch (error) {
-        console.error('Submit text error:', error);
         return jsonResponse({ error: error.message }, 500);
     }
 });
 
 /**
- * POST /api/grievances/submit-pdf
- * Upload PDF and extract grievances (receives pre-extracted text from frontend)
+ * POST /api/auth/change-password
+ * Change own password; every other session is signed out
  */
-router.post('/api/grievances/submit-pdf', async (request, env) => {
+router.post('/api/auth/change-password', async (request, env) => {
     try {
-        // Verify authentication
         const auth = await authenticateRequest(request, env);
         if (!auth.valid) {
             return jsonResponse({ error: 'Unauthorized' }, 401);
         }
         
-        const formData = await request.formData();
-        const file = formData.get('pdf');
-        const extractedText = formData.get('extractedText');
-        const grievanceTexts = formData.get('grievances');
+        const { currentPassword, newPassword } = await request.json();
         
-        if (!file) {
-            return jsonResponse({ error: 'No PDF file provided' }, 400);
+        if (!currentPassword || !newPassword) {
+            return jsonResponse({ error: 'Current and new password required' }, 400);
         }
         
-        // Validate file type
-        if (!file.type.includes('pdf')) {
-            return jsonResponse({ error: 'File must be PDF' }, 400);
+        const strength = checkPasswordStrength(newPassword);
+        if (!strength.isValid) {
+            return jsonResponse({
+                error: WEAK_PASSWORD_ERROR,
+                checks: strength.checks
+            }, 400);
         }
         
-        // Validate file size (max 10MB)
-        if (file.size > 10 * 1024 * 1024) {
-            return jsonResponse({ error: 'File too large (max 10MB)' }, 400);
+        const user = await env.DB.prepare(
+            'SELECT id, password_hash FROM users WHERE id = ?'
+        ).bind(auth.user.userId).first();
+        
+        if (!user || !(await verifyPassword(currentPassword, user.password_hash))) {
+            return jsonResponse({ error: 'Current password is incorrect' }, 403);
         }
         
-        // Upload PDF to R2
-        const fileKey = `pdfs/${auth.user.userId}/${Date.now()}-${file.name}`;
-        await env.PDF_BUCKET.put(fileKey, file.stream());
+        await env.DB.prepare(`
+            UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).bind(await hashPassword(newPassword), user.id).run();
         
-        console.log(`PDF uploaded to R2: ${fileKey}`);
+        const sessionsRevoked = await revokeAllSessions(user.id, env, auth.user.sid);
         
-        // Parse grievances if provided
-        let grievanceList = [];
-        if (grievanceTexts) {
-            try {
-                grievanceList = JSON.parse(grievanceTexts);
-            } catch (e) {
-                grievanceList = [extractedText || ''];
-            }
-        } else if (extractedText) {
-            grievanceList = [extractedText];
-        }
+        await logAudit(env, {
+            userId: user.id,
+            action: 'PASSWORD_CHANGED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { sessionsRevoked },
+            ipAddress: getClientInfo(request).ipAddress
+        });
         
-        // Create PDF upload record
-        const pdfResult = await env.DB.prepare(
-            `INSERT INTO pdf_uploads 
-             (user_id, filename, file_size, r2_key, r2_url, processing_status, total_grievances_extracted) 
-             VALUES (?, ?, ?, ?, ?, 'processing', ?)`
-        ).bind(
-            auth.user.userId,
-            file.name,
-            file.size,
-            fileKey,
-            fileKey,
-            grievanceList.length
-        ).run();
+        return jsonResponse({
+            success: true,
+            sessionsRevoked
+        });
         
-        const pdfId = pdfResult.meta.last_row_id;
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use reset link. Always answers the same way so it
+ * cannot be used to find out which emails have accounts.
+ */
+router.post('/api/auth/forgot-password', async (request, env) => {
+    try {
+        const { email } = await request.json();
         
-        // Process each grievance synchronously
-        const results = [];
-        for (const grievanceText of grievanceList) {
-            if (grievanceText && grievanceText.trim().length > 20) {
-                const result = await processGrievance(
-                    auth.user.userId,
-                    grievanceText,
-                    'pdf',
-                    pdfId,
-                    env
-                );
-                results.push(result);
-            }
+        if (!email) {
+            return jsonResponse({ error: 'Email required' }, 400);
         }
         
-        // Update PDF record as completed
-        await env.DB.prepare(
-            `UPDATE pdf_uploads 
-             SET processing_status = 'completed', 
-                 total_grievances_extracted = ?,
-                 completed_at = CURRENT_TIMESTAMP 
-             WHERE id = ?`
-        ).bind(results.length, pdfId).run();
+        const user = await env.DB.prepare(
+            'SELECT id, email, full_name FROM users WHERE email = ? AND is_active = 1'
+        ).bind(email).first();
+        
+        if (user) {
+            const token = await createAuthToken(user.id, 'PASSWORD_RESET', env);
+            
+            await sendAccountEmail(env, {
+                to: user.email,
+                type: 'PASSWORD_RESET',
+                data: {
+                    name: user.full_name,
+                    link: buildAppLink(env, '/reset-password', token),
+                    minutes: AUTH_TOKEN_TTL_MINUTES.PASSWORD_RESET
+                }
+            });
+            
+            await logAudit(env, {
+                userId: user.id,
+                action: 'PASSWORD_RESET_REQUESTED',
+                entityType: 'user',
+                entityId: user.id,
+                ipAddress: getClientInfo(request).ipAddress
+            });
+        }
         
         return jsonResponse({
             success: true,
-            message: 'PDF uploaded and processed successfully',
-            pdfId,
-            r2_key: fileKey,
-            grievancesProcessed: results.length,
-            results
-        }, 201);
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
         
     } catch (error) {
-        console.error('PDF upload error:', error);
         return jsonResponse({ error: error.message }, 500);
     }
 });
 
 /**
- * GET /api/grievances
- * Get all grievances (with filters)
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token; signs out every session
  */
-router.get('/api/grievances', async (request, env) => {
+router.post('/api/auth/reset-password', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
-        }
+        const { token, newPassword } = await request.json();
         
-        const url = new URL(request.url);
-        const status = url.searchParams.get('status');
-        const limit = parseInt(url.searchParams.get('limit')) || 50;
-        const offset = parseInt(url.searchParams.get('offset')) || 0;
-        
-        let query = `
-            SELECT g.*, u.email as user_email, u.full_name as user_name
-            FROM grievances g
-            JOIN users u ON g.user_id = u.id
-        `;
+        if (!token || !newPassword) {
+            return jsonResponse({ error: 'Token and new password required' }, 400);
+        }
         
-        const params = [];
+        const strength = checkPasswordStrength(newPassword);
+        if (!strength.isValid) {
+            return jsonResponse({
+                error: WEAK_PASSWORD_ERROR,
+                checks: strength.checks
+            }, 400);
+        }
         
-        // Filter by user if not admin
-        if (auth.user.role !== 'admin') {
-            query += ' WHERE g.user_id = ?';
-            params.push(auth.user.userId);
-        } else if (status) {
-            query += ' WHERE g.duplicate_status = ?';
-            params.push(status);
+        const redeemed = await consumeAuthToken(token, 'PASSWORD_RESET', env);
+        if (!redeemed.valid) {
+            return jsonResponse({ error: redeemed.error }, 400);
         }
         
-        query += ' ORDER BY g.created_at DESC LIMIT ? OFFSET ?';
-        params.push(limit, offset);
+        // The reset link proves control of the mailbox, so the email counts as verified
+        await env.DB.prepare(`
+            UPDATE users
+            SET password_hash = ?,
+                email_verified = 1,
+                email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(await hashPassword(newPassword), redeemed.userId).run();
         
-        const { results } = await env.DB.prepare(query)
-            .bind(...params)
-            .all();
+        const sessionsRevoked = await revokeAllSessions(redeemed.userId, env);
+        
+        await logAudit(env, {
+            userId: redeemed.userId,
+            action: 'PASSWORD_RESET',
+            entityType: 'user',
+            entityId: redeemed.userId,
+            details: { sessionsRevoked },
+            ipAddress: getClientInfo(request).ipAddress
+        });
         
         return jsonResponse({
             success: true,
-            grievances: results,
-            pagination: {
-                limit,
-                offset,
-                count: results.length
-            }
+            message: 'Password updated. Please sign in with your new password.'
         });
         
     } catch (error) {
@@ -429,48 +669,29 @@ router.get('/api/grievances', async (request, env) => {
 });
 
 /**
- * GET /api/grievances/:id
- * Get specific grievance
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification email
  */
-router.get('/api/grievances/:id', async (request, env) => {
+router.post('/api/auth/verify-email', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
-        }
-        
-        const { id } = request.params;
-        
-        const grievance = await env.DB.prepare(`
-            SELECT g.*, u.email as user_email, u.full_name as user_name,
-                   e.embedding_vector, e.model_name
-            FROM grievances g
-            JOIN users u ON g.user_id = u.id
-            LEFT JOIN embeddings e ON g.id = e.grievance_id
-            WHERE g.id = ?
-        `).bind(id).first();
+        const { token } = await request.json();
         
-        if (!grievance) {
-            return jsonResponse({ error: 'Grievance not found' }, 404);
+        if (!token) {
+            return jsonResponse({ error: 'Token required' }, 400);
         }
         
-        // Check authorization
-        if (auth.user.role !== 'admin' && grievance.user_id !== auth.user.userId) {
-            return jsonResponse({ error: 'Forbidden' }, 403);
+        const redeemed = await consumeAuthToken(token, 'EMAIL_VERIFICATION', env);
+        if (!redeemed.valid) {
+            return jsonResponse({ error: redeemed.error }, 400);
         }
         
-        // Get matched grievance if exists
-        if (grievance.matched_grievance_id) {
-            const matched = await env.DB.prepare(
-                'SELECT id, grievance_text, created_at FROM grievances WHERE id = ?'
-            ).bind(grievance.matched_grievance_id).first();
-            
-            grievance.matched_grievance = matched;
-        }
+        await env.DB.prepare(`
+            UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).bind(redeemed.userId).run();
         
         return jsonResponse({
             success: true,
-            grievance
+            message: 'Email verified'
         });
         
     } catch (error) {
@@ -479,16 +700,2450 @@ router.get('/api/grievances/:id', async (request, env) => {
 });
 
 /**
- * GET /api/areas
- * Get list of unique areas with grievance counts
+ * POST /api/auth/resend-verification
+ * Send a fresh verification email to the logged-in user
  */
-router.get('/api/areas', async (request, env) => {
+router.post('/api/auth/resend-verification', async (request, env) => {
     try {
         const auth = await authenticateRequest(request, env);
         if (!auth.valid) {
             return jsonResponse({ error: 'Unauthorized' }, 401);
         }
         
+        const user = await env.DB.prepare(
+            'SELECT id, email, full_name, email_verified FROM users WHERE id = ?'
+        ).bind(auth.user.userId).first();
+        
+        if (user.email_verified) {
+            return jsonResponse({ error: 'Email already verified' }, 400);
+        }
+        
+        const sent = await sendVerificationEmail(user, env);
+        
+        return jsonResponse({
+            success: true,
+            sent
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== TWO-FACTOR AUTHENTICATION ENDPOINTS =====
+
+/**
+ * GET /api/auth/2fa/status
+ * Whether 2FA is enabled / required and how many recovery codes are left
+ */
+router.get('/api/auth/2fa/status', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+        
+        const user = await env.DB.prepare(
+            'SELECT id, role, totp_enabled, totp_enabled_at FROM users WHERE id = ?'
+        ).bind(auth.user.userId).first();
+        
+        return jsonResponse({
+            success: true,
+            enabled: Boolean(user.totp_enabled),
+            enabledAt: user.totp_enabled_at,
+            required: isTwoFactorRequired(user.role, env),
+            recoveryCodesRemaining: user.totp_enabled ? await countRecoveryCodes(user.id, env) : 0
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns a new secret and otpauth:// provisioning URI
+ * Body: { password } when signed in, or { setupToken } during a required-2FA login
+ */
+router.post('/api/auth/2fa/setup', async (request, env) => {
+    try {
+        const { password, setupToken } = await request.json().catch(() => ({}));
+        
+        const resolved = await resolveTwoFactorUser(request, env, setupToken);
+        if (resolved.response) {
+            return resolved.response;
+        }
+        
+        const { user, viaSetupToken } = resolved;
+        
+        // The setup token already proves the password was just checked
+        if (!viaSetupToken && !(password && await verifyPassword(password, user.password_hash))) {
+            return jsonResponse({ error: 'Current password is incorrect' }, 403);
+        }
+        
+        if (user.totp_enabled) {
+            return jsonResponse({ error: 'Two-factor authentication is already enabled' }, 400);
+        }
+        
+        const enrollment = await beginEnrollment(user, env);
+        
+        return jsonResponse({
+            success: true,
+            secret: enrollment.secret,
+            otpauthUri: enrollment.otpauthUri
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * Body: { code, setupToken? } - returns recovery codes (shown once); with a
+ * setupToken the pending login is completed and a session returned as well
+ */
+router.post('/api/auth/2fa/enable', async (request, env) => {
+    try {
+        const { code, setupToken } = await request.json();
+        
+        const resolved = await resolveTwoFactorUser(request, env, setupToken);
+        if (resolved.response) {
+            return resolved.response;
+        }
+        
+        const { user, viaSetupToken } = resolved;
+        
+        const result = await confirmEnrollment(user, code, env);
+        if (!result.valid) {
+            return jsonResponse({ error: result.error }, 400);
+        }
+        
+        await logAudit(env, {
+            userId: user.id,
+            action: 'TWO_FACTOR_ENABLED',
+            entityType: 'user',
+            entityId: user.id,
+            ipAddress: getClientInfo(request).ipAddress
+        });
+        
+        if (viaSetupToken) {
+            return await startLoginSession({ ...user, totp_enabled: 1 }, request, env, {
+                recoveryCodes: result.recoveryCodes
+            });
+        }
+        
+        return jsonResponse({
+            success: true,
+            recoveryCodes: result.recoveryCodes
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (not allowed where it is required)
+ * Body: { password, code } - code may be a TOTP or recovery code
+ */
+router.post('/api/auth/2fa/disable', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+        
+        const { password, code, recoveryCode } = await request.json();
+        
+        const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(auth.user.userId).first();
+        
+        if (!user.totp_enabled) {
+            return jsonResponse({ error: 'Two-factor authentication is not enabled' }, 400);
+        }
+        
+        if (isTwoFactorRequired(user.role, env)) {
+            return jsonResponse({ error: 'Two-factor authentication is required for your role' }, 403);
+        }
+        
+        if (!password || !(await verifyPassword(password, user.password_hash))) {
+            return jsonResponse({ error: 'Current password is incorrect' }, 403);
+        }
+        
+        if (!(await verifySecondFactor(user, { code, recoveryCode }, env)).valid) {
+            return jsonResponse({ error: 'Invalid authentication code' }, 403);
+        }
+        
+        await disableTwoFactor(user.id, env);
+        
+        await logAudit(env, {
+            userId: user.id,
+            action: 'TWO_FACTOR_DISABLED',
+            entityType: 'user',
+            entityId: user.id,
+            ipAddress: getClientInfo(request).ipAddress
+        });
+        
+        return jsonResponse({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (old ones stop working)
+ * Body: { code } - current TOTP code
+ */
+router.post('/api/auth/2fa/recovery-codes', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+        
+        const { code } = await request.json();
+        
+        const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(auth.user.userId).first();
+        
+        if (!user.totp_enabled) {
+            return jsonResponse({ error: 'Two-factor authentication is not enabled' }, 400);
+        }
+        
+        if (!(await verifySecondFactor(user, { code }, env)).valid) {
+            return jsonResponse({ error: 'Invalid authentication code' }, 403);
+        }
+        
+        const recoveryCodes = await regenerateRecoveryCodes(user.id, env);
+        
+        await logAudit(env, {
+            userId: user.id,
+            action: 'RECOVERY_CODES_REGENERATED',
+            entityType: 'user',
+            entityId: user.id,
+            ipAddress: getClientInfo(request).ipAddress
+        });
+        
+        return jsonResponse({
+            success: true,
+            recoveryCodes
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== GRIEVANCE SUBMISSION ENDPOINTS =====
+
+/**
+ * POST /api/grievances/submit-text
+ * Submit text grievance with structured metadata
+ */
+router.post('/api/grievances/submit-text', async (request, env) => {
+    try {
+        // Verify authentication
+        const auth = await authorize(request, env, 'grievance.submit');
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const limited = await enforceRateLimit('submit-text', auth.user, request, env);
+        if (limited) {
+            return limited;
+        }
+        
+        if (!(await isEmailVerified(auth.user.userId, env))) {
+            return jsonResponse({ error: EMAIL_NOT_VERIFIED_ERROR, code: 'EMAIL_NOT_VERIFIED' }, 403);
+        }
+        
+        const { grievanceText, category, area, locationDetails } = await request.json();
+        
+        // Validate required fields
+        if (!category) {
+            return jsonResponse({ error: 'Category is required' }, 400);
+        }
+        
+        if (!area) {
+            return jsonResponse({ error: 'Area is required' }, 400);
+        }
+        
+        // Validate text
+        const validation = validateGrievanceText(grievanceText);
+        if (!validation.isValid) {
+            return jsonResponse({ 
+                error: 'Invalid grievance text', 
+                details: validation.errors 
+            }, 400);
+        }
+        
+        // Process grievance with structured metadata
+        const result = await processGrievance(
+            auth.user.userId,
+            grievanceText,
+            'text',
+            null,
+            env,
+            { category, area, locationDetails: locationDetails || '' }
+        );
+        
+        return jsonResponse({
+            success: true,
+            grievance: result
+        }, 201);
+        
+    } catch (error) {
+        console.error('Submit text error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/grievances/submit-pdf
+ * Upload PDF and extract grievances (receives pre-extracted text from frontend)
+ */
+router.post('/api/grievances/submit-pdf', async (request, env) => {
+    try {
+        // Verify authentication
+        const auth = await authorize(request, env, 'grievance.submit');
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const limited = await enforceRateLimit('submit-pdf', auth.user, request, env);
+        if (limited) {
+            return limited;
+        }
+        
+        if (!(await isEmailVerified(auth.user.userId, env))) {
+            return jsonResponse({ error: EMAIL_NOT_VERIFIED_ERROR, code: 'EMAIL_NOT_VERIFIED' }, 403);
+        }
+        
+        const formData = await request.formData();
+        const file = formData.get('pdf');
+        const extractedText = formData.get('extractedText');
+        const grievanceTexts = formData.get('grievances');
+        
+        if (!file) {
+            return jsonResponse({ error: 'No PDF file provided' }, 400);
+        }
+        
+        // Validate file type
+        if (!file.type.includes('pdf')) {
+            return jsonResponse({ error: 'File must be PDF' }, 400);
+        }
+        
+        // Validate file size (max 10MB)
+        if (file.size > 10 * 1024 * 1024) {
+            return jsonResponse({ error: 'File too large (max 10MB)' }, 400);
+        }
+        
+        // Upload PDF to R2
+        const fileKey = `pdfs/${auth.user.userId}/${Date.now()}-${file.name}`;
+        await env.PDF_BUCKET.put(fileKey, file.stream());
+        
+        console.log(`PDF uploaded to R2: ${fileKey}`);
+        
+        // Parse grievances if provided
+        let grievanceList = [];
+        if (grievanceTexts) {
+            try {
+                grievanceList = JSON.parse(grievanceTexts);
+            } catch (e) {
+                grievanceList = [extractedText || ''];
+            }
+        } else if (extractedText) {
+            grievanceList = [extractedText];
+        }
+        
+        // Create PDF upload record
+        const pdfResult = await env.DB.prepare(
+            `INSERT INTO pdf_uploads 
+             (user_id, filename, file_size, r2_key, r2_url, processing_status, total_grievances_extracted) 
+             VALUES (?, ?, ?, ?, ?, 'processing', ?)`
+        ).bind(
+            auth.user.userId,
+            file.name,
+            file.size,
+            fileKey,
+            fileKey,
+            grievanceList.length
+        ).run();
+        
+        const pdfId = pdfResult.meta.last_row_id;
+        
+        // Process each grievance synchronously
+        const results = [];
+        for (const grievanceText of grievanceList) {
+            if (grievanceText && grievanceText.trim().length > 20) {
+                const result = await processGrievance(
+                    auth.user.userId,
+                    grievanceText,
+                    'pdf',
+                    pdfId,
+                    env
+                );
+                results.push(result);
+            }
+        }
+        
+        // Update PDF record as completed
+        await env.DB.prepare(
+            `UPDATE pdf_uploads 
+             SET processing_status = 'completed', 
+                 total_grievances_extracted = ?,
+                 completed_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`
+        ).bind(results.length, pdfId).run();
+        
+        return jsonResponse({
+            success: true,
+            message: 'PDF uploaded and processed successfully',
+            pdfId,
+            r2_key: fileKey,
+            grievancesProcessed: results.length,
+            results
+        }, 201);
+        
+    } catch (error) {
+        console.error('PDF upload error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances
+ * Get all grievances (with filters)
+ */
+router.get('/api/grievances', async (request, env) => {
+    try {
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const url = new URL(request.url);
+        const status = url.searchParams.get('status');
+        const resolutionStatus = url.searchParams.get('resolutionStatus');
+        const limit = parseInt(url.searchParams.get('limit')) || 50;
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        let query = `
+            SELECT g.*, u.email as user_email, u.full_name as user_name
+            FROM grievances g
+            JOIN users u ON g.user_id = u.id
+        `;
+
+        const conditions = [];
+        const params = [];
+
+        // Citizens see their own grievances, staff their department/area scope
+        if (hasPermission(auth.user, 'grievance.view_all')) {
+            if (status) {
+                conditions.push('g.duplicate_status = ?');
+                params.push(status);
+            }
+        } else if (hasPermission(auth.user, 'grievance.view_scoped')) {
+            const scopeFilter = buildScopeFilter(auth.user.scope);
+            conditions.push(`(${scopeFilter.clause} OR g.assigned_officer_id = ?)`);
+            params.push(...scopeFilter.params, auth.user.userId);
+            if (status) {
+                conditions.push('g.duplicate_status = ?');
+                params.push(status);
+            }
+        } else {
+            conditions.push('g.user_id = ?');
+            params.push(auth.user.userId);
+        }
+
+        if (resolutionStatus) {
+            conditions.push('g.resolution_status = ?');
+            params.push(resolutionStatus);
+        }
+
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
+
+        query += ' ORDER BY g.created_at DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+        
+        const { results } = await env.DB.prepare(query)
+            .bind(...params)
+            .all();
+        
+        return jsonResponse({
+            success: true,
+            grievances: results,
+            pagination: {
+                limit,
+                offset,
+                count: results.length
+            }
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances/by-ref/:ref
+ * Look up a grievance by its reference number (e.g. WTR-2026-SEC15-000123)
+ */
+router.get('/api/grievances/by-ref/:ref', async (request, env) => {
+    try {
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const referenceNumber = normalizeReferenceNumber(decodeURIComponent(request.params.ref));
+
+        const grievance = await env.DB.prepare(`
+            SELECT g.*, u.full_name as user_name, d.name as department_name
+            FROM grievances g
+            JOIN users u ON g.user_id = u.id
+            LEFT JOIN departments d ON g.department_id = d.id
+            WHERE g.reference_number = ?
+        `).bind(referenceNumber).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        return jsonResponse({
+            success: true,
+            grievance
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances/:id
+ * Get specific grievance
+ */
+router.get('/api/grievances/:id', async (request, env) => {
+    try {
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const { id } = request.params;
+        
+        const grievance = await env.DB.prepare(`
+            SELECT g.*, u.email as user_email, u.full_name as user_name,
+                   e.embedding_vector, e.vector_encoding, e.model_name
+            FROM grievances g
+            JOIN users u ON g.user_id = u.id
+            LEFT JOIN embeddings e ON g.id = e.grievance_id
+            WHERE g.id = ?
+        `).bind(id).first();
+        
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+        
+        // Check authorization
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+        
+        // The vector is stored binary; clients keep getting the JSON text it used to be
+        if (grievance.embedding_vector) {
+            grievance.embedding_vector = JSON.stringify(Array.from(decodeVector(grievance.embedding_vector, grievance.vector_encoding)));
+        }
+        delete grievance.vector_encoding;
+        
+        // Get matched grievance if exists
+        if (grievance.matched_grievance_id) {
+            const matched = await env.DB.prepare(
+                'SELECT id, grievance_text, created_at FROM grievances WHERE id = ?'
+            ).bind(grievance.matched_grievance_id).first();
+            
+            grievance.matched_grievance = matched;
+        }
+
+        // Merged duplicates follow their master grievance
+        if (grievance.merged_into_id) {
+            grievance.merged_into = await env.DB.prepare(`
+                SELECT id, resolution_status, supporter_count, created_at FROM grievances WHERE id = ?
+            `).bind(grievance.merged_into_id).first();
+        }
+
+        // Status changes the caller is allowed to make from here
+        grievance.allowed_transitions = getAllowedTransitions(
+            grievance.resolution_status,
+            buildActor(auth.user, grievance)
+        );
+
+        return jsonResponse({
+            success: true,
+            grievance
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/grievances/:id/status
+ * Move a grievance through the resolution workflow
+ */
+router.put('/api/grievances/:id/status', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { id } = request.params;
+        const { status, note } = await request.json();
+
+        if (!status) {
+            return jsonResponse({ error: 'Status is required' }, 400);
+        }
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area, resolution_status, merged_into_id, supporter_count
+            FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        if (grievance.merged_into_id) {
+            return jsonResponse({
+                error: `Grievance is merged into #${grievance.merged_into_id}; update the master grievance instead`
+            }, 409);
+        }
+
+        const validation = validateTransition(grievance.resolution_status, status, buildActor(auth.user, grievance));
+
+        if (!validation.isValid) {
+            const httpStatus = validation.reason === 'NOT_PERMITTED' ? 403
+                : validation.reason === 'INVALID_TRANSITION' ? 409
+                : 400;
+            return jsonResponse({ error: validation.error }, httpStatus);
+        }
+
+        if (status === 'REJECTED' && !note) {
+            return jsonResponse({ error: 'A note is required when rejecting a grievance' }, 400);
+        }
+
+        const transition = await recordStatusChange(grievance, status, auth.user.userId, note, env);
+
+        if (!transition) {
+            return jsonResponse({ error: 'Grievance status was changed by another request; reload and try again' }, 409);
+        }
+
+        // Propagate to merged duplicates
+        const propagated = grievance.supporter_count > 0
+            ? await syncSupporters(grievance.id, auth.user.userId, null, env)
+            : 0;
+
+        return jsonResponse({
+            success: true,
+            transition,
+            propagated
+        });
+
+    } catch (error) {
+        console.error('Status update error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances/:id/history
+ * Get resolution status transition history
+ */
+router.get('/api/grievances/:id/history', async (request, env) => {
+    try {
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area, resolution_status FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        const history = await getStatusHistory(grievance.id, env);
+
+        return jsonResponse({
+            success: true,
+            grievanceId: grievance.id,
+            currentStatus: grievance.resolution_status,
+            history
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/grievances/:id/merge
+ * Merge a duplicate into a master grievance (admin, department head within scope)
+ */
+router.post('/api/grievances/:id/merge', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'grievance.merge');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { masterId, note } = await request.json();
+
+        if (!masterId) {
+            return jsonResponse({ error: 'masterId is required' }, 400);
+        }
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area, resolution_status, merged_into_id
+            FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        const master = await resolveMaster(masterId, env);
+
+        if (!canAccessGrievance(auth.user, grievance) || (master && !canAccessGrievance(auth.user, master))) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        const validation = validateMerge(grievance, master);
+
+        if (!validation.isValid) {
+            const httpStatus = validation.reason === 'NOT_FOUND' ? 404
+                : validation.reason === 'INVALID_MERGE' ? 400
+                : 409;
+            return jsonResponse({ error: validation.error }, httpStatus);
+        }
+
+        const merge = await mergeGrievance(grievance, master, auth.user.userId, note, env);
+
+        return jsonResponse({
+            success: true,
+            merge
+        });
+
+    } catch (error) {
+        console.error('Merge error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/grievances/:id/unmerge
+ * Split a merged duplicate back into its own grievance (admin, department head within scope)
+ */
+router.post('/api/grievances/:id/unmerge', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'grievance.merge');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { note } = await request.json().catch(() => ({}));
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, category, area, resolution_status, merged_into_id
+            FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        if (!grievance.merged_into_id) {
+            return jsonResponse({ error: 'Grievance is not merged' }, 409);
+        }
+
+        const unmerge = await unmergeGrievance(grievance, auth.user.userId, note, env);
+
+        return jsonResponse({
+            success: true,
+            unmerge
+        });
+
+    } catch (error) {
+        console.error('Unmerge error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances/:id/supporters
+ * Citizens whose duplicate complaints were merged into this grievance
+ */
+router.get('/api/grievances/:id/supporters', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { id } = request.params;
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area, merged_into_id, supporter_count FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        const supporters = await getSupporters(grievance.id, env);
+
+        return jsonResponse({
+            success: true,
+            grievanceId: grievance.id,
+            mergedIntoId: grievance.merged_into_id,
+            supporterCount: grievance.supporter_count || 0,
+            supporters
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/grievances/:id/comments
+ * Comment thread (internal notes only for staff)
+ */
+router.get('/api/grievances/:id/comments', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { id } = request.params;
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        const comments = await getCommentThread(grievance.id, auth.user, env);
+
+        return jsonResponse({
+            success: true,
+            grievanceId: grievance.id,
+            editWindowMinutes: COMMENT_EDIT_WINDOW_MINUTES,
+            comments
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/grievances/:id/comments
+ * Add a comment or reply (isInternal = staff-only note)
+ */
+router.post('/api/grievances/:id/comments', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { id } = request.params;
+        const { body, parentId, isInternal } = await request.json();
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, assigned_officer_id, department_id, area FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        const validation = validateComment(body);
+        if (!validation.isValid) {
+            return jsonResponse({
+                error: 'Invalid comment',
+                details: validation.errors
+            }, 400);
+        }
+
+        if (isInternal && !isStaff(auth.user)) {
+            return jsonResponse({ error: 'Only staff can add internal notes' }, 403);
+        }
+
+        let internal = Boolean(isInternal);
+
+        if (parentId) {
+            const parent = await env.DB.prepare(`
+                SELECT id, is_internal FROM grievance_comments WHERE id = ? AND grievance_id = ?
+            `).bind(parentId, grievance.id).first();
+
+            if (!parent || (parent.is_internal && !isStaff(auth.user))) {
+                return jsonResponse({ error: 'Parent comment not found' }, 404);
+            }
+
+            // Replies to an internal note stay internal
+            internal = internal || parent.is_internal === 1;
+        }
+
+        const comment = await addComment(grievance.id, {
+            userId: auth.user.userId,
+            body,
+            parentId,
+            isInternal: internal
+        }, env);
+
+        return jsonResponse({
+            success: true,
+            comment
+        }, 201);
+
+    } catch (error) {
+        console.error('Add comment error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/grievances/:id/comments/:commentId
+ * Edit own comment within the edit window
+ */
+router.put('/api/grievances/:id/comments/:commentId', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { id, commentId } = request.params;
+        const { body } = await request.json();
+
+        const comment = await env.DB.prepare(`
+            SELECT id, user_id, created_at FROM grievance_comments WHERE id = ? AND grievance_id = ?
+        `).bind(commentId, id).first();
+
+        if (!comment) {
+            return jsonResponse({ error: 'Comment not found' }, 404);
+        }
+
+        const permission = canEditComment(comment, auth.user);
+        if (!permission.isValid) {
+            return jsonResponse({ error: permission.error }, permission.reason === 'NOT_AUTHOR' ? 403 : 409);
+        }
+
+        const validation = validateComment(body);
+        if (!validation.isValid) {
+            return jsonResponse({
+                error: 'Invalid comment',
+                details: validation.errors
+            }, 400);
+        }
+
+        const updated = await updateComment(comment.id, body, env);
+
+        return jsonResponse({
+            success: true,
+            comment: updated
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/grievances/:id/assignment
+ * Reassign a grievance to another department / officer
+ * Department heads can only reassign within their own departments
+ */
+router.put('/api/grievances/:id/assignment', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'grievance.assign');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { departmentId, officerId, note } = await request.json();
+
+        if (!departmentId) {
+            return jsonResponse({ error: 'departmentId is required' }, 400);
+        }
+
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, area, resolution_status, department_id, assigned_officer_id, merged_into_id, supporter_count
+            FROM grievances WHERE id = ?
+        `).bind(id).first();
+
+        if (!grievance) {
+            return jsonResponse({ error: 'Grievance not found' }, 404);
+        }
+
+        if (!canAccessGrievance(auth.user, grievance)) {
+            return jsonResponse({ error: 'Forbidden' }, 403);
+        }
+
+        if (grievance.merged_into_id) {
+            return jsonResponse({
+                error: `Grievance is merged into #${grievance.merged_into_id}; reassign the master grievance instead`
+            }, 409);
+        }
+
+        if (grievance.resolution_status === 'RESOLVED' || grievance.resolution_status === 'REJECTED') {
+            return jsonResponse({ error: `Cannot reassign a ${grievance.resolution_status} grievance` }, 409);
+        }
+
+        const department = await env.DB.prepare(
+            'SELECT id FROM departments WHERE id = ? AND is_active = 1'
+        ).bind(departmentId).first();
+
+        if (!department) {
+            return jsonResponse({ error: 'Department not found' }, 404);
+        }
+
+        if (!hasPermission(auth.user, 'grievance.view_all') && !auth.user.scope.departmentIds.includes(department.id)) {
+            return jsonResponse({ error: 'You can only assign grievances to your own departments' }, 403);
+        }
+
+        if (officerId) {
+            const member = await env.DB.prepare(`
+                SELECT o.id FROM department_officers o
+                JOIN users u ON o.user_id = u.id
+                WHERE o.department_id = ? AND o.user_id = ? AND u.is_active = 1
+            `).bind(departmentId, officerId).first();
+
+            if (!member) {
+                return jsonResponse({ error: 'Officer does not belong to this department' }, 400);
+            }
+        }
+
+        const assignment = await assignGrievance(
+            grievance,
+            { departmentId: department.id, officerId: officerId || null },
+            auth.user.userId,
+            note,
+            env
+        );
+
+        if (grievance.supporter_count > 0) {
+            await syncSupporters(grievance.id, auth.user.userId, null, env);
+        }
+
+        return jsonResponse({
+            success: true,
+            assignment
+        });
+
+    } catch (error) {
+        console.error('Reassignment error:', error);
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/my-assignments
+ * Grievances assigned to the logged-in officer
+ */
+router.get('/api/my-assignments', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'grievance.view_scoped');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const url = new URL(request.url);
+        const resolutionStatus = url.searchParams.get('status');
+        const limit = parseInt(url.searchParams.get('limit')) || 50;
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        let query = `
+            SELECT g.*, d.name as department_name, u.full_name as user_name
+            FROM grievances g
+            JOIN users u ON g.user_id = u.id
+            LEFT JOIN departments d ON g.department_id = d.id
+            WHERE g.assigned_officer_id = ? AND g.merged_into_id IS NULL
+        `;
+        const params = [auth.user.userId];
+
+        if (resolutionStatus) {
+            query += ' AND g.resolution_status = ?';
+            params.push(resolutionStatus);
+        } else {
+            // Default queue: work still to be done
+            query += " AND g.resolution_status IN ('ASSIGNED', 'IN_PROGRESS')";
+        }
+
+        query += ' ORDER BY g.assigned_at ASC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        const { results } = await env.DB.prepare(query).bind(...params).all();
+
+        return jsonResponse({
+            success: true,
+            assignments: results,
+            pagination: { limit, offset, count: results.length }
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== DEPARTMENT ROUTING ENDPOINTS =====
+
+/**
+ * GET /api/departments
+ * List departments with routing rules and officers
+ * Department heads only see their own departments
+ */
+router.get('/api/departments', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.view');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        let departments = await listDepartments(env);
+
+        if (!hasPermission(auth.user, 'department.manage')) {
+            departments = departments.filter(d => auth.user.scope.departmentIds.includes(d.id));
+        }
+
+        return jsonResponse({
+            success: true,
+            departments
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/departments
+ * Create department (admin)
+ */
+router.post('/api/departments', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { code, name, description } = await request.json();
+
+        if (!code || !name) {
+            return jsonResponse({ error: 'Code and name are required' }, 400);
+        }
+
+        const departmentCode = code.toUpperCase();
+
+        const existing = await env.DB.prepare(
+            'SELECT id FROM departments WHERE code = ?'
+        ).bind(departmentCode).first();
+
+        if (existing) {
+            return jsonResponse({ error: 'Department code already exists' }, 409);
+        }
+
+        const result = await env.DB.prepare(`
+            INSERT INTO departments (code, name, description) VALUES (?, ?, ?)
+        `).bind(departmentCode, name, description || null).run();
+
+        return jsonResponse({
+            success: true,
+            department: {
+                id: result.meta.last_row_id,
+                code: departmentCode,
+                name,
+                description: description || null
+            }
+        }, 201);
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/departments/:id/routes
+ * Route a category (optionally limited to one area) to this department (admin)
+ */
+router.post('/api/departments/:id/routes', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { category, area, officerId } = await request.json();
+
+        if (!category) {
+            return jsonResponse({ error: 'Category is required' }, 400);
+        }
+
+        const department = await env.DB.prepare(
+            'SELECT id FROM departments WHERE id = ?'
+        ).bind(id).first();
+
+        if (!department) {
+            return jsonResponse({ error: 'Department not found' }, 404);
+        }
+
+        // One rule per category/area - re-posting moves the route to this department
+        await env.DB.prepare(`
+            INSERT INTO department_routing_rules (department_id, category, area, officer_id)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (category, area) DO UPDATE SET
+                department_id = excluded.department_id,
+                officer_id = excluded.officer_id
+        `).bind(department.id, category.toUpperCase(), area || '', officerId || null).run();
+
+        const rule = await env.DB.prepare(`
+            SELECT * FROM department_routing_rules WHERE category = ? AND area = ?
+        `).bind(category.toUpperCase(), area || '').first();
+
+        return jsonResponse({
+            success: true,
+            rule
+        }, 201);
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * DELETE /api/departments/:id/routes/:ruleId
+ * Remove a routing rule (admin)
+ */
+router.delete('/api/departments/:id/routes/:ruleId', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id, ruleId } = request.params;
+
+        const result = await env.DB.prepare(`
+            DELETE FROM department_routing_rules WHERE id = ? AND department_id = ?
+        `).bind(ruleId, id).run();
+
+        if (result.meta.changes === 0) {
+            return jsonResponse({ error: 'Routing rule not found' }, 404);
+        }
+
+        return jsonResponse({ success: true });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/departments/:id/officers
+ * Add a user to a department as a field officer or department head (admin)
+ * Body: { userId, role?: 'field_officer' | 'department_head' }
+ */
+router.post('/api/departments/:id/officers', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { userId, role: requestedRole } = await request.json();
+
+        if (!userId) {
+            return jsonResponse({ error: 'userId is required' }, 400);
+        }
+
+        if (requestedRole && !SCOPED_ROLES.includes(requestedRole)) {
+            return jsonResponse({ error: `role must be one of: ${SCOPED_ROLES.join(', ')}` }, 400);
+        }
+
+        const [department, user] = await Promise.all([
+            env.DB.prepare('SELECT id FROM departments WHERE id = ?').bind(id).first(),
+            env.DB.prepare('SELECT id, role FROM users WHERE id = ? AND is_active = 1').bind(userId).first()
+        ]);
+
+        if (!department) {
+            return jsonResponse({ error: 'Department not found' }, 404);
+        }
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        await env.DB.prepare(`
+            INSERT OR IGNORE INTO department_officers (department_id, user_id) VALUES (?, ?)
+        `).bind(department.id, user.id).run();
+
+        // Citizens added to a department become field officers (or the requested staff role)
+        const currentRole = normalizeRole(user.role);
+        const role = requestedRole || (currentRole === 'citizen' ? 'field_officer' : currentRole);
+        if (role !== user.role) {
+            await env.DB.prepare(`
+                UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).bind(role, user.id).run();
+        }
+
+        return jsonResponse({
+            success: true,
+            departmentId: department.id,
+            userId: user.id,
+            role
+        }, 201);
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/users/:id/areas
+ * Limit an officer / department head to specific areas (admin)
+ * Body: { areas: ['Sector 15', ...] } - an empty list means all areas of their departments
+ */
+router.put('/api/users/:id/areas', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'department.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { id } = request.params;
+        const { areas } = await request.json();
+
+        if (!Array.isArray(areas)) {
+            return jsonResponse({ error: 'areas must be an array' }, 400);
+        }
+
+        const user = await env.DB.prepare('SELECT id, role FROM users WHERE id = ?').bind(id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        if (!SCOPED_ROLES.includes(normalizeRole(user.role))) {
+            return jsonResponse({ error: `Area scopes only apply to: ${SCOPED_ROLES.join(', ')}` }, 400);
+        }
+
+        const cleaned = [...new Set(areas.map(a => String(a).trim()).filter(a => a.length > 0))];
+
+        await env.DB.prepare('DELETE FROM user_area_scopes WHERE user_id = ?').bind(user.id).run();
+
+        for (const area of cleaned) {
+            await env.DB.prepare(
+                'INSERT INTO user_area_scopes (user_id, area) VALUES (?, ?)'
+            ).bind(user.id, area).run();
+        }
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'USER_AREAS_UPDATED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { areas: cleaned }
+        });
+
+        return jsonResponse({
+            success: true,
+            userId: user.id,
+            areas: cleaned
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== ADMIN USER ENDPOINTS =====
+
+/**
+ * GET /api/admin/users
+ * List / search users (admin)
+ * Query: ?search=&role=&active=true|false&limit=50&offset=0
+ */
+router.get('/api/admin/users', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const url = new URL(request.url);
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 200);
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        const { users, total } = await listUsers({
+            search: url.searchParams.get('search')?.trim(),
+            role: url.searchParams.get('role'),
+            active: url.searchParams.get('active'),
+            limit,
+            offset
+        }, env);
+
+        return jsonResponse({
+            success: true,
+            users,
+            total,
+            roles: ROLES,
+            pagination: { limit, offset }
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * User details with departments, areas and session count (admin)
+ */
+router.get('/api/admin/users/:id', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const user = await getUserDetail(request.params.id, env);
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        user.lock = await getAccountLockStatus(getCounterStore(env), user.email);
+
+        return jsonResponse({
+            success: true,
+            user,
+            permissions: getRolePermissions(normalizeRole(user.role))
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Update a user's name, phone or role (admin)
+ * Body: { fullName?, phone?, role? } - role changes apply immediately
+ */
+router.put('/api/admin/users/:id', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const changes = await request.json();
+
+        const validation = validateUserUpdate(changes);
+        if (!validation.isValid) {
+            return jsonResponse({ error: validation.error }, 400);
+        }
+
+        const user = await env.DB.prepare(
+            'SELECT id, email, full_name, phone, role FROM users WHERE id = ?'
+        ).bind(request.params.id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        if (user.id === auth.user.userId && changes.role !== undefined
+            && normalizeRole(changes.role) !== normalizeRole(user.role)) {
+            return jsonResponse({ error: 'You cannot change your own role' }, 400);
+        }
+
+        const changed = await updateUserAccount(user, changes, env);
+
+        if (changed.role) {
+            await logAudit(env, {
+                userId: auth.user.userId,
+                action: 'USER_ROLE_CHANGED',
+                entityType: 'user',
+                entityId: user.id,
+                details: { from: changed.role.from, to: changed.role.to },
+                ipAddress: getClientInfo(request).ipAddress
+            });
+        }
+
+        const profileChanges = Object.fromEntries(
+            Object.entries(changed).filter(([field]) => field !== 'role')
+        );
+
+        if (Object.keys(profileChanges).length > 0) {
+            await logAudit(env, {
+                userId: auth.user.userId,
+                action: 'USER_UPDATED',
+                entityType: 'user',
+                entityId: user.id,
+                details: profileChanges,
+                ipAddress: getClientInfo(request).ipAddress
+            });
+        }
+
+        return jsonResponse({
+            success: true,
+            changed: Object.keys(changed),
+            user: await getUserDetail(user.id, env)
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/deactivate
+ * Deactivate an account and revoke all its sessions (admin)
+ * Body: { reason? }
+ */
+router.post('/api/admin/users/:id/deactivate', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { reason } = await request.json().catch(() => ({}));
+
+        const user = await env.DB.prepare('SELECT id, is_active FROM users WHERE id = ?')
+            .bind(request.params.id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        if (user.id === auth.user.userId) {
+            return jsonResponse({ error: 'You cannot deactivate your own account' }, 400);
+        }
+
+        if (!user.is_active) {
+            return jsonResponse({ error: 'User is already deactivated' }, 400);
+        }
+
+        const result = await setUserActive(user.id, false, env);
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'USER_DEACTIVATED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { reason: reason || null, sessionsRevoked: result.sessionsRevoked },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({
+            success: true,
+            userId: user.id,
+            sessionsRevoked: result.sessionsRevoked
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/reactivate
+ * Reactivate a deactivated account (admin)
+ */
+router.post('/api/admin/users/:id/reactivate', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const user = await env.DB.prepare('SELECT id, is_active FROM users WHERE id = ?')
+            .bind(request.params.id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        if (user.is_active) {
+            return jsonResponse({ error: 'User is already active' }, 400);
+        }
+
+        await setUserActive(user.id, true, env);
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'USER_REACTIVATED',
+            entityType: 'user',
+            entityId: user.id,
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({
+            success: true,
+            userId: user.id
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lift a login lockout and clear failed attempts (admin)
+ */
+router.post('/api/admin/users/:id/unlock', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const user = await env.DB.prepare('SELECT id, email FROM users WHERE id = ?')
+            .bind(request.params.id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        const counters = getCounterStore(env);
+        const status = await getAccountLockStatus(counters, user.email);
+
+        if (!(await unlockAccount(counters, user.email))) {
+            return jsonResponse({ error: 'Account has no failed logins to clear' }, 400);
+        }
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'ACCOUNT_UNLOCKED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { wasLocked: status.locked, failures: status.failures },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({
+            success: true,
+            userId: user.id,
+            wasLocked: status.locked
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/reset-2fa
+ * Remove a user's 2FA after they lost their device and recovery codes (admin)
+ * The user is signed out everywhere and enrolls again at the next login.
+ */
+router.post('/api/admin/users/:id/reset-2fa', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'users.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const user = await env.DB.prepare('SELECT id, totp_enabled FROM users WHERE id = ?')
+            .bind(request.params.id).first();
+
+        if (!user) {
+            return jsonResponse({ error: 'User not found' }, 404);
+        }
+
+        if (user.id === auth.user.userId) {
+            return jsonResponse({ error: 'Use your own security settings to change your 2FA' }, 400);
+        }
+
+        if (!user.totp_enabled) {
+            return jsonResponse({ error: 'User has no two-factor authentication' }, 400);
+        }
+
+        await disableTwoFactor(user.id, env);
+        const sessionsRevoked = await revokeAllSessions(user.id, env);
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'TWO_FACTOR_RESET',
+            entityType: 'user',
+            entityId: user.id,
+            details: { sessionsRevoked },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({
+            success: true,
+            userId: user.id,
+            sessionsRevoked
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/admin/audit
+ * Search the audit log (admin)
+ * Query: ?userId=&action=LOGIN,LOGIN_FAILED&entityType=&entityId=&from=&to=&limit=100&offset=0&format=csv
+ * format=csv returns every matching entry as a download
+ */
+router.get('/api/admin/audit', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'audit.view');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const url = new URL(request.url);
+        const format = url.searchParams.get('format');
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 100, 500);
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        const filters = {
+            userId: url.searchParams.get('userId'),
+            action: url.searchParams.get('action'),
+            entityType: url.searchParams.get('entityType'),
+            entityId: url.searchParams.get('entityId'),
+            from: url.searchParams.get('from'),
+            to: url.searchParams.get('to')
+        };
+
+        if (format === 'csv') {
+            const { entries } = await queryAuditLogs(filters, env);
+
+            return corsify(new Response(auditLogsToCsv(entries), {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+                }
+            }));
+        }
+
+        const { entries, total } = await queryAuditLogs({ ...filters, limit, offset }, env);
+
+        return jsonResponse({
+            success: true,
+            entries: entries.map(entry => ({
+                ...entry,
+                details: parseAuditDetails(entry.details)
+            })),
+            total,
+            pagination: { limit, offset }
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== API KEY ENDPOINTS =====
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys with usage totals (admin)
+ * Query: ?userId=&includeRevoked=true
+ */
+router.get('/api/admin/api-keys', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'apikeys.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const url = new URL(request.url);
+        const apiKeys = await listApiKeys({
+            userId: url.searchParams.get('userId'),
+            includeRevoked: url.searchParams.get('includeRevoked') === 'true'
+        }, env);
+
+        return jsonResponse({
+            success: true,
+            apiKeys,
+            scopes: API_KEY_SCOPES
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create an API key acting as an existing user (admin)
+ * Body: { name, userId | userEmail, scopes: ['grievances:write', ...], expiresInDays? }
+ * The raw key is only returned in this response.
+ */
+router.post('/api/admin/api-keys', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'apikeys.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const input = await request.json().catch(() => ({}));
+
+        const validation = validateApiKeyInput(input);
+        if (!validation.isValid) {
+            return jsonResponse({ error: validation.error }, 400);
+        }
+
+        const owner = input.userId
+            ? await env.DB.prepare('SELECT id, role, is_active FROM users WHERE id = ?').bind(input.userId).first()
+            : await env.DB.prepare('SELECT id, role, is_active FROM users WHERE email = ?')
+                .bind(String(input.userEmail || '').trim().toLowerCase()).first();
+
+        if (!owner) {
+            return jsonResponse({ error: 'Owner user not found' }, 404);
+        }
+
+        if (!owner.is_active) {
+            return jsonResponse({ error: 'Owner account is deactivated' }, 400);
+        }
+
+        const { key, apiKey } = await createApiKey(input, owner.id, auth.user.userId, env);
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'API_KEY_CREATED',
+            entityType: 'api_key',
+            entityId: apiKey.id,
+            details: { name: apiKey.name, keyPrefix: apiKey.key_prefix, ownerId: owner.id, scopes: apiKey.scopes },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({
+            success: true,
+            key,
+            apiKey,
+            message: 'Store this key now - it cannot be shown again'
+        }, 201);
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/admin/api-keys/:id/usage
+ * Requests per day for a key (admin)
+ * Query: ?days=30
+ */
+router.get('/api/admin/api-keys/:id/usage', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'apikeys.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const apiKey = await getApiKey(request.params.id, env);
+        if (!apiKey) {
+            return jsonResponse({ error: 'API key not found' }, 404);
+        }
+
+        const url = new URL(request.url);
+        const days = Math.min(Math.max(parseInt(url.searchParams.get('days')) || 30, 1), 365);
+
+        return jsonResponse({
+            success: true,
+            apiKey,
+            days,
+            usage: await getApiKeyUsage(apiKey.id, days, env)
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/api-keys/:id/revoke
+ * Revoke an API key immediately (admin)
+ */
+router.post('/api/admin/api-keys/:id/revoke', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'apikeys.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const apiKey = await getApiKey(request.params.id, env);
+        if (!apiKey) {
+            return jsonResponse({ error: 'API key not found' }, 404);
+        }
+
+        if (!(await revokeApiKey(apiKey.id, env))) {
+            return jsonResponse({ error: 'API key is already revoked' }, 400);
+        }
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'API_KEY_REVOKED',
+            entityType: 'api_key',
+            entityId: apiKey.id,
+            details: { name: apiKey.name, keyPrefix: apiKey.key_prefix },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        return jsonResponse({ success: true, apiKey: await getApiKey(apiKey.id, env) });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== EMBEDDING MODEL ENDPOINTS =====
+
+/**
+ * GET /api/admin/embeddings
+ * Stored embeddings per model against the configured model (admin)
+ */
+router.get('/api/admin/embeddings', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'embeddings.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const [coverage, jobs] = await Promise.all([
+            getEmbeddingModelCoverage(env),
+            listReembeddingJobs(env, 1)
+        ]);
+
+        return jsonResponse({
+            success: true,
+            ...coverage,
+            annIndex: await getAnnIndexStats(coverage.currentModel, env),
+            latestJob: jobs[0] || null
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/admin/reembedding-jobs
+ * List re-embedding jobs, newest first (admin)
+ */
+router.get('/api/admin/reembedding-jobs', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'embeddings.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        return jsonResponse({ success: true, jobs: await listReembeddingJobs(env) });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/reembedding-jobs
+ * Re-embed every grievance not yet on the configured model (admin)
+ * Body: { chunkSize? }
+ * Runs in the background (cron trigger); poll GET /api/admin/reembedding-jobs/:id for progress.
+ */
+router.post('/api/admin/reembedding-jobs', async (request, env, ctx) => {
+    try {
+        const auth = await authorize(request, env, 'embeddings.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const input = await request.json().catch(() => ({}));
+
+        const result = await createReembeddingJob(input, auth.user.userId, env);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'REEMBEDDING_STARTED',
+            entityType: 'reembedding_job',
+            entityId: result.job.id,
+            details: { targetModel: result.job.target_model, total: result.job.total_count },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        // Start the first chunks now instead of waiting for the next cron run
+        ctx.waitUntil(
+            runReembeddingJobs(env).catch(error => console.error('Re-embedding error:', error))
+        );
+
+        return jsonResponse({ success: true, job: result.job }, 202);
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/admin/reembedding-jobs/:id
+ * Job status and progress (admin)
+ */
+router.get('/api/admin/reembedding-jobs/:id', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'embeddings.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const job = await getReembeddingJob(request.params.id, env);
+        if (!job) {
+            return jsonResponse({ error: 'Re-embedding job not found' }, 404);
+        }
+
+        return jsonResponse({ success: true, job });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * POST /api/admin/reembedding-jobs/:id/:action
+ * Pause, resume or cancel a job (admin)
+ * A resumed job continues after the last grievance it re-embedded.
+ */
+router.post('/api/admin/reembedding-jobs/:id/:action', async (request, env, ctx) => {
+    try {
+        const auth = await authorize(request, env, 'embeddings.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const auditActions = { pause: 'REEMBEDDING_PAUSED', resume: 'REEMBEDDING_RESUMED', cancel: 'REEMBEDDING_CANCELLED' };
+        const { id, action } = request.params;
+        if (!auditActions[action]) {
+            return jsonResponse({ error: 'Not found' }, 404);
+        }
+
+        const job = await getReembeddingJob(id, env);
+        if (!job) {
+            return jsonResponse({ error: 'Re-embedding job not found' }, 404);
+        }
+
+        const result = await updateReembeddingJobStatus(job, action, env);
+        if (result.error) {
+            return jsonResponse({ error: result.error }, result.status);
+        }
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: auditActions[action],
+            entityType: 'reembedding_job',
+            entityId: job.id,
+            details: { from: job.status, processed: result.job.processed_count },
+            ipAddress: getClientInfo(request).ipAddress
+        });
+
+        if (action === 'resume') {
+            ctx.waitUntil(
+                runReembeddingJobs(env).catch(error => console.error('Re-embedding error:', error))
+            );
+        }
+
+        return jsonResponse({ success: true, job: result.job });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== SLA ENDPOINTS =====
+
+/**
+ * GET /api/sla/policies
+ * List per-category SLA policies (admin)
+ */
+router.get('/api/sla/policies', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'sla.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const { results } = await env.DB.prepare(
+            'SELECT * FROM sla_policies ORDER BY category'
+        ).all();
+
+        return jsonResponse({
+            success: true,
+            policies: results
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/sla/policies/:category
+ * Create or update the SLA policy of a category (admin)
+ * Applies to grievances submitted from now on
+ */
+router.put('/api/sla/policies/:category', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'sla.manage');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const category = request.params.category.toUpperCase();
+        const { acknowledgeHours, resolveHours, isActive } = await request.json();
+
+        const ackHours = parseInt(acknowledgeHours);
+        const resHours = parseInt(resolveHours);
+
+        if (!(ackHours > 0) || !(resHours > 0)) {
+            return jsonResponse({ error: 'acknowledgeHours and resolveHours must be positive numbers' }, 400);
+        }
+
+        if (ackHours > resHours) {
+            return jsonResponse({ error: 'acknowledgeHours cannot exceed resolveHours' }, 400);
+        }
+
+        await env.DB.prepare(`
+            INSERT INTO sla_policies (category, acknowledge_hours, resolve_hours, is_active)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (category) DO UPDATE SET
+                acknowledge_hours = excluded.acknowledge_hours,
+                resolve_hours = excluded.resolve_hours,
+                is_active = excluded.is_active,
+                updated_at = CURRENT_TIMESTAMP
+        `).bind(category, ackHours, resHours, isActive === false ? 0 : 1).run();
+
+        await logAudit(env, {
+            userId: auth.user.userId,
+            action: 'SLA_POLICY_UPDATED',
+            entityType: 'sla_policy',
+            details: { category, acknowledgeHours: ackHours, resolveHours: resHours }
+        });
+
+        const policy = await env.DB.prepare(
+            'SELECT * FROM sla_policies WHERE category = ?'
+        ).bind(category).first();
+
+        return jsonResponse({
+            success: true,
+            policy
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/sla/overdue
+ * Overdue (escalated) grievances still open
+ * Admins see everything, officers and department heads their scope
+ */
+router.get('/api/sla/overdue', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'sla.view_overdue');
+        if (auth.response) {
+            return auth.response;
+        }
+
+        const url = new URL(request.url);
+        const limit = parseInt(url.searchParams.get('limit')) || 50;
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        let query = `
+            SELECT g.id, g.category, g.area, g.resolution_status, g.department_id,
+                   g.assigned_officer_id, g.ack_due_at, g.due_at, g.acknowledged_at,
+                   g.escalation_level, g.escalated_to_role, g.escalated_at, g.created_at,
+                   d.name as department_name
+            FROM grievances g
+            LEFT JOIN departments d ON g.department_id = d.id
+            WHERE g.is_overdue = 1
+              AND g.merged_into_id IS NULL
+              AND g.resolution_status NOT IN ('RESOLVED', 'REJECTED')
+        `;
+        const params = [];
+
+        // Officers and department heads only see overdue work in their scope
+        if (!hasPermission(auth.user, 'grievance.view_all')) {
+            const scopeFilter = buildScopeFilter(auth.user.scope);
+            query += ` AND (${scopeFilter.clause} OR g.assigned_officer_id = ?)`;
+            params.push(...scopeFilter.params, auth.user.userId);
+        }
+
+        query += ' ORDER BY g.escalation_level DESC, g.due_at ASC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        const { results } = await env.DB.prepare(query).bind(...params).all();
+
+        return jsonResponse({
+            success: true,
+            grievances: results,
+            pagination: { limit, offset, count: results.length }
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+// ===== NOTIFICATION ENDPOINTS =====
+
+/**
+ * GET /api/notifications
+ * In-app notification feed of the logged-in user
+ */
+router.get('/api/notifications', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const url = new URL(request.url);
+        const unreadOnly = url.searchParams.get('unread') === 'true';
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100);
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+
+        const [notifications, unreadCount] = await Promise.all([
+            getNotificationFeed(auth.user.userId, { unreadOnly, limit, offset }, env),
+            countUnread(auth.user.userId, env)
+        ]);
+
+        return jsonResponse({
+            success: true,
+            notifications,
+            unreadCount,
+            pagination: { limit, offset, count: notifications.length }
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Unread badge count (cheap endpoint for polling)
+ */
+router.get('/api/notifications/unread-count', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const unreadCount = await countUnread(auth.user.userId, env);
+
+        return jsonResponse({
+            success: true,
+            unreadCount
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark every in-app notification as read
+ */
+router.put('/api/notifications/read-all', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const marked = await markNotificationsRead(auth.user.userId, null, env);
+
+        return jsonResponse({
+            success: true,
+            marked,
+            unreadCount: 0
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one in-app notification as read
+ */
+router.put('/api/notifications/:id/read', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const id = parseInt(request.params.id);
+        if (!id) {
+            return jsonResponse({ error: 'Invalid notification ID' }, 400);
+        }
+
+        const marked = await markNotificationsRead(auth.user.userId, [id], env);
+        const unreadCount = await countUnread(auth.user.userId, env);
+
+        return jsonResponse({
+            success: true,
+            marked,
+            unreadCount
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/notifications/preferences
+ * Get notification channel preferences of the logged-in user
+ */
+router.get('/api/notifications/preferences', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const preferences = await getPreferences(auth.user.userId, env);
+
+        return jsonResponse({
+            success: true,
+            preferences
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Update channel preferences ({inApp, email, sms}) and SMS phone number
+ */
+router.put('/api/notifications/preferences', async (request, env) => {
+    try {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return jsonResponse({ error: 'Unauthorized' }, 401);
+        }
+
+        const { inApp, email, sms, phone } = await request.json();
+
+        if (phone !== undefined && phone !== null && phone !== '' && !/^\+?[0-9][0-9 -]{6,19}$/.test(phone)) {
+            return jsonResponse({ error: 'Invalid phone number' }, 400);
+        }
+
+        if (phone !== undefined) {
+            await env.DB.prepare(`
+                UPDATE users SET phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).bind(phone || null, auth.user.userId).run();
+        }
+
+        const preferences = await updatePreferences(auth.user.userId, { inApp, email, sms }, env);
+
+        if (preferences.sms_enabled && !preferences.phone) {
+            return jsonResponse({
+                success: true,
+                preferences,
+                warning: 'SMS is enabled but no phone number is set'
+            });
+        }
+
+        return jsonResponse({
+            success: true,
+            preferences
+        });
+
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/areas
+ * Get list of unique areas with grievance counts
+ */
+router.get('/api/areas', async (request, env) => {
+    try {
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
+        }
+        
         const result = await env.DB.prepare(`
             SELECT area, COUNT(*) as count,
                    SUM(CASE WHEN duplicate_status = 'UNIQUE' THEN 1 ELSE 0 END) as unique_count,
@@ -515,9 +3170,9 @@ router.get('/api/areas', async (request, env) => {
  */
 router.get('/api/areas/:name/exists', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
         }
         
         const areaName = decodeURIComponent(request.params.name);
@@ -583,6 +3238,26 @@ router.delete('/api/areas/:name', async (request, env) => {
             WHERE id IN (${idPlaceholders})
         `).bind(...ids).run();
         
+        // Step 1c: Merged supporters of these grievances are split back out into their own tickets
+        console.log('  Step 1c: Unmerging supporters of deleted grievances...');
+        const supporters = await env.DB.prepare(`
+            SELECT id, user_id, category, area, resolution_status, merged_into_id
+            FROM grievances
+            WHERE merged_into_id IN (${idPlaceholders}) AND id NOT IN (${idPlaceholders})
+        `).bind(...ids, ...ids).all();
+
+        for (const supporter of supporters.results || []) {
+            await unmergeGrievance(supporter, auth.user.userId,
+                `Master grievance #${supporter.merged_into_id} was deleted`, env);
+        }
+
+        // Masters kept elsewhere lose these grievances as supporters (recounted after Step 5)
+        const masters = await env.DB.prepare(`
+            SELECT DISTINCT merged_into_id as id FROM grievances
+            WHERE id IN (${idPlaceholders}) AND merged_into_id IS NOT NULL
+              AND merged_into_id NOT IN (${idPlaceholders})
+        `).bind(...ids, ...ids).all();
+
         // Step 2: Delete from similarity_logs (both columns reference grievances)
         console.log('  Step 2: Deleting similarity_logs...');
         try {
@@ -603,12 +3278,43 @@ router.delete('/api/areas/:name', async (request, env) => {
         } catch (e) {
             console.log('    cluster_members table may not exist, skipping');
         }
-        
+
+        // Step 3b: Delete resolution status history
+        console.log('  Step 3b: Deleting grievance_status_history...');
+        try {
+            await env.DB.prepare(`
+                DELETE FROM grievance_status_history WHERE grievance_id IN (${idPlaceholders})
+            `).bind(...ids).run();
+        } catch (e) {
+            console.log('    grievance_status_history table may not exist, skipping');
+        }
+
+        // Step 3c: Delete comments
+        console.log('  Step 3c: Deleting grievance_comments...');
+        try {
+            await env.DB.prepare(`
+                DELETE FROM grievance_comments WHERE grievance_id IN (${idPlaceholders})
+            `).bind(...ids).run();
+        } catch (e) {
+            console.log('    grievance_comments table may not exist, skipping');
+        }
+
         // Step 4: Delete from embeddings
         console.log('  Step 4: Deleting embeddings...');
         await env.DB.prepare(`
             DELETE FROM embeddings WHERE grievance_id IN (${idPlaceholders})
         `).bind(...ids).run();
+
+        // Step 4a: Remove from term document frequencies
+        console.log('  Step 4a: Updating term document frequencies...');
+        await removeDocumentTerms(ids, env);
+
+        // Step 4b: Delete MinHash signatures and LSH buckets
+        console.log('  Step 4b: Deleting MinHash signatures...');
+        await env.DB.batch([
+            env.DB.prepare(`DELETE FROM lsh_buckets WHERE grievance_id IN (${idPlaceholders})`).bind(...ids),
+            env.DB.prepare(`DELETE FROM minhash_signatures WHERE grievance_id IN (${idPlaceholders})`).bind(...ids)
+        ]);
         
         // Step 5: Finally delete grievances
         console.log('  Step 5: Deleting grievances...');
@@ -616,6 +3322,11 @@ router.delete('/api/areas/:name', async (request, env) => {
             DELETE FROM grievances
             WHERE user_id = ? AND LOWER(area) = LOWER(?)
         `).bind(auth.user.userId, areaName).run();
+
+        // Step 6: Recount supporters of the remaining masters
+        for (const master of masters.results || []) {
+            await refreshSupporterCount(master.id, env);
+        }
         
         console.log(`✅ Successfully deleted ${ids.length} grievances for area: ${areaName}`);
         
@@ -637,9 +3348,9 @@ router.delete('/api/areas/:name', async (request, env) => {
  */
 router.get('/api/stats/dashboard', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid || auth.user.role !== 'admin') {
-            return jsonResponse({ error: 'Forbidden' }, 403);
+        const auth = await authorize(request, env, 'stats.view');
+        if (auth.response) {
+            return auth.response;
         }
         
         // Get various statistics
@@ -658,12 +3369,37 @@ router.get('/api/stats/dashboard', async (request, env) => {
         
         return jsonResponse({
             success: true,
-            stats: {
-                total: totalGrievances.count,
-                byStatus: statusStats.results,
-                daily: dailyStats.results,
-                recent: recentGrievances.results
-            }
+            stats: {
+                total: totalGrievances.count,
+                byStatus: statusStats.results,
+                daily: dailyStats.results,
+                recent: recentGrievances.results
+            }
+        });
+        
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+    }
+});
+
+/**
+ * GET /api/stats/embedding-cache
+ * Embedding cache hit rate and size (admin)
+ * Query: ?days=7
+ */
+router.get('/api/stats/embedding-cache', async (request, env) => {
+    try {
+        const auth = await authorize(request, env, 'stats.view');
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const url = new URL(request.url);
+        const days = Math.min(Math.max(parseInt(url.searchParams.get('days')) || 7, 1), 90);
+        
+        return jsonResponse({
+            success: true,
+            cache: await getEmbeddingCacheStats(days, env)
         });
         
     } catch (error) {
@@ -679,9 +3415,18 @@ router.get('/api/stats/dashboard', async (request, env) => {
  */
 router.post('/api/grievances/submit-batch', async (request, env, ctx) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env, 'batch.upload');
+        if (auth.response) {
+            return auth.response;
+        }
+        
+        const limited = await enforceRateLimit('submit-batch', auth.user, request, env);
+        if (limited) {
+            return limited;
+        }
+        
+        if (!(await isEmailVerified(auth.user.userId, env))) {
+            return jsonResponse({ error: EMAIL_NOT_VERIFIED_ERROR, code: 'EMAIL_NOT_VERIFIED' }, 403);
         }
         
         const formData = await request.formData();
@@ -779,6 +3524,8 @@ router.post('/api/grievances/submit-batch', async (request, env, ctx) => {
             processBatch(batchId, pdfEntries, env).catch(error => {
                 console.error('Batch processing error:', error);
             })
+                .then(() => deliverPendingNotifications(env, 100))
+                .catch(error => console.error('Notification delivery error:', error))
         );
         
         return jsonResponse({
@@ -801,9 +3548,9 @@ router.post('/api/grievances/submit-batch', async (request, env, ctx) => {
  */
 router.get('/api/batches/:id/status', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
         }
         
         const { id } = request.params;
@@ -817,7 +3564,7 @@ router.get('/api/batches/:id/status', async (request, env) => {
         }
         
         // Check authorization
-        if (auth.user.role !== 'admin' && batch.user_id !== auth.user.userId) {
+        if (!hasPermission(auth.user, 'batch.view_all') && batch.user_id !== auth.user.userId) {
             return jsonResponse({ error: 'Forbidden' }, 403);
         }
         
@@ -854,9 +3601,9 @@ router.get('/api/batches/:id/status', async (request, env) => {
  */
 router.get('/api/batches/:id/results', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
         }
         
         const { id } = request.params;
@@ -870,7 +3617,7 @@ router.get('/api/batches/:id/results', async (request, env) => {
             return jsonResponse({ error: 'Batch not found' }, 404);
         }
         
-        if (auth.user.role !== 'admin' && batch.user_id !== auth.user.userId) {
+        if (!hasPermission(auth.user, 'batch.view_all') && batch.user_id !== auth.user.userId) {
             return jsonResponse({ error: 'Forbidden' }, 403);
         }
         
@@ -885,7 +3632,7 @@ router.get('/api/batches/:id/results', async (request, env) => {
         
         // Get clusters for this batch
         const { results: clusters } = await env.DB.prepare(`
-            SELECT dc.*, g.grievance_text as primary_text
+            SELECT dc.*, g.grievance_text as primary_text, g.reference_number as primary_reference_number
             FROM duplicate_clusters dc
             JOIN grievances g ON dc.primary_grievance_id = g.id
             WHERE dc.batch_id = ?
@@ -894,7 +3641,7 @@ router.get('/api/batches/:id/results', async (request, env) => {
         // Get cluster members
         for (const cluster of clusters) {
             const { results: members } = await env.DB.prepare(`
-                SELECT cm.*, g.grievance_text, g.source_pdf_name, g.page_number
+                SELECT cm.*, g.grievance_text, g.source_pdf_name, g.page_number, g.reference_number
                 FROM cluster_members cm
                 JOIN grievances g ON cm.grievance_id = g.id
                 WHERE cm.cluster_id = ?
@@ -902,6 +3649,20 @@ router.get('/api/batches/:id/results', async (request, env) => {
             cluster.members = members;
         }
         
+        // Score breakdown: MinHash matches skipped embedding, so only the Jaccard estimate applies
+        for (const g of grievances) {
+            g.scoreBreakdown = g.match_method === 'minhash'
+                ? { method: 'minhash', minhashJaccard: g.minhash_jaccard, final: g.similarity_score }
+                : {
+                    method: 'embedding',
+                    cosine: g.cosine_score,
+                    jaccard: g.jaccard_score,
+                    bm25: g.bm25_score,
+                    ngram: g.ngram_score,
+                    final: g.similarity_score
+                };
+        }
+        
         return jsonResponse({
             batchId: batch.id,
             status: batch.batch_status,
@@ -909,7 +3670,8 @@ router.get('/api/batches/:id/results', async (request, env) => {
                 total: batch.total_grievances,
                 unique: batch.unique_count,
                 duplicate: batch.duplicate_count,
-                nearDuplicate: batch.near_duplicate_count
+                nearDuplicate: batch.near_duplicate_count,
+                nearVerbatim: grievances.filter(g => g.match_method === 'minhash').length
             },
             grievances,
             clusters
@@ -926,9 +3688,9 @@ router.get('/api/batches/:id/results', async (request, env) => {
  */
 router.get('/api/batches', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env);
+        if (auth.response) {
+            return auth.response;
         }
         
         const url = new URL(request.url);
@@ -943,7 +3705,7 @@ router.get('/api/batches', async (request, env) => {
         
         const params = [];
         
-        if (auth.user.role !== 'admin') {
+        if (!hasPermission(auth.user, 'batch.view_all')) {
             query += ' WHERE pb.user_id = ?';
             params.push(auth.user.userId);
         }
@@ -970,13 +3732,9 @@ router.get('/api/batches', async (request, env) => {
  */
 router.post('/api/feedback', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
-        }
-        
-        if (auth.user.role !== 'admin') {
-            return jsonResponse({ error: 'Admin access required' }, 403);
+        const auth = await authorize(request, env, 'grievance.feedback');
+        if (auth.response) {
+            return auth.response;
         }
         
         const feedback = await request.json();
@@ -989,8 +3747,12 @@ router.post('/api/feedback', async (request, env) => {
         await logFeedback(feedback, auth.user.userId, env);
         
         // Update thresholds based on feedback
+        const previousThresholds = await getAdaptiveThresholds(env);
         const updatedThresholds = await updateThresholdsFromFeedback(feedback, env);
         
+        const adjustedType = Object.keys(updatedThresholds)
+            .find(type => updatedThresholds[type] !== previousThresholds[type]);
+        
         // Update the grievance status
         await env.DB.prepare(`
             UPDATE grievances 
@@ -998,10 +3760,44 @@ router.post('/api/feedback', async (request, env) => {
             WHERE id = ?
         `).bind(feedback.correctedStatus, feedback.grievanceId).run();
         
+        // A grievance that is no longer a duplicate leaves its master; a new duplicate joins it
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, category, area, resolution_status, merged_into_id, matched_grievance_id
+            FROM grievances WHERE id = ?
+        `).bind(feedback.grievanceId).first();
+        
+        let merge = null;
+        let unmerge = null;
+        if (grievance?.merged_into_id && feedback.correctedStatus !== 'DUPLICATE') {
+            unmerge = await unmergeGrievance(
+                grievance,
+                auth.user.userId,
+                `Reclassified as ${feedback.correctedStatus}`,
+                env
+            );
+        } else if (grievance && !grievance.merged_into_id && feedback.correctedStatus === 'DUPLICATE'
+            && grievance.matched_grievance_id) {
+            merge = await autoMergeDuplicate(grievance, grievance.matched_grievance_id, env);
+        }
+
+        if (feedback.correctedStatus !== feedback.originalStatus) {
+            await notifyGrievanceOwner(env, feedback.grievanceId, 'GRIEVANCE_RECLASSIFIED', {
+                fromStatus: feedback.originalStatus,
+                status: feedback.correctedStatus
+            }, auth.user.userId);
+        }
+        
         return jsonResponse({
             success: true,
             message: 'Feedback recorded and thresholds updated',
-            thresholds: updatedThresholds
+            thresholds: updatedThresholds,
+            mergedIntoId: merge?.masterId || null,
+            unmergedFromId: unmerge?.masterId || null,
+            adjustment: adjustedType ? {
+                threshold: adjustedType,
+                from: previousThresholds[adjustedType],
+                to: updatedThresholds[adjustedType]
+            } : null
         });
         
     } catch (error) {
@@ -1015,9 +3811,9 @@ router.post('/api/feedback', async (request, env) => {
  */
 router.get('/api/thresholds', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
+        const auth = await authorize(request, env, 'thresholds.view');
+        if (auth.response) {
+            return auth.response;
         }
         
         const thresholds = await getAdaptiveThresholds(env);
@@ -1040,13 +3836,9 @@ router.get('/api/thresholds', async (request, env) => {
  */
 router.get('/api/clusters', async (request, env) => {
     try {
-        const auth = await authenticateRequest(request, env);
-        if (!auth.valid) {
-            return jsonResponse({ error: 'Unauthorized' }, 401);
-        }
-        
-        if (auth.user.role !== 'admin') {
-            return jsonResponse({ error: 'Admin access required' }, 403);
+        const auth = await authorize(request, env, 'clusters.view');
+        if (auth.response) {
+            return auth.response;
         }
         
         const url = new URL(request.url);
@@ -1113,65 +3905,36 @@ async function processGrievance(userId, grievanceText, type, pdfId, env, metadat
     // Preprocess
     const processedText = preprocessText(grievanceText);
     
-    // Generate embedding
-    const embedding = await generateEmbedding(processedText);
-    
-    // Get existing grievances - FILTER BY CATEGORY AND AREA for better matching
-    let query = `
-        SELECT g.id, g.grievance_text as text, g.category, g.area, e.embedding_vector as embedding 
-        FROM grievances g
-        JOIN embeddings e ON g.id = e.grievance_id
-        WHERE g.processed = 1
-    `;
-    const params = [];
-    
-    // If we have category, prioritize same category matches
-    if (category && category !== 'OTHER') {
-        query += ' AND g.category = ?';
-        params.push(category);
-    }
-    
-    // If we have area, prioritize same area matches
-    if (area) {
-        query += ' AND g.area = ?';
-        params.push(area);
-    }
-    
-    const stmt = params.length > 0 
-        ? env.DB.prepare(query).bind(...params)
-        : env.DB.prepare(query);
-    
-    const { results: existingGrievances } = await stmt.all();
+    // Generate embedding (re-submitted text comes from the cache)
+    const { embeddings: [embedding], model: embeddingModel } = await embedWithCache([processedText], env, async ([text]) => {
+        const result = await generateEmbedding(text, env);
+        return { embeddings: [result.embedding], model: result.model };
+    });
     
-    // Parse embeddings and prepare data for enhanced similarity
-    const parsed = existingGrievances.map(g => ({
-        id: g.id,
-        text: g.text,
-        category: g.category,
-        area: g.area,
-        embedding: JSON.parse(g.embedding)
-    }));
+    // Nearest existing grievances of the same model (vectors from other models are not
+    // comparable) - FILTERED BY CATEGORY AND AREA for better matching. The ANN index
+    // returns the top candidates by cosine; the scoring engine shared with batches re-scores them.
+    const parsed = await createAnnSearcher(embeddingModel, env).search(embedding, {
+        category: category !== 'OTHER' ? category : null,
+        area
+    });
     
     let matchedId = null;
     let score = 0;
     let status = 'UNIQUE';
-    let cosineSim = 0;
-    let jaccardSim = 0;
-    let ngramSim = 0;
+    let breakdown = {};
     let topMatches = [];
     
-    // Use enhanced similarity detection if there are existing grievances with same category/area
+    // Score the candidates exactly as a batch would (adaptive weights and thresholds)
     if (parsed.length > 0) {
-        const result = findMostSimilarEnhanced(embedding, processedText, parsed);
-        matchedId = result.matchedId;
-        score = result.score;
-        status = result.status;
-        cosineSim = result.cosineSim;
-        jaccardSim = result.jaccardSim;
-        ngramSim = result.ngramSim;
-        topMatches = result.topMatches;
-        
-        console.log(`📍 Metadata filter: category=${category}, area=${area} -> Found ${parsed.length} matching grievances`);
+        const scoring = createScoringEngine(await getAdaptiveThresholds(env), env);
+        topMatches = await scoring.rank({ embedding, processedText, category, area }, parsed, 5);
+        matchedId = topMatches[0].id;
+        score = topMatches[0].combinedScore;
+        status = topMatches[0].status;
+        breakdown = topMatches[0].breakdown;
+        
+        console.log(`📍 Metadata filter: category=${category}, area=${area} -> ${parsed.length} nearest candidates`);
         console.log(`📊 Best match: score=${score.toFixed(3)}, status=${status}`);
     } else {
         console.log(`📍 No existing grievances match category=${category}, area=${area} -> Marked as UNIQUE`);
@@ -1182,8 +3945,9 @@ async function processGrievance(userId, grievanceText, type, pdfId, env, metadat
         INSERT INTO grievances 
         (user_id, grievance_text, original_text, submission_type, pdf_upload_id,
          category, area, location_details,
-         duplicate_status, similarity_score, matched_grievance_id, processed) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+         duplicate_status, similarity_score, matched_grievance_id,
+         cosine_score, jaccard_score, ngram_score, contextual_score, bm25_score, match_method, processed) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'embedding', 1)
     `).bind(
         userId,
         processedText,
@@ -1195,16 +3959,34 @@ async function processGrievance(userId, grievanceText, type, pdfId, env, metadat
         locationDetails,
         status,
         score,
-        matchedId
+        matchedId,
+        breakdown.cosine || 0,
+        breakdown.jaccard || 0,
+        breakdown.ngram || 0,
+        breakdown.metadata || 0,
+        breakdown.bm25 || 0
     ).run();
     
     const grievanceId = grievanceResult.meta.last_row_id;
+    const referenceNumber = await assignReferenceNumber({ id: grievanceId, category, area }, env);
+    
+    // Signature for the batch MinHash prefilter; term document frequencies for IDF weighting
+    await storeMinHash(grievanceId, computeMinHash(processedText), env);
+    await recordDocumentTerms({ id: grievanceId, grievance_text: processedText, area }, env);
     
-    // Save embedding
+    // Save embedding with the model that actually produced it
+    const encoding = getVectorEncoding(env);
     await env.DB.prepare(`
-        INSERT INTO embeddings (grievance_id, embedding_vector, vector_dimension, model_name) 
-        VALUES (?, ?, 384, 'paraphrase-MiniLM-L6-v2')
-    `).bind(grievanceId, JSON.stringify(embedding)).run();
+        INSERT INTO embeddings (grievance_id, embedding_vector, vector_encoding, vector_dimension, model_name, ann_list) 
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+        grievanceId,
+        encodeVector(embedding, encoding),
+        encoding,
+        embedding.length,
+        embeddingModel,
+        await assignAnnList(embedding, embeddingModel, env)
+    ).run();
     
     // Log similarity with detailed metrics if matched
     if (matchedId && score > 0) {
@@ -1218,14 +4000,37 @@ async function processGrievance(userId, grievanceText, type, pdfId, env, metadat
         console.log('Top similar grievances:', JSON.stringify(topMatches.slice(0, 3)));
     }
     
+    // Duplicates join the matched grievance as supporters; everything else is routed
+    const merge = status === 'DUPLICATE' && matchedId
+        ? await autoMergeDuplicate({ id: grievanceId, resolution_status: 'OPEN' }, matchedId, env)
+        : null;
+    const assignment = merge ? null : await routeGrievance({ id: grievanceId, category, area }, env);
+    const sla = await applySlaPolicy(grievanceId, category, env);
+
+    if (status === 'DUPLICATE' || status === 'NEAR_DUPLICATE') {
+        const matched = await env.DB.prepare(
+            'SELECT reference_number FROM grievances WHERE id = ?'
+        ).bind(matchedId).first();
+
+        await notifyGrievanceOwner(env, grievanceId, 'GRIEVANCE_DUPLICATE', {
+            duplicateStatus: status,
+            matchedReference: matched?.reference_number || `#${matchedId}`
+        });
+    }
+    
     return {
         id: grievanceId,
+        referenceNumber,
         status,
         similarityScore: score,
-        cosineSimilarity: cosineSim,
-        jaccardSimilarity: jaccardSim,
-        ngramSimilarity: ngramSim,
+        cosineSimilarity: breakdown.cosine || 0,
+        jaccardSimilarity: breakdown.jaccard || 0,
+        ngramSimilarity: breakdown.ngram || 0,
         matchedGrievanceId: matchedId,
+        assignment,
+        mergedIntoId: merge?.masterId || null,
+        ackDueAt: sla?.ackDueAt || null,
+        dueAt: sla?.dueAt || null,
         topMatches: topMatches.slice(0, 3).map(m => ({
             id: m.id,
             score: m.combinedScore,
@@ -1236,9 +4041,16 @@ async function processGrievance(userId, grievanceText, type, pdfId, env, metadat
 }
 
 /**
- * Authenticate request using JWT
+ * Authenticate request using JWT or an X-API-Key header
+ * The token's session (`sid`) must not have been revoked. The role is
+ * taken from the database and officers get their department/area scope.
  */
 async function authenticateRequest(request, env) {
+    const apiKey = request.headers.get('X-API-Key');
+    if (apiKey) {
+        return await authenticateApiKey(request, apiKey, env);
+    }
+    
     const authHeader = request.headers.get('Authorization');
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -1249,12 +4061,377 @@ async function authenticateRequest(request, env) {
     
     try {
         const payload = await verifyJWT(token, env.JWT_SECRET);
-        return { valid: true, user: payload };
+        
+        const sessionUser = payload.sid ? await getSessionUser(payload.sid, env) : null;
+        if (!sessionUser) {
+            return { valid: false };
+        }
+        
+        const user = {
+            ...payload,
+            role: normalizeRole(sessionUser.role)
+        };
+        user.scope = await loadUserScope(user, env);
+        
+        return { valid: true, user };
+    } catch (error) {
+        return { valid: false };
+    }
+}
+
+/**
+ * Authenticate a machine client by API key
+ * The key acts as its owner, limited to the routes its scopes cover.
+ * A key without the needed scope gets {valid: false, status: 403}.
+ */
+async function authenticateApiKey(request, rawKey, env) {
+    try {
+        const key = await findActiveApiKey(rawKey, env);
+        if (!key) {
+            return { valid: false };
+        }
+        
+        const scope = getRequiredScope(request.method, new URL(request.url).pathname);
+        if (!scope) {
+            return { valid: false, status: 403, error: 'This endpoint does not accept API keys' };
+        }
+        
+        if (!key.scopes.includes(scope)) {
+            return { valid: false, status: 403, error: `API key lacks scope '${scope}'` };
+        }
+        
+        await recordApiKeyUsage(key.id, getClientInfo(request).ipAddress, env);
+        
+        const user = {
+            userId: key.user_id,
+            email: key.user_email,
+            role: normalizeRole(key.user_role),
+            apiKeyId: key.id
+        };
+        user.scope = await loadUserScope(user, env);
+        
+        return { valid: true, user };
     } catch (error) {
         return { valid: false };
     }
 }
 
+/**
+ * Route guard: authenticate and require a permission
+ * Usage: const auth = await authorize(request, env, 'sla.manage');
+ *        if (auth.response) return auth.response;
+ *
+ * @returns {Promise<Object>} - {valid, user} or {response} to return as-is
+ */
+async function authorize(request, env, permission) {
+    const auth = await authenticateRequest(request, env);
+    
+    if (!auth.valid) {
+        return { response: jsonResponse({ error: auth.error || 'Unauthorized' }, auth.status || 401) };
+    }
+    
+    if (permission && !hasPermission(auth.user, permission)) {
+        return { response: jsonResponse({ error: `Permission '${permission}' required` }, 403) };
+    }
+    
+    return auth;
+}
+
+/**
+ * Check whether the authenticated user may see / act on a grievance
+ * Super admins see everything, citizens their own, officers what is
+ * assigned to them or falls in their department/area scope
+ * (grievance needs user_id, assigned_officer_id, department_id, area)
+ */
+function canAccessGrievance(user, grievance) {
+    return hasPermission(user, 'grievance.view_all')
+        || grievance.user_id === user.userId
+        || (grievance.assigned_officer_id != null && grievance.assigned_officer_id === user.userId)
+        || (hasPermission(user, 'grievance.view_scoped') && isWithinScope(user.scope, grievance));
+}
+
+/**
+ * Describe the caller's relation to a grievance for the workflow rules
+ */
+function buildActor(user, grievance) {
+    return {
+        role: user.role,
+        isOwner: grievance.user_id === user.userId,
+        isAssignee: grievance.assigned_officer_id === user.userId,
+        inScope: isWithinScope(user.scope, grievance)
+    };
+}
+
+/**
+ * 429 for a login attempt blocked by the throttle
+ */
+function throttledLoginResponse(throttle) {
+    const messages = {
+        ACCOUNT_LOCKED: 'Too many failed logins - this account is temporarily locked',
+        IP_LOCKED: 'Too many failed logins from this network - try again later',
+        TOO_MANY_ATTEMPTS: 'Too many failed logins - please wait before trying again'
+    };
+    
+    const response = jsonResponse({
+        error: `${messages[throttle.reason]} (${throttle.retryAfter}s)`,
+        code: throttle.reason,
+        retryAfter: throttle.retryAfter
+    }, 429);
+    response.headers.set('Retry-After', String(throttle.retryAfter));
+    
+    return response;
+}
+
+/**
+ * Apply the route's rate limit to an authenticated caller
+ * @returns {Promise<Response|null>} - 429 response, or null if the request may proceed
+ */
+async function enforceRateLimit(route, user, request, env) {
+    const result = await consumeRateLimit(getCounterStore(env), route, {
+        userId: user.userId,
+        ip: getClientInfo(request).ipAddress
+    }, env);
+    
+    if (result.allowed) {
+        return null;
+    }
+    
+    const response = jsonResponse({
+        error: `Too many requests${result.limitedBy === 'ip' ? ' from this network' : ''} - try again in ${result.retryAfter}s`,
+        code: 'RATE_LIMITED',
+        retryAfter: result.retryAfter
+    }, 429);
+    response.headers.set('Retry-After', String(result.retryAfter));
+    
+    return response;
+}
+
+/**
+ * Count a failed login, audit any lockout it triggers and build the response
+ * Unknown emails are counted too so lockouts do not reveal which accounts exist.
+ */
+async function rejectLogin(counters, email, ipAddress, env, error = 'Invalid credentials') {
+    const failure = await recordLoginFailure(counters, email, ipAddress);
+    
+    if (failure.accountLocked) {
+        const user = await env.DB.prepare('SELECT id FROM users WHERE email = ?').bind(email).first();
+        
+        await logAudit(env, {
+            action: 'ACCOUNT_LOCKED',
+            entityType: 'user',
+            entityId: user?.id,
+            details: { email, failures: failure.failures, lockedUntil: new Date(failure.lockedUntil).toISOString() },
+            ipAddress
+        });
+    }
+    
+    if (failure.ipLocked) {
+        await logAudit(env, {
+            action: 'IP_LOCKED',
+            entityType: 'ip',
+            details: { ip: ipAddress, lockedUntil: new Date(failure.lockedUntil).toISOString() },
+            ipAddress
+        });
+    }
+    
+    if (failure.accountLocked || failure.ipLocked) {
+        return throttledLoginResponse({
+            reason: failure.accountLocked ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+            retryAfter: Math.ceil((failure.lockedUntil - Date.now()) / 1000)
+        });
+    }
+    
+    return jsonResponse({ error }, 401);
+}
+
+/**
+ * Second login step: exchange the challenge and a TOTP / recovery code for a session
+ * Wrong codes count as failed logins, so the lockout also caps code guessing.
+ */
+async function completeTwoFactorLogin(request, env, { challengeToken, code, recoveryCode }) {
+    const userId = await verifyLoginChallenge(challengeToken, 'LOGIN', env);
+    if (!userId) {
+        return jsonResponse({ error: 'Login expired - please sign in again' }, 401);
+    }
+    
+    const user = await env.DB.prepare(
+        'SELECT * FROM users WHERE id = ? AND is_active = 1'
+    ).bind(userId).first();
+    
+    if (!user || !user.totp_enabled) {
+        return jsonResponse({ error: 'Login expired - please sign in again' }, 401);
+    }
+    
+    if (!code && !recoveryCode) {
+        return jsonResponse({ error: 'Authentication code required' }, 400);
+    }
+    
+    const counters = getCounterStore(env);
+    const { ipAddress } = getClientInfo(request);
+    
+    const throttle = await checkLoginAllowed(counters, user.email, ipAddress);
+    if (!throttle.allowed) {
+        return throttledLoginResponse(throttle);
+    }
+    
+    const factor = await verifySecondFactor(user, { code, recoveryCode }, env);
+    
+    if (!factor.valid) {
+        await logAudit(env, {
+            action: 'TWO_FACTOR_FAILED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { method: recoveryCode ? 'recovery_code' : 'totp' },
+            ipAddress
+        });
+        return await rejectLogin(counters, user.email, ipAddress, env, 'Invalid authentication code');
+    }
+    
+    if (factor.method === 'recovery_code') {
+        await logAudit(env, {
+            userId: user.id,
+            action: 'RECOVERY_CODE_USED',
+            entityType: 'user',
+            entityId: user.id,
+            details: { remaining: factor.remainingRecoveryCodes },
+            ipAddress
+        });
+    }
+    
+    await recordLoginSuccess(counters, user.email);
+    
+    return await startLoginSession(user, request, env, {
+        twoFactorMethod: factor.method,
+        ...(factor.method === 'recovery_code' && { remainingRecoveryCodes: factor.remainingRecoveryCodes })
+    });
+}
+
+/**
+ * Final login step: record the login, start a session and send it with the user
+ */
+async function startLoginSession(user, request, env, extra = {}) {
+    // Update last login
+    await env.DB.prepare(
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(user.id).run();
+    
+    // Start session (access + refresh token)
+    const session = await createSession(user, env, getClientInfo(request));
+    
+    return jsonResponse({
+        success: true,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.full_name,
+            role: normalizeRole(user.role),
+            permissions: getRolePermissions(user.role),
+            emailVerified: Boolean(user.email_verified),
+            twoFactorEnabled: Boolean(user.totp_enabled)
+        },
+        ...extra
+    });
+}
+
+/**
+ * Resolve who is managing their 2FA: a signed-in user, or an admin in the
+ * middle of a login who must enroll first (setupToken from POST /api/auth/login)
+ * @returns {Promise<Object>} - {user, viaSetupToken} or {response}
+ */
+async function resolveTwoFactorUser(request, env, setupToken) {
+    let userId;
+    
+    if (setupToken) {
+        userId = await verifyLoginChallenge(setupToken, 'SETUP', env);
+        if (!userId) {
+            return { response: jsonResponse({ error: 'Setup expired - please sign in again' }, 401) };
+        }
+    } else {
+        const auth = await authenticateRequest(request, env);
+        if (!auth.valid) {
+            return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+        }
+        userId = auth.user.userId;
+    }
+    
+    const user = await env.DB.prepare(
+        'SELECT * FROM users WHERE id = ? AND is_active = 1'
+    ).bind(userId).first();
+    
+    if (!user) {
+        return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+    }
+    
+    return { user, viaSetupToken: Boolean(setupToken) };
+}
+
+/**
+ * Whether a user has confirmed their email (required to submit grievances)
+ */
+async function isEmailVerified(userId, env) {
+    const user = await env.DB.prepare(
+        'SELECT email_verified FROM users WHERE id = ?'
+    ).bind(userId).first();
+    
+    return Boolean(user && user.email_verified);
+}
+
+/**
+ * Issue a verification token and email the link. Never throws.
+ * @returns {Promise<boolean>} - True if the email was sent
+ */
+async function sendVerificationEmail(user, env) {
+    try {
+        const token = await createAuthToken(user.id, 'EMAIL_VERIFICATION', env);
+        
+        return await sendAccountEmail(env, {
+            to: user.email,
+            type: 'EMAIL_VERIFICATION',
+            data: {
+                name: user.full_name,
+                link: buildAppLink(env, '/verify-email', token),
+                hours: AUTH_TOKEN_TTL_MINUTES.EMAIL_VERIFICATION / 60
+            }
+        });
+    } catch (error) {
+        console.warn(`Failed to send verification email to ${user.email}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Link into the frontend carrying a one-time token
+ */
+function buildAppLink(env, path, token) {
+    const base = (env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${path}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Audit details are stored as JSON text; older entries may be plain text
+ */
+function parseAuditDetails(details) {
+    if (!details) return null;
+    try {
+        return JSON.parse(details);
+    } catch (error) {
+        return details;
+    }
+}
+
+/**
+ * Client details recorded with sessions and audit entries
+ */
+function getClientInfo(request) {
+    return {
+        userAgent: request.headers.get('User-Agent'),
+        ipAddress: request.headers.get('CF-Connecting-IP')
+    };
+}
+
 /**
  * JSON response helper
  */
@@ -1276,12 +4453,90 @@ router.all('*', () => {
 
 export default {
     async fetch(request, env, ctx) {
-        return router.handle(request, env, ctx).catch(error => {
+        // Logins, submissions, deletions and threshold changes are audited after the fact
+        const audit = beginAudit(request);
+        
+        const response = await router.handle(request, env, ctx).catch(error => {
             console.error('Worker error:', error);
             return jsonResponse({ 
                 error: 'Internal server error',
                 message: error.message 
             }, 500);
         });
+        
+        if (audit) {
+            ctx.waitUntil(finishAudit(audit, response.clone(), env));
+        }
+        
+        // Email / SMS queued by this request are sent after it has responded
+        if (request.method !== 'GET' && request.method !== 'OPTIONS') {
+            ctx.waitUntil(
+                deliverPendingNotifications(env)
+                    .catch(error => console.error('Notification delivery error:', error))
+            );
+        }
+        
+        return response;
+    },
+
+    /**
+     * Cron trigger - SLA escalation, reference number / MinHash / term frequency backfill, notification retries and re-embedding
+     * event.scheduledTime is used as the clock so runs can be replayed with a fake time
+     */
+    async scheduled(event, env, ctx) {
+        const now = new Date(event.scheduledTime || Date.now());
+
+        ctx.waitUntil(
+            runSlaEscalation(env, now)
+                .then(summary => console.log(`⏰ SLA check at ${summary.checkedAt}: ${summary.escalated.length} escalated`))
+                .catch(error => console.error('SLA escalation error:', error))
+        );
+
+        ctx.waitUntil(
+            backfillReferenceNumbers(env)
+                .catch(error => console.error('Reference number backfill error:', error))
+        );
+
+        ctx.waitUntil(
+            backfillMinHashSignatures(env)
+                .catch(error => console.error('MinHash backfill error:', error))
+        );
+
+        ctx.waitUntil(
+            backfillDocumentTerms(env)
+                .catch(error => console.error('Term frequency backfill error:', error))
+        );
+
+        ctx.waitUntil(
+            processOutbox(env, 50, now.getTime())
+                .then(result => result.attempted && console.log(`🔔 Outbox retry: ${result.delivered}/${result.attempted} delivered`))
+                .catch(error => console.error('Notification outbox error:', error))
+        );
+
+        ctx.waitUntil(
+            purgeExpiredSessions(env)
+                .catch(error => console.error('Session purge error:', error))
+        );
+
+        ctx.waitUntil(
+            getCounterStore(env).purge(now.getTime() - 24 * 60 * 60 * 1000)
+                .catch(error => console.error('Attempt counter purge error:', error))
+        );
+
+        ctx.waitUntil(
+            purgeEmbeddingCache(env)
+                .catch(error => console.error('Embedding cache purge error:', error))
+        );
+
+        ctx.waitUntil(
+            runReembeddingJobs(env, now.getTime())
+                .catch(error => console.error('Re-embedding error:', error))
+        );
+
+        ctx.waitUntil(
+            convertLegacyVectors(env)
+                .then(() => maintainAnnIndex(env))
+                .catch(error => console.error('Vector maintenance error:', error))
+        );
     }
 };
\ No newline at end of file
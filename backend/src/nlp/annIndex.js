@@ -0,0 +1,428 @@
+// Approximate Nearest Neighbour Index Module
+// File: src/nlp/annIndex.js
+
+import { cosineSimilarity } from './embedding.js';
+import { getEmbeddingProvider } from './embeddingProvider.js';
+import { encodeVector, decodeVector } from './vectorCodec.js';
+
+/**
+ * IVF (inverted file) index per embedding model.
+ * Stored vectors are partitioned around k-means centroids; each embeddings
+ * row records its partition in ann_list. A search ranks the centroids
+ * against the query and only scores the rows of the nprobe closest lists,
+ * returning the top-K by cosine for the contextual re-scoring.
+ *
+ * Centroids live in ann_indexes (one BLOB per model). New vectors are
+ * assigned to a list on insert; the cron trigger trains the index once a
+ * model has ANN_MIN_VECTORS vectors, retrains when the corpus has doubled
+ * and assigns rows left without a list. Rows without a list are always
+ * scored, so search stays exact for them while the backfill catches up.
+ *
+ * Below ANN_MIN_VECTORS there is no index and search is brute force.
+ * Recall against brute force: scripts/annRecall.js
+ */
+export const ANN_MIN_VECTORS = 2000;
+
+/**
+ * Candidates handed to contextual re-scoring
+ */
+export const ANN_TOP_K = 50;
+
+/**
+ * Vectors k-means is trained on (keeps training within a cron run's CPU budget)
+ */
+export const ANN_TRAINING_SAMPLE = 2500;
+
+const MIN_LISTS = 16;
+const MAX_LISTS = 256;          // keeps the centroid BLOB under D1's row size limit
+const TRAINING_ITERATIONS = 8;
+const RETRAIN_GROWTH = 2;       // retrain when the corpus has grown this much since training
+const ASSIGN_BATCH_SIZE = 2000; // rows given a list per scheduled run
+
+/**
+ * Lists probed per query: ~10% of lists, at least 8
+ * Override with ANN_NPROBE.
+ */
+export function getProbeCount(listCount, env = {}) {
+    const configured = parseInt(env.ANN_NPROBE);
+    const nprobe = configured > 0 ? configured : Math.max(8, Math.ceil(listCount * 0.1));
+    return Math.min(nprobe, listCount);
+}
+
+/**
+ * Number of lists for a corpus size (≈ √n)
+ */
+export function getListCount(vectorCount) {
+    return Math.min(MAX_LISTS, Math.max(MIN_LISTS, Math.round(Math.sqrt(vectorCount))));
+}
+
+function normalize(vector) {
+    let magnitude = 0;
+    for (let i = 0; i < vector.length; i++) {
+        magnitude += vector[i] * vector[i];
+    }
+    magnitude = Math.sqrt(magnitude) || 1;
+
+    const unit = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        unit[i] = vector[i] / magnitude;
+    }
+    return unit;
+}
+
+function dot(a, b, offset) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[offset + i];
+    }
+    return sum;
+}
+
+/**
+ * Spherical k-means (cosine) over a sample of vectors
+ * @param {Float32Array[]} vectors - Training vectors
+ * @param {number} listCount - Number of centroids
+ * @param {Object} options - {iterations, random}
+ * @returns {Float32Array} - Unit centroids, row-major (listCount × dimensions)
+ */
+export function trainCentroids(vectors, listCount, { iterations = TRAINING_ITERATIONS, random = Math.random } = {}) {
+    const dimensions = vectors[0].length;
+    const units = vectors.map(normalize);
+    const k = Math.min(listCount, units.length);
+    const centroids = new Float32Array(k * dimensions);
+
+    // Initialise with distinct random samples
+    const picked = new Set();
+    while (picked.size < k) {
+        picked.add(Math.floor(random() * units.length));
+    }
+    [...picked].forEach((index, list) => centroids.set(units[index], list * dimensions));
+
+    const assignment = new Int32Array(units.length);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let moved = 0;
+        for (let i = 0; i < units.length; i++) {
+            const list = nearestLists(units[i], centroids, 1)[0];
+            if (list !== assignment[i]) moved++;
+            assignment[i] = list;
+        }
+
+        const sums = new Float32Array(k * dimensions);
+        const counts = new Int32Array(k);
+        for (let i = 0; i < units.length; i++) {
+            const offset = assignment[i] * dimensions;
+            counts[assignment[i]]++;
+            for (let d = 0; d < dimensions; d++) {
+                sums[offset + d] += units[i][d];
+            }
+        }
+
+        for (let list = 0; list < k; list++) {
+            // An empty list is re-seeded with a random vector
+            const centroid = counts[list] > 0
+                ? normalize(sums.subarray(list * dimensions, (list + 1) * dimensions))
+                : units[Math.floor(random() * units.length)];
+            centroids.set(centroid, list * dimensions);
+        }
+
+        if (iteration > 0 && moved === 0) break;
+    }
+
+    return centroids;
+}
+
+/**
+ * Closest lists to a vector, best first
+ * @param {Float32Array|number[]} vector - Query vector
+ * @param {Float32Array} centroids - Row-major unit centroids
+ * @param {number} count - Lists to return
+ * @returns {number[]} - List ids
+ */
+export function nearestLists(vector, centroids, count) {
+    const dimensions = vector.length;
+    const listCount = centroids.length / dimensions;
+    const scores = new Float32Array(listCount);
+
+    for (let list = 0; list < listCount; list++) {
+        scores[list] = dot(vector, centroids, list * dimensions);
+    }
+
+    if (count === 1) {
+        let best = 0;
+        for (let list = 1; list < listCount; list++) {
+            if (scores[list] > scores[best]) best = list;
+        }
+        return [best];
+    }
+
+    return Array.from({ length: listCount }, (_, list) => list)
+        .sort((a, b) => scores[b] - scores[a])
+        .slice(0, count);
+}
+
+/**
+ * Top-K candidates by cosine similarity
+ * @param {Float32Array} vector - Query vector
+ * @param {Array} candidates - [{embedding, ...}]
+ * @param {number} topK - Candidates to keep
+ * @returns {Array} - Candidates with `cosine`, best first
+ */
+export function rankCandidates(vector, candidates, topK) {
+    return candidates
+        .map(candidate => ({ ...candidate, cosine: cosineSimilarity(vector, candidate.embedding) }))
+        .sort((a, b) => b.cosine - a.cosine)
+        .slice(0, topK);
+}
+
+/**
+ * Parsed indexes, per isolate, keyed by model; reloaded when the version changes
+ */
+const indexCache = new Map();
+
+/**
+ * Load a model's index
+ * @param {string} model - Embedding model name
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - {model, version, dimensions, listCount, trainedVectors, centroids} or null
+ */
+export async function loadAnnIndex(model, env) {
+    const current = await env.DB.prepare(
+        'SELECT version FROM ann_indexes WHERE model_name = ?'
+    ).bind(model).first();
+
+    if (!current) {
+        indexCache.delete(model);
+        return null;
+    }
+
+    const cached = indexCache.get(model);
+    if (cached && cached.version === current.version) {
+        return cached;
+    }
+
+    const row = await env.DB.prepare('SELECT * FROM ann_indexes WHERE model_name = ?').bind(model).first();
+    const index = {
+        model,
+        version: row.version,
+        dimensions: row.dimensions,
+        listCount: row.list_count,
+        trainedVectors: row.trained_vectors,
+        centroids: decodeVector(row.centroids, 'f32')
+    };
+
+    indexCache.set(model, index);
+    return index;
+}
+
+/**
+ * List for a vector about to be stored
+ * @returns {Promise<number|null>} - List id, or null while the model has no index
+ */
+export async function assignAnnList(vector, model, env) {
+    const index = await loadAnnIndex(model, env);
+    if (!index || index.dimensions !== vector.length) {
+        return null;
+    }
+
+    return nearestLists(vector, index.centroids, 1)[0];
+}
+
+/**
+ * Candidate search over stored vectors of one model
+ * The batch processor reuses one searcher for the whole batch, so each
+ * list (or, without an index, the whole corpus) is read at most once.
+ *
+ * @param {string} model - Embedding model of the query vectors
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - {search(vector, filters?, topK?) -> Promise<Array>}
+ */
+export function createAnnSearcher(model, env) {
+    const rowCache = new Map();
+    let indexPromise = null;
+
+    const columns = `
+        SELECT g.id, g.grievance_text as text, g.category, g.area,
+               e.embedding_vector, e.vector_encoding
+        FROM grievances g
+        JOIN embeddings e ON g.id = e.grievance_id
+        WHERE g.processed = 1 AND e.model_name = ?
+    `;
+
+    const toCandidate = (row) => ({
+        id: row.id,
+        text: row.text,
+        category: row.category,
+        area: row.area,
+        embedding: decodeVector(row.embedding_vector, row.vector_encoding)
+    });
+
+    async function query(condition, params) {
+        const { results } = await env.DB.prepare(`${columns} ${condition}`).bind(model, ...params).all();
+        return results.map(toCandidate);
+    }
+
+    // Unfiltered rows for a list key ('all', 'unassigned' or a list id), read once
+    async function cachedRows(key, condition, params) {
+        if (!rowCache.has(key)) {
+            rowCache.set(key, query(condition, params));
+        }
+        return rowCache.get(key);
+    }
+
+    return {
+        /**
+         * @param {Float32Array} vector - Query vector
+         * @param {Object} filters - {category, area} (exact match, optional)
+         * @param {number} topK - Candidates to return
+         * @returns {Promise<Array>} - [{id, text, category, area, embedding, cosine}], best first
+         */
+        async search(vector, filters = {}, topK = ANN_TOP_K) {
+            indexPromise = indexPromise || loadAnnIndex(model, env);
+            const index = await indexPromise;
+            const usable = index && index.dimensions === vector.length;
+            const lists = usable ? nearestLists(vector, index.centroids, getProbeCount(index.listCount, env)) : null;
+
+            if (filters.category || filters.area) {
+                let condition = '';
+                const params = [];
+
+                if (lists) {
+                    condition += ` AND (e.ann_list IN (${lists.map(() => '?').join(', ')}) OR e.ann_list IS NULL)`;
+                    params.push(...lists);
+                }
+                if (filters.category) {
+                    condition += ' AND g.category = ?';
+                    params.push(filters.category);
+                }
+                if (filters.area) {
+                    condition += ' AND g.area = ?';
+                    params.push(filters.area);
+                }
+
+                return rankCandidates(vector, await query(condition, params), topK);
+            }
+
+            const groups = lists
+                ? [
+                    cachedRows('unassigned', 'AND e.ann_list IS NULL', []),
+                    ...lists.map(list => cachedRows(list, 'AND e.ann_list = ?', [list]))
+                ]
+                : [cachedRows('all', '', [])];
+
+            return rankCandidates(vector, (await Promise.all(groups)).flat(), topK);
+        }
+    };
+}
+
+/**
+ * Train (or retrain) a model's index from a random sample of its vectors
+ * Every row is unassigned afterwards and picked up by the assignment backfill.
+ */
+async function trainAnnIndex(model, vectorCount, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT embedding_vector, vector_encoding FROM embeddings
+        WHERE model_name = ?
+        ORDER BY RANDOM()
+        LIMIT ?
+    `).bind(model, ANN_TRAINING_SAMPLE).all();
+
+    const sample = results.map(row => decodeVector(row.embedding_vector, row.vector_encoding));
+    const dimensions = sample[0].length;
+    const listCount = getListCount(vectorCount);
+    const centroids = trainCentroids(sample.filter(v => v.length === dimensions), listCount);
+
+    await env.DB.prepare(`
+        INSERT INTO ann_indexes (model_name, version, dimensions, list_count, centroids, trained_vectors)
+        VALUES (?, 1, ?, ?, ?, ?)
+        ON CONFLICT(model_name) DO UPDATE SET
+            version = version + 1,
+            dimensions = excluded.dimensions,
+            list_count = excluded.list_count,
+            centroids = excluded.centroids,
+            trained_vectors = excluded.trained_vectors,
+            trained_at = CURRENT_TIMESTAMP
+    `).bind(model, dimensions, centroids.length / dimensions, encodeVector(centroids, 'f32'), vectorCount).run();
+
+    await env.DB.prepare('UPDATE embeddings SET ann_list = NULL WHERE model_name = ?').bind(model).run();
+
+    console.log(`🗂️ ANN index for ${model}: ${centroids.length / dimensions} lists trained on ${sample.length} of ${vectorCount} vectors`);
+}
+
+/**
+ * Give unassigned rows of a model their list
+ * @returns {Promise<number>} - Rows assigned
+ */
+async function assignUnlisted(index, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT id, embedding_vector, vector_encoding FROM embeddings
+        WHERE model_name = ? AND ann_list IS NULL
+        LIMIT ?
+    `).bind(index.model, ASSIGN_BATCH_SIZE).all();
+
+    const updates = results
+        .map(row => ({ id: row.id, vector: decodeVector(row.embedding_vector, row.vector_encoding) }))
+        .filter(({ vector }) => vector.length === index.dimensions)
+        .map(({ id, vector }) => env.DB.prepare('UPDATE embeddings SET ann_list = ? WHERE id = ?')
+            .bind(nearestLists(vector, index.centroids, 1)[0], id));
+
+    for (let i = 0; i < updates.length; i += 100) {
+        await env.DB.batch(updates.slice(i, i + 100));
+    }
+
+    return updates.length;
+}
+
+/**
+ * Scheduled maintenance for the configured model's index
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {model, trained, assigned}
+ */
+export async function maintainAnnIndex(env) {
+    const model = getEmbeddingProvider(env).model;
+
+    const { count } = await env.DB.prepare(
+        'SELECT COUNT(*) as count FROM embeddings WHERE model_name = ?'
+    ).bind(model).first();
+
+    let index = await loadAnnIndex(model, env);
+    let trained = false;
+
+    if (count >= ANN_MIN_VECTORS && (!index || count >= index.trainedVectors * RETRAIN_GROWTH)) {
+        await trainAnnIndex(model, count, env);
+        index = await loadAnnIndex(model, env);
+        trained = true;
+    }
+
+    const assigned = index ? await assignUnlisted(index, env) : 0;
+    if (assigned > 0) {
+        console.log(`🗂️ ANN index for ${model}: assigned ${assigned} vectors to lists`);
+    }
+
+    return { model, trained, assigned };
+}
+
+/**
+ * Index state for a model
+ * @returns {Promise<Object|null>} - {version, lists, nprobe, trainedVectors, trainedAt, unassigned} or null
+ */
+export async function getAnnIndexStats(model, env) {
+    const row = await env.DB.prepare(`
+        SELECT version, list_count, trained_vectors, trained_at FROM ann_indexes WHERE model_name = ?
+    `).bind(model).first();
+
+    if (!row) return null;
+
+    const { count } = await env.DB.prepare(
+        'SELECT COUNT(*) as count FROM embeddings WHERE model_name = ? AND ann_list IS NULL'
+    ).bind(model).first();
+
+    return {
+        version: row.version,
+        lists: row.list_count,
+        nprobe: getProbeCount(row.list_count, env),
+        trainedVectors: row.trained_vectors,
+        trainedAt: row.trained_at,
+        unassigned: count
+    };
+}
@@ -7,7 +7,7 @@ import { cosineSimilarity } from './embedding.js';
  * DBSCAN (Density-Based Spatial Clustering of Applications with Noise)
  * Clusters grievances based on embedding similarity
  * 
- * @param {Array} grievances - Array of {id, embedding, processedText, ...}
+ * @param {Array} grievances - Array of {id, embedding (Float32Array), processedText, ...}
  * @param {number} eps - Maximum distance (1 - similarity) for neighbors
  * @param {number} minPts - Minimum points to form a cluster
  * @returns {Object} - {clusters: [[idx, idx, ...], ...], noise: [idx, ...]}
@@ -69,24 +69,21 @@ export function dbscanCluster(grievances, eps = 0.35, minPts = 2) {
 
 /**
  * Compute similarity matrix between all grievances
+ * Stored row-major in one Float32Array: matrix[i * n + j]
  */
 function computeSimilarityMatrix(grievances) {
     const n = grievances.length;
-    const matrix = [];
+    const matrix = new Float32Array(n * n);
     
     for (let i = 0; i < n; i++) {
-        matrix[i] = [];
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = 1.0; // Same item = perfect similarity
-            } else if (j < i) {
-                matrix[i][j] = matrix[j][i]; // Symmetric
-            } else {
-                matrix[i][j] = cosineSimilarity(
-                    grievances[i].embedding,
-                    grievances[j].embedding
-                );
-            }
+        matrix[i * n + i] = 1.0; // Same item = perfect similarity
+        for (let j = i + 1; j < n; j++) {
+            const similarity = cosineSimilarity(
+                grievances[i].embedding,
+                grievances[j].embedding
+            );
+            matrix[i * n + j] = similarity;
+            matrix[j * n + i] = similarity; // Symmetric
         }
     }
     
@@ -101,7 +98,7 @@ function regionQuery(matrix, p, eps, n) {
     
     for (let q = 0; q < n; q++) {
         // Convert similarity to distance: distance = 1 - similarity
-        const distance = 1 - matrix[p][q];
+        const distance = 1 - matrix[p * n + q];
         if (distance <= eps) {
             neighbors.push(q);
         }
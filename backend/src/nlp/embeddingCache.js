@@ -0,0 +1,209 @@
+// Embedding Cache Module
+// File: src/nlp/embeddingCache.js
+
+import { getEmbeddingProvider } from './embeddingProvider.js';
+import { getVectorEncoding, encodeVector, decodeVector } from './vectorCodec.js';
+
+/**
+ * Entries not used for this long are purged by the scheduled job
+ */
+export const EMBEDDING_CACHE_TTL_DAYS = 90;
+
+/**
+ * D1 allows at most 100 bound parameters per statement
+ */
+const LOOKUP_CHUNK_SIZE = 90;
+
+/**
+ * Metric names written to system_metrics (metric_value = count per call)
+ */
+export const CACHE_METRICS = {
+    HIT: 'embedding_cache_hit',
+    MISS: 'embedding_cache_miss'
+};
+
+/**
+ * SHA-256 hex of the preprocessed text
+ */
+export async function contentHash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fetch cached vectors for a model
+ * @param {string[]} hashes - Content hashes
+ * @param {string} model - Embedding model name
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Map>} - hash -> vector
+ */
+async function lookupEmbeddings(hashes, model, env) {
+    const found = new Map();
+
+    for (let i = 0; i < hashes.length; i += LOOKUP_CHUNK_SIZE) {
+        const chunk = hashes.slice(i, i + LOOKUP_CHUNK_SIZE);
+        const placeholders = chunk.map(() => '?').join(', ');
+
+        const { results } = await env.DB.prepare(`
+            SELECT content_hash, embedding_vector, vector_encoding FROM embedding_cache
+            WHERE model_name = ? AND content_hash IN (${placeholders})
+        `).bind(model, ...chunk).all();
+
+        for (const row of results) {
+            found.set(row.content_hash, decodeVector(row.embedding_vector, row.vector_encoding));
+        }
+
+        if (results.length > 0) {
+            await env.DB.prepare(`
+                UPDATE embedding_cache SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP
+                WHERE model_name = ? AND content_hash IN (${results.map(() => '?').join(', ')})
+            `).bind(model, ...results.map(row => row.content_hash)).run();
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Store freshly generated vectors
+ * @param {Array} entries - [{hash, embedding}]
+ * @param {string} model - Model that produced them
+ * @param {Object} env - Cloudflare Worker environment
+ */
+async function storeEmbeddings(entries, model, env) {
+    const encoding = getVectorEncoding(env);
+
+    for (const { hash, embedding } of entries) {
+        await env.DB.prepare(`
+            INSERT OR IGNORE INTO embedding_cache (content_hash, model_name, embedding_vector, vector_encoding, vector_dimension)
+            VALUES (?, ?, ?, ?, ?)
+        `).bind(hash, model, encodeVector(embedding, encoding), encoding, embedding.length).run();
+    }
+}
+
+/**
+ * Append hit/miss counts to system_metrics
+ */
+async function recordCacheMetrics(hits, misses, env) {
+    for (const [name, value] of [[CACHE_METRICS.HIT, hits], [CACHE_METRICS.MISS, misses]]) {
+        if (value > 0) {
+            await env.DB.prepare('INSERT INTO system_metrics (metric_name, metric_value) VALUES (?, ?)')
+                .bind(name, String(value)).run();
+        }
+    }
+}
+
+/**
+ * Embed texts, consulting the cache first
+ * Only texts missing from the cache (each distinct text once) reach `generate`.
+ * If `generate` falls back to a different model than the configured one,
+ * cached vectors are not mixed in - everything is generated with that model.
+ *
+ * @param {string[]} texts - Preprocessed texts
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Function} generate - async (texts) -> {embeddings, model}
+ * @returns {Promise<Object>} - {embeddings, model, hits, misses}
+ */
+export async function embedWithCache(texts, env, generate) {
+    const model = getEmbeddingProvider(env).model;
+    const hashes = await Promise.all(texts.map(contentHash));
+
+    let cached = new Map();
+    try {
+        cached = await lookupEmbeddings([...new Set(hashes)], model, env);
+    } catch (error) {
+        // A cache problem must never block a submission
+        console.warn('Embedding cache lookup failed:', error.message);
+    }
+
+    // Distinct texts still to embed
+    const missing = new Map();
+    hashes.forEach((hash, i) => {
+        if (!cached.has(hash) && !missing.has(hash)) {
+            missing.set(hash, texts[i]);
+        }
+    });
+
+    let generatedModel = model;
+    const vectors = new Map(cached);
+
+    if (missing.size > 0) {
+        const result = await generate([...missing.values()]);
+        generatedModel = result.model;
+
+        if (generatedModel !== model && cached.size > 0) {
+            const all = await generate(texts);
+            return { embeddings: all.embeddings, model: all.model, hits: 0, misses: texts.length };
+        }
+
+        const fresh = [...missing.keys()].map((hash, i) => ({ hash, embedding: result.embeddings[i] }));
+        fresh.forEach(({ hash, embedding }) => vectors.set(hash, embedding));
+
+        await storeEmbeddings(fresh, generatedModel, env)
+            .catch(error => console.warn('Embedding cache store failed:', error.message));
+    }
+
+    const misses = missing.size;
+    const hits = texts.length - misses;
+
+    if (hits > 0) {
+        console.log(`   ♻️ Embedding cache: ${hits} hit(s), ${misses} miss(es)`);
+    }
+
+    await recordCacheMetrics(hits, misses, env)
+        .catch(error => console.warn('Embedding cache metrics failed:', error.message));
+
+    return {
+        embeddings: hashes.map(hash => vectors.get(hash)),
+        model: generatedModel,
+        hits,
+        misses
+    };
+}
+
+/**
+ * Hit/miss totals and cache size
+ * @param {number} days - Window for the hit/miss totals
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {days, hits, misses, hitRate, entries, byModel}
+ */
+export async function getEmbeddingCacheStats(days, env) {
+    const [metrics, models] = await Promise.all([
+        env.DB.prepare(`
+            SELECT metric_name, SUM(CAST(metric_value AS INTEGER)) as total
+            FROM system_metrics
+            WHERE metric_name IN (?, ?) AND recorded_at >= DATETIME('now', ?)
+            GROUP BY metric_name
+        `).bind(CACHE_METRICS.HIT, CACHE_METRICS.MISS, `-${days} days`).all(),
+        env.DB.prepare(`
+            SELECT model_name, COUNT(*) as entries, SUM(hit_count) as hits
+            FROM embedding_cache
+            GROUP BY model_name
+        `).all()
+    ]);
+
+    const totals = Object.fromEntries(metrics.results.map(row => [row.metric_name, row.total]));
+    const hits = totals[CACHE_METRICS.HIT] || 0;
+    const misses = totals[CACHE_METRICS.MISS] || 0;
+
+    return {
+        days,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+        entries: models.results.reduce((sum, row) => sum + row.entries, 0),
+        byModel: models.results
+    };
+}
+
+/**
+ * Drop entries not used for EMBEDDING_CACHE_TTL_DAYS
+ * @returns {Promise<number>} - Entries removed
+ */
+export async function purgeEmbeddingCache(env) {
+    const result = await env.DB.prepare(`
+        DELETE FROM embedding_cache WHERE last_used_at < DATETIME('now', ?)
+    `).bind(`-${EMBEDDING_CACHE_TTL_DAYS} days`).run();
+
+    return result.meta.changes;
+}
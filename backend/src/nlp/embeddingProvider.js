@@ -0,0 +1,265 @@
+// Embedding Provider Module
+// File: src/nlp/embeddingProvider.js
+
+/**
+ * Embedding providers share one interface:
+ *   {
+ *     name:       'huggingface' | 'http' | 'workers-ai' | 'local',
+ *     model:      model name recorded in embeddings.model_name,
+ *     dimensions: vector length,
+ *     embed(texts) -> Promise<number[][]>  (throws if the provider fails)
+ *   }
+ *
+ * Selected with EMBEDDING_PROVIDER. When unset: the custom server if
+ * EMBEDDING_SERVER_URL is set, else HuggingFace if HUGGINGFACE_API_TOKEN
+ * is set, else Workers AI if the AI binding exists, else local.
+ * EMBEDDING_MODEL / EMBEDDING_DIMENSIONS override the default model of the
+ * provider selected this way - vectors from different models are not
+ * comparable. Other providers (fallbacks) keep their own default model, and
+ * local only takes them with EMBEDDING_PROVIDER = 'local', so hash vectors
+ * are never recorded under a real model's name.
+ */
+export const EMBEDDING_PROVIDERS = ['huggingface', 'http', 'workers-ai', 'local'];
+
+/**
+ * all-MiniLM-L6-v2 is what the Flask embedding server (embedding-server/app.py) runs
+ */
+const DEFAULT_MODELS = {
+    huggingface: { model: 'all-MiniLM-L6-v2', dimensions: 384 },
+    http: { model: 'all-MiniLM-L6-v2', dimensions: 384 },
+    'workers-ai': { model: '@cf/baai/bge-small-en-v1.5', dimensions: 384 },
+    local: { model: 'local-hash-v1', dimensions: 384 }
+};
+
+const HF_MAX_RETRIES = 3;
+const HF_RETRY_DELAY_MS = 2000;
+
+/**
+ * Check a provider response: one vector of the expected length per text
+ */
+function validateVectors(vectors, count, dimensions, source) {
+    if (!Array.isArray(vectors) || vectors.length !== count) {
+        throw new Error(`${source} returned ${Array.isArray(vectors) ? vectors.length : 'no'} embeddings for ${count} texts`);
+    }
+
+    for (const vector of vectors) {
+        if (!Array.isArray(vector) || vector.length !== dimensions) {
+            throw new Error(`${source} returned a ${vector?.length}-dimensional embedding, expected ${dimensions}`);
+        }
+    }
+
+    return vectors;
+}
+
+/**
+ * HuggingFace Inference API (sentence-transformers feature extraction)
+ * @param {Object} options - {token, model, dimensions}
+ */
+export function createHuggingFaceProvider({ token, model, dimensions }) {
+    const modelId = model.includes('/') ? model : `sentence-transformers/${model}`;
+    const url = `https://api-inference.huggingface.co/models/${modelId}`;
+
+    return {
+        name: 'huggingface',
+        model,
+        dimensions,
+
+        async embed(texts) {
+            if (!token) {
+                throw new Error('HUGGINGFACE_API_TOKEN is not set');
+            }
+
+            let lastError;
+            for (let attempt = 1; attempt <= HF_MAX_RETRIES; attempt++) {
+                try {
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({
+                            inputs: texts,
+                            options: { wait_for_model: true }
+                        })
+                    });
+
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        throw new Error(`HuggingFace API error (${response.status}): ${errorText.substring(0, 200)}`);
+                    }
+
+                    const embeddings = await response.json();
+
+                    // A single input may come back as a flat vector
+                    const vectors = texts.length === 1 && typeof embeddings?.[0] === 'number'
+                        ? [embeddings]
+                        : embeddings;
+
+                    return validateVectors(vectors, texts.length, dimensions, 'HuggingFace');
+
+                } catch (error) {
+                    lastError = error;
+                    console.warn(`   ⚠️ HuggingFace attempt ${attempt}/${HF_MAX_RETRIES} failed:`, error.message);
+
+                    if (attempt < HF_MAX_RETRIES) {
+                        await new Promise(r => setTimeout(r, HF_RETRY_DELAY_MS));
+                    }
+                }
+            }
+
+            throw lastError;
+        }
+    };
+}
+
+/**
+ * Custom embedding server (embedding-server/app.py, Colab + ngrok...)
+ * POST {inputs: [...texts]} -> [[...], ...]
+ * @param {Object} options - {url, model, dimensions}
+ */
+export function createHttpProvider({ url, model, dimensions }) {
+    return {
+        name: 'http',
+        model,
+        dimensions,
+
+        async embed(texts) {
+            if (!url) {
+                throw new Error('EMBEDDING_SERVER_URL is not set');
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ inputs: texts })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Embedding server error (${response.status})`);
+            }
+
+            return validateVectors(await response.json(), texts.length, dimensions, 'Embedding server');
+        }
+    };
+}
+
+/**
+ * Cloudflare Workers AI (requires an [ai] binding named AI)
+ * @param {Object} options - {ai, model, dimensions}
+ */
+export function createWorkersAiProvider({ ai, model, dimensions }) {
+    return {
+        name: 'workers-ai',
+        model,
+        dimensions,
+
+        async embed(texts) {
+            if (!ai) {
+                throw new Error('Workers AI binding (AI) is not configured');
+            }
+
+            const result = await ai.run(model, { text: texts });
+            return validateVectors(result?.data, texts.length, dimensions, 'Workers AI');
+        }
+    };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Deterministic local embeddings by feature hashing (no network)
+ * Words and word bigrams are hashed into signed buckets, so texts sharing
+ * vocabulary get similar vectors. Good enough for offline development and
+ * tests; it does not capture meaning like a sentence-transformer does.
+ *
+ * @param {Object} options - {model, dimensions}
+ */
+export function createLocalProvider({ model, dimensions }) {
+    const embedOne = (text) => {
+        const vector = new Array(dimensions).fill(0);
+        const words = String(text).toLowerCase().split(/\s+/).filter(w => w.length > 0);
+        const features = [
+            ...words,
+            ...words.slice(1).map((word, i) => `${words[i]} ${word}`)
+        ];
+
+        for (const feature of features) {
+            const hash = fnv1a(feature);
+            vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+        }
+
+        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+        return magnitude === 0 ? vector : vector.map(val => val / magnitude);
+    };
+
+    return {
+        name: 'local',
+        model,
+        dimensions,
+
+        async embed(texts) {
+            return texts.map(embedOne);
+        }
+    };
+}
+
+/**
+ * Build a provider by name using the environment's settings
+ * @param {string} name - One of EMBEDDING_PROVIDERS
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - Embedding provider
+ */
+export function createEmbeddingProvider(name, env) {
+    if (!EMBEDDING_PROVIDERS.includes(name)) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER '${name}' (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`);
+    }
+
+    // EMBEDDING_MODEL only applies to the selected provider, never to a fallback
+    const configured = name === 'local'
+        ? env.EMBEDDING_PROVIDER === 'local'
+        : selectProviderName(env) === name;
+    const model = (configured && env.EMBEDDING_MODEL) || DEFAULT_MODELS[name].model;
+    const dimensions = (configured && parseInt(env.EMBEDDING_DIMENSIONS)) || DEFAULT_MODELS[name].dimensions;
+
+    switch (name) {
+        case 'huggingface':
+            return createHuggingFaceProvider({ token: env.HUGGINGFACE_API_TOKEN, model, dimensions });
+        case 'http':
+            return createHttpProvider({ url: env.EMBEDDING_SERVER_URL, model, dimensions });
+        case 'workers-ai':
+            return createWorkersAiProvider({ ai: env.AI, model, dimensions });
+        default:
+            return createLocalProvider({ model, dimensions });
+    }
+}
+
+/**
+ * Name of the provider configured for this environment
+ */
+function selectProviderName(env) {
+    if (env.EMBEDDING_PROVIDER) return env.EMBEDDING_PROVIDER;
+    if (env.EMBEDDING_SERVER_URL) return 'http';
+    if (env.HUGGINGFACE_API_TOKEN) return 'huggingface';
+    if (env.AI) return 'workers-ai';
+    return 'local';
+}
+
+/**
+ * Provider configured for this environment
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - Embedding provider
+ */
+export function getEmbeddingProvider(env) {
+    return createEmbeddingProvider(selectProviderName(env), env);
+}
@@ -0,0 +1,267 @@
+// MinHash / LSH Module
+// File: src/nlp/minhash.js
+
+import { extractNGrams } from './textPreprocessing.js';
+import { decodeVector } from './vectorCodec.js';
+
+/**
+ * Lexical prefilter for near-verbatim duplicates (copy-pasted complaints).
+ * Each grievance gets a MinHash signature over its word bigrams (the
+ * shingles extractNGrams() produces); the share of equal signature slots
+ * estimates the Jaccard similarity of two shingle sets.
+ *
+ * The signature is cut into LSH_BANDS bands of LSH_ROWS slots. Grievances
+ * sharing any band bucket become candidates: with 16 × 8 a pair at Jaccard
+ * 0.9 collides with over 99.9% probability, a pair at 0.5 with ~6%.
+ *
+ * Batch grievances whose estimate against a candidate reaches
+ * MINHASH_DUPLICATE_THRESHOLD are flagged DUPLICATE before embedding and
+ * reuse the matched grievance's vector.
+ */
+export const MINHASH_PERMUTATIONS = 128;
+export const LSH_BANDS = 16;
+export const LSH_ROWS = MINHASH_PERMUTATIONS / LSH_BANDS;
+
+/**
+ * Estimated Jaccard at or above which a grievance is a near-verbatim duplicate
+ */
+export const MINHASH_DUPLICATE_THRESHOLD = 0.9;
+
+/**
+ * Shorter texts take the embedding path (too few shingles for a reliable estimate)
+ */
+export const MINHASH_MIN_SHINGLES = 5;
+
+/**
+ * Murmur3 finalizer - spreads the bits of a 32-bit value
+ */
+function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * FNV-1a over a string
+ */
+function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * MinHash signature of a preprocessed text
+ * Permutation i is simulated as fmix32(h1 + i * h2) (double hashing).
+ *
+ * @param {string} text - Preprocessed grievance text
+ * @returns {Object} - {signature: Uint32Array, shingleCount}
+ */
+export function computeMinHash(text) {
+    let shingles = extractNGrams(text, 2);
+    if (shingles.length === 0) {
+        shingles = extractNGrams(text, 1);
+    }
+    const unique = [...new Set(shingles)];
+
+    const signature = new Uint32Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+    for (const shingle of unique) {
+        const h1 = hashString(shingle);
+        const h2 = fmix32(h1 ^ 0x9e3779b9) | 1;
+        for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+            const value = fmix32((h1 + Math.imul(i, h2)) >>> 0);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+
+    return { signature, shingleCount: unique.length };
+}
+
+/**
+ * Jaccard estimate: share of equal signature slots
+ */
+export function estimateJaccard(a, b) {
+    let equal = 0;
+    for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / MINHASH_PERMUTATIONS;
+}
+
+/**
+ * LSH bucket keys of a signature, one per band (band * 2^32 + hash of the band's slots)
+ * @returns {number[]}
+ */
+export function lshBuckets(signature) {
+    const buckets = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        let h = 0x811c9dc5;
+        for (let row = band * LSH_ROWS; row < (band + 1) * LSH_ROWS; row++) {
+            h = Math.imul(h ^ signature[row], 0x01000193);
+        }
+        buckets.push(band * 0x100000000 + fmix32(h >>> 0));
+    }
+    return buckets;
+}
+
+/**
+ * Statements storing a grievance's signature and buckets (for DB.batch)
+ */
+function minHashStatements(grievanceId, minhash, env) {
+    return [
+        env.DB.prepare(`
+            INSERT OR REPLACE INTO minhash_signatures (grievance_id, signature, shingle_count)
+            VALUES (?, ?, ?)
+        `).bind(grievanceId, minhash.signature.buffer, minhash.shingleCount),
+        ...lshBuckets(minhash.signature).map(bucket => env.DB.prepare(
+            'INSERT OR IGNORE INTO lsh_buckets (bucket, grievance_id) VALUES (?, ?)'
+        ).bind(bucket, grievanceId))
+    ];
+}
+
+/**
+ * Store a grievance's signature and LSH buckets
+ * @param {number} grievanceId - Grievance ID
+ * @param {Object} minhash - {signature, shingleCount} from computeMinHash()
+ * @param {Object} env - Cloudflare Worker environment
+ */
+export async function storeMinHash(grievanceId, minhash, env) {
+    await env.DB.batch(minHashStatements(grievanceId, minhash, env));
+}
+
+/**
+ * Signatures are stored as raw uint32 BLOBs
+ */
+function decodeSignature(value) {
+    const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+    return new Uint32Array(Uint8Array.from(bytes).buffer);
+}
+
+/**
+ * Near-verbatim duplicate matcher for one batch
+ * Looks for a match among stored grievances (via lsh_buckets) and among
+ * grievances of the batch added so far. Only a match in the same area counts:
+ * the same complaint text from another ward is a separate grievance.
+ *
+ * @param {string} model - Embedding model whose stored vectors can be reused
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - {match(grievance), add(grievance)}
+ */
+export function createNearVerbatimMatcher(model, env) {
+    const batchBuckets = new Map();
+
+    const sameArea = (a, b) => !a || !b || a.toLowerCase() === b.toLowerCase();
+
+    async function matchStored(grievance, buckets) {
+        const { results } = await env.DB.prepare(`
+            SELECT DISTINCT ms.grievance_id, ms.signature, g.area, e.embedding_vector, e.vector_encoding
+            FROM lsh_buckets b
+            JOIN minhash_signatures ms ON ms.grievance_id = b.grievance_id
+            JOIN grievances g ON g.id = ms.grievance_id
+            JOIN embeddings e ON e.grievance_id = ms.grievance_id AND e.model_name = ?
+            WHERE b.bucket IN (${buckets.map(() => '?').join(', ')}) AND g.processed = 1
+        `).bind(model, ...buckets).all();
+
+        let best = null;
+        for (const row of results) {
+            if (!sameArea(grievance.area, row.area)) continue;
+
+            const jaccard = estimateJaccard(grievance.minhash.signature, decodeSignature(row.signature));
+            if (jaccard >= MINHASH_DUPLICATE_THRESHOLD && (!best || jaccard > best.jaccard)) {
+                best = { id: row.grievance_id, jaccard, row };
+            }
+        }
+
+        return best && {
+            id: best.id,
+            jaccard: best.jaccard,
+            embedding: decodeVector(best.row.embedding_vector, best.row.vector_encoding)
+        };
+    }
+
+    function matchBatch(grievance, buckets) {
+        const candidates = new Set(buckets.flatMap(bucket => batchBuckets.get(bucket) || []));
+
+        let best = null;
+        for (const other of candidates) {
+            if (!sameArea(grievance.area, other.area)) continue;
+
+            const jaccard = estimateJaccard(grievance.minhash.signature, other.minhash.signature);
+            if (jaccard >= MINHASH_DUPLICATE_THRESHOLD && (!best || jaccard > best.jaccard)) {
+                best = { source: other, jaccard };
+            }
+        }
+        return best;
+    }
+
+    return {
+        /**
+         * @param {Object} grievance - Batch grievance with `minhash` and `area`
+         * @returns {Promise<Object|null>} - {id, jaccard, embedding} for a stored grievance,
+         *                                    {source, jaccard} for an earlier batch grievance, or null
+         */
+        async match(grievance) {
+            if (grievance.minhash.shingleCount < MINHASH_MIN_SHINGLES) {
+                return null;
+            }
+
+            const buckets = lshBuckets(grievance.minhash.signature);
+            const inBatch = matchBatch(grievance, buckets);
+            const stored = await matchStored(grievance, buckets);
+
+            if (inBatch && (!stored || inBatch.jaccard >= stored.jaccard)) {
+                return inBatch;
+            }
+            return stored;
+        },
+
+        /**
+         * Make a batch grievance matchable by later ones
+         */
+        add(grievance) {
+            for (const bucket of lshBuckets(grievance.minhash.signature)) {
+                if (!batchBuckets.has(bucket)) {
+                    batchBuckets.set(bucket, []);
+                }
+                batchBuckets.get(bucket).push(grievance);
+            }
+        }
+    };
+}
+
+/**
+ * Sign grievances stored before signatures existed
+ * Runs from the scheduled handler in small chunks.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Max grievances per run
+ * @returns {Promise<number>} - Number of grievances signed
+ */
+export async function backfillMinHashSignatures(env, limit = 500) {
+    const { results } = await env.DB.prepare(`
+        SELECT g.id, g.grievance_text FROM grievances g
+        LEFT JOIN minhash_signatures ms ON ms.grievance_id = g.id
+        WHERE ms.grievance_id IS NULL
+        ORDER BY g.id
+        LIMIT ?
+    `).bind(limit).all();
+
+    const statements = results.flatMap(g => minHashStatements(g.id, computeMinHash(g.grievance_text), env));
+    for (let i = 0; i < statements.length; i += 100) {
+        await env.DB.batch(statements.slice(i, i + 100));
+    }
+
+    if (results.length > 0) {
+        console.log(`🔏 Backfilled ${results.length} MinHash signatures`);
+    }
+
+    return results.length;
+}
@@ -0,0 +1,313 @@
+// Re-embedding Job Module
+// File: src/nlp/reembedding.js
+
+import { getEmbeddingProvider } from './embeddingProvider.js';
+import { generateBatchEmbeddings } from './embedding.js';
+import { embedWithCache } from './embeddingCache.js';
+import { getVectorEncoding, encodeVector } from './vectorCodec.js';
+import { assignAnnList } from './annIndex.js';
+
+/**
+ * Vectors from different models are not comparable, so similarity queries
+ * only load embeddings whose model_name matches the new submission's model.
+ * After EMBEDDING_PROVIDER / EMBEDDING_MODEL changes, an admin starts a job
+ * that walks the grievances in id order and re-embeds every one stored
+ * with another model. The cron trigger processes a few chunks per run;
+ * cursor_grievance_id makes the job resumable after a pause or failure.
+ */
+export const REEMBED_DEFAULT_CHUNK_SIZE = 50;
+export const REEMBED_MAX_CHUNK_SIZE = 200;
+
+/**
+ * Chunks processed per invocation (keeps the cron within CPU limits)
+ */
+const REEMBED_CHUNKS_PER_RUN = 5;
+
+/**
+ * A job is failed after this many chunks in a row could not be embedded
+ */
+const REEMBED_MAX_CONSECUTIVE_ERRORS = 5;
+
+/**
+ * How long a run holds a job before another run may take it over
+ */
+const REEMBED_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Status changes an admin can make: action -> {from, to}
+ */
+const JOB_TRANSITIONS = {
+    pause: { from: ['running'], to: 'paused' },
+    resume: { from: ['paused', 'failed'], to: 'running' },
+    cancel: { from: ['running', 'paused', 'failed'], to: 'cancelled' }
+};
+
+/**
+ * Add progress to a job row
+ */
+function formatJob(row) {
+    if (!row) return null;
+
+    const percent = row.total_count > 0
+        ? Math.min(100, Math.round((row.processed_count / row.total_count) * 1000) / 10)
+        : 100;
+
+    return { ...row, progress: { processed: row.processed_count, total: row.total_count, percent } };
+}
+
+/**
+ * Count grievances whose embedding is missing or from another model
+ */
+async function countStale(model, env) {
+    const row = await env.DB.prepare(`
+        SELECT COUNT(*) as count
+        FROM grievances g
+        LEFT JOIN embeddings e ON g.id = e.grievance_id
+        WHERE e.model_name IS NULL OR e.model_name != ?
+    `).bind(model).first();
+
+    return row.count;
+}
+
+/**
+ * Embeddings per model, against the configured model
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {currentModel, provider, dimensions, models: [{model_name, vector_dimension, count}], stale}
+ */
+export async function getEmbeddingModelCoverage(env) {
+    const provider = getEmbeddingProvider(env);
+
+    const { results } = await env.DB.prepare(`
+        SELECT model_name, vector_dimension, COUNT(*) as count
+        FROM embeddings
+        GROUP BY model_name, vector_dimension
+        ORDER BY count DESC
+    `).all();
+
+    return {
+        currentModel: provider.model,
+        provider: provider.name,
+        dimensions: provider.dimensions,
+        models: results,
+        stale: await countStale(provider.model, env)
+    };
+}
+
+/**
+ * Get one job
+ */
+export async function getReembeddingJob(id, env) {
+    const row = await env.DB.prepare('SELECT * FROM reembedding_jobs WHERE id = ?').bind(id).first();
+    return formatJob(row);
+}
+
+/**
+ * List jobs, newest first
+ */
+export async function listReembeddingJobs(env, limit = 20) {
+    const { results } = await env.DB.prepare(
+        'SELECT * FROM reembedding_jobs ORDER BY id DESC LIMIT ?'
+    ).bind(limit).all();
+
+    return results.map(formatJob);
+}
+
+/**
+ * Start re-embedding the corpus with the configured model
+ * @param {Object} options - {chunkSize}
+ * @param {number} startedBy - Admin user ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {job} or {error, status}
+ */
+export async function createReembeddingJob(options, startedBy, env) {
+    const chunkSize = options.chunkSize === undefined ? REEMBED_DEFAULT_CHUNK_SIZE : Number(options.chunkSize);
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > REEMBED_MAX_CHUNK_SIZE) {
+        return { error: `chunkSize must be between 1 and ${REEMBED_MAX_CHUNK_SIZE}`, status: 400 };
+    }
+
+    const active = await env.DB.prepare(
+        "SELECT id FROM reembedding_jobs WHERE status IN ('running', 'paused') LIMIT 1"
+    ).first();
+    if (active) {
+        return { error: `Re-embedding job #${active.id} is already in progress`, status: 409 };
+    }
+
+    const provider = getEmbeddingProvider(env);
+    const total = await countStale(provider.model, env);
+    if (total === 0) {
+        return { error: `All embeddings already use ${provider.model}`, status: 400 };
+    }
+
+    const result = await env.DB.prepare(`
+        INSERT INTO reembedding_jobs (target_model, target_dimension, provider, chunk_size, total_count, started_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(provider.model, provider.dimensions, provider.name, chunkSize, total, startedBy).run();
+
+    return { job: await getReembeddingJob(result.meta.last_row_id, env) };
+}
+
+/**
+ * Pause, resume or cancel a job
+ * @param {Object} job - Job row
+ * @param {string} action - 'pause' | 'resume' | 'cancel'
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {job} or {error, status}
+ */
+export async function updateReembeddingJobStatus(job, action, env) {
+    const transition = JOB_TRANSITIONS[action];
+
+    if (!transition.from.includes(job.status)) {
+        return { error: `Cannot ${action} a ${job.status} job`, status: 400 };
+    }
+
+    if (action === 'resume' && job.target_model !== getEmbeddingProvider(env).model) {
+        return {
+            error: `Job targets ${job.target_model} but the configured model is now ${getEmbeddingProvider(env).model} - cancel it and start a new job`,
+            status: 400
+        };
+    }
+
+    await env.DB.prepare(`
+        UPDATE reembedding_jobs
+        SET status = ?, consecutive_errors = 0, lease_until = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(transition.to, job.id).run();
+
+    return { job: await getReembeddingJob(job.id, env) };
+}
+
+/**
+ * Take the job for this run; false if another run holds it
+ */
+async function acquireLease(jobId, env, now) {
+    const result = await env.DB.prepare(`
+        UPDATE reembedding_jobs SET lease_until = ?
+        WHERE id = ? AND status = 'running' AND (lease_until IS NULL OR lease_until < ?)
+    `).bind(now + REEMBED_LEASE_MS, jobId, now).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Re-embed the next chunk of a job
+ * @returns {Promise<boolean>} - True if the job should continue
+ */
+async function processChunk(job, env) {
+    const provider = getEmbeddingProvider(env);
+
+    if (provider.model !== job.target_model) {
+        await env.DB.prepare(`
+            UPDATE reembedding_jobs SET status = 'paused', last_error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(`Configured model changed to ${provider.model}`, job.id).run();
+        return false;
+    }
+
+    const { results: chunk } = await env.DB.prepare(`
+        SELECT g.id, g.grievance_text
+        FROM grievances g
+        LEFT JOIN embeddings e ON g.id = e.grievance_id
+        WHERE g.id > ? AND (e.model_name IS NULL OR e.model_name != ?)
+        ORDER BY g.id
+        LIMIT ?
+    `).bind(job.cursor_grievance_id, job.target_model, job.chunk_size).all();
+
+    if (chunk.length === 0) {
+        await env.DB.prepare(`
+            UPDATE reembedding_jobs
+            SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(job.id).run();
+        console.log(`🧬 Re-embedding job #${job.id} completed: ${job.processed_count} grievances on ${job.target_model}`);
+        return false;
+    }
+
+    let embeddings;
+    try {
+        // grievance_text is stored preprocessed, as it was embedded on submission
+        ({ embeddings } = await embedWithCache(
+            chunk.map(g => g.grievance_text),
+            env,
+            (missing) => generateBatchEmbeddings(missing, env)
+        ));
+    } catch (error) {
+        const errors = job.consecutive_errors + 1;
+        await env.DB.prepare(`
+            UPDATE reembedding_jobs
+            SET consecutive_errors = ?, last_error = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(
+            errors,
+            error.message,
+            errors >= REEMBED_MAX_CONSECUTIVE_ERRORS ? 'failed' : 'running',
+            job.id
+        ).run();
+        console.error(`🧬 Re-embedding job #${job.id} chunk failed (${errors}/${REEMBED_MAX_CONSECUTIVE_ERRORS}):`, error.message);
+        return false;
+    }
+
+    const encoding = getVectorEncoding(env);
+
+    for (let i = 0; i < chunk.length; i++) {
+        await env.DB.prepare(`
+            INSERT INTO embeddings (grievance_id, embedding_vector, vector_encoding, vector_dimension, model_name, ann_list)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(grievance_id) DO UPDATE SET
+                embedding_vector = excluded.embedding_vector,
+                vector_encoding = excluded.vector_encoding,
+                vector_dimension = excluded.vector_dimension,
+                model_name = excluded.model_name,
+                ann_list = excluded.ann_list
+        `).bind(
+            chunk[i].id,
+            encodeVector(embeddings[i], encoding),
+            encoding,
+            embeddings[i].length,
+            job.target_model,
+            await assignAnnList(embeddings[i], job.target_model, env)
+        ).run();
+    }
+
+    job.processed_count += chunk.length;
+    job.cursor_grievance_id = chunk[chunk.length - 1].id;
+    job.consecutive_errors = 0;
+
+    await env.DB.prepare(`
+        UPDATE reembedding_jobs
+        SET processed_count = ?, cursor_grievance_id = ?, consecutive_errors = 0, last_error = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(job.processed_count, job.cursor_grievance_id, job.id).run();
+
+    console.log(`🧬 Re-embedding job #${job.id}: ${job.processed_count}/${job.total_count}`);
+    return true;
+}
+
+/**
+ * Advance the running job by up to REEMBED_CHUNKS_PER_RUN chunks
+ * Called by the cron trigger and right after a job is started or resumed.
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object|null>} - The job after this run, or null if none is running
+ */
+export async function runReembeddingJobs(env, now = Date.now()) {
+    const row = await env.DB.prepare(
+        "SELECT * FROM reembedding_jobs WHERE status = 'running' ORDER BY id LIMIT 1"
+    ).first();
+
+    if (!row || !(await acquireLease(row.id, env, now))) {
+        return null;
+    }
+
+    try {
+        for (let i = 0; i < REEMBED_CHUNKS_PER_RUN; i++) {
+            // Stop between chunks if an admin paused or cancelled the job
+            const { status } = await env.DB.prepare('SELECT status FROM reembedding_jobs WHERE id = ?').bind(row.id).first();
+            if (status !== 'running' || !(await processChunk(row, env))) break;
+        }
+    } finally {
+        await env.DB.prepare('UPDATE reembedding_jobs SET lease_until = NULL WHERE id = ?').bind(row.id).run();
+    }
+
+    return getReembeddingJob(row.id, env);
+}
@@ -0,0 +1,199 @@
+// Similarity Scoring Engine
+// File: src/nlp/scoringEngine.js
+
+import { cosineSimilarity, calculateNGramOverlap } from './embedding.js';
+import { classifyWithAdaptiveThresholds } from './adaptiveThreshold.js';
+import {
+    createCorpusStats,
+    areaScope,
+    idfWeightedJaccard,
+    bm25Similarity,
+    rareSharedTerms
+} from './termStats.js';
+
+/**
+ * The one place a pair of grievances is scored, used by single submissions
+ * (processGrievance) and batches (hierarchicalDeduplication) alike, so a
+ * pair gets the same score and status however it was submitted.
+ *
+ * A pipeline of scorers each yields a 0-1 similarity; their average,
+ * weighted by the adaptive_thresholds weight each names, is the base score.
+ * A scorer returning null (e.g. metadata without an area on both sides)
+ * drops out of the average. Adjusters then add boosts and penalties to the
+ * base score, and the clamped result is classified with the adaptive
+ * duplicate / near_duplicate thresholds.
+ *
+ * Scorers: {name, weight (thresholds key), score(a, b, context)}
+ * Adjusters: {name, adjust(a, b, context)}
+ * Items are {id, embedding, processedText or text, category, area}.
+ */
+
+/**
+ * Words that name a place - shared rare ones point at the same location
+ */
+const LOCATION_TERM = /^(sector|ward|block|colony|nagar|road|chowk|market|park|school|hospital|station)$/i;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export const DEFAULT_SCORERS = [
+    {
+        // Semantic similarity of the embeddings
+        name: 'cosine',
+        weight: 'cosine_weight',
+        score: (a, b) => cosineSimilarity(a.embedding, b.embedding)
+    },
+    {
+        // IDF-weighted Jaccard blended with BM25 (corpus-wide term frequencies)
+        name: 'lexical',
+        weight: 'jaccard_weight',
+        score: (a, b, context) => {
+            const jaccard = idfWeightedJaccard(a.text, b.text, context.corpus.global());
+            const bm25 = bm25Similarity(a.text, b.text, context.corpus.global());
+            context.details.jaccard = jaccard;
+            context.details.bm25 = bm25;
+            return (jaccard + bm25) / 2;
+        }
+    },
+    {
+        // Bigram overlap
+        name: 'ngram',
+        weight: 'ngram_weight',
+        score: (a, b) => calculateNGramOverlap(a.text, b.text, 2)
+    },
+    {
+        // Same area
+        name: 'metadata',
+        weight: 'metadata_weight',
+        score: (a, b) => a.area && b.area ? Number(areaScope(a.area) === areaScope(b.area)) : null
+    }
+];
+
+export const DEFAULT_ADJUSTERS = [
+    {
+        // Shared terms few grievances of the area contain: +0.02 each, max 0.08
+        name: 'rareBoost',
+        adjust: (a, b, context) => Math.min(0.08, context.rareTerms().length * 0.02)
+    },
+    {
+        // Shared rare place names and numbers ("sector 15"): +0.03 each, max 0.06
+        name: 'locationBoost',
+        adjust: (a, b, context) => {
+            const locations = context.rareTerms().filter(term => LOCATION_TERM.test(term) || /^\d+$/.test(term));
+            return Math.min(0.06, locations.length * 0.03);
+        }
+    },
+    {
+        // +0.10 for the same category, -0.25 for different ones (OTHER is neutral)
+        name: 'categoryModifier',
+        adjust: (a, b) => {
+            const cat1 = a.category || 'OTHER';
+            const cat2 = b.category || 'OTHER';
+            if (cat1 === 'OTHER' || cat2 === 'OTHER') return 0;
+            return cat1 === cat2 ? 0.10 : -0.25;
+        }
+    }
+];
+
+/**
+ * Common shape of batch grievances ({processedText}) and stored candidates ({text})
+ */
+function toItem(item) {
+    return {
+        id: item.id,
+        embedding: item.embedding,
+        text: item.processedText ?? item.text ?? '',
+        category: item.category || null,
+        area: item.area || null
+    };
+}
+
+/**
+ * Create a scoring engine
+ * @param {Object} thresholds - Adaptive thresholds and weights (getAdaptiveThresholds())
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} options - {scorers, adjusters, corpus} to replace the defaults
+ * @returns {Object} - {load(items, area), score(a, b), rank(query, pool, k)}
+ */
+export function createScoringEngine(thresholds, env, options = {}) {
+    const scorers = options.scorers || DEFAULT_SCORERS;
+    const adjusters = options.adjusters || DEFAULT_ADJUSTERS;
+    const corpus = options.corpus || createCorpusStats(env);
+
+    /**
+     * Score two items whose term frequencies are loaded
+     * @returns {Object} - {combinedScore, status, breakdown}
+     */
+    function score(first, second) {
+        const a = toItem(first);
+        const b = toItem(second);
+
+        let rareTerms = null;
+        const context = {
+            corpus,
+            details: {},
+            // Computed once per pair, against the first item's area
+            rareTerms: () => rareTerms || (rareTerms = rareSharedTerms(a.text, b.text, corpus.forArea(a.area)))
+        };
+
+        const scores = {};
+        let weighted = 0;
+        let totalWeight = 0;
+        for (const scorer of scorers) {
+            const value = scorer.score(a, b, context);
+            if (value === null) continue;
+
+            const weight = thresholds[scorer.weight] ?? 0;
+            scores[scorer.name] = value;
+            weighted += value * weight;
+            totalWeight += weight;
+        }
+        const baseScore = totalWeight === 0 ? 0 : weighted / totalWeight;
+
+        const adjustments = {};
+        let finalScore = baseScore;
+        for (const adjuster of adjusters) {
+            adjustments[adjuster.name] = adjuster.adjust(a, b, context);
+            finalScore += adjustments[adjuster.name];
+        }
+        finalScore = Math.max(0, Math.min(1, finalScore));
+
+        const breakdown = {};
+        for (const [name, value] of Object.entries({ ...scores, ...context.details, ...adjustments })) {
+            breakdown[name] = round(value);
+        }
+        breakdown.base = round(baseScore);
+        breakdown.final = round(finalScore);
+
+        return {
+            combinedScore: finalScore,
+            status: classifyWithAdaptiveThresholds(finalScore, thresholds),
+            breakdown
+        };
+    }
+
+    return {
+        thresholds,
+
+        /**
+         * Load term frequencies for the items' texts (corpus-wide and for the area)
+         */
+        async load(items, area) {
+            await corpus.load(items.map(item => toItem(item).text), area);
+        },
+
+        score,
+
+        /**
+         * Score `query` against every item of `pool`
+         * @returns {Promise<Array>} - Top k [{id, combinedScore, status, breakdown}], best first
+         */
+        async rank(query, pool, k = 10) {
+            await corpus.load([toItem(query).text, ...pool.map(item => toItem(item).text)], query.area);
+
+            return pool
+                .map(item => ({ id: item.id, ...score(query, item) }))
+                .sort((x, y) => y.combinedScore - x.combinedScore)
+                .slice(0, k);
+        }
+    };
+}
@@ -0,0 +1,301 @@
+// Corpus Term Statistics Module
+// File: src/nlp/termStats.js
+
+/**
+ * Document frequencies of the (preprocessed) terms in stored grievances,
+ * kept for the whole corpus (scope '*') and per area (scope = lower-cased
+ * area). Every insert adds a grievance's distinct terms, every delete
+ * removes them; grievances.terms_counted makes both idempotent.
+ *
+ * Lexical similarity weights terms by IDF so that shared rare terms
+ * ("transformer", "sector 15") count for more than words every complaint
+ * uses ("problem", "water"). The stats objects have the
+ * {totalDocs, docFrequency} shape calculateTFIDF() expects.
+ */
+export const GLOBAL_SCOPE = '*';
+
+/**
+ * Below this many documents an area's frequencies are too noisy and the
+ * whole corpus is used instead; below it corpus-wide, no term counts as rare
+ */
+export const MIN_SCOPE_DOCUMENTS = 20;
+
+/**
+ * A shared term is rare when at most this share of the scope's documents
+ * (or RARE_TERM_MAX_DOCS, whichever is more) contain it
+ */
+export const RARE_TERM_MAX_SHARE = 0.02;
+export const RARE_TERM_MAX_DOCS = 2;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Terms per query (D1 bound-parameter limit is 100)
+ */
+const TERM_QUERY_CHUNK = 90;
+
+/**
+ * Tokens of a preprocessed text
+ */
+function tokenize(text) {
+    return (text || '').split(' ').filter(w => w.length > 0);
+}
+
+/**
+ * Scope key of an area
+ */
+export function areaScope(area) {
+    return (area || '').trim().toLowerCase();
+}
+
+/**
+ * Count (delta = 1) or uncount (delta = -1) one grievance; the statements only
+ * apply while terms_counted still has the opposite value
+ */
+function termStatements(grievance, delta, env) {
+    const tokens = tokenize(grievance.grievance_text);
+    const terms = [...new Set(tokens)];
+    const scopes = [GLOBAL_SCOPE, areaScope(grievance.area)].filter(Boolean);
+    const guard = 'EXISTS (SELECT 1 FROM grievances WHERE id = ? AND terms_counted = ?)';
+    const counted = delta > 0 ? 0 : 1;
+
+    const statements = [];
+    for (const scope of scopes) {
+        statements.push(env.DB.prepare(`
+            INSERT INTO corpus_term_stats (scope, doc_count, term_count)
+            SELECT ?, ?, ? WHERE ${guard}
+            ON CONFLICT(scope) DO UPDATE SET
+                doc_count = doc_count + excluded.doc_count,
+                term_count = term_count + excluded.term_count
+        `).bind(scope, delta, delta * tokens.length, grievance.id, counted));
+
+        // All terms of the scope in one statement, one row per json_each element
+        statements.push(env.DB.prepare(`
+            INSERT INTO term_document_frequency (scope, term, doc_count)
+            SELECT ?, value, ? FROM json_each(?) WHERE ${guard}
+            ON CONFLICT(scope, term) DO UPDATE SET doc_count = doc_count + excluded.doc_count
+        `).bind(scope, delta, JSON.stringify(terms), grievance.id, counted));
+    }
+
+    statements.push(env.DB.prepare(
+        'UPDATE grievances SET terms_counted = ? WHERE id = ? AND terms_counted = ?'
+    ).bind(1 - counted, grievance.id, counted));
+
+    return statements;
+}
+
+/**
+ * Add a stored grievance to the document frequencies
+ * @param {Object} grievance - {id, grievance_text (preprocessed), area}
+ * @param {Object} env - Cloudflare Worker environment
+ */
+export async function recordDocumentTerms(grievance, env) {
+    await env.DB.batch(termStatements(grievance, 1, env));
+}
+
+/**
+ * Remove grievances about to be deleted from the document frequencies
+ * @param {number[]} ids - Grievance IDs
+ * @param {Object} env - Cloudflare Worker environment
+ */
+export async function removeDocumentTerms(ids, env) {
+    if (ids.length === 0) return;
+
+    const { results } = await env.DB.prepare(`
+        SELECT id, grievance_text, area FROM grievances
+        WHERE terms_counted = 1 AND id IN (${ids.map(() => '?').join(', ')})
+    `).bind(...ids).all();
+
+    for (const grievance of results) {
+        await env.DB.batch(termStatements(grievance, -1, env));
+    }
+
+    await env.DB.prepare('DELETE FROM term_document_frequency WHERE doc_count <= 0').run();
+}
+
+/**
+ * Count grievances stored before the frequency table existed
+ * Runs from the scheduled handler in small chunks.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Max grievances per run
+ * @returns {Promise<number>} - Number of grievances counted
+ */
+export async function backfillDocumentTerms(env, limit = 200) {
+    const { results } = await env.DB.prepare(`
+        SELECT id, grievance_text, area FROM grievances
+        WHERE terms_counted = 0
+        ORDER BY id
+        LIMIT ?
+    `).bind(limit).all();
+
+    for (const grievance of results) {
+        await env.DB.batch(termStatements(grievance, 1, env));
+    }
+
+    if (results.length > 0) {
+        console.log(`📚 Counted terms of ${results.length} grievances`);
+    }
+
+    return results.length;
+}
+
+/**
+ * Document frequencies for the terms of the texts being compared
+ * Loads lazily and caches per scope, so one instance serves a whole batch.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - {load(texts, area), forArea(area), global()}
+ */
+export function createCorpusStats(env) {
+    const scopes = new Map();
+
+    function scopeStats(scope) {
+        if (!scopes.has(scope)) {
+            scopes.set(scope, {
+                scope,
+                totalDocs: 0,
+                avgLength: 0,
+                docFrequency: Object.create(null),
+                loadedTerms: new Set(),
+                totalsLoaded: false
+            });
+        }
+        return scopes.get(scope);
+    }
+
+    async function loadScope(scope, terms) {
+        const stats = scopeStats(scope);
+
+        if (!stats.totalsLoaded) {
+            const row = await env.DB.prepare(
+                'SELECT doc_count, term_count FROM corpus_term_stats WHERE scope = ?'
+            ).bind(scope).first();
+            stats.totalDocs = row?.doc_count || 0;
+            stats.avgLength = row?.doc_count > 0 ? row.term_count / row.doc_count : 0;
+            stats.totalsLoaded = true;
+        }
+
+        const missing = terms.filter(term => !stats.loadedTerms.has(term));
+        for (let i = 0; i < missing.length; i += TERM_QUERY_CHUNK) {
+            const chunk = missing.slice(i, i + TERM_QUERY_CHUNK);
+            const { results } = await env.DB.prepare(`
+                SELECT term, doc_count FROM term_document_frequency
+                WHERE scope = ? AND term IN (${chunk.map(() => '?').join(', ')})
+            `).bind(scope, ...chunk).all();
+
+            for (const row of results) {
+                stats.docFrequency[row.term] = row.doc_count;
+            }
+            chunk.forEach(term => stats.loadedTerms.add(term));
+        }
+    }
+
+    return {
+        /**
+         * Make sure frequencies for every term of `texts` are loaded (corpus-wide and for the area)
+         */
+        async load(texts, area) {
+            const terms = [...new Set(texts.flatMap(tokenize))];
+            await loadScope(GLOBAL_SCOPE, terms);
+            if (areaScope(area)) {
+                await loadScope(areaScope(area), terms);
+            }
+        },
+
+        /**
+         * Corpus-wide stats
+         */
+        global() {
+            return scopeStats(GLOBAL_SCOPE);
+        },
+
+        /**
+         * The area's stats, or corpus-wide ones while the area is small
+         */
+        forArea(area) {
+            const stats = areaScope(area) && scopes.get(areaScope(area));
+            return stats && stats.totalDocs >= MIN_SCOPE_DOCUMENTS ? stats : scopeStats(GLOBAL_SCOPE);
+        }
+    };
+}
+
+/**
+ * BM25 inverse document frequency (always positive; uniform on an empty corpus)
+ */
+export function inverseDocumentFrequency(term, stats) {
+    const df = stats.docFrequency[term] || 0;
+    return Math.log(1 + (stats.totalDocs - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Jaccard similarity where each term counts with its IDF
+ * @param {string} text1 - Preprocessed text
+ * @param {string} text2 - Preprocessed text
+ * @param {Object} stats - Scope stats
+ * @returns {number} - 0-1
+ */
+export function idfWeightedJaccard(text1, text2, stats) {
+    const words1 = new Set(tokenize(text1));
+    const words2 = new Set(tokenize(text2));
+
+    let shared = 0;
+    let total = 0;
+    for (const term of new Set([...words1, ...words2])) {
+        const weight = inverseDocumentFrequency(term, stats);
+        total += weight;
+        if (words1.has(term) && words2.has(term)) {
+            shared += weight;
+        }
+    }
+
+    return total === 0 ? 0 : shared / total;
+}
+
+function bm25(queryTerms, docTokens, stats) {
+    const frequencies = new Map();
+    docTokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    const lengthNorm = 1 - BM25_B + BM25_B * (docTokens.length / (stats.avgLength || docTokens.length || 1));
+
+    let score = 0;
+    for (const term of queryTerms) {
+        const tf = frequencies.get(term) || 0;
+        if (tf > 0) {
+            score += inverseDocumentFrequency(term, stats) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+        }
+    }
+    return score;
+}
+
+/**
+ * BM25 score of `doc` for the query `query`, relative to the query's score against itself
+ * @param {string} query - Preprocessed text of the new grievance
+ * @param {string} doc - Preprocessed text of the stored grievance
+ * @param {Object} stats - Scope stats
+ * @returns {number} - 0-1
+ */
+export function bm25Similarity(query, doc, stats) {
+    const queryTokens = tokenize(query);
+    const queryTerms = [...new Set(queryTokens)];
+    const self = bm25(queryTerms, queryTokens, stats);
+
+    return self === 0 ? 0 : Math.min(1, bm25(queryTerms, tokenize(doc), stats) / self);
+}
+
+/**
+ * Terms two texts share that few documents of the scope contain
+ * @returns {string[]} - Empty while the scope has fewer than MIN_SCOPE_DOCUMENTS documents
+ */
+export function rareSharedTerms(text1, text2, stats) {
+    if (stats.totalDocs < MIN_SCOPE_DOCUMENTS) {
+        return [];
+    }
+
+    const maxDocs = Math.max(RARE_TERM_MAX_DOCS, stats.totalDocs * RARE_TERM_MAX_SHARE);
+    const words2 = new Set(tokenize(text2));
+    return [...new Set(tokenize(text1))].filter(term =>
+        words2.has(term) && (stats.docFrequency[term] || 0) <= maxDocs
+    );
+}
@@ -0,0 +1,148 @@
+// Vector Codec Module
+// File: src/nlp/vectorCodec.js
+
+/**
+ * Embeddings are stored as BLOBs, tagged by vector_encoding:
+ *   f32  - float32 little-endian, 4 bytes per dimension (1,536 bytes for 384 dims)
+ *   i8   - float32 scale followed by one signed byte per dimension
+ *          (388 bytes for 384 dims; value = byte * scale, cosine error ~1e-3)
+ *   json - legacy JSON text, read until convertLegacyVectors() has run
+ * Decoding always yields a Float32Array, which the similarity code works on.
+ *
+ * New vectors use EMBEDDING_VECTOR_ENCODING ("f32" by default).
+ */
+export const VECTOR_ENCODINGS = ['f32', 'i8', 'json'];
+
+const DEFAULT_ENCODING = 'f32';
+
+/**
+ * Legacy JSON rows converted per scheduled run
+ */
+const LEGACY_BATCH_SIZE = 200;
+
+/**
+ * Encoding used for newly stored vectors
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {string} - 'f32' | 'i8'
+ */
+export function getVectorEncoding(env) {
+    const encoding = env.EMBEDDING_VECTOR_ENCODING || DEFAULT_ENCODING;
+
+    if (encoding !== 'f32' && encoding !== 'i8') {
+        console.warn(`Ignoring invalid EMBEDDING_VECTOR_ENCODING '${encoding}', using ${DEFAULT_ENCODING}`);
+        return DEFAULT_ENCODING;
+    }
+
+    return encoding;
+}
+
+/**
+ * Copy any numeric vector into a Float32Array (no copy if it already is one)
+ */
+export function toFloat32(vector) {
+    return vector instanceof Float32Array ? vector : Float32Array.from(vector);
+}
+
+/**
+ * Encode a vector for a BLOB column
+ * @param {number[]|Float32Array} vector - Embedding
+ * @param {string} encoding - 'f32' | 'i8'
+ * @returns {ArrayBuffer}
+ */
+export function encodeVector(vector, encoding = DEFAULT_ENCODING) {
+    if (encoding === 'f32') {
+        return Float32Array.from(vector).buffer;
+    }
+
+    if (encoding === 'i8') {
+        let maxAbs = 0;
+        for (let i = 0; i < vector.length; i++) {
+            maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+        }
+        const scale = maxAbs === 0 ? 1 : maxAbs / 127;
+
+        const buffer = new ArrayBuffer(4 + vector.length);
+        new DataView(buffer).setFloat32(0, scale, true);
+        const bytes = new Int8Array(buffer, 4);
+        for (let i = 0; i < vector.length; i++) {
+            bytes[i] = Math.round(vector[i] / scale);
+        }
+        return buffer;
+    }
+
+    throw new Error(`Cannot encode vectors as '${encoding}'`);
+}
+
+/**
+ * BLOB column values arrive as ArrayBuffer, a typed array view or (from D1) a plain byte array
+ */
+function toBytes(value) {
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    if (Array.isArray(value)) return Uint8Array.from(value);
+
+    throw new Error('Stored vector is not binary');
+}
+
+/**
+ * Decode a stored vector
+ * @param {*} value - embedding_vector column value
+ * @param {string} encoding - vector_encoding column value
+ * @returns {Float32Array}
+ */
+export function decodeVector(value, encoding) {
+    if (encoding === 'json' || typeof value === 'string') {
+        return Float32Array.from(JSON.parse(value));
+    }
+
+    const bytes = toBytes(value);
+
+    if (encoding === 'f32') {
+        // Float32Array needs a 4-byte aligned offset; copy when the view is not
+        return bytes.byteOffset % 4 === 0
+            ? new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4)
+            : new Float32Array(bytes.slice().buffer);
+    }
+
+    if (encoding === 'i8') {
+        const scale = new DataView(bytes.buffer, bytes.byteOffset, 4).getFloat32(0, true);
+        const quantized = new Int8Array(bytes.buffer, bytes.byteOffset + 4, bytes.byteLength - 4);
+        const vector = new Float32Array(quantized.length);
+        for (let i = 0; i < quantized.length; i++) {
+            vector[i] = quantized[i] * scale;
+        }
+        return vector;
+    }
+
+    throw new Error(`Unknown vector encoding '${encoding}'`);
+}
+
+/**
+ * Convert legacy JSON rows in embeddings to the configured binary encoding
+ * Run from the cron trigger until nothing is left; rows stay readable meanwhile.
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Rows per run
+ * @returns {Promise<number>} - Rows converted
+ */
+export async function convertLegacyVectors(env, limit = LEGACY_BATCH_SIZE) {
+    const encoding = getVectorEncoding(env);
+
+    const { results } = await env.DB.prepare(`
+        SELECT id, embedding_vector FROM embeddings
+        WHERE vector_encoding = 'json'
+        ORDER BY id
+        LIMIT ?
+    `).bind(limit).all();
+
+    for (const row of results) {
+        await env.DB.prepare(`
+            UPDATE embeddings SET embedding_vector = ?, vector_encoding = ? WHERE id = ?
+        `).bind(encodeVector(JSON.parse(row.embedding_vector), encoding), encoding, row.id).run();
+    }
+
+    if (results.length > 0) {
+        console.log(`🧮 Converted ${results.length} JSON embeddings to ${encoding}`);
+    }
+
+    return results.length;
+}
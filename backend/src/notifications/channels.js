@@ -0,0 +1,171 @@
+// Notification Channel Adapters
+// File: src/notifications/channels.js
+
+/**
+ * Every adapter exposes send(notification, env) and throws on failure,
+ * so the outbox can record the error and retry later.
+ *
+ * Configuration (wrangler vars / secrets):
+ *   SMTP_HOST, SMTP_PORT, SMTP_FROM, SMTP_USER, SMTP_PASS, SMTP_SECURE
+ *   SMS_GATEWAY_URL, SMS_API_KEY
+ * Point SMTP_HOST at a local mail catcher (e.g. MailHog on port 1025) and
+ * SMS_GATEWAY_URL at any HTTP endpoint to test without real providers.
+ */
+
+/**
+ * Longest an SMTP conversation or SMS gateway call may take
+ */
+const DELIVERY_TIMEOUT_MS = 15000;
+
+/**
+ * In-app channel - the outbox row itself is the notification
+ */
+const inAppChannel = {
+    isConfigured: () => true,
+    async send() {
+        return { delivered: true };
+    }
+};
+
+/**
+ * Read one SMTP reply (possibly multi-line) and check its status code
+ */
+async function readSmtpReply(reader, expectedCode) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            throw new Error('SMTP connection closed unexpectedly');
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\r\n').filter(line => line.length > 0);
+        const last = lines[lines.length - 1];
+
+        // Final line of a reply is "<code> <text>", continuation lines are "<code>-<text>"
+        if (buffer.endsWith('\r\n') && last && /^\d{3} /.test(last)) {
+            const code = parseInt(last.substring(0, 3));
+            if (code !== expectedCode) {
+                throw new Error(`SMTP error: ${last}`);
+            }
+            return last;
+        }
+    }
+}
+
+/**
+ * Email channel - minimal SMTP client over a Workers TCP socket
+ */
+const emailChannel = {
+    isConfigured: (env) => Boolean(env.SMTP_HOST && env.SMTP_FROM),
+
+    async send(notification, env) {
+        if (!notification.recipient) {
+            throw new Error('No email address');
+        }
+
+        const { connect } = await import('cloudflare:sockets');
+        const socket = connect(
+            { hostname: env.SMTP_HOST, port: parseInt(env.SMTP_PORT) || 25 },
+            { secureTransport: env.SMTP_SECURE === 'true' ? 'on' : 'off' }
+        );
+
+        const writer = socket.writable.getWriter();
+        const reader = socket.readable.getReader();
+        const encoder = new TextEncoder();
+        const write = (line) => writer.write(encoder.encode(`${line}\r\n`));
+
+        // A blackholed host never answers: give up (and close the socket) after the timeout
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`SMTP timed out after ${DELIVERY_TIMEOUT_MS / 1000}s`)),
+                DELIVERY_TIMEOUT_MS
+            );
+        });
+
+        try {
+            return await Promise.race([converse(), timeout]);
+        } finally {
+            clearTimeout(timer);
+            await socket.close().catch(() => {});
+        }
+
+        async function converse() {
+            await readSmtpReply(reader, 220);
+            await write('EHLO grievance-detection-api');
+            await readSmtpReply(reader, 250);
+
+            if (env.SMTP_USER && env.SMTP_PASS) {
+                await write(`AUTH PLAIN ${btoa(`\0${env.SMTP_USER}\0${env.SMTP_PASS}`)}`);
+                await readSmtpReply(reader, 235);
+            }
+
+            await write(`MAIL FROM:<${env.SMTP_FROM}>`);
+            await readSmtpReply(reader, 250);
+            await write(`RCPT TO:<${notification.recipient}>`);
+            await readSmtpReply(reader, 250);
+            await write('DATA');
+            await readSmtpReply(reader, 354);
+
+            // Dot-stuff lines starting with "." (RFC 5321 4.5.2)
+            const body = notification.body.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+            await write([
+                `From: ${env.SMTP_FROM}`,
+                `To: ${notification.recipient}`,
+                `Subject: ${notification.subject}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                body,
+                '.'
+            ].join('\r\n'));
+            await readSmtpReply(reader, 250);
+
+            await write('QUIT');
+            return { delivered: true };
+        }
+    }
+};
+
+/**
+ * SMS channel - JSON POST to an HTTP SMS gateway
+ */
+const smsChannel = {
+    isConfigured: (env) => Boolean(env.SMS_GATEWAY_URL),
+
+    async send(notification, env) {
+        if (!notification.recipient) {
+            throw new Error('No phone number');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (env.SMS_API_KEY) {
+            headers['Authorization'] = `Bearer ${env.SMS_API_KEY}`;
+        }
+
+        const response = await fetch(env.SMS_GATEWAY_URL, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                to: notification.recipient,
+                message: notification.body
+            }),
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`SMS gateway returned ${response.status}`);
+        }
+
+        return { delivered: true };
+    }
+};
+
+export const CHANNELS = {
+    in_app: inAppChannel,
+    email: emailChannel,
+    sms: smsChannel
+};
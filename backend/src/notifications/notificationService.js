@@ -0,0 +1,367 @@
+// Notification Service Module
+// File: src/notifications/notificationService.js
+
+import { renderNotification } from './templates.js';
+import { CHANNELS } from './channels.js';
+
+/**
+ * Channel preferences for users who never saved any
+ */
+const DEFAULT_PREFERENCES = {
+    in_app_enabled: 1,
+    email_enabled: 1,
+    sms_enabled: 0
+};
+
+/**
+ * Delivery attempts before an outbox row is given up on
+ */
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+/**
+ * How long a run holds an outbox row before another run may take it over
+ */
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Get a user's notification preferences (with contact details)
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - {in_app_enabled, email_enabled, sms_enabled, email, phone}
+ */
+export async function getPreferences(userId, env) {
+    const row = await env.DB.prepare(`
+        SELECT u.id as user_id, u.email, u.phone,
+               p.in_app_enabled, p.email_enabled, p.sms_enabled
+        FROM users u
+        LEFT JOIN notification_preferences p ON p.user_id = u.id
+        WHERE u.id = ?
+    `).bind(userId).first();
+
+    if (!row) return null;
+
+    return {
+        user_id: row.user_id,
+        email: row.email,
+        phone: row.phone,
+        in_app_enabled: row.in_app_enabled ?? DEFAULT_PREFERENCES.in_app_enabled,
+        email_enabled: row.email_enabled ?? DEFAULT_PREFERENCES.email_enabled,
+        sms_enabled: row.sms_enabled ?? DEFAULT_PREFERENCES.sms_enabled
+    };
+}
+
+/**
+ * Save a user's notification preferences
+ * @param {number} userId - User ID
+ * @param {Object} preferences - {inApp, email, sms} booleans
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - Updated preferences
+ */
+export async function updatePreferences(userId, preferences, env) {
+    const current = await getPreferences(userId, env);
+    const flag = (value, fallback) => value === undefined ? fallback : (value ? 1 : 0);
+
+    await env.DB.prepare(`
+        INSERT INTO notification_preferences (user_id, in_app_enabled, email_enabled, sms_enabled)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET
+            in_app_enabled = excluded.in_app_enabled,
+            email_enabled = excluded.email_enabled,
+            sms_enabled = excluded.sms_enabled,
+            updated_at = CURRENT_TIMESTAMP
+    `).bind(
+        userId,
+        flag(preferences.inApp, current.in_app_enabled),
+        flag(preferences.email, current.email_enabled),
+        flag(preferences.sms, current.sms_enabled)
+    ).run();
+
+    return await getPreferences(userId, env);
+}
+
+/**
+ * Take an outbox row for this run; false if it was sent or another run holds it
+ */
+async function claim(notification, env, now) {
+    const result = await env.DB.prepare(`
+        UPDATE notifications SET lease_until = ?
+        WHERE id = ? AND status IN ('PENDING', 'FAILED') AND (lease_until IS NULL OR lease_until < ?)
+    `).bind(now + DELIVERY_LEASE_MS, notification.id, now).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Try to deliver one claimed outbox row through its channel
+ * @param {Object} notification - notifications row
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<boolean>} - True if delivered
+ */
+async function deliver(notification, env) {
+    try {
+        await CHANNELS[notification.channel].send(notification, env);
+
+        await env.DB.prepare(`
+            UPDATE notifications
+            SET status = 'SENT', attempts = attempts + 1, last_error = NULL, lease_until = NULL,
+                sent_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).bind(notification.id).run();
+
+        return true;
+    } catch (error) {
+        console.warn(`Notification ${notification.id} (${notification.channel}) failed:`, error.message);
+
+        await env.DB.prepare(`
+            UPDATE notifications
+            SET status = 'FAILED', attempts = attempts + 1, last_error = ?, lease_until = NULL
+            WHERE id = ?
+        `).bind(error.message, notification.id).run();
+
+        return false;
+    }
+}
+
+/**
+ * Claim and deliver outbox rows in the given statuses
+ */
+async function deliverOutbox(statuses, env, limit, now) {
+    const { results } = await env.DB.prepare(`
+        SELECT * FROM notifications
+        WHERE status IN (${statuses.map(() => '?').join(', ')}) AND attempts < ?
+              AND (lease_until IS NULL OR lease_until < ?)
+        ORDER BY created_at ASC, id ASC
+        LIMIT ?
+    `).bind(...statuses, MAX_DELIVERY_ATTEMPTS, now, limit).all();
+
+    let attempted = 0;
+    let delivered = 0;
+    for (const notification of results) {
+        if (!(await claim(notification, env, now))) continue;
+
+        attempted++;
+        if (await deliver(notification, env)) delivered++;
+    }
+
+    return { attempted, delivered };
+}
+
+/**
+ * Notify a user on every channel they have enabled
+ * Messages are only written to the outbox here: in-app ones are done,
+ * email / SMS ones are sent by deliverPendingNotifications() once the
+ * request has responded, so a slow SMTP host never holds a submission
+ * open. Failed deliveries are retried by processOutbox(). Never throws.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} event - {userId, type, data, grievanceId, batchId}
+ * @returns {Promise<Array>} - Outbox IDs created
+ */
+export async function notifyUser(env, event) {
+    try {
+        const preferences = await getPreferences(event.userId, env);
+        if (!preferences) return [];
+
+        const message = renderNotification(event.type, event.data || {});
+
+        const targets = [
+            { channel: 'in_app', enabled: preferences.in_app_enabled, recipient: null, body: message.body },
+            { channel: 'email', enabled: preferences.email_enabled, recipient: preferences.email, body: message.body },
+            { channel: 'sms', enabled: preferences.sms_enabled, recipient: preferences.phone, body: message.sms }
+        ].filter(t => t.enabled && CHANNELS[t.channel].isConfigured(env));
+
+        const ids = [];
+
+        for (const target of targets) {
+            // The in-app row is the notification itself, so it is sent as soon as it exists
+            const inApp = target.channel === 'in_app';
+            const result = await env.DB.prepare(`
+                INSERT INTO notifications
+                (user_id, channel, event_type, grievance_id, batch_id, recipient, subject, body,
+                 status, attempts, sent_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${inApp ? 'CURRENT_TIMESTAMP' : 'NULL'})
+            `).bind(
+                event.userId,
+                target.channel,
+                event.type,
+                event.grievanceId || null,
+                event.batchId || null,
+                target.recipient,
+                message.subject,
+                target.body,
+                inApp ? 'SENT' : 'PENDING',
+                inApp ? 1 : 0
+            ).run();
+
+            ids.push(result.meta.last_row_id);
+        }
+
+        console.log(`🔔 ${event.type} → user ${event.userId} (${targets.map(t => t.channel).join(', ') || 'no channels'})`);
+
+        return ids;
+    } catch (error) {
+        console.warn(`Failed to notify user ${event.userId} (${event.type}):`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Send an account email (verification, password reset) directly
+ * These carry one-time links, so they bypass preferences and are not
+ * kept in the outbox. Never throws.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} message - {to, type, data}
+ * @returns {Promise<boolean>} - True if sent
+ */
+export async function sendAccountEmail(env, message) {
+    if (!CHANNELS.email.isConfigured(env)) {
+        console.warn(`Email channel not configured - ${message.type} for ${message.to} not sent`);
+        return false;
+    }
+
+    try {
+        const rendered = renderNotification(message.type, message.data || {});
+
+        await CHANNELS.email.send({
+            recipient: message.to,
+            subject: rendered.subject,
+            body: rendered.body
+        }, env);
+
+        console.log(`✉️ ${message.type} → ${message.to}`);
+        return true;
+    } catch (error) {
+        console.warn(`Failed to send ${message.type} to ${message.to}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Notify the citizen who filed a grievance
+ * Skipped when the citizen caused the event themselves.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} grievanceId - Grievance ID
+ * @param {string} type - Event type
+ * @param {Object} data - Template data (reference is filled in)
+ * @param {number|null} actorId - User who caused the event
+ * @returns {Promise<Array>} - Outbox IDs created
+ */
+export async function notifyGrievanceOwner(env, grievanceId, type, data = {}, actorId = null) {
+    try {
+        const grievance = await env.DB.prepare(`
+            SELECT id, user_id, reference_number FROM grievances WHERE id = ?
+        `).bind(grievanceId).first();
+
+        if (!grievance || grievance.user_id === actorId) return [];
+
+        return await notifyUser(env, {
+            userId: grievance.user_id,
+            type,
+            grievanceId: grievance.id,
+            data: {
+                reference: grievance.reference_number || `#${grievance.id}`,
+                ...data
+            }
+        });
+    } catch (error) {
+        console.warn(`Failed to notify owner of grievance ${grievanceId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Get the in-app notification feed of a user (newest first)
+ * @param {number} userId - User ID
+ * @param {Object} options - {unreadOnly, limit, offset}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - Notification rows
+ */
+export async function getNotificationFeed(userId, options, env) {
+    let query = `
+        SELECT n.id, n.event_type, n.grievance_id, n.batch_id, n.subject, n.body,
+               n.created_at, n.read_at, g.reference_number
+        FROM notifications n
+        LEFT JOIN grievances g ON n.grievance_id = g.id
+        WHERE n.user_id = ? AND n.channel = 'in_app'
+    `;
+
+    if (options.unreadOnly) {
+        query += ' AND n.read_at IS NULL';
+    }
+
+    query += ' ORDER BY n.created_at DESC, n.id DESC LIMIT ? OFFSET ?';
+
+    const { results } = await env.DB.prepare(query)
+        .bind(userId, options.limit || 20, options.offset || 0)
+        .all();
+
+    return results;
+}
+
+/**
+ * Count unread in-app notifications
+ * @param {number} userId - User ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>}
+ */
+export async function countUnread(userId, env) {
+    const row = await env.DB.prepare(`
+        SELECT COUNT(*) as count FROM notifications
+        WHERE user_id = ? AND channel = 'in_app' AND read_at IS NULL
+    `).bind(userId).first();
+
+    return row.count;
+}
+
+/**
+ * Mark in-app notifications as read
+ * @param {number} userId - User ID (only their own notifications are touched)
+ * @param {Array|null} ids - Notification IDs, or null for all
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>} - Number of notifications marked
+ */
+export async function markNotificationsRead(userId, ids, env) {
+    let query = `
+        UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND channel = 'in_app' AND read_at IS NULL
+    `;
+    const params = [userId];
+
+    if (ids) {
+        if (ids.length === 0) return 0;
+        query += ` AND id IN (${ids.map(() => '?').join(',')})`;
+        params.push(...ids);
+    }
+
+    const result = await env.DB.prepare(query).bind(...params).run();
+    return result.meta.changes;
+}
+
+/**
+ * Send queued email / SMS notifications
+ * Runs in ctx.waitUntil() after a request (or batch) has queued them.
+ * Only PENDING rows: failed ones wait for the cron's retry.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Max rows per run
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {attempted, delivered}
+ */
+export async function deliverPendingNotifications(env, limit = 20, now = Date.now()) {
+    return await deliverOutbox(['PENDING'], env, limit, now);
+}
+
+/**
+ * Deliver and retry undelivered outbox rows (called from the scheduled handler)
+ * Each row is claimed first, so a row another run is sending is skipped.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Max rows per run
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {attempted, delivered}
+ */
+export async function processOutbox(env, limit = 50, now = Date.now()) {
+    return await deliverOutbox(['PENDING', 'FAILED'], env, limit, now);
+}
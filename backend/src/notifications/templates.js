@@ -0,0 +1,96 @@
+// Notification Templates Module
+// File: src/notifications/templates.js
+
+/**
+ * Message templates per event type
+ * {{name}} placeholders are filled from the event data; `sms` is the short form.
+ */
+export const NOTIFICATION_TEMPLATES = {
+    GRIEVANCE_DUPLICATE: {
+        subject: 'Your grievance {{reference}} matches an existing complaint',
+        body: 'Your grievance {{reference}} was identified as {{duplicateStatus}} of an existing complaint ({{matchedReference}}). '
+            + 'It will be handled together with that complaint and you will be kept informed.',
+        sms: 'Grievance {{reference}} matches existing complaint {{matchedReference}}. We will keep you updated.'
+    },
+    GRIEVANCE_STATUS_CHANGED: {
+        subject: 'Grievance {{reference}} is now {{statusLabel}}',
+        body: 'The status of your grievance {{reference}} changed from {{fromStatusLabel}} to {{statusLabel}}.{{noteLine}}',
+        sms: 'Grievance {{reference}}: status now {{statusLabel}}.'
+    },
+    GRIEVANCE_RECLASSIFIED: {
+        subject: 'Grievance {{reference}} was reviewed',
+        body: 'A reviewer re-classified your grievance {{reference}} from {{fromStatusLabel}} to {{statusLabel}}.',
+        sms: 'Grievance {{reference}} reviewed: now {{statusLabel}}.'
+    },
+    BATCH_COMPLETED: {
+        subject: 'Batch #{{batchId}} processed',
+        body: 'Batch #{{batchId}} finished processing: {{total}} grievances '
+            + '({{unique}} unique, {{duplicate}} duplicate, {{nearDuplicate}} near duplicate).',
+        sms: 'Batch #{{batchId}} processed: {{total}} grievances.'
+    },
+    BATCH_FAILED: {
+        subject: 'Batch #{{batchId}} failed',
+        body: 'Batch #{{batchId}} could not be processed: {{error}}. Please check the files and upload them again.',
+        sms: 'Batch #{{batchId}} failed to process.'
+    },
+    EMAIL_VERIFICATION: {
+        subject: 'Confirm your email address',
+        body: 'Hello {{name}},\n\nPlease confirm your email address to start submitting grievances:\n{{link}}\n\n'
+            + 'The link is valid for {{hours}} hours. If you did not create an account, ignore this email.',
+        sms: 'Confirm your email: {{link}}'
+    },
+    PASSWORD_RESET: {
+        subject: 'Reset your password',
+        body: 'Hello {{name}},\n\nUse the link below to choose a new password:\n{{link}}\n\n'
+            + 'The link is valid for {{minutes}} minutes and can be used once. '
+            + 'If you did not request a reset, ignore this email - your password is unchanged.',
+        sms: 'Reset your password: {{link}}'
+    }
+};
+
+/**
+ * Human-readable label for a status code (IN_PROGRESS -> In Progress)
+ */
+export function formatStatusLabel(status) {
+    return (status || '')
+        .toLowerCase()
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Fill {{placeholders}} in a template string
+ */
+function interpolate(template, data) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+        data[key] !== undefined && data[key] !== null ? String(data[key]) : ''
+    );
+}
+
+/**
+ * Render a notification for an event
+ * @param {string} type - Event type (key of NOTIFICATION_TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {Object} - {subject, body, sms}
+ */
+export function renderNotification(type, data) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const values = {
+        ...data,
+        statusLabel: formatStatusLabel(data.status),
+        fromStatusLabel: formatStatusLabel(data.fromStatus),
+        duplicateStatus: formatStatusLabel(data.duplicateStatus).toLowerCase(),
+        noteLine: data.note ? `\n\nNote: ${data.note}` : ''
+    };
+
+    return {
+        subject: interpolate(template.subject, values),
+        body: interpolate(template.body, values),
+        sms: interpolate(template.sms, values)
+    };
+}
@@ -0,0 +1,98 @@
+// Rate Limiting Module
+// File: src/ratelimit/rateLimiter.js
+
+/**
+ * Token buckets per route, one per authenticated user and one per client IP.
+ * A bucket holds up to `capacity` requests (the allowed burst) and refills
+ * continuously at `refillPerMinute`. A request needs a token from both
+ * buckets. Submissions embed the text and scan for duplicates, so they
+ * are limited much more tightly than reads.
+ *
+ * Override per environment with RATE_LIMITS (JSON), e.g.
+ *   {"submit-text": {"user": {"capacity": 30}}, "submit-batch": {"ip": null}}
+ * null turns a limit off.
+ */
+export const RATE_LIMITS = {
+    'submit-text': {
+        user: { capacity: 10, refillPerMinute: 2 },
+        ip: { capacity: 30, refillPerMinute: 6 }
+    },
+    'submit-pdf': {
+        user: { capacity: 5, refillPerMinute: 1 },
+        ip: { capacity: 15, refillPerMinute: 3 }
+    },
+    'submit-batch': {
+        user: { capacity: 3, refillPerMinute: 0.2 },
+        ip: { capacity: 6, refillPerMinute: 0.5 }
+    }
+};
+
+/**
+ * Limits for a route with the RATE_LIMITS override applied
+ * @param {string} route - Key of RATE_LIMITS
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - {user, ip} (either may be null)
+ */
+export function getRouteLimits(route, env) {
+    const limits = { ...RATE_LIMITS[route] };
+
+    let overrides = {};
+    if (env.RATE_LIMITS) {
+        try {
+            overrides = JSON.parse(env.RATE_LIMITS)[route] || {};
+        } catch (error) {
+            console.warn('Ignoring invalid RATE_LIMITS:', error.message);
+        }
+    }
+
+    for (const dimension of ['user', 'ip']) {
+        if (overrides[dimension] === null) {
+            limits[dimension] = null;
+        } else if (overrides[dimension]) {
+            limits[dimension] = { ...limits[dimension], ...overrides[dimension] };
+        }
+    }
+
+    return limits;
+}
+
+/**
+ * Take one request from the caller's buckets
+ * The IP bucket is checked first so a blocked network does not drain its users' buckets.
+ *
+ * @param {Object} store - Counter store (src/store/counterStore.js)
+ * @param {string} route - Key of RATE_LIMITS
+ * @param {Object} caller - {userId, ip}
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object>} - {allowed, remaining} or {allowed: false, limitedBy: 'user'|'ip', limit, retryAfter (seconds)}
+ */
+export async function consumeRateLimit(store, route, caller, env, now = Date.now()) {
+    const limits = getRouteLimits(route, env);
+    let remaining = null;
+
+    for (const dimension of ['ip', 'user']) {
+        const limit = limits[dimension];
+        const id = dimension === 'ip' ? caller.ip : caller.userId;
+        if (!limit || id == null) continue;
+
+        const result = await store.take(`rate:${route}:${dimension}:${id}`, {
+            capacity: limit.capacity,
+            refillPerMs: limit.refillPerMinute / 60000,
+            cost: 1
+        }, now);
+
+        if (!result.allowed) {
+            return {
+                allowed: false,
+                limitedBy: dimension,
+                limit,
+                retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+            };
+        }
+
+        remaining = remaining === null ? Math.floor(result.tokens) : Math.min(remaining, Math.floor(result.tokens));
+    }
+
+    return { allowed: true, remaining };
+}
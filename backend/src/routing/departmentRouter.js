@@ -0,0 +1,169 @@
+// Department Routing and Officer Assignment Module
+// File: src/routing/departmentRouter.js
+
+import { recordStatusChange } from '../workflow/grievanceStatus.js';
+
+/**
+ * Find the routing rule for a category/area pair
+ * Area-specific rules win over category-wide rules (area = '')
+ *
+ * @param {string} category - Grievance category (WATER, ROAD, ...)
+ * @param {string} area - Grievance area (may be empty)
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - Rule row joined with department, or null
+ */
+export async function findRoutingRule(category, area, env) {
+    return await env.DB.prepare(`
+        SELECT r.id, r.department_id, r.category, r.area, r.officer_id,
+               d.code as department_code, d.name as department_name
+        FROM department_routing_rules r
+        JOIN departments d ON r.department_id = d.id
+        WHERE d.is_active = 1
+          AND r.category = ?
+          AND (r.area = '' OR LOWER(r.area) = LOWER(?))
+        ORDER BY CASE WHEN r.area = '' THEN 1 ELSE 0 END
+        LIMIT 1
+    `).bind(category || 'OTHER', area || '').first();
+}
+
+/**
+ * Pick the least-loaded active field officer in a department
+ * Load = grievances currently ASSIGNED or IN_PROGRESS to the officer.
+ * Department heads are members too but are not auto-assigned work.
+ *
+ * @param {number} departmentId - Department ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number|null>} - Officer user ID, or null if none
+ */
+export async function pickOfficer(departmentId, env) {
+    const officer = await env.DB.prepare(`
+        SELECT u.id, COUNT(g.id) as open_count
+        FROM department_officers o
+        JOIN users u ON o.user_id = u.id
+        LEFT JOIN grievances g
+            ON g.assigned_officer_id = u.id
+           AND g.resolution_status IN ('ASSIGNED', 'IN_PROGRESS')
+           AND g.merged_into_id IS NULL
+        WHERE o.department_id = ? AND u.is_active = 1 AND u.role != 'department_head'
+        GROUP BY u.id
+        ORDER BY open_count ASC, u.id ASC
+        LIMIT 1
+    `).bind(departmentId).first();
+
+    return officer ? officer.id : null;
+}
+
+/**
+ * Assign a grievance to a department (and optionally an officer)
+ * OPEN grievances move to ASSIGNED once an officer is set; reassignments
+ * are recorded in the status history without changing the state.
+ *
+ * @param {Object} grievance - Grievance row (needs id, resolution_status)
+ * @param {Object} assignment - {departmentId, officerId}
+ * @param {number|null} changedBy - User ID, or null for automatic routing
+ * @param {string|null} note - Optional note
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {departmentId, officerId, status}
+ */
+export async function assignGrievance(grievance, assignment, changedBy, note, env) {
+    const departmentId = assignment.departmentId || null;
+    const officerId = assignment.officerId || null;
+    const currentStatus = grievance.resolution_status || 'OPEN';
+
+    await env.DB.prepare(`
+        UPDATE grievances
+        SET department_id = ?,
+            assigned_officer_id = ?,
+            assigned_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(departmentId, officerId, officerId, grievance.id).run();
+
+    let status = currentStatus;
+
+    if (officerId && currentStatus === 'OPEN') {
+        await recordStatusChange(grievance, 'ASSIGNED', changedBy, note || `Assigned to officer #${officerId}`, env);
+        status = 'ASSIGNED';
+    } else if (!officerId && currentStatus === 'ASSIGNED') {
+        // Officer removed - back to the department queue
+        await recordStatusChange(grievance, 'OPEN', changedBy, note || 'Officer unassigned', env);
+        status = 'OPEN';
+    } else if (grievance.assigned_officer_id !== undefined && grievance.assigned_officer_id !== officerId) {
+        const defaultNote = officerId ? `Reassigned to officer #${officerId}` : 'Officer unassigned';
+        await recordStatusChange(grievance, currentStatus, changedBy, note || defaultNote, env);
+    }
+
+    return { departmentId, officerId, status };
+}
+
+/**
+ * Route a freshly saved grievance using the department routing rules
+ * Never throws - a routing failure must not fail the submission
+ *
+ * @param {Object} grievance - {id, category, area}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - Assignment details, or null if unrouted
+ */
+export async function routeGrievance(grievance, env) {
+    try {
+        const rule = await findRoutingRule(grievance.category, grievance.area, env);
+
+        if (!rule) {
+            console.log(`🧭 No routing rule for category=${grievance.category}, area=${grievance.area || 'N/A'}`);
+            return null;
+        }
+
+        const officerId = rule.officer_id || await pickOfficer(rule.department_id, env);
+
+        const result = await assignGrievance(
+            { id: grievance.id, resolution_status: 'OPEN' },
+            { departmentId: rule.department_id, officerId },
+            null,
+            null,
+            env
+        );
+
+        console.log(`🧭 Grievance ${grievance.id} routed to ${rule.department_code}${officerId ? ` (officer ${officerId})` : ''}`);
+
+        return {
+            ...result,
+            departmentCode: rule.department_code,
+            departmentName: rule.department_name
+        };
+    } catch (error) {
+        console.warn(`Routing failed for grievance ${grievance.id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * List departments with their routing rules and officers
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - Departments
+ */
+export async function listDepartments(env) {
+    const [{ results: departments }, { results: rules }, { results: officers }] = await Promise.all([
+        env.DB.prepare('SELECT * FROM departments ORDER BY name').all(),
+        env.DB.prepare(`
+            SELECT r.*, u.full_name as officer_name
+            FROM department_routing_rules r
+            LEFT JOIN users u ON r.officer_id = u.id
+            ORDER BY r.category, r.area
+        `).all(),
+        env.DB.prepare(`
+            SELECT o.department_id, u.id, u.email, u.full_name, u.role, u.is_active,
+                   (SELECT GROUP_CONCAT(s.area, '|') FROM user_area_scopes s WHERE s.user_id = u.id) as areas
+            FROM department_officers o
+            JOIN users u ON o.user_id = u.id
+            ORDER BY u.full_name
+        `).all()
+    ]);
+
+    return departments.map(d => ({
+        ...d,
+        routes: rules.filter(r => r.department_id === d.id),
+        officers: officers
+            .filter(o => o.department_id === d.id)
+            .map(o => ({ ...o, areas: o.areas ? o.areas.split('|') : [] }))
+    }));
+}
@@ -0,0 +1,215 @@
+// Counter Store Module
+// File: src/store/counterStore.js
+
+/**
+ * Fixed-window counters with an optional lock, used for login throttling,
+ * and token buckets, used for rate limiting.
+ * Two interchangeable backends:
+ *   - D1 (default): shared by every isolate, tables attempt_counters and token_buckets
+ *   - memory: per-isolate Map, for local runs and tests (COUNTER_STORE = "memory")
+ *
+ * Store interface (all times in epoch ms):
+ *   get(key)                        -> {count, windowStartedAt, updatedAt, lockedUntil} | null
+ *   increment(key, windowMs, now)   -> counter after this caller's increment (a new window starts once the old one ran out)
+ *   lock(key, untilMs, now)         -> boolean (false if the key was already locked)
+ *   reset(key)                      -> boolean (true if a counter existed)
+ *   take(key, bucket, now)          -> {allowed, tokens, retryAfterMs} - bucket = {capacity, refillPerMs, cost}
+ *   purge(olderThanMs)              -> number of counters / buckets removed
+ */
+
+/**
+ * Counters survive in the memory store for the life of the isolate
+ */
+const memoryCounters = new Map();
+const memoryBuckets = new Map();
+
+/**
+ * Tokens in a bucket after refilling since it was last touched
+ */
+function refill(tokens, updatedAt, bucket, now) {
+    return Math.min(bucket.capacity, tokens + Math.max(0, now - updatedAt) * bucket.refillPerMs);
+}
+
+/**
+ * Outcome of a take() given the tokens left (allowed) or available (denied)
+ */
+function takeResult(allowed, tokens, bucket) {
+    return {
+        allowed,
+        tokens,
+        retryAfterMs: allowed ? 0 : Math.ceil((bucket.cost - tokens) / bucket.refillPerMs)
+    };
+}
+
+/**
+ * D1-backed store
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} - Counter store
+ */
+export function createD1CounterStore(env) {
+    const toCounter = (row) => row ? {
+        count: row.count,
+        windowStartedAt: row.window_started_at,
+        updatedAt: row.updated_at,
+        lockedUntil: row.locked_until
+    } : null;
+
+    return {
+        async get(key) {
+            const row = await env.DB.prepare(
+                'SELECT count, window_started_at, updated_at, locked_until FROM attempt_counters WHERE key = ?'
+            ).bind(key).first();
+
+            return toCounter(row);
+        },
+
+        async increment(key, windowMs, now) {
+            // RETURNING gives each concurrent caller the count its own increment produced
+            const row = await env.DB.prepare(`
+                INSERT INTO attempt_counters (key, count, window_started_at, updated_at)
+                VALUES (?1, 1, ?2, ?2)
+                ON CONFLICT (key) DO UPDATE SET
+                    count = CASE WHEN window_started_at <= ?3 THEN 1 ELSE count + 1 END,
+                    window_started_at = CASE WHEN window_started_at <= ?3 THEN ?2 ELSE window_started_at END,
+                    updated_at = ?2
+                RETURNING count, window_started_at, updated_at, locked_until
+            `).bind(key, now, now - windowMs).first();
+
+            return toCounter(row);
+        },
+
+        async lock(key, untilMs, now) {
+            // Only one of several concurrent callers takes an unlocked key
+            const result = await env.DB.prepare(`
+                INSERT INTO attempt_counters (key, count, window_started_at, updated_at, locked_until)
+                VALUES (?1, 0, ?2, ?2, ?3)
+                ON CONFLICT (key) DO UPDATE SET locked_until = ?3, updated_at = ?2
+                WHERE locked_until IS NULL OR locked_until <= ?2
+            `).bind(key, now, untilMs).run();
+
+            return result.meta.changes > 0;
+        },
+
+        async reset(key) {
+            const result = await env.DB.prepare('DELETE FROM attempt_counters WHERE key = ?').bind(key).run();
+            return result.meta.changes > 0;
+        },
+
+        async take(key, bucket, now) {
+            // Refill and take in one statement; the WHERE leaves an empty bucket untouched
+            const result = await env.DB.prepare(`
+                INSERT INTO token_buckets (key, tokens, updated_at)
+                VALUES (?1, ?2 - ?4, ?5)
+                ON CONFLICT (key) DO UPDATE SET
+                    tokens = MIN(?2, tokens + MAX(0, ?5 - updated_at) * ?3) - ?4,
+                    updated_at = ?5
+                WHERE MIN(?2, tokens + MAX(0, ?5 - updated_at) * ?3) >= ?4
+            `).bind(key, bucket.capacity, bucket.refillPerMs, bucket.cost, now).run();
+
+            const row = await env.DB.prepare('SELECT tokens, updated_at FROM token_buckets WHERE key = ?')
+                .bind(key).first();
+
+            return result.meta.changes > 0
+                ? takeResult(true, row.tokens, bucket)
+                : takeResult(false, refill(row.tokens, row.updated_at, bucket, now), bucket);
+        },
+
+        async purge(olderThanMs) {
+            const counters = await env.DB.prepare(`
+                DELETE FROM attempt_counters
+                WHERE updated_at < ?1 AND (locked_until IS NULL OR locked_until < ?1)
+            `).bind(olderThanMs).run();
+
+            // A bucket untouched for this long has refilled completely
+            const buckets = await env.DB.prepare('DELETE FROM token_buckets WHERE updated_at < ?')
+                .bind(olderThanMs).run();
+
+            return counters.meta.changes + buckets.meta.changes;
+        }
+    };
+}
+
+/**
+ * In-memory store (single isolate only)
+ * @returns {Object} - Counter store
+ */
+export function createMemoryCounterStore() {
+    return {
+        async get(key) {
+            const counter = memoryCounters.get(key);
+            return counter ? { ...counter } : null;
+        },
+
+        async increment(key, windowMs, now) {
+            const counter = memoryCounters.get(key);
+
+            if (!counter || counter.windowStartedAt <= now - windowMs) {
+                memoryCounters.set(key, {
+                    count: 1,
+                    windowStartedAt: now,
+                    lockedUntil: counter ? counter.lockedUntil : null,
+                    updatedAt: now
+                });
+            } else {
+                counter.count++;
+                counter.updatedAt = now;
+            }
+
+            return await this.get(key);
+        },
+
+        async lock(key, untilMs, now) {
+            const counter = memoryCounters.get(key) || { count: 0, windowStartedAt: now };
+            if (counter.lockedUntil > now) {
+                return false;
+            }
+
+            memoryCounters.set(key, { ...counter, lockedUntil: untilMs, updatedAt: now });
+            return true;
+        },
+
+        async reset(key) {
+            return memoryCounters.delete(key);
+        },
+
+        async take(key, bucket, now) {
+            const stored = memoryBuckets.get(key);
+            const tokens = stored ? refill(stored.tokens, stored.updatedAt, bucket, now) : bucket.capacity;
+
+            if (tokens < bucket.cost) {
+                return takeResult(false, tokens, bucket);
+            }
+
+            memoryBuckets.set(key, { tokens: tokens - bucket.cost, updatedAt: now });
+            return takeResult(true, tokens - bucket.cost, bucket);
+        },
+
+        async purge(olderThanMs) {
+            let removed = 0;
+            for (const [key, counter] of memoryCounters) {
+                if (counter.updatedAt < olderThanMs && !(counter.lockedUntil >= olderThanMs)) {
+                    memoryCounters.delete(key);
+                    removed++;
+                }
+            }
+            for (const [key, bucket] of memoryBuckets) {
+                if (bucket.updatedAt < olderThanMs) {
+                    memoryBuckets.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+/**
+ * Pick the store configured for this environment
+ * @param {Object} env - Cloudflare Worker environment (COUNTER_STORE = "d1" | "memory")
+ * @returns {Object} - Counter store
+ */
+export function getCounterStore(env) {
+    return env.COUNTER_STORE === 'memory'
+        ? createMemoryCounterStore()
+        : createD1CounterStore(env);
+}
@@ -0,0 +1,258 @@
+// Duplicate Merge Module
+// File: src/workflow/grievanceMerge.js
+
+import { recordStatusChange } from './grievanceStatus.js';
+import { routeGrievance } from '../routing/departmentRouter.js';
+
+/**
+ * Master grievances that no longer accept supporters
+ */
+const CLOSED_STATUSES = ['RESOLVED', 'REJECTED'];
+
+/**
+ * Load a grievance and follow merged_into_id to the top-level master
+ * @param {number} grievanceId - Grievance ID (master or already-merged duplicate)
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - Master grievance row, or null if not found
+ */
+export async function resolveMaster(grievanceId, env) {
+    let current = null;
+    let nextId = grievanceId;
+
+    // Merges always point at the root, but guard against stale chains
+    for (let depth = 0; depth < 5 && nextId; depth++) {
+        current = await env.DB.prepare(`
+            SELECT id, user_id, category, area, resolution_status, department_id,
+                   assigned_officer_id, merged_into_id, supporter_count
+            FROM grievances WHERE id = ?
+        `).bind(nextId).first();
+
+        if (!current) return null;
+        nextId = current.merged_into_id;
+    }
+
+    return current;
+}
+
+/**
+ * Validate merging a grievance into a master
+ * @param {Object} grievance - Duplicate grievance row
+ * @param {Object|null} master - Master grievance row (from resolveMaster)
+ * @returns {Object} - {isValid, reason, error}
+ */
+export function validateMerge(grievance, master) {
+    if (!master) {
+        return { isValid: false, reason: 'NOT_FOUND', error: 'Master grievance not found' };
+    }
+
+    if (master.id === grievance.id) {
+        return { isValid: false, reason: 'INVALID_MERGE', error: 'A grievance cannot be merged into itself' };
+    }
+
+    if (grievance.merged_into_id) {
+        return { isValid: false, reason: 'ALREADY_MERGED', error: `Grievance is already merged into #${grievance.merged_into_id}` };
+    }
+
+    if (CLOSED_STATUSES.includes(master.resolution_status)) {
+        return { isValid: false, reason: 'MASTER_CLOSED', error: `Cannot merge into a ${master.resolution_status} grievance` };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Recount merged supporters of a master grievance
+ * @param {number} masterId - Master grievance ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>} - New supporter count
+ */
+export async function refreshSupporterCount(masterId, env) {
+    const row = await env.DB.prepare(
+        'SELECT COUNT(*) as count FROM grievances WHERE merged_into_id = ?'
+    ).bind(masterId).first();
+
+    await env.DB.prepare(
+        'UPDATE grievances SET supporter_count = ? WHERE id = ?'
+    ).bind(row.count, masterId).run();
+
+    return row.count;
+}
+
+/**
+ * Copy the master's status and assignment onto all of its merged duplicates
+ * Status changes are recorded in each duplicate's history
+ *
+ * @param {number} masterId - Master grievance ID
+ * @param {number|null} changedBy - User ID, or null for system
+ * @param {string|null} note - Optional note
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<number>} - Number of duplicates whose status changed
+ */
+export async function syncSupporters(masterId, changedBy, note, env) {
+    const master = await env.DB.prepare(`
+        SELECT id, resolution_status, department_id, assigned_officer_id FROM grievances WHERE id = ?
+    `).bind(masterId).first();
+
+    if (!master) return 0;
+
+    await env.DB.prepare(`
+        UPDATE grievances
+        SET department_id = ?,
+            assigned_officer_id = ?,
+            assigned_at = CASE WHEN ? IS NULL THEN NULL ELSE COALESCE(assigned_at, CURRENT_TIMESTAMP) END
+        WHERE merged_into_id = ?
+    `).bind(
+        master.department_id,
+        master.assigned_officer_id,
+        master.assigned_officer_id,
+        master.id
+    ).run();
+
+    const { results: outOfSync } = await env.DB.prepare(`
+        SELECT id, resolution_status FROM grievances
+        WHERE merged_into_id = ? AND resolution_status != ?
+    `).bind(master.id, master.resolution_status).all();
+
+    for (const duplicate of outOfSync) {
+        await recordStatusChange(
+            duplicate,
+            master.resolution_status,
+            changedBy,
+            note || `Status updated on master grievance #${master.id}`,
+            env
+        );
+    }
+
+    return outOfSync.length;
+}
+
+/**
+ * Merge a duplicate into a master grievance
+ * The duplicate becomes a "me too" supporter: it follows the master's status and
+ * assignment instead of being worked on separately. Its own supporters move too.
+ * Call validateMerge first.
+ *
+ * @param {Object} grievance - Duplicate grievance row (needs id, resolution_status)
+ * @param {Object} master - Master grievance row (from resolveMaster)
+ * @param {number|null} changedBy - User ID, or null for automatic merges
+ * @param {string|null} note - Optional note
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {masterId, supporterCount, status}
+ */
+export async function mergeGrievance(grievance, master, changedBy, note, env) {
+    // Re-point the duplicate's own supporters so merges stay one level deep
+    await env.DB.prepare(`
+        UPDATE grievances SET merged_into_id = ? WHERE merged_into_id = ?
+    `).bind(master.id, grievance.id).run();
+
+    await env.DB.prepare(`
+        UPDATE grievances
+        SET merged_into_id = ?,
+            merged_at = CURRENT_TIMESTAMP,
+            supporter_count = 0,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(master.id, grievance.id).run();
+
+    await recordStatusChange(
+        grievance,
+        master.resolution_status,
+        changedBy,
+        note || `Merged into grievance #${master.id}`,
+        env
+    );
+
+    await syncSupporters(master.id, changedBy, null, env);
+    const supporterCount = await refreshSupporterCount(master.id, env);
+
+    console.log(`🔗 Grievance ${grievance.id} merged into ${master.id} (${supporterCount} supporters)`);
+
+    return {
+        masterId: master.id,
+        supporterCount,
+        status: master.resolution_status
+    };
+}
+
+/**
+ * Auto-merge a freshly saved DUPLICATE into the grievance it matched
+ * Never throws - returns null when the match cannot take supporters
+ *
+ * @param {Object} grievance - {id, resolution_status}
+ * @param {number} matchedId - Matched grievance ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - Merge result, or null if not merged
+ */
+export async function autoMergeDuplicate(grievance, matchedId, env) {
+    try {
+        const master = await resolveMaster(matchedId, env);
+        const validation = validateMerge({ merged_into_id: null, ...grievance }, master);
+
+        if (!validation.isValid) {
+            console.log(`🔗 Not merging grievance ${grievance.id}: ${validation.error}`);
+            return null;
+        }
+
+        return await mergeGrievance(grievance, master, null, null, env);
+    } catch (error) {
+        console.warn(`Auto-merge failed for grievance ${grievance.id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Split a merged duplicate back out into its own ticket
+ * The grievance reopens and is routed again like a new submission.
+ *
+ * @param {Object} grievance - Grievance row (needs id, category, area, merged_into_id, resolution_status)
+ * @param {number} changedBy - User ID
+ * @param {string|null} note - Optional note
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {masterId, supporterCount, assignment}
+ */
+export async function unmergeGrievance(grievance, changedBy, note, env) {
+    const masterId = grievance.merged_into_id;
+
+    await env.DB.prepare(`
+        UPDATE grievances
+        SET merged_into_id = NULL,
+            merged_at = NULL,
+            department_id = NULL,
+            assigned_officer_id = NULL,
+            assigned_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).bind(grievance.id).run();
+
+    await recordStatusChange(grievance, 'OPEN', changedBy, note || `Unmerged from grievance #${masterId}`, env);
+
+    const assignment = await routeGrievance(grievance, env);
+    const supporterCount = await refreshSupporterCount(masterId, env);
+
+    console.log(`✂️ Grievance ${grievance.id} unmerged from ${masterId}`);
+
+    return {
+        masterId,
+        supporterCount,
+        assignment
+    };
+}
+
+/**
+ * List the merged supporters of a master grievance (oldest first)
+ * @param {number} masterId - Master grievance ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - Supporter rows with citizen name
+ */
+export async function getSupporters(masterId, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT g.id, g.user_id, u.full_name as user_name, g.area, g.similarity_score,
+               g.created_at, g.merged_at
+        FROM grievances g
+        JOIN users u ON g.user_id = u.id
+        WHERE g.merged_into_id = ?
+        ORDER BY g.merged_at ASC
+    `).bind(masterId).all();
+
+    return results;
+}
@@ -0,0 +1,198 @@
+// Grievance Resolution Workflow Module
+// File: src/workflow/grievanceStatus.js
+
+import { notifyGrievanceOwner } from '../notifications/notificationService.js';
+
+/**
+ * Resolution lifecycle states (independent of duplicate_status)
+ */
+export const GRIEVANCE_STATUSES = ['OPEN', 'ASSIGNED', 'IN_PROGRESS', 'RESOLVED', 'REJECTED'];
+
+/**
+ * State machine: which states can follow each state
+ */
+const STATUS_TRANSITIONS = {
+    OPEN: ['ASSIGNED', 'IN_PROGRESS', 'REJECTED'],
+    ASSIGNED: ['OPEN', 'IN_PROGRESS', 'REJECTED'],
+    IN_PROGRESS: ['ASSIGNED', 'RESOLVED', 'REJECTED'],
+    RESOLVED: ['OPEN'],     // Reopen if the issue came back
+    REJECTED: ['OPEN']
+};
+
+/**
+ * Per-role transition rules
+ * - transitions: '*' for every state machine edge, or a subset keyed by source state
+ * - scope: 'any' grievance, 'own' (submitted by the actor), 'assigned' (to the actor)
+ *   or 'department' (inside the actor's department/area scope)
+ * Roles without an entry (data_entry, analyst) cannot change statuses.
+ */
+const ROLE_TRANSITIONS = {
+    super_admin: {
+        transitions: '*',
+        scope: 'any'
+    },
+    department_head: {
+        transitions: '*',
+        scope: 'department'
+    },
+    field_officer: {
+        // Field officers work their own queue; hand back to OPEN if misrouted
+        transitions: {
+            ASSIGNED: ['OPEN', 'IN_PROGRESS'],
+            IN_PROGRESS: ['RESOLVED', 'REJECTED']
+        },
+        scope: 'assigned'
+    },
+    citizen: {
+        // Citizens can only reopen their own grievance when the fix didn't hold
+        transitions: { RESOLVED: ['OPEN'] },
+        scope: 'own'
+    }
+};
+
+/**
+ * Check whether a role's scope covers the grievance
+ */
+function isInScope(scope, actor) {
+    if (scope === 'own') return Boolean(actor.isOwner);
+    if (scope === 'assigned') return Boolean(actor.isAssignee);
+    if (scope === 'department') return Boolean(actor.inScope);
+    return true;
+}
+
+/**
+ * Get the states a role may move a grievance to from its current state
+ * @param {string} fromStatus - Current resolution status
+ * @param {Object} actor - {role, isOwner, isAssignee, inScope}
+ * @returns {string[]} - Allowed target states
+ */
+export function getAllowedTransitions(fromStatus, actor) {
+    const rule = ROLE_TRANSITIONS[actor.role];
+    const next = STATUS_TRANSITIONS[fromStatus] || [];
+
+    if (!rule || !isInScope(rule.scope, actor)) {
+        return [];
+    }
+
+    if (rule.transitions === '*') {
+        return next;
+    }
+
+    const allowed = rule.transitions[fromStatus] || [];
+    return next.filter(status => allowed.includes(status));
+}
+
+/**
+ * Validate a requested status transition
+ * @param {string} fromStatus - Current resolution status
+ * @param {string} toStatus - Requested resolution status
+ * @param {Object} actor - {role, isOwner, isAssignee, inScope}
+ * @returns {Object} - {isValid, reason, error}
+ */
+export function validateTransition(fromStatus, toStatus, actor) {
+    if (!GRIEVANCE_STATUSES.includes(toStatus)) {
+        return {
+            isValid: false,
+            reason: 'INVALID_STATUS',
+            error: `Status must be one of: ${GRIEVANCE_STATUSES.join(', ')}`
+        };
+    }
+
+    if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+        return {
+            isValid: false,
+            reason: 'INVALID_TRANSITION',
+            error: `Cannot move grievance from ${fromStatus} to ${toStatus}`
+        };
+    }
+
+    if (!getAllowedTransitions(fromStatus, actor).includes(toStatus)) {
+        return {
+            isValid: false,
+            reason: 'NOT_PERMITTED',
+            error: `Role '${actor.role}' cannot move grievance from ${fromStatus} to ${toStatus}`
+        };
+    }
+
+    return { isValid: true, reason: null, error: null };
+}
+
+/**
+ * Apply a status transition and record it in the history table
+ * Caller is expected to have validated the transition first. The update only
+ * applies while the grievance is still in the status it was validated against;
+ * if another request moved it in the meantime nothing is written.
+ *
+ * @param {Object} grievance - Grievance row (needs id, resolution_status)
+ * @param {string} toStatus - New resolution status
+ * @param {number|null} changedBy - User ID performing the change (null = system)
+ * @param {string|null} note - Optional note explaining the change
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object|null>} - History entry, or null if the status changed concurrently
+ */
+export async function recordStatusChange(grievance, toStatus, changedBy, note, env) {
+    const fromStatus = grievance.resolution_status || 'OPEN';
+
+    // The history row is only written when the guarded update matched (changes() of the UPDATE)
+    const [update, result] = await env.DB.batch([
+        env.DB.prepare(`
+            UPDATE grievances
+            SET resolution_status = ?,
+                resolved_at = CASE WHEN ? = 'RESOLVED' THEN CURRENT_TIMESTAMP ELSE NULL END,
+                acknowledged_at = CASE
+                    WHEN acknowledged_at IS NULL AND ? IN ('IN_PROGRESS', 'RESOLVED', 'REJECTED') THEN CURRENT_TIMESTAMP
+                    ELSE acknowledged_at
+                END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND COALESCE(resolution_status, 'OPEN') = ?
+        `).bind(toStatus, toStatus, toStatus, grievance.id, fromStatus),
+        env.DB.prepare(`
+            INSERT INTO grievance_status_history
+            (grievance_id, from_status, to_status, changed_by, note)
+            SELECT ?, ?, ?, ?, ? WHERE changes() > 0
+        `).bind(grievance.id, fromStatus, toStatus, changedBy, note || null)
+    ]);
+
+    if (update.meta.changes === 0) {
+        console.warn(`Grievance ${grievance.id} is no longer ${fromStatus}, ${toStatus} not applied`);
+        return null;
+    }
+
+    console.log(`🔁 Grievance ${grievance.id}: ${fromStatus} → ${toStatus} (by ${changedBy ? `user ${changedBy}` : 'system'})`);
+
+    if (fromStatus !== toStatus) {
+        await notifyGrievanceOwner(env, grievance.id, 'GRIEVANCE_STATUS_CHANGED', {
+            fromStatus,
+            status: toStatus,
+            note
+        }, changedBy);
+    }
+
+    return {
+        id: result.meta.last_row_id,
+        grievanceId: grievance.id,
+        fromStatus,
+        toStatus,
+        changedBy,
+        note: note || null
+    };
+}
+
+/**
+ * Get full transition history for a grievance (oldest first)
+ * @param {number} grievanceId - Grievance ID
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Array>} - History rows with actor name
+ */
+export async function getStatusHistory(grievanceId, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT h.id, h.from_status, h.to_status, h.note, h.created_at,
+               h.changed_by, u.full_name as changed_by_name, u.role as changed_by_role
+        FROM grievance_status_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.grievance_id = ?
+        ORDER BY h.created_at ASC, h.id ASC
+    `).bind(grievanceId).all();
+
+    return results || [];
+}
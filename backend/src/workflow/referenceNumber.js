@@ -0,0 +1,112 @@
+// Grievance Reference Number Module
+// File: src/workflow/referenceNumber.js
+
+/**
+ * Three-letter prefix per detected category
+ */
+const CATEGORY_CODES = {
+    WATER: 'WTR',
+    GARBAGE: 'GRB',
+    ROAD: 'RDS',
+    ELECTRICITY: 'ELC',
+    SEWAGE: 'SEW',
+    NOISE: 'NOI',
+    PARK: 'PRK',
+    OTHER: 'OTH'
+};
+
+const MAX_AREA_CODE_LENGTH = 8;
+
+/**
+ * Shorten an area name for use in a reference number
+ * First word (up to 3 letters) + initials of the other words + any numbers:
+ * "Sector 15" -> SEC15, "Andheri West" -> ANDW, "" -> GEN
+ *
+ * @param {string} area - Area name
+ * @returns {string} - Area code
+ */
+export function getAreaCode(area) {
+    const words = (area || '').toUpperCase().split(/[^A-Z0-9]+/).filter(w => w.length > 0);
+    const alpha = words.filter(w => !/[0-9]/.test(w));
+    const digits = words.map(w => w.replace(/[^0-9]/g, '')).join('');
+
+    const code = (alpha[0] || '').substring(0, 3)
+        + alpha.slice(1).map(w => w[0]).join('')
+        + digits;
+
+    return code.substring(0, MAX_AREA_CODE_LENGTH) || 'GEN';
+}
+
+/**
+ * Build the reference number of a grievance, e.g. WTR-2026-SEC15-000123
+ * The grievance ID is the sequence, so references are unique by construction.
+ *
+ * @param {Object} grievance - {id, category, area}
+ * @param {Date} submittedAt - Submission time (year part)
+ * @returns {string} - Reference number
+ */
+export function generateReferenceNumber(grievance, submittedAt = new Date()) {
+    const categoryCode = CATEGORY_CODES[grievance.category] || CATEGORY_CODES.OTHER;
+    const year = submittedAt.getUTCFullYear();
+    const sequence = String(grievance.id).padStart(6, '0');
+
+    return `${categoryCode}-${year}-${getAreaCode(grievance.area)}-${sequence}`;
+}
+
+/**
+ * Normalize a reference typed by a citizen or helpline operator
+ * @param {string} ref - Reference number as entered
+ * @returns {string} - Normalized reference number
+ */
+export function normalizeReferenceNumber(ref) {
+    return (ref || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Generate and store the reference number of a freshly saved grievance
+ * @param {Object} grievance - {id, category, area}
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<string>} - Reference number
+ */
+export async function assignReferenceNumber(grievance, env) {
+    const referenceNumber = generateReferenceNumber(grievance);
+
+    await env.DB.prepare(`
+        UPDATE grievances SET reference_number = ? WHERE id = ?
+    `).bind(referenceNumber, grievance.id).run();
+
+    return referenceNumber;
+}
+
+/**
+ * Give reference numbers to grievances created before they existed
+ * Runs from the scheduled handler in small chunks.
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} limit - Max grievances per run
+ * @returns {Promise<number>} - Number of grievances updated
+ */
+export async function backfillReferenceNumbers(env, limit = 500) {
+    const { results } = await env.DB.prepare(`
+        SELECT id, category, area, created_at FROM grievances
+        WHERE reference_number IS NULL
+        ORDER BY id
+        LIMIT ?
+    `).bind(limit).all();
+
+    for (const grievance of results) {
+        const submittedAt = grievance.created_at
+            ? new Date(`${grievance.created_at.replace(' ', 'T')}Z`)
+            : new Date();
+
+        await env.DB.prepare(`
+            UPDATE grievances SET reference_number = ? WHERE id = ?
+        `).bind(generateReferenceNumber(grievance, submittedAt), grievance.id).run();
+    }
+
+    if (results.length > 0) {
+        console.log(`🔖 Backfilled ${results.length} reference numbers`);
+    }
+
+    return results.length;
+}
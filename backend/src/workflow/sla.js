@@ -0,0 +1,182 @@
+// SLA Deadlines and Escalation Module
+// File: src/workflow/sla.js
+
+import { logAudit } from '../audit/auditLog.js';
+
+/**
+ * Fallback policy when a category has no row in sla_policies
+ */
+const DEFAULT_SLA = {
+    acknowledge_hours: 72,
+    resolve_hours: 240
+};
+
+/**
+ * Who an overdue grievance is escalated to, by escalation level
+ * Level 0 is the normal owner (assigned officer); each escalation moves one step up
+ */
+export const ESCALATION_CHAIN = ['field_officer', 'department_head', 'super_admin'];
+
+/**
+ * Minimum time between two escalations of the same grievance
+ */
+const ESCALATION_INTERVAL_HOURS = 24;
+
+/**
+ * Max grievances escalated per scheduled run (keeps the cron within CPU limits)
+ */
+const ESCALATION_BATCH_SIZE = 200;
+
+/**
+ * An open, unmerged grievance past a deadline it has not met (both ? = now)
+ */
+const OVERDUE_CONDITION = `
+    resolution_status NOT IN ('RESOLVED', 'REJECTED')
+    AND merged_into_id IS NULL
+    AND (
+        (acknowledged_at IS NULL AND ack_due_at IS NOT NULL AND ack_due_at <= ?)
+        OR (due_at IS NOT NULL AND due_at <= ?)
+    )
+`;
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * so stored deadlines compare correctly as strings
+ */
+export function toSqlDateTime(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Add hours to a date without mutating it
+ */
+function addHours(date, hours) {
+    return new Date(date.getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Get the SLA policy for a category (falls back to OTHER, then defaults)
+ * @param {string} category - Grievance category
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Promise<Object>} - {category, acknowledge_hours, resolve_hours}
+ */
+export async function getSlaPolicy(category, env) {
+    const policy = await env.DB.prepare(`
+        SELECT category, acknowledge_hours, resolve_hours
+        FROM sla_policies
+        WHERE is_active = 1 AND category IN (?, 'OTHER')
+        ORDER BY CASE WHEN category = 'OTHER' THEN 1 ELSE 0 END
+        LIMIT 1
+    `).bind(category || 'OTHER').first();
+
+    return policy || { category: category || 'OTHER', ...DEFAULT_SLA };
+}
+
+/**
+ * Compute and store the acknowledge / resolve deadlines of a grievance
+ * Never throws - a missing policy must not fail the submission
+ *
+ * @param {number} grievanceId - Grievance ID
+ * @param {string} category - Grievance category
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Date} now - Submission time (injectable for tests)
+ * @returns {Promise<Object|null>} - {ackDueAt, dueAt}, or null on failure
+ */
+export async function applySlaPolicy(grievanceId, category, env, now = new Date()) {
+    try {
+        const policy = await getSlaPolicy(category, env);
+
+        const ackDueAt = toSqlDateTime(addHours(now, policy.acknowledge_hours));
+        const dueAt = toSqlDateTime(addHours(now, policy.resolve_hours));
+
+        await env.DB.prepare(`
+            UPDATE grievances SET ack_due_at = ?, due_at = ? WHERE id = ?
+        `).bind(ackDueAt, dueAt, grievanceId).run();
+
+        return { ackDueAt, dueAt };
+    } catch (error) {
+        console.warn(`Failed to apply SLA policy to grievance ${grievanceId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Scheduled job: flag overdue grievances and escalate them one level up
+ * is_overdue is recomputed from the current deadlines on every run, so it clears
+ * once a grievance is acknowledged, resolved, merged or given a later deadline.
+ * An escalation is recorded in audit_logs (user_id NULL = system)
+ *
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Date} now - Current time (the cron's scheduledTime, or a fake clock in tests)
+ * @returns {Promise<Object>} - {checkedAt, flagsChanged, escalated: [{id, breach, level, role}]}
+ */
+export async function runSlaEscalation(env, now = new Date()) {
+    const nowSql = toSqlDateTime(now);
+    const reEscalateBefore = toSqlDateTime(addHours(now, -ESCALATION_INTERVAL_HOURS));
+
+    const flags = await env.DB.prepare(`
+        UPDATE grievances
+        SET is_overdue = CASE WHEN ${OVERDUE_CONDITION} THEN 1 ELSE 0 END
+        WHERE is_overdue IS NOT CASE WHEN ${OVERDUE_CONDITION} THEN 1 ELSE 0 END
+    `).bind(nowSql, nowSql, nowSql, nowSql).run();
+
+    const { results: overdue } = await env.DB.prepare(`
+        SELECT id, category, area, resolution_status, assigned_officer_id, department_id,
+               ack_due_at, due_at, acknowledged_at, escalation_level
+        FROM grievances
+        WHERE ${OVERDUE_CONDITION}
+          AND (escalated_at IS NULL OR escalated_at <= ?)
+          AND escalation_level < ?
+        ORDER BY COALESCE(ack_due_at, due_at) ASC
+        LIMIT ?
+    `).bind(
+        nowSql,
+        nowSql,
+        reEscalateBefore,
+        ESCALATION_CHAIN.length - 1,
+        ESCALATION_BATCH_SIZE
+    ).all();
+
+    const escalated = [];
+
+    for (const grievance of overdue) {
+        const breach = grievance.due_at && grievance.due_at <= nowSql ? 'RESOLVE' : 'ACKNOWLEDGE';
+        const level = (grievance.escalation_level || 0) + 1;
+        const role = ESCALATION_CHAIN[Math.min(level, ESCALATION_CHAIN.length - 1)];
+
+        await env.DB.prepare(`
+            UPDATE grievances
+            SET is_overdue = 1,
+                escalation_level = ?,
+                escalated_to_role = ?,
+                escalated_at = ?
+            WHERE id = ?
+        `).bind(level, role, nowSql, grievance.id).run();
+
+        await logAudit(env, {
+            userId: null,
+            action: 'SLA_ESCALATION',
+            entityType: 'grievance',
+            entityId: grievance.id,
+            details: {
+                breach,
+                level,
+                escalatedToRole: role,
+                resolutionStatus: grievance.resolution_status,
+                assignedOfficerId: grievance.assigned_officer_id,
+                ackDueAt: grievance.ack_due_at,
+                dueAt: grievance.due_at
+            }
+        });
+
+        console.log(`⏰ Grievance ${grievance.id} breached ${breach} SLA → escalated to ${role} (level ${level})`);
+
+        escalated.push({ id: grievance.id, breach, level, role });
+    }
+
+    return {
+        checkedAt: nowSql,
+        flagsChanged: flags.meta.changes,
+        escalated
+    };
+}
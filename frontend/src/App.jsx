@@ -9,6 +9,9 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 const LandingPage = lazy(() => import('./components/LandingPage/LandingPage'));
 const Login = lazy(() => import('./components/Auth/Login'));
 const Register = lazy(() => import('./components/Auth/Register'));
+const ForgotPassword = lazy(() => import('./components/Auth/ForgotPassword'));
+const ResetPassword = lazy(() => import('./components/Auth/ResetPassword'));
+const VerifyEmail = lazy(() => import('./components/Auth/VerifyEmail'));
 const Dashboard = lazy(() => import('./components/Dashboard/Dashboard'));
 const SubmitText = lazy(() => import('./components/Grievance/SubmitText'));
 const SubmitPDF = lazy(() => import('./components/Grievance/SubmitPDF'));
@@ -16,7 +19,13 @@ const SubmitBatchPDF = lazy(() => import('./components/Grievance/SubmitBatchPDF'
 const GrievanceList = lazy(() => import('./components/Grievance/GrievanceList'));
 const AdminDashboard = lazy(() => import('./components/Admin/AdminDashboard'));
 const ClusterVisualization = lazy(() => import('./components/Admin/ClusterVisualization'));
+const UserManagement = lazy(() => import('./components/Admin/UserManagement'));
+const ApiKeys = lazy(() => import('./components/Admin/ApiKeys'));
+const Embeddings = lazy(() => import('./components/Admin/Embeddings'));
+const Notifications = lazy(() => import('./components/Notifications/Notifications'));
+const SecuritySettings = lazy(() => import('./components/Account/SecuritySettings'));
 const Navbar = lazy(() => import('./components/Layout/Navbar'));
+const EmailVerificationBanner = lazy(() => import('./components/Layout/EmailVerificationBanner'));
 
 // Loading component
 const LoadingSpinner = () => (
@@ -50,6 +59,7 @@ function AppContent() {
             {user && (
                 <Suspense fallback={<div className="h-16 bg-gray-800" />}>
                     <Navbar />
+                    <EmailVerificationBanner />
                 </Suspense>
             )}
             
@@ -62,6 +72,14 @@ function AppContent() {
                     <Route path="/register" element={
                         user ? <Navigate to="/dashboard" replace /> : <Register />
                     } />
+                    
+                    <Route path="/forgot-password" element={
+                        user ? <Navigate to="/dashboard" replace /> : <ForgotPassword />
+                    } />
+                    
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    
+                    <Route path="/verify-email" element={<VerifyEmail />} />
                 
                 <Route path="/dashboard" element={
                     <ProtectedRoute>
@@ -70,19 +88,19 @@ function AppContent() {
                 } />
                 
                 <Route path="/submit-text" element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="grievance.submit">
                         <SubmitText />
                     </ProtectedRoute>
                 } />
                 
                 <Route path="/submit-pdf" element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="grievance.submit">
                         <SubmitPDF />
                     </ProtectedRoute>
                 } />
                 
                 <Route path="/submit-batch" element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="batch.upload">
                         <SubmitBatchPDF />
                     </ProtectedRoute>
                 } />
@@ -93,18 +111,48 @@ function AppContent() {
                     </ProtectedRoute>
                 } />
                 
+                <Route path="/notifications" element={
+                    <ProtectedRoute>
+                        <Notifications />
+                    </ProtectedRoute>
+                } />
+                
+                <Route path="/account/security" element={
+                    <ProtectedRoute>
+                        <SecuritySettings />
+                    </ProtectedRoute>
+                } />
+                
                 <Route path="/admin" element={
-                    <ProtectedRoute requireAdmin>
+                    <ProtectedRoute permission="stats.view">
                         <AdminDashboard />
                     </ProtectedRoute>
                 } />
                 
                 <Route path="/admin/clusters" element={
-                    <ProtectedRoute requireAdmin>
+                    <ProtectedRoute permission="clusters.view">
                         <ClusterVisualization />
                     </ProtectedRoute>
                 } />
                 
+                <Route path="/admin/users" element={
+                    <ProtectedRoute permission="users.manage">
+                        <UserManagement />
+                    </ProtectedRoute>
+                } />
+                
+                <Route path="/admin/api-keys" element={
+                    <ProtectedRoute permission="apikeys.manage">
+                        <ApiKeys />
+                    </ProtectedRoute>
+                } />
+                
+                <Route path="/admin/embeddings" element={
+                    <ProtectedRoute permission="embeddings.manage">
+                        <Embeddings />
+                    </ProtectedRoute>
+                } />
+                
                 {/* Landing page at root - redirect to dashboard if logged in */}
                 <Route path="/" element={
                     user ? <Navigate to="/dashboard" replace /> : <LandingPage />
@@ -115,8 +163,8 @@ function AppContent() {
     );
 }
 
-function ProtectedRoute({ children, requireAdmin = false }) {
-    const { user, loading } = useAuth();
+function ProtectedRoute({ children, permission = null }) {
+    const { user, loading, can } = useAuth();
     
     if (loading) {
         return <div className="flex justify-center items-center h-screen">
@@ -128,7 +176,7 @@ function ProtectedRoute({ children, requireAdmin = false }) {
         return <Navigate to="/login" />;
     }
     
-    if (requireAdmin && user.role !== 'admin') {
+    if (permission && !can(permission)) {
         return <Navigate to="/dashboard" />;
     }
     
@@ -0,0 +1,210 @@
+// Account Security Component
+// File: src/components/Account/SecuritySettings.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+import TwoFactorEnrollment, { RecoveryCodes } from '../Auth/TwoFactorEnrollment';
+
+function formatDate(timestamp) {
+    if (!timestamp) return '';
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString();
+}
+
+function SecuritySettings() {
+    const { updateUser } = useAuth();
+    const [status, setStatus] = useState(null);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    // null | 'password' | 'enroll' | 'disable' | 'regenerate'
+    const [mode, setMode] = useState(null);
+    const [password, setPassword] = useState('');
+    const [code, setCode] = useState('');
+    const [newCodes, setNewCodes] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const fetchStatus = async () => {
+        try {
+            const data = await api.get('/auth/2fa/status');
+            setStatus(data);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const reset = () => {
+        setMode(null);
+        setPassword('');
+        setCode('');
+    };
+
+    const handleEnrolled = () => {
+        reset();
+        updateUser({ twoFactorEnabled: true });
+        setMessage('Two-factor authentication is on');
+        fetchStatus();
+    };
+
+    const handleDisable = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setMessage(null);
+
+        try {
+            await api.post('/auth/2fa/disable', { password, code });
+            reset();
+            updateUser({ twoFactorEnabled: false });
+            setMessage('Two-factor authentication is off');
+            fetchStatus();
+        } catch (err) {
+            setMessage(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRegenerate = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setMessage(null);
+
+        try {
+            const data = await api.post('/auth/2fa/recovery-codes', { code });
+            reset();
+            setNewCodes(data.recoveryCodes);
+        } catch (err) {
+            setMessage(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-white">
+            <div className="border-b border-gray-100">
+                <div className="max-w-5xl mx-auto px-6 py-8">
+                    <h1 className="text-3xl font-semibold text-gray-900 mb-2">Security</h1>
+                    <p className="text-gray-500 text-lg">Protect your account with a second sign-in step</p>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto px-6 py-8">
+                {error && (
+                    <div className="mb-6 bg-red-50 border border-red-100 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {status && (
+                    <div className="max-w-lg border border-gray-100 rounded-lg p-6">
+                        <div className="flex items-center justify-between mb-2">
+                            <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+                            <span className={`px-2 py-0.5 text-xs rounded ${status.enabled ? 'bg-green-50 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                {status.enabled ? 'On' : 'Off'}
+                            </span>
+                        </div>
+                        <p className="text-sm text-gray-500 mb-6">
+                            {status.enabled
+                                ? `Enabled ${formatDate(status.enabledAt)}. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining !== 1 ? 's' : ''} left.`
+                                : 'Sign-ins will ask for a code from an authenticator app after your password.'}
+                            {status.required && ' Required for your role.'}
+                        </p>
+
+                        {newCodes ? (
+                            <RecoveryCodes codes={newCodes} onDone={() => { setNewCodes(null); fetchStatus(); }} />
+                        ) : mode === 'enroll' ? (
+                            <TwoFactorEnrollment password={password} onComplete={handleEnrolled} onCancel={reset} />
+                        ) : mode === 'password' ? (
+                            <form onSubmit={(e) => { e.preventDefault(); setMode('enroll'); }} className="space-y-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-900 mb-2">Current password</label>
+                                    <input
+                                        type="password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        className="input-field"
+                                        required
+                                    />
+                                </div>
+                                <div className="flex gap-3">
+                                    <button type="button" onClick={reset} className="flex-1 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50">
+                                        Cancel
+                                    </button>
+                                    <button type="submit" className="flex-1 btn-primary py-2">Continue</button>
+                                </div>
+                            </form>
+                        ) : mode === 'disable' || mode === 'regenerate' ? (
+                            <form onSubmit={mode === 'disable' ? handleDisable : handleRegenerate} className="space-y-4">
+                                {mode === 'disable' && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-900 mb-2">Current password</label>
+                                        <input
+                                            type="password"
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            className="input-field"
+                                            required
+                                        />
+                                    </div>
+                                )}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-900 mb-2">Authentication code</label>
+                                    <input
+                                        type="text"
+                                        inputMode="numeric"
+                                        autoComplete="one-time-code"
+                                        value={code}
+                                        onChange={(e) => setCode(e.target.value)}
+                                        className="input-field tracking-widest"
+                                        maxLength={6}
+                                        required
+                                    />
+                                </div>
+                                <div className="flex gap-3">
+                                    <button type="button" onClick={reset} className="flex-1 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50">
+                                        Cancel
+                                    </button>
+                                    <button type="submit" disabled={submitting} className="flex-1 btn-primary py-2 disabled:opacity-50">
+                                        {mode === 'disable' ? 'Turn off' : 'Generate new codes'}
+                                    </button>
+                                </div>
+                            </form>
+                        ) : status.enabled ? (
+                            <div className="flex gap-3">
+                                <button
+                                    onClick={() => setMode('regenerate')}
+                                    className="flex-1 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50"
+                                >
+                                    New recovery codes
+                                </button>
+                                {!status.required && (
+                                    <button
+                                        onClick={() => setMode('disable')}
+                                        className="flex-1 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                                    >
+                                        Turn off
+                                    </button>
+                                )}
+                            </div>
+                        ) : (
+                            <button onClick={() => setMode('password')} className="btn-primary py-2 px-4 text-sm">
+                                Set up two-factor
+                            </button>
+                        )}
+
+                        {message && (
+                            <p className="mt-4 text-xs text-gray-500">{message}</p>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SecuritySettings;
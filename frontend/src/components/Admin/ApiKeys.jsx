@@ -0,0 +1,301 @@
+// Admin API Keys Component
+// File: src/components/Admin/ApiKeys.jsx
+
+import React, { useState, useEffect } from 'react';
+import api from '../../utils/api';
+
+function formatDate(timestamp) {
+    if (!timestamp) return '—';
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString();
+}
+
+const EMPTY_FORM = { name: '', userEmail: '', scopes: [], expiresInDays: '' };
+
+function ApiKeys() {
+    const [apiKeys, setApiKeys] = useState([]);
+    const [scopes, setScopes] = useState({});
+    const [includeRevoked, setIncludeRevoked] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [formError, setFormError] = useState(null);
+    const [creating, setCreating] = useState(false);
+    const [newKey, setNewKey] = useState(null);
+    const [usage, setUsage] = useState(null);
+
+    useEffect(() => {
+        fetchKeys();
+    }, [includeRevoked]);
+
+    const fetchKeys = async () => {
+        try {
+            setLoading(true);
+            const data = await api.get('/admin/api-keys', includeRevoked ? { includeRevoked: 'true' } : {});
+            setApiKeys(data.apiKeys || []);
+            setScopes(data.scopes || {});
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleScope = (scope) => {
+        setForm(prev => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter(s => s !== scope)
+                : [...prev.scopes, scope]
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setFormError(null);
+        setCreating(true);
+
+        try {
+            const data = await api.post('/admin/api-keys', {
+                name: form.name,
+                userEmail: form.userEmail,
+                scopes: form.scopes,
+                ...(form.expiresInDays && { expiresInDays: parseInt(form.expiresInDays) })
+            });
+            setNewKey(data.key);
+            setForm(EMPTY_FORM);
+            fetchKeys();
+        } catch (err) {
+            setFormError(err.message);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const revoke = async (apiKey) => {
+        if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it stop working immediately.`)) {
+            return;
+        }
+        try {
+            await api.post(`/admin/api-keys/${apiKey.id}/revoke`, {});
+            if (usage?.apiKey.id === apiKey.id) setUsage(null);
+            fetchKeys();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const showUsage = async (apiKey) => {
+        try {
+            const data = await api.get(`/admin/api-keys/${apiKey.id}/usage`, { days: 30 });
+            setUsage(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const maxDaily = usage ? Math.max(1, ...usage.usage.map(d => d.request_count)) : 1;
+
+    return (
+        <div className="min-h-screen bg-white">
+            <div className="border-b border-gray-100">
+                <div className="max-w-5xl mx-auto px-6 py-8">
+                    <h1 className="text-3xl font-semibold text-gray-900 mb-2">API Keys</h1>
+                    <p className="text-gray-500 text-lg">Access for integrations such as ward call-centre software</p>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto px-6 py-8">
+                {error && (
+                    <div className="mb-6 bg-red-50 border border-red-100 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {newKey && (
+                    <div className="mb-6 p-4 bg-green-50 border border-green-100 rounded-lg">
+                        <p className="text-sm text-green-800 mb-2">Copy this key now - it will not be shown again.</p>
+                        <div className="flex items-center gap-3">
+                            <code className="flex-1 font-mono text-sm text-gray-900 break-all">{newKey}</code>
+                            <button
+                                onClick={() => navigator.clipboard?.writeText(newKey)}
+                                className="px-3 py-1.5 text-sm text-gray-600 border border-gray-200 rounded-lg bg-white hover:bg-gray-50"
+                            >
+                                Copy
+                            </button>
+                            <button onClick={() => setNewKey(null)} className="text-sm text-gray-500 hover:underline">
+                                Done
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+                    {/* Key List */}
+                    <div className="md:col-span-2">
+                        <label className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+                            <input
+                                type="checkbox"
+                                checked={includeRevoked}
+                                onChange={(e) => setIncludeRevoked(e.target.checked)}
+                            />
+                            Show revoked keys
+                        </label>
+
+                        {loading ? (
+                            <div className="flex justify-center py-12">
+                                <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+                            </div>
+                        ) : apiKeys.length === 0 ? (
+                            <div className="text-center py-16 text-gray-500">No API keys yet.</div>
+                        ) : (
+                            <div className="border border-gray-100 rounded-lg divide-y divide-gray-50">
+                                {apiKeys.map(k => (
+                                    <div key={k.id} className={`px-5 py-4 ${k.revoked_at ? 'opacity-60' : ''}`}>
+                                        <div className="flex items-center justify-between gap-3">
+                                            <div className="min-w-0">
+                                                <p className="text-sm font-medium text-gray-900 truncate">{k.name}</p>
+                                                <p className="text-xs text-gray-500 truncate">
+                                                    <span className="font-mono">{k.key_prefix}…</span> · acts as {k.user_email}
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center gap-3 flex-shrink-0 text-xs">
+                                                {k.revoked_at ? (
+                                                    <span className="px-2 py-0.5 rounded bg-red-50 text-red-600">Revoked</span>
+                                                ) : (
+                                                    <>
+                                                        <button onClick={() => showUsage(k)} className="text-blue-700 hover:underline">
+                                                            Usage
+                                                        </button>
+                                                        <button onClick={() => revoke(k)} className="text-red-600 hover:underline">
+                                                            Revoke
+                                                        </button>
+                                                    </>
+                                                )}
+                                            </div>
+                                        </div>
+                                        <div className="mt-2 flex flex-wrap gap-1">
+                                            {k.scopes.map(scope => (
+                                                <span key={scope} className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600 font-mono">
+                                                    {scope}
+                                                </span>
+                                            ))}
+                                        </div>
+                                        <p className="mt-2 text-xs text-gray-400">
+                                            {k.request_count} request{k.request_count !== 1 ? 's' : ''}
+                                            {' · '}last used {formatDate(k.last_used_at)}
+                                            {k.expires_at && ` · expires ${formatDate(k.expires_at)}`}
+                                        </p>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {usage && (
+                            <div className="mt-6 border border-gray-100 rounded-lg p-5">
+                                <div className="flex justify-between items-center mb-4">
+                                    <h2 className="text-sm font-semibold text-gray-900">
+                                        {usage.apiKey.name} - last {usage.days} days
+                                    </h2>
+                                    <button onClick={() => setUsage(null)} className="text-xs text-gray-500 hover:underline">
+                                        Close
+                                    </button>
+                                </div>
+                                {usage.usage.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No requests in this period.</p>
+                                ) : (
+                                    <div className="space-y-1.5">
+                                        {usage.usage.map(d => (
+                                            <div key={d.day} className="flex items-center gap-3 text-xs">
+                                                <span className="w-20 text-gray-500">{d.day}</span>
+                                                <div className="flex-1 bg-gray-50 rounded h-2">
+                                                    <div
+                                                        className="bg-blue-700 h-2 rounded"
+                                                        style={{ width: `${(d.request_count / maxDaily) * 100}%` }}
+                                                    ></div>
+                                                </div>
+                                                <span className="w-12 text-right text-gray-900">{d.request_count}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Create Key */}
+                    <form onSubmit={handleCreate} className="border border-gray-100 rounded-lg p-5 h-fit space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-900">New key</h2>
+
+                        <div>
+                            <label className="block text-xs text-gray-500 mb-1">Name</label>
+                            <input
+                                type="text"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                className="input-field text-sm"
+                                placeholder="Ward 5 call centre"
+                                required
+                            />
+                        </div>
+
+                        <div>
+                            <label className="block text-xs text-gray-500 mb-1">Acts as (user email)</label>
+                            <input
+                                type="email"
+                                value={form.userEmail}
+                                onChange={(e) => setForm({ ...form, userEmail: e.target.value })}
+                                className="input-field text-sm"
+                                required
+                            />
+                        </div>
+
+                        <div>
+                            <label className="block text-xs text-gray-500 mb-1">Scopes</label>
+                            <div className="space-y-1.5">
+                                {Object.entries(scopes).map(([scope, description]) => (
+                                    <label key={scope} className="flex items-start gap-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={form.scopes.includes(scope)}
+                                            onChange={() => toggleScope(scope)}
+                                            className="mt-1"
+                                        />
+                                        <span>
+                                            <span className="font-mono text-gray-900">{scope}</span>
+                                            <span className="block text-xs text-gray-500">{description}</span>
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs text-gray-500 mb-1">Expires after (days, optional)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="365"
+                                value={form.expiresInDays}
+                                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                                className="input-field text-sm"
+                            />
+                        </div>
+
+                        {formError && <p className="text-xs text-red-600">{formError}</p>}
+
+                        <button
+                            type="submit"
+                            disabled={creating || form.scopes.length === 0}
+                            className="w-full btn-primary py-2 text-sm disabled:opacity-50"
+                        >
+                            {creating ? 'Creating...' : 'Create key'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ApiKeys;
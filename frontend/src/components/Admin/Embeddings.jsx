@@ -0,0 +1,221 @@
+// Admin Embeddings Component
+// File: src/components/Admin/Embeddings.jsx
+
+import React, { useState, useEffect } from 'react';
+import api from '../../utils/api';
+
+const POLL_INTERVAL_MS = 5000;
+
+const STATUS_STYLES = {
+    running: 'bg-blue-50 text-blue-700',
+    paused: 'bg-yellow-50 text-yellow-700',
+    completed: 'bg-green-50 text-green-700',
+    failed: 'bg-red-50 text-red-600',
+    cancelled: 'bg-gray-100 text-gray-600'
+};
+
+function formatDate(timestamp) {
+    if (!timestamp) return '—';
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+}
+
+function Embeddings() {
+    const [coverage, setCoverage] = useState(null);
+    const [jobs, setJobs] = useState([]);
+    const [chunkSize, setChunkSize] = useState(50);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const active = jobs.find(j => j.status === 'running' || j.status === 'paused');
+
+    useEffect(() => {
+        fetchAll();
+    }, []);
+
+    // Follow progress while a job is running
+    useEffect(() => {
+        if (active?.status !== 'running') return;
+        const timer = setInterval(fetchAll, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [active?.id, active?.status]);
+
+    const fetchAll = async () => {
+        try {
+            const [coverageData, jobData] = await Promise.all([
+                api.get('/admin/embeddings'),
+                api.get('/admin/reembedding-jobs')
+            ]);
+            setCoverage(coverageData);
+            setJobs(jobData.jobs || []);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const startJob = async () => {
+        if (!window.confirm(`Re-embed ${coverage.stale} grievance(s) with ${coverage.currentModel}? They are not used for duplicate detection until re-embedded.`)) {
+            return;
+        }
+        setBusy(true);
+        try {
+            await api.post('/admin/reembedding-jobs', { chunkSize: parseInt(chunkSize) });
+            await fetchAll();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const control = async (job, action) => {
+        setBusy(true);
+        try {
+            await api.post(`/admin/reembedding-jobs/${job.id}/${action}`, {});
+            await fetchAll();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-24">
+                <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-white">
+            <div className="border-b border-gray-100">
+                <div className="max-w-5xl mx-auto px-6 py-8">
+                    <h1 className="text-3xl font-semibold text-gray-900 mb-2">Embeddings</h1>
+                    <p className="text-gray-500 text-lg">Duplicate detection only compares vectors from the same model</p>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto px-6 py-8 space-y-8">
+                {error && (
+                    <div className="bg-red-50 border border-red-100 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {coverage && (
+                    <div className="border border-gray-100 rounded-lg p-5">
+                        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                            <div>
+                                <p className="text-xs text-gray-500">Configured model</p>
+                                <p className="text-lg font-mono text-gray-900">{coverage.currentModel}</p>
+                                <p className="text-xs text-gray-500">{coverage.provider} · {coverage.dimensions} dimensions</p>
+                            </div>
+                            <div className="text-right">
+                                <p className="text-xs text-gray-500">Not on this model</p>
+                                <p className={`text-2xl font-semibold ${coverage.stale > 0 ? 'text-yellow-700' : 'text-green-700'}`}>
+                                    {coverage.stale}
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="divide-y divide-gray-50">
+                            {coverage.models.map(m => (
+                                <div key={`${m.model_name}-${m.vector_dimension}`} className="flex justify-between py-2 text-sm">
+                                    <span className="font-mono text-gray-700">
+                                        {m.model_name}
+                                        {m.model_name === coverage.currentModel && <span className="ml-2 text-xs text-green-700">current</span>}
+                                    </span>
+                                    <span className="text-gray-900">{m.count}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <p className="mt-3 text-xs text-gray-500">
+                            {coverage.annIndex
+                                ? `Search index v${coverage.annIndex.version}: ${coverage.annIndex.lists} lists, ${coverage.annIndex.nprobe} probed per query, trained on ${coverage.annIndex.trainedVectors} vectors${coverage.annIndex.unassigned > 0 ? ` · ${coverage.annIndex.unassigned} awaiting a list` : ''}`
+                                : 'No search index yet - duplicate search compares against every stored vector'}
+                        </p>
+
+                        {!active && coverage.stale > 0 && (
+                            <div className="mt-4 flex items-center gap-3">
+                                <label className="text-xs text-gray-500">Chunk size</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="200"
+                                    value={chunkSize}
+                                    onChange={(e) => setChunkSize(e.target.value)}
+                                    className="input-field text-sm w-24"
+                                />
+                                <button onClick={startJob} disabled={busy} className="btn-primary px-4 py-2 text-sm disabled:opacity-50">
+                                    Re-embed corpus
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900 mb-4">Re-embedding jobs</h2>
+                    {jobs.length === 0 ? (
+                        <p className="text-sm text-gray-500">No jobs yet.</p>
+                    ) : (
+                        <div className="border border-gray-100 rounded-lg divide-y divide-gray-50">
+                            {jobs.map(job => (
+                                <div key={job.id} className="px-5 py-4">
+                                    <div className="flex items-center justify-between gap-3">
+                                        <div className="min-w-0">
+                                            <p className="text-sm font-medium text-gray-900">
+                                                #{job.id} → <span className="font-mono">{job.target_model}</span>
+                                            </p>
+                                            <p className="text-xs text-gray-500">
+                                                Started {formatDate(job.created_at)}
+                                                {job.completed_at && ` · finished ${formatDate(job.completed_at)}`}
+                                            </p>
+                                        </div>
+                                        <div className="flex items-center gap-3 text-xs flex-shrink-0">
+                                            <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[job.status]}`}>{job.status}</span>
+                                            {job.status === 'running' && (
+                                                <button onClick={() => control(job, 'pause')} disabled={busy} className="text-gray-600 hover:underline">
+                                                    Pause
+                                                </button>
+                                            )}
+                                            {(job.status === 'paused' || job.status === 'failed') && (
+                                                <button onClick={() => control(job, 'resume')} disabled={busy} className="text-blue-700 hover:underline">
+                                                    Resume
+                                                </button>
+                                            )}
+                                            {['running', 'paused', 'failed'].includes(job.status) && (
+                                                <button onClick={() => control(job, 'cancel')} disabled={busy} className="text-red-600 hover:underline">
+                                                    Cancel
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <div className="mt-3 flex items-center gap-3 text-xs">
+                                        <div className="flex-1 bg-gray-50 rounded h-2">
+                                            <div className="bg-blue-700 h-2 rounded" style={{ width: `${job.progress.percent}%` }}></div>
+                                        </div>
+                                        <span className="w-28 text-right text-gray-900">
+                                            {job.progress.processed} / {job.progress.total}
+                                        </span>
+                                    </div>
+                                    {job.last_error && (
+                                        <p className="mt-2 text-xs text-red-600">{job.last_error}</p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Embeddings;
@@ -0,0 +1,329 @@
+// Admin User Management Component
+// File: src/components/Admin/UserManagement.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+const PAGE_SIZE = 25;
+
+const ROLE_LABELS = {
+    citizen: 'Citizen',
+    field_officer: 'Field Officer',
+    department_head: 'Department Head',
+    data_entry: 'Data Entry',
+    analyst: 'Analyst',
+    super_admin: 'Super Admin'
+};
+
+function formatDate(timestamp) {
+    if (!timestamp) return '—';
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString();
+}
+
+function UserManagement() {
+    const { user: currentUser } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState(Object.keys(ROLE_LABELS));
+    const [total, setTotal] = useState(0);
+    const [offset, setOffset] = useState(0);
+    const [search, setSearch] = useState('');
+    const [roleFilter, setRoleFilter] = useState('');
+    const [activeFilter, setActiveFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const timer = setTimeout(() => fetchUsers(0), 300);
+        return () => clearTimeout(timer);
+    }, [search, roleFilter, activeFilter]);
+
+    const fetchUsers = async (nextOffset) => {
+        try {
+            setLoading(true);
+            const data = await api.get('/admin/users', {
+                limit: PAGE_SIZE,
+                offset: nextOffset,
+                ...(search && { search }),
+                ...(roleFilter && { role: roleFilter }),
+                ...(activeFilter && { active: activeFilter })
+            });
+            setUsers(data.users || []);
+            setTotal(data.total || 0);
+            setRoles(data.roles || roles);
+            setOffset(nextOffset);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openUser = async (id) => {
+        try {
+            const data = await api.get(`/admin/users/${id}`);
+            setSelected(data.user);
+            setMessage(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const changeRole = async (role) => {
+        try {
+            const data = await api.put(`/admin/users/${selected.id}`, { role });
+            setSelected(data.user);
+            setMessage(`Role changed to ${ROLE_LABELS[role] || role}`);
+            fetchUsers(offset);
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    const toggleActive = async () => {
+        const action = selected.is_active ? 'deactivate' : 'reactivate';
+        if (selected.is_active && !window.confirm(`Deactivate ${selected.email}? They will be logged out everywhere.`)) {
+            return;
+        }
+        try {
+            await api.post(`/admin/users/${selected.id}/${action}`, {});
+            const data = await api.get(`/admin/users/${selected.id}`);
+            setSelected(data.user);
+            setMessage(selected.is_active ? 'Account deactivated' : 'Account reactivated');
+            fetchUsers(offset);
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    const unlock = async () => {
+        try {
+            await api.post(`/admin/users/${selected.id}/unlock`, {});
+            const data = await api.get(`/admin/users/${selected.id}`);
+            setSelected(data.user);
+            setMessage('Login lockout cleared');
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    const resetTwoFactor = async () => {
+        if (!window.confirm(`Reset two-factor authentication for ${selected.email}? They will be logged out everywhere.`)) {
+            return;
+        }
+        try {
+            await api.post(`/admin/users/${selected.id}/reset-2fa`, {});
+            const data = await api.get(`/admin/users/${selected.id}`);
+            setSelected(data.user);
+            setMessage('Two-factor authentication reset');
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    const isSelf = selected && selected.id === currentUser?.id;
+
+    return (
+        <div className="min-h-screen bg-white">
+            <div className="border-b border-gray-100">
+                <div className="max-w-5xl mx-auto px-6 py-8">
+                    <h1 className="text-3xl font-semibold text-gray-900 mb-2">Users</h1>
+                    <p className="text-gray-500 text-lg">{total} account{total !== 1 ? 's' : ''}</p>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto px-6 py-8">
+                {/* Filters */}
+                <div className="flex flex-col md:flex-row gap-3 mb-6">
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        className="input-field flex-1"
+                        placeholder="Search by name, email or phone"
+                    />
+                    <select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)} className="input-field md:w-48">
+                        <option value="">All roles</option>
+                        {roles.map(role => (
+                            <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                        ))}
+                    </select>
+                    <select value={activeFilter} onChange={(e) => setActiveFilter(e.target.value)} className="input-field md:w-40">
+                        <option value="">Any status</option>
+                        <option value="true">Active</option>
+                        <option value="false">Deactivated</option>
+                    </select>
+                </div>
+
+                {error && (
+                    <div className="mb-6 bg-red-50 border border-red-100 text-red-600 px-4 py-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+                    {/* User List */}
+                    <div className="md:col-span-2">
+                        {loading ? (
+                            <div className="flex justify-center py-12">
+                                <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+                            </div>
+                        ) : users.length === 0 ? (
+                            <div className="text-center py-16 text-gray-500">No users found.</div>
+                        ) : (
+                            <div className="border border-gray-100 rounded-lg divide-y divide-gray-50">
+                                {users.map(u => (
+                                    <button
+                                        key={u.id}
+                                        onClick={() => openUser(u.id)}
+                                        className={`w-full text-left px-5 py-4 hover:bg-gray-50 ${selected?.id === u.id ? 'bg-blue-50/40' : ''}`}
+                                    >
+                                        <div className="flex items-center justify-between gap-3">
+                                            <div className="min-w-0">
+                                                <p className="text-sm font-medium text-gray-900 truncate">{u.full_name}</p>
+                                                <p className="text-xs text-gray-500 truncate">{u.email}</p>
+                                            </div>
+                                            <div className="flex items-center gap-2 flex-shrink-0">
+                                                {!u.is_active && (
+                                                    <span className="px-2 py-0.5 text-xs rounded bg-red-50 text-red-600">Deactivated</span>
+                                                )}
+                                                <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">
+                                                    {ROLE_LABELS[u.role] || u.role}
+                                                </span>
+                                            </div>
+                                        </div>
+                                        {u.departments.length > 0 && (
+                                            <p className="mt-1 text-xs text-gray-400">{u.departments.join(', ')}</p>
+                                        )}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {total > PAGE_SIZE && (
+                            <div className="flex justify-between items-center mt-4 text-sm">
+                                <button
+                                    onClick={() => fetchUsers(Math.max(offset - PAGE_SIZE, 0))}
+                                    disabled={offset === 0}
+                                    className="px-3 py-1.5 text-gray-600 border border-gray-200 rounded-lg disabled:opacity-50"
+                                >
+                                    Previous
+                                </button>
+                                <span className="text-gray-500">
+                                    {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+                                </span>
+                                <button
+                                    onClick={() => fetchUsers(offset + PAGE_SIZE)}
+                                    disabled={offset + PAGE_SIZE >= total}
+                                    className="px-3 py-1.5 text-gray-600 border border-gray-200 rounded-lg disabled:opacity-50"
+                                >
+                                    Next
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Selected User */}
+                    {selected && (
+                        <div className="border border-gray-100 rounded-lg p-5 h-fit">
+                            <h2 className="text-lg font-semibold text-gray-900">{selected.full_name}</h2>
+                            <p className="text-sm text-gray-500 mb-4">{selected.email}</p>
+
+                            <dl className="text-sm space-y-1.5 mb-4">
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Joined</dt>
+                                    <dd className="text-gray-900">{formatDate(selected.created_at)}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Last login</dt>
+                                    <dd className="text-gray-900">{formatDate(selected.last_login)}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Email verified</dt>
+                                    <dd className="text-gray-900">{selected.email_verified ? 'Yes' : 'No'}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Two-factor</dt>
+                                    <dd className="text-gray-900">
+                                        {selected.totp_enabled ? 'On' : 'Off'}
+                                        {selected.totp_enabled && !isSelf ? (
+                                            <button onClick={resetTwoFactor} className="ml-2 text-xs text-blue-700 hover:underline">
+                                                Reset
+                                            </button>
+                                        ) : null}
+                                    </dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Grievances</dt>
+                                    <dd className="text-gray-900">{selected.grievanceCount}</dd>
+                                </div>
+                                <div className="flex justify-between">
+                                    <dt className="text-gray-500">Active sessions</dt>
+                                    <dd className="text-gray-900">{selected.activeSessions}</dd>
+                                </div>
+                                {selected.departments.length > 0 && (
+                                    <div className="flex justify-between gap-4">
+                                        <dt className="text-gray-500">Departments</dt>
+                                        <dd className="text-gray-900 text-right">{selected.departments.map(d => d.name).join(', ')}</dd>
+                                    </div>
+                                )}
+                                {selected.areas.length > 0 && (
+                                    <div className="flex justify-between gap-4">
+                                        <dt className="text-gray-500">Areas</dt>
+                                        <dd className="text-gray-900 text-right">{selected.areas.join(', ')}</dd>
+                                    </div>
+                                )}
+                            </dl>
+
+                            {selected.lock?.failures > 0 && (
+                                <div className="mb-4 px-3 py-2 rounded-lg bg-yellow-50 border border-yellow-100 text-xs text-yellow-800 flex items-center justify-between gap-3">
+                                    <span>
+                                        {selected.lock.locked
+                                            ? `Locked until ${new Date(selected.lock.lockedUntil).toLocaleTimeString()}`
+                                            : `${selected.lock.failures} failed login${selected.lock.failures !== 1 ? 's' : ''}`}
+                                    </span>
+                                    <button onClick={unlock} className="font-medium hover:underline">
+                                        {selected.lock.locked ? 'Unlock' : 'Clear'}
+                                    </button>
+                                </div>
+                            )}
+
+                            <label className="block text-xs text-gray-500 mb-1">Role</label>
+                            <select
+                                value={selected.role}
+                                onChange={(e) => changeRole(e.target.value)}
+                                disabled={isSelf}
+                                className="input-field text-sm mb-4"
+                            >
+                                {roles.map(role => (
+                                    <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                                ))}
+                            </select>
+
+                            {!isSelf && (
+                                <button
+                                    onClick={toggleActive}
+                                    className={`w-full py-2 text-sm rounded-lg border ${selected.is_active
+                                        ? 'text-red-600 border-red-200 hover:bg-red-50'
+                                        : 'text-green-700 border-green-200 hover:bg-green-50'
+                                        }`}
+                                >
+                                    {selected.is_active ? 'Deactivate account' : 'Reactivate account'}
+                                </button>
+                            )}
+
+                            {message && (
+                                <p className="mt-3 text-xs text-gray-500">{message}</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default UserManagement;
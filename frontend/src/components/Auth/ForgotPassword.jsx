@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../utils/api';
+
+function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await api.post('/auth/forgot-password', { email });
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-white">
+            <div className="w-full max-w-md mx-4">
+                <div className="bg-white rounded-xl border border-gray-100 p-8 md:p-10">
+                    {/* Logo */}
+                    <div className="text-center mb-8">
+                        <span className="text-2xl font-semibold text-gray-900">Grievance</span>
+                        <span className="text-2xl font-semibold text-blue-700">AI</span>
+                    </div>
+
+                    <h2 className="text-xl font-semibold text-center text-gray-900 mb-2">
+                        Forgot password
+                    </h2>
+                    <p className="text-center text-sm text-gray-500 mb-8">
+                        We will email you a link to choose a new one
+                    </p>
+
+                    {error && (
+                        <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                            {error}
+                        </div>
+                    )}
+
+                    {message ? (
+                        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                            {message}
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-900 mb-2">
+                                    Email Address
+                                </label>
+                                <input
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className="input-field"
+                                    required
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {loading ? 'Sending...' : 'Send Reset Link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="mt-6 text-center">
+                        <Link to="/login" className="text-sm font-medium text-gray-900 hover:underline">
+                            Back to sign in
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ForgotPassword;
@@ -2,15 +2,25 @@ import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
 
 function Login() {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    // Second step of a 2FA login: {challengeToken} or {setupToken}
+    const [twoFactor, setTwoFactor] = useState(null);
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
     const { login } = useAuth();
     const navigate = useNavigate();
 
+    const finishLogin = (data) => {
+        login(data.user, data.token, data.refreshToken);
+        navigate('/dashboard');
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
@@ -18,15 +28,46 @@ function Login() {
 
         try {
             const data = await api.post('/auth/login', { email, password });
-            login(data.user, data.token);
-            navigate('/dashboard');
+            if (data.twoFactorRequired) {
+                setTwoFactor({ challengeToken: data.challengeToken });
+            } else if (data.twoFactorSetupRequired) {
+                setTwoFactor({ setupToken: data.setupToken });
+            } else {
+                finishLogin(data);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await api.post('/auth/login', {
+                challengeToken: twoFactor.challengeToken,
+                ...(useRecoveryCode ? { recoveryCode: code } : { code })
+            });
+            finishLogin(data);
         } catch (err) {
             setError(err.message);
+            setCode('');
         } finally {
             setLoading(false);
         }
     };
 
+    const backToPassword = () => {
+        setTwoFactor(null);
+        setCode('');
+        setUseRecoveryCode(false);
+        setError('');
+    };
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-white">
             {/* Login Card */}
@@ -39,9 +80,14 @@ function Login() {
                     </div>
                     
                     <h2 className="text-xl font-semibold text-center text-gray-900 mb-2">
-                        Welcome back
+                        {twoFactor?.setupToken ? 'Set up two-factor authentication'
+                            : twoFactor ? 'Two-factor authentication' : 'Welcome back'}
                     </h2>
-                    <p className="text-center text-sm text-gray-500 mb-8">Sign in to continue</p>
+                    <p className="text-center text-sm text-gray-500 mb-8">
+                        {twoFactor?.setupToken ? 'Your account requires a second sign-in step'
+                            : twoFactor ? (useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the code from your authenticator app')
+                                : 'Sign in to continue'}
+                    </p>
 
                     {error && (
                         <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg">
@@ -54,51 +100,99 @@ function Login() {
                         </div>
                     )}
 
-                    <form onSubmit={handleSubmit} className="space-y-5">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-900 mb-2">
-                                Email Address
-                            </label>
+                    {twoFactor?.setupToken ? (
+                        <TwoFactorEnrollment
+                            setupToken={twoFactor.setupToken}
+                            onComplete={finishLogin}
+                            onCancel={backToPassword}
+                        />
+                    ) : twoFactor ? (
+                        <form onSubmit={handleCodeSubmit} className="space-y-5">
                             <input
-                                type="email"
-                                value={email}
-                                onChange={(e) => setEmail(e.target.value)}
-                                className="input-field"
+                                type="text"
+                                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                autoComplete="one-time-code"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                className="input-field text-center tracking-widest"
+                                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                                autoFocus
                                 required
                             />
-                        </div>
 
-                        <div>
-                            <label className="block text-sm font-medium text-gray-900 mb-2">
-                                Password
-                            </label>
-                            <input
-                                type="password"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
-                                className="input-field"
-                                required
-                            />
-                        </div>
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {loading ? 'Verifying...' : 'Verify'}
+                            </button>
+
+                            <div className="flex justify-between text-xs">
+                                <button type="button" onClick={backToPassword} className="text-gray-500 hover:text-gray-900 hover:underline">
+                                    Back
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                                    className="text-gray-500 hover:text-gray-900 hover:underline"
+                                >
+                                    {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-900 mb-2">
+                                    Email Address
+                                </label>
+                                <input
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className="input-field"
+                                    required
+                                />
+                            </div>
 
-                        <button
-                            type="submit"
-                            disabled={loading}
-                            className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed mt-6"
-                        >
-                            {loading ? (
-                                <span className="flex items-center justify-center gap-2">
-                                    <svg className="animate-spin h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Signing In...
-                                </span>
-                            ) : (
-                                'Sign In'
-                            )}
-                        </button>
-                    </form>
+                            <div>
+                                <div className="flex justify-between items-center mb-2">
+                                    <label className="block text-sm font-medium text-gray-900">
+                                        Password
+                                    </label>
+                                    <Link to="/forgot-password" className="text-xs text-gray-500 hover:text-gray-900 hover:underline">
+                                        Forgot password?
+                                    </Link>
+                                </div>
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    className="input-field"
+                                    required
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed mt-6"
+                            >
+                                {loading ? (
+                                    <span className="flex items-center justify-center gap-2">
+                                        <svg className="animate-spin h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                        </svg>
+                                        Signing In...
+                                    </span>
+                                ) : (
+                                    'Sign In'
+                                )}
+                            </button>
+                        </form>
+                    )}
 
                     <div className="mt-6 text-center">
                         <p className="text-sm text-gray-600">
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
 
 function Register() {
@@ -11,6 +12,7 @@ function Register() {
     });
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const { login } = useAuth();
     const navigate = useNavigate();
 
     const handleChange = (e) => {
@@ -39,9 +41,9 @@ function Register() {
             });
 
             if (data.success) {
-                // Store token and redirect
-                localStorage.setItem('token', data.token);
-                navigate('/login');
+                // Signed in straight away; submissions unlock once the email is verified
+                login(data.user, data.token, data.refreshToken);
+                navigate('/dashboard');
             }
         } catch (err) {
             setError(err.message);
@@ -119,6 +121,9 @@ function Register() {
                                 className="input-field"
                                 required
                             />
+                            <p className="mt-1 text-xs text-gray-500">
+                                At least 8 characters, using 3 of: lowercase, uppercase, numbers, symbols
+                            </p>
                         </div>
 
                         <div>
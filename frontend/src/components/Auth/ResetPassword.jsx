@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../../utils/api';
+
+function ResetPassword() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const data = await api.post('/auth/reset-password', { token, newPassword: password });
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-white">
+            <div className="w-full max-w-md mx-4">
+                <div className="bg-white rounded-xl border border-gray-100 p-8 md:p-10">
+                    {/* Logo */}
+                    <div className="text-center mb-8">
+                        <span className="text-2xl font-semibold text-gray-900">Grievance</span>
+                        <span className="text-2xl font-semibold text-blue-700">AI</span>
+                    </div>
+
+                    <h2 className="text-xl font-semibold text-center text-gray-900 mb-8">
+                        Choose a new password
+                    </h2>
+
+                    {error && (
+                        <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                            {error}
+                        </div>
+                    )}
+
+                    {!token ? (
+                        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                            This reset link is incomplete. Please request a new one.
+                        </div>
+                    ) : message ? (
+                        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                            {message}
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-900 mb-2">
+                                    New Password
+                                </label>
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    className="input-field"
+                                    required
+                                />
+                                <p className="mt-1 text-xs text-gray-500">
+                                    At least 8 characters, using 3 of: lowercase, uppercase, numbers, symbols
+                                </p>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-900 mb-2">
+                                    Confirm Password
+                                </label>
+                                <input
+                                    type="password"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    className="input-field"
+                                    required
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {loading ? 'Saving...' : 'Set Password'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="mt-6 text-center">
+                        <Link to={token && !message ? '/forgot-password' : '/login'} className="text-sm font-medium text-gray-900 hover:underline">
+                            {token && !message ? 'Request a new link' : 'Go to sign in'}
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ResetPassword;
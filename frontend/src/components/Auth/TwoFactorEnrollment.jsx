@@ -0,0 +1,138 @@
+// Two-Factor Enrollment Component
+// File: src/components/Auth/TwoFactorEnrollment.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../../utils/api';
+
+/**
+ * Recovery codes are only ever shown once, right after they are generated
+ */
+export function RecoveryCodes({ codes, onDone }) {
+    const copyCodes = () => {
+        navigator.clipboard?.writeText(codes.join('\n'));
+    };
+
+    return (
+        <div>
+            <p className="text-sm text-gray-600 mb-4">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+                They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-100 rounded-lg font-mono text-sm text-gray-900 mb-4">
+                {codes.map(code => <span key={code}>{code}</span>)}
+            </div>
+            <div className="flex gap-3">
+                <button type="button" onClick={copyCodes} className="flex-1 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50">
+                    Copy
+                </button>
+                <button type="button" onClick={onDone} className="flex-1 btn-primary py-2 text-sm">
+                    I have saved them
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * TOTP enrollment: fetch a secret, confirm the first code, show recovery codes
+ * Either `password` (signed-in user) or `setupToken` (required-2FA login) is sent.
+ * onComplete receives the /auth/2fa/enable response.
+ */
+function TwoFactorEnrollment({ password, setupToken, onComplete, onCancel }) {
+    const [enrollment, setEnrollment] = useState(null);
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const started = useRef(false);
+
+    useEffect(() => {
+        // Each setup call issues a new secret, so only start once
+        if (started.current) return;
+        started.current = true;
+
+        api.post('/auth/2fa/setup', setupToken ? { setupToken } : { password })
+            .then(setEnrollment)
+            .catch(err => setError(err.message));
+    }, []);
+
+    const handleConfirm = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const data = await api.post('/auth/2fa/enable', { code, ...(setupToken && { setupToken }) });
+            setResult(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (result) {
+        return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onComplete(result)} />;
+    }
+
+    return (
+        <div>
+            {error && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                    {error}
+                </div>
+            )}
+
+            {!enrollment ? (
+                !error && (
+                    <div className="flex justify-center py-6">
+                        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+                    </div>
+                )
+            ) : (
+                <form onSubmit={handleConfirm} className="space-y-4">
+                    <p className="text-sm text-gray-600">
+                        Add this account to an authenticator app (Google Authenticator, Authy, 1Password...)
+                        using the setup key, or open the link on your phone.
+                    </p>
+                    <div className="p-3 bg-gray-50 border border-gray-100 rounded-lg">
+                        <p className="text-xs text-gray-500 mb-1">Setup key</p>
+                        <p className="font-mono text-sm text-gray-900 break-all">
+                            {enrollment.secret.match(/.{1,4}/g).join(' ')}
+                        </p>
+                        <a href={enrollment.otpauthUri} className="mt-2 inline-block text-xs text-blue-700 hover:underline">
+                            Open in authenticator app
+                        </a>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-900 mb-2">
+                            6-digit code from the app
+                        </label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="input-field tracking-widest"
+                            maxLength={6}
+                            required
+                        />
+                    </div>
+                    <div className="flex gap-3">
+                        {onCancel && (
+                            <button type="button" onClick={onCancel} className="flex-1 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50">
+                                Cancel
+                            </button>
+                        )}
+                        <button type="submit" disabled={loading} className="flex-1 btn-primary py-2 disabled:opacity-50">
+                            {loading ? 'Verifying...' : 'Turn on two-factor'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+function VerifyEmail() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const { user, updateUser } = useAuth();
+    const [status, setStatus] = useState(token ? 'verifying' : 'error');
+    const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+    const requested = useRef(false);
+
+    useEffect(() => {
+        // Tokens are single-use - don't let StrictMode's double effect burn it
+        if (!token || requested.current) return;
+        requested.current = true;
+
+        api.post('/auth/verify-email', { token })
+            .then(() => {
+                setStatus('verified');
+                updateUser({ emailVerified: true });
+            })
+            .catch(err => {
+                setStatus('error');
+                setError(err.message);
+            });
+    }, [token, updateUser]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-white">
+            <div className="w-full max-w-md mx-4">
+                <div className="bg-white rounded-xl border border-gray-100 p-8 md:p-10 text-center">
+                    <div className="mb-8">
+                        <span className="text-2xl font-semibold text-gray-900">Grievance</span>
+                        <span className="text-2xl font-semibold text-blue-700">AI</span>
+                    </div>
+
+                    {status === 'verifying' && (
+                        <div className="flex justify-center py-4">
+                            <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+                        </div>
+                    )}
+
+                    {status === 'verified' && (
+                        <>
+                            <h2 className="text-xl font-semibold text-gray-900 mb-2">Email verified</h2>
+                            <p className="text-sm text-gray-500 mb-6">You can now submit grievances.</p>
+                            <Link to={user ? '/submit-text' : '/login'} className="btn-primary inline-block px-6 py-2">
+                                {user ? 'Submit a grievance' : 'Sign in'}
+                            </Link>
+                        </>
+                    )}
+
+                    {status === 'error' && (
+                        <>
+                            <h2 className="text-xl font-semibold text-gray-900 mb-2">Verification failed</h2>
+                            <p className="text-sm text-red-600 mb-6">{error}</p>
+                            <p className="text-sm text-gray-500">
+                                {user
+                                    ? 'Use "Resend email" on the banner at the top to get a new link.'
+                                    : 'Sign in to request a new verification email.'}
+                            </p>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default VerifyEmail;
@@ -4,7 +4,7 @@ import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
 
 function Dashboard() {
-    const { user } = useAuth();
+    const { user, can } = useAuth();
     const [stats, setStats] = useState({
         total: 0,
         unique: 0,
@@ -61,7 +61,8 @@ function Dashboard() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                 </svg>
             ),
-            link: '/submit-text'
+            link: '/submit-text',
+            permission: 'grievance.submit'
         },
         {
             title: 'Upload PDF Documents',
@@ -71,7 +72,8 @@ function Dashboard() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                 </svg>
             ),
-            link: '/submit-batch'
+            link: '/submit-batch',
+            permission: 'batch.upload'
         },
         {
             title: 'View All Grievances',
@@ -85,7 +87,7 @@ function Dashboard() {
         }
     ];
 
-    if (user?.role === 'admin') {
+    if (can('stats.view')) {
         cards.push({
             title: 'Admin Dashboard',
             description: 'System administration',
@@ -147,7 +149,7 @@ function Dashboard() {
                     <div className="lg:col-span-2">
                         <h2 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h2>
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            {cards.map((card, index) => (
+                            {cards.filter(card => !card.permission || can(card.permission)).map((card, index) => (
                                 <Link
                                     key={index}
                                     to={card.link}
@@ -275,9 +277,11 @@ function Dashboard() {
                                     </svg>
                                 </div>
                                 <p className="text-sm text-gray-500">No grievances yet</p>
-                                <Link to="/submit-batch" className="text-sm text-blue-600 hover:text-blue-700 mt-1 inline-block">
-                                    Upload your first PDF →
-                                </Link>
+                                {can('batch.upload') && (
+                                    <Link to="/submit-batch" className="text-sm text-blue-600 hover:text-blue-700 mt-1 inline-block">
+                                        Upload your first PDF →
+                                    </Link>
+                                )}
                             </div>
                         )}
                     </div>
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+
+function formatTime(timestamp) {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+function CommentForm({ onSubmit, initialBody = '', submitLabel, allowInternal, onCancel }) {
+    const [body, setBody] = useState(initialBody);
+    const [isInternal, setIsInternal] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!body.trim()) return;
+
+        setSubmitting(true);
+        try {
+            await onSubmit(body, isInternal);
+            setBody('');
+            setIsInternal(false);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2">
+            <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                rows={2}
+                maxLength={2000}
+                className="input-field text-sm"
+                placeholder="Write a comment..."
+            />
+            <div className="mt-2 flex items-center gap-3">
+                <button type="submit" disabled={submitting || !body.trim()} className="btn-primary text-sm px-3 py-1.5">
+                    {submitting ? 'Saving...' : submitLabel}
+                </button>
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="text-sm text-gray-500 hover:text-gray-700">
+                        Cancel
+                    </button>
+                )}
+                {allowInternal && (
+                    <label className="flex items-center gap-1.5 text-xs text-gray-500">
+                        <input
+                            type="checkbox"
+                            checked={isInternal}
+                            onChange={(e) => setIsInternal(e.target.checked)}
+                        />
+                        Internal note (staff only)
+                    </label>
+                )}
+            </div>
+        </form>
+    );
+}
+
+function Comment({ comment, onReply, onEdit, isStaff, isReply }) {
+    const [replying, setReplying] = useState(false);
+    const [editing, setEditing] = useState(false);
+
+    return (
+        <div className={`${isReply ? 'ml-6 pl-3 border-l-2 border-gray-100' : ''} py-2`}>
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                <span className="font-medium text-gray-700">{comment.author_name}</span>
+                {comment.author_role !== 'citizen' && comment.author_role !== 'user' && (
+                    <span className="bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded">
+                        {comment.author_role.replace('_', ' ')}
+                    </span>
+                )}
+                {comment.is_internal && (
+                    <span className="bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded">Internal</span>
+                )}
+                <span>{formatTime(comment.created_at)}</span>
+                {comment.edited_at && <span>(edited)</span>}
+            </div>
+
+            {editing ? (
+                <CommentForm
+                    initialBody={comment.body}
+                    submitLabel="Save"
+                    onSubmit={async (body) => {
+                        await onEdit(comment.id, body);
+                        setEditing(false);
+                    }}
+                    onCancel={() => setEditing(false)}
+                />
+            ) : (
+                <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{comment.body}</p>
+            )}
+
+            {!editing && (
+                <div className="mt-1 flex gap-3 text-xs">
+                    {!isReply && (
+                        <button onClick={() => setReplying(!replying)} className="text-blue-700 hover:underline">
+                            Reply
+                        </button>
+                    )}
+                    {comment.can_edit && (
+                        <button onClick={() => setEditing(true)} className="text-gray-500 hover:underline">
+                            Edit
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {replying && (
+                <CommentForm
+                    submitLabel="Reply"
+                    allowInternal={isStaff && !comment.is_internal}
+                    onSubmit={async (body, isInternal) => {
+                        await onReply(comment.id, body, isInternal);
+                        setReplying(false);
+                    }}
+                    onCancel={() => setReplying(false)}
+                />
+            )}
+
+            {comment.replies?.map(reply => (
+                <Comment
+                    key={reply.id}
+                    comment={reply}
+                    onReply={onReply}
+                    onEdit={onEdit}
+                    isStaff={isStaff}
+                    isReply
+                />
+            ))}
+        </div>
+    );
+}
+
+function CommentThread({ grievanceId }) {
+    const { can } = useAuth();
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const isStaff = can('comment.internal');
+
+    useEffect(() => {
+        fetchComments();
+    }, [grievanceId]);
+
+    const fetchComments = async () => {
+        try {
+            setLoading(true);
+            const data = await api.get(`/grievances/${grievanceId}/comments`);
+            setComments(data.comments || []);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const addComment = async (parentId, body, isInternal) => {
+        try {
+            await api.post(`/grievances/${grievanceId}/comments`, { body, parentId, isInternal });
+            await fetchComments();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const editComment = async (commentId, body) => {
+        try {
+            await api.put(`/grievances/${grievanceId}/comments/${commentId}`, { body });
+            await fetchComments();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="mt-3 bg-gray-50 rounded-lg px-4 py-3">
+            {error && (
+                <div className="mb-2 text-xs text-red-600">{error}</div>
+            )}
+
+            {loading ? (
+                <div className="text-xs text-gray-500">Loading comments...</div>
+            ) : comments.length === 0 ? (
+                <div className="text-xs text-gray-500">No comments yet.</div>
+            ) : (
+                <div className="divide-y divide-gray-100">
+                    {comments.map(comment => (
+                        <Comment
+                            key={comment.id}
+                            comment={comment}
+                            onReply={(parentId, body, isInternal) => addComment(parentId, body, isInternal)}
+                            onEdit={editComment}
+                            isStaff={isStaff}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <CommentForm
+                submitLabel="Comment"
+                allowInternal={isStaff}
+                onSubmit={(body, isInternal) => addComment(null, body, isInternal)}
+            />
+        </div>
+    );
+}
+
+export default CommentThread;
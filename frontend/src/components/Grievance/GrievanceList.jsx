@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import CommentThread from './CommentThread';
 
 function GrievanceList() {
     const navigate = useNavigate();
+    const { can } = useAuth();
     const [grievances, setGrievances] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [filter, setFilter] = useState('all');
     const [expandedAreas, setExpandedAreas] = useState({});
+    const [openThreads, setOpenThreads] = useState({});
 
 
     useEffect(() => {
@@ -58,6 +62,13 @@ function GrievanceList() {
         }));
     };
 
+    const toggleThread = (grievanceId) => {
+        setOpenThreads(prev => ({
+            ...prev,
+            [grievanceId]: !prev[grievanceId]
+        }));
+    };
+
     const expandAllAreas = () => {
         const allExpanded = {};
         sortedAreas.forEach(area => allExpanded[area] = true);
@@ -91,15 +102,17 @@ function GrievanceList() {
                                 {grievances.length} grievance{grievances.length !== 1 ? 's' : ''} across {sortedAreas.length} area{sortedAreas.length !== 1 ? 's' : ''}
                             </p>
                         </div>
-                        <button
-                            onClick={() => navigate('/submit-text')}
-                            className="btn-primary flex items-center gap-2"
-                        >
-                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-                            </svg>
-                            Submit New
-                        </button>
+                        {can('grievance.submit') && (
+                            <button
+                                onClick={() => navigate('/submit-text')}
+                                className="btn-primary flex items-center gap-2"
+                            >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+                                </svg>
+                                Submit New
+                            </button>
+                        )}
                     </div>
                 </div>
             </div>
@@ -161,9 +174,11 @@ function GrievanceList() {
                                 : `No ${filter.toLowerCase().replace('_', ' ')} grievances found.`
                             }
                         </p>
-                        <button onClick={() => navigate('/submit-text')} className="btn-primary">
-                            Submit Your First Grievance
-                        </button>
+                        {can('grievance.submit') && (
+                            <button onClick={() => navigate('/submit-text')} className="btn-primary">
+                                Submit Your First Grievance
+                            </button>
+                        )}
                     </div>
                 ) : (
                     <div className="space-y-4">
@@ -218,6 +233,11 @@ function GrievanceList() {
                                             {areaGrievances.map((grievance) => (
                                                 <div key={grievance.id} className="px-5 py-4 hover:bg-gray-50">
                                                     <div className="flex flex-wrap items-center gap-2 mb-2">
+                                                        {grievance.reference_number && (
+                                                            <span className="text-xs font-mono font-semibold text-gray-700">
+                                                                {grievance.reference_number}
+                                                            </span>
+                                                        )}
                                                         <span className={`badge-${grievance.duplicate_status === 'UNIQUE' ? 'unique' : 'duplicate'}`}>
                                                             {grievance.duplicate_status === 'UNIQUE' ? 'UNIQUE' : 'DUPLICATE'}
                                                         </span>
@@ -228,6 +248,21 @@ function GrievanceList() {
                                                                 day: 'numeric'
                                                             })}
                                                         </span>
+                                                        {grievance.resolution_status && (
+                                                            <span className={`badge-resolution badge-resolution-${grievance.resolution_status.toLowerCase()}`}>
+                                                                {grievance.resolution_status.replace('_', ' ')}
+                                                            </span>
+                                                        )}
+                                                        {grievance.supporter_count > 0 && (
+                                                            <span className="badge-supporters">
+                                                                +{grievance.supporter_count} {grievance.supporter_count === 1 ? 'supporter' : 'supporters'}
+                                                            </span>
+                                                        )}
+                                                        {grievance.merged_into_id && (
+                                                            <span className="badge-merged">
+                                                                Merged into #{grievance.merged_into_id}
+                                                            </span>
+                                                        )}
                                                         {grievance.category && (
                                                             <span className="text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded">
                                                                 {grievance.category.replace('_', ' ')}
@@ -247,6 +282,15 @@ function GrievanceList() {
                                                             </span>
                                                         </div>
                                                     )}
+                                                    <button
+                                                        onClick={() => toggleThread(grievance.id)}
+                                                        className="mt-2 text-sm text-blue-700 hover:underline"
+                                                    >
+                                                        {openThreads[grievance.id] ? 'Hide comments' : 'Comments'}
+                                                    </button>
+                                                    {openThreads[grievance.id] && (
+                                                        <CommentThread grievanceId={grievance.id} />
+                                                    )}
                                                 </div>
                                             ))}
                                         </div>
@@ -549,6 +549,11 @@ function SubmitBatchPDF() {
                                         <div className="text-xs text-gray-600">Near-Dup</div>
                                     </div>
                                 </div>
+                                {results.stats.nearVerbatim > 0 && (
+                                    <p className="mt-3 text-xs text-green-800">
+                                        {results.stats.nearVerbatim} near-verbatim cop{results.stats.nearVerbatim === 1 ? 'y' : 'ies'} matched by text fingerprint
+                                    </p>
+                                )}
                                 <div className="mt-4 flex gap-3">
                                     <button
                                         onClick={() => navigate(`/batches/${batchId}`)}
@@ -143,6 +143,12 @@ function SubmitText() {
                                     </div>
                                 </div>
                                 <p className="text-sm text-gray-700 mb-4">{getStatusMessage(result.status)}</p>
+                                {result.referenceNumber && (
+                                    <div className="bg-white rounded-lg p-3 border border-gray-200 mb-3">
+                                        <p className="text-xs text-gray-600 mb-1">Reference Number (quote this when contacting the helpline)</p>
+                                        <p className="text-lg font-mono font-semibold text-gray-900">{result.referenceNumber}</p>
+                                    </div>
+                                )}
                                 <div className="grid grid-cols-2 gap-3 mb-3">
                                     <div className="bg-white rounded-lg p-3 border border-gray-200">
                                         <p className="text-xs text-gray-600 mb-1">Similarity Score</p>
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+function EmailVerificationBanner() {
+    const { user } = useAuth();
+    const [message, setMessage] = useState('');
+    const [sending, setSending] = useState(false);
+
+    // Accounts from before verification existed have no flag and count as verified
+    if (!user || user.emailVerified !== false) {
+        return null;
+    }
+
+    const resend = async () => {
+        setSending(true);
+        try {
+            const data = await api.post('/auth/resend-verification', {});
+            setMessage(data.sent ? 'Verification email sent.' : 'Email could not be sent right now. Please try again later.');
+        } catch (err) {
+            setMessage(err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="bg-amber-50 border-b border-amber-200">
+            <div className="max-w-5xl mx-auto px-6 py-2 flex flex-wrap items-center gap-3 text-sm text-amber-800">
+                <span>Please verify {user.email} to start submitting grievances.</span>
+                <button
+                    onClick={resend}
+                    disabled={sending}
+                    className="font-medium underline hover:no-underline disabled:opacity-50"
+                >
+                    {sending ? 'Sending...' : 'Resend email'}
+                </button>
+                {message && <span className="text-amber-700">{message}</span>}
+            </div>
+        </div>
+    );
+}
+
+export default EmailVerificationBanner;
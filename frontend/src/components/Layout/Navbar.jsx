@@ -1,9 +1,60 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import api from '../../utils/api';
+
+// How often the unread badge is refreshed
+const NOTIFICATION_POLL_MS = 30000;
+
+function NotificationBell() {
+    const location = useLocation();
+    const [unreadCount, setUnreadCount] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchUnread = async () => {
+            // Skip polling while the tab is in the background
+            if (document.hidden) return;
+            try {
+                const data = await api.get('/notifications/unread-count');
+                if (!cancelled) setUnreadCount(data.unreadCount || 0);
+            } catch (err) {
+                // Badge is best-effort - keep the last known count
+            }
+        };
+
+        fetchUnread();
+        const interval = setInterval(fetchUnread, NOTIFICATION_POLL_MS);
+        window.addEventListener('notifications-updated', fetchUnread);
+
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+            window.removeEventListener('notifications-updated', fetchUnread);
+        };
+    }, [location.pathname]);
+
+    return (
+        <Link
+            to="/notifications"
+            className="relative p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-50"
+            aria-label={`Notifications (${unreadCount} unread)`}
+        >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+            </svg>
+            {unreadCount > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold flex items-center justify-center">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                </span>
+            )}
+        </Link>
+    );
+}
 
 function Navbar() {
-    const { user, logout } = useAuth();
+    const { user, logout, can } = useAuth();
     const location = useLocation();
     const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
@@ -42,7 +93,7 @@ function Navbar() {
                             Grievances
                         </Link>
 
-                        {user?.role === 'admin' && (
+                        {can('stats.view') && (
                             <Link
                                 to="/admin"
                                 className={`transition-colors ${
@@ -54,11 +105,57 @@ function Navbar() {
                                 Admin
                             </Link>
                         )}
+
+                        {can('users.manage') && (
+                            <Link
+                                to="/admin/users"
+                                className={`transition-colors ${
+                                    isActive('/admin/users')
+                                        ? 'text-blue-700 font-medium'
+                                        : 'text-gray-600 hover:text-gray-900'
+                                }`}
+                            >
+                                Users
+                            </Link>
+                        )}
+
+                        {can('apikeys.manage') && (
+                            <Link
+                                to="/admin/api-keys"
+                                className={`transition-colors ${
+                                    isActive('/admin/api-keys')
+                                        ? 'text-blue-700 font-medium'
+                                        : 'text-gray-600 hover:text-gray-900'
+                                }`}
+                            >
+                                API Keys
+                            </Link>
+                        )}
+
+                        {can('embeddings.manage') && (
+                            <Link
+                                to="/admin/embeddings"
+                                className={`transition-colors ${
+                                    isActive('/admin/embeddings')
+                                        ? 'text-blue-700 font-medium'
+                                        : 'text-gray-600 hover:text-gray-900'
+                                }`}
+                            >
+                                Embeddings
+                            </Link>
+                        )}
                     </div>
 
                     {/* User Menu */}
                     <div className="flex items-center gap-4">
-                        <span className="hidden md:block text-gray-600">{user?.name}</span>
+                        <NotificationBell />
+                        <Link
+                            to="/account/security"
+                            className="hidden md:block text-gray-600 hover:text-gray-900"
+                            title="Account security"
+                        >
+                            {user?.name}
+                        </Link>
                         <button
                             onClick={logout}
                             className="hidden md:block px-4 py-2 text-gray-600 border border-gray-200 rounded-lg hover:border-gray-300 hover:bg-gray-50 transition-colors"
@@ -90,11 +187,29 @@ function Navbar() {
                             Grievances
                         </Link>
 
-                        {user?.role === 'admin' && (
+                        {can('stats.view') && (
                             <Link to="/admin" className="block py-2 text-gray-700 text-sm" onClick={() => setMobileMenuOpen(false)}>
                                 Admin
                             </Link>
                         )}
+                        {can('users.manage') && (
+                            <Link to="/admin/users" className="block py-2 text-gray-700 text-sm" onClick={() => setMobileMenuOpen(false)}>
+                                Users
+                            </Link>
+                        )}
+                        {can('apikeys.manage') && (
+                            <Link to="/admin/api-keys" className="block py-2 text-gray-700 text-sm" onClick={() => setMobileMenuOpen(false)}>
+                                API Keys
+                            </Link>
+                        )}
+                        {can('embeddings.manage') && (
+                            <Link to="/admin/embeddings" className="block py-2 text-gray-700 text-sm" onClick={() => setMobileMenuOpen(false)}>
+                                Embeddings
+                            </Link>
+                        )}
+                        <Link to="/account/security" className="block py-2 text-gray-700 text-sm" onClick={() => setMobileMenuOpen(false)}>
+                            Security
+                        </Link>
                         <button
                             onClick={() => { logout(); setMobileMenuOpen(false); }}
                             className="block w-full text-left py-2 text-gray-700 text-sm"
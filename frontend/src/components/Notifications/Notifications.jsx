@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../utils/api';
+
+const PAGE_SIZE = 20;
+
+function formatTime(timestamp) {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+function Notifications() {
+    const navigate = useNavigate();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [preferences, setPreferences] = useState(null);
+    const [phone, setPhone] = useState('');
+    const [prefsMessage, setPrefsMessage] = useState(null);
+
+    useEffect(() => {
+        fetchNotifications(0);
+    }, [unreadOnly]);
+
+    useEffect(() => {
+        fetchPreferences();
+    }, []);
+
+    const fetchNotifications = async (offset) => {
+        try {
+            setLoading(true);
+            const data = await api.get('/notifications', {
+                limit: PAGE_SIZE,
+                offset,
+                ...(unreadOnly && { unread: 'true' })
+            });
+            const page = data.notifications || [];
+            setNotifications(prev => offset === 0 ? page : [...prev, ...page]);
+            setUnreadCount(data.unreadCount || 0);
+            setHasMore(page.length === PAGE_SIZE);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchPreferences = async () => {
+        try {
+            const data = await api.get('/notifications/preferences');
+            setPreferences(data.preferences);
+            setPhone(data.preferences?.phone || '');
+        } catch (err) {
+            setPrefsMessage(err.message);
+        }
+    };
+
+    const markRead = async (notification) => {
+        if (notification.read_at) return;
+        try {
+            const data = await api.put(`/notifications/${notification.id}/read`, {});
+            setNotifications(prev => prev.map(n =>
+                n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n
+            ));
+            setUnreadCount(data.unreadCount);
+            window.dispatchEvent(new Event('notifications-updated'));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const markAllRead = async () => {
+        try {
+            await api.put('/notifications/read-all', {});
+            setNotifications(prev => prev.map(n => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+            setUnreadCount(0);
+            window.dispatchEvent(new Event('notifications-updated'));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const openNotification = async (notification) => {
+        await markRead(notification);
+        if (notification.grievance_id) {
+            navigate('/grievances');
+        }
+    };
+
+    const savePreferences = async (changes) => {
+        try {
+            const data = await api.put('/notifications/preferences', changes);
+            setPreferences(data.preferences);
+            setPrefsMessage(data.warning || 'Preferences saved');
+        } catch (err) {
+            setPrefsMessage(err.message);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-white">
+            <div className="border-b border-gray-100">
+                <div className="max-w-5xl mx-auto px-6 py-8 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+                    <div>
+                        <h1 className="text-3xl font-semibold text-gray-900 mb-2">Notifications</h1>
+                        <p className="text-gray-500 text-lg">
+                            {unreadCount} unread
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={() => setUnreadOnly(!unreadOnly)}
+                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${unreadOnly
+                                ? 'bg-blue-700 text-white'
+                                : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
+                                }`}
+                        >
+                            Unread only
+                        </button>
+                        <button
+                            onClick={markAllRead}
+                            disabled={unreadCount === 0}
+                            className="px-4 py-2 text-sm text-gray-600 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Mark all as read
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="max-w-5xl mx-auto px-6 py-8 grid grid-cols-1 md:grid-cols-3 gap-8">
+                <div className="md:col-span-2">
+                    {error && (
+                        <div className="mb-6 bg-red-50 border border-red-100 text-red-600 px-4 py-3 rounded-lg text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    {!loading && notifications.length === 0 ? (
+                        <div className="text-center py-16 text-gray-500">
+                            {unreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+                        </div>
+                    ) : (
+                        <div className="border border-gray-100 rounded-lg divide-y divide-gray-50">
+                            {notifications.map(notification => (
+                                <button
+                                    key={notification.id}
+                                    onClick={() => openNotification(notification)}
+                                    className={`w-full text-left px-5 py-4 hover:bg-gray-50 ${notification.read_at ? '' : 'bg-blue-50/40'}`}
+                                >
+                                    <div className="flex items-center gap-2 mb-1">
+                                        {!notification.read_at && (
+                                            <span className="w-2 h-2 rounded-full bg-blue-600 flex-shrink-0"></span>
+                                        )}
+                                        <span className={`text-sm ${notification.read_at ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                                            {notification.subject}
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-gray-600 whitespace-pre-line">{notification.body}</p>
+                                    <p className="mt-1 text-xs text-gray-400">{formatTime(notification.created_at)}</p>
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {loading && (
+                        <div className="flex justify-center py-6">
+                            <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-700 border-t-transparent"></div>
+                        </div>
+                    )}
+
+                    {!loading && hasMore && (
+                        <button
+                            onClick={() => fetchNotifications(notifications.length)}
+                            className="mt-4 w-full py-2 text-sm text-blue-700 hover:underline"
+                        >
+                            Load more
+                        </button>
+                    )}
+                </div>
+
+                {/* Channel Preferences */}
+                {preferences && (
+                    <div className="border border-gray-100 rounded-lg p-5 h-fit">
+                        <h2 className="text-lg font-semibold text-gray-900 mb-4">Delivery</h2>
+                        {[
+                            { key: 'inApp', field: 'in_app_enabled', label: 'In-app' },
+                            { key: 'email', field: 'email_enabled', label: `Email (${preferences.email})` },
+                            { key: 'sms', field: 'sms_enabled', label: 'SMS' }
+                        ].map(channel => (
+                            <label key={channel.key} className="flex items-center gap-2 py-1.5 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(preferences[channel.field])}
+                                    onChange={(e) => savePreferences({ [channel.key]: e.target.checked })}
+                                />
+                                {channel.label}
+                            </label>
+                        ))}
+                        <div className="mt-3">
+                            <label className="block text-xs text-gray-500 mb-1">Phone for SMS</label>
+                            <div className="flex gap-2">
+                                <input
+                                    type="tel"
+                                    value={phone}
+                                    onChange={(e) => setPhone(e.target.value)}
+                                    className="input-field text-sm"
+                                    placeholder="+91 98765 43210"
+                                />
+                                <button onClick={() => savePreferences({ phone })} className="btn-primary text-sm px-3">
+                                    Save
+                                </button>
+                            </div>
+                        </div>
+                        {prefsMessage && (
+                            <p className="mt-3 text-xs text-gray-500">{prefsMessage}</p>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default Notifications;
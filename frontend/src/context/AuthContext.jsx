@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import api from '../utils/api';
 
 const AuthContext = createContext();
 
@@ -31,24 +32,62 @@ export const AuthProvider = ({ children }) => {
         setLoading(false);
     }, []);
 
-    const login = useCallback((userData, token) => {
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(userData));
+    useEffect(() => {
+        // api.js refreshes expired access tokens on its own; keep the user in sync
+        const handleRefreshed = (event) => {
+            if (event.detail) setUser(event.detail);
+        };
+        // Refresh token was rejected (revoked, expired, password changed)
+        const handleExpired = () => setUser(null);
+
+        window.addEventListener('auth-refreshed', handleRefreshed);
+        window.addEventListener('auth-expired', handleExpired);
+
+        return () => {
+            window.removeEventListener('auth-refreshed', handleRefreshed);
+            window.removeEventListener('auth-expired', handleExpired);
+        };
+    }, []);
+
+    const login = useCallback((userData, token, refreshToken) => {
+        api.storeSession({ user: userData, token, refreshToken });
         setUser(userData);
     }, []);
 
-    const logout = useCallback(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    const updateUser = useCallback((changes) => {
+        setUser(prev => {
+            if (!prev) return prev;
+            const next = { ...prev, ...changes };
+            localStorage.setItem('user', JSON.stringify(next));
+            return next;
+        });
+    }, []);
+
+    const logout = useCallback(async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        try {
+            // Revoke the session server-side; works even if the access token expired
+            await api.post('/auth/logout', { refreshToken });
+        } catch (error) {
+            console.error('Logout request failed:', error.message);
+        }
+        api.clearSession();
         setUser(null);
     }, []);
 
+    // Permissions come from the server with the user (login / refresh)
+    const can = useCallback((permission) => {
+        return Boolean(user?.permissions?.includes(permission));
+    }, [user]);
+
     const value = useMemo(() => ({
         user,
         loading,
         login,
-        logout
-    }), [user, loading, login, logout]);
+        updateUser,
+        logout,
+        can
+    }), [user, loading, login, updateUser, logout, can]);
 
     return (
         <AuthContext.Provider value={value}>
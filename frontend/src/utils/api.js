@@ -3,16 +3,102 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
+// Auth endpoints never trigger a token refresh themselves
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
 class API {
     constructor() {
         this.baseURL = API_BASE_URL;
         this.token = null;
+        this.refreshPromise = null;
     }
     
     setAuthToken(token) {
         this.token = token;
     }
     
+    /**
+     * Store a new access/refresh token pair (and user) after login or refresh
+     */
+    storeSession(data) {
+        this.token = null;
+        localStorage.setItem('token', data.token);
+        if (data.refreshToken) {
+            localStorage.setItem('refreshToken', data.refreshToken);
+        }
+        if (data.user) {
+            localStorage.setItem('user', JSON.stringify(data.user));
+        }
+    }
+    
+    clearSession() {
+        this.token = null;
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+    }
+    
+    /**
+     * Exchange the refresh token for a new access token
+     * Concurrent callers share one request, since a refresh token can only be used once.
+     * @returns {Promise<boolean>} True if a new access token was stored
+     */
+    async refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+                
+                try {
+                    const response = await fetch(`${this.baseURL}/auth/refresh`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken })
+                    });
+                    
+                    if (!response.ok) return false;
+                    
+                    const data = await response.json();
+                    this.storeSession(data);
+                    window.dispatchEvent(new CustomEvent('auth-refreshed', { detail: data.user }));
+                    return true;
+                } catch (error) {
+                    console.error('Token refresh failed:', error.message);
+                    return false;
+                }
+            })().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        
+        return this.refreshPromise;
+    }
+    
+    /**
+     * Handle a 401: refresh and report whether the request should be retried
+     * If the session cannot be renewed, the stored session is dropped and
+     * AuthContext is told to sign the user out.
+     */
+    async recoverFromUnauthorized(endpoint, sentToken, retried) {
+        if (!retried && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+            // Another request already refreshed while this one was in flight
+            const currentToken = this.token || localStorage.getItem('token');
+            if (currentToken && currentToken !== sentToken) {
+                return true;
+            }
+            
+            if (await this.refreshSession()) {
+                return true;
+            }
+        }
+        
+        if (!NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+            this.clearSession();
+            window.dispatchEvent(new Event('auth-expired'));
+        }
+        return false;
+    }
+    
     async request(endpoint, options = {}) {
         const url = `${this.baseURL}${endpoint}`;
         
@@ -27,8 +113,9 @@ class API {
             headers['Authorization'] = `Bearer ${token}`;
         }
         
+        const { retried, ...fetchOptions } = options;
         const config = {
-            ...options,
+            ...fetchOptions,
             headers
         };
         
@@ -66,14 +153,9 @@ class API {
             
             // Handle error responses
             if (!response.ok) {
-                // Handle 401 Unauthorized - clear stale tokens and redirect to login
-                if (response.status === 401) {
-                    localStorage.removeItem('token');
-                    localStorage.removeItem('user');
-                    // Redirect to login if not already there
-                    if (window.location.pathname !== '/login' && window.location.pathname !== '/register' && window.location.pathname !== '/') {
-                        window.location.href = '/login';
-                    }
+                // Handle 401 Unauthorized - refresh the access token and retry once
+                if (response.status === 401 && await this.recoverFromUnauthorized(endpoint.split('?')[0], token, retried)) {
+                    return this.request(endpoint, { ...options, retried: true });
                 }
                 throw new Error(data.error || `Request failed with status ${response.status}`);
             }
@@ -123,13 +205,9 @@ class API {
             const result = JSON.parse(responseText);
             
             if (!response.ok) {
-                // Handle 401 Unauthorized
-                if (response.status === 401) {
-                    localStorage.removeItem('token');
-                    localStorage.removeItem('user');
-                    if (window.location.pathname !== '/login' && window.location.pathname !== '/register' && window.location.pathname !== '/') {
-                        window.location.href = '/login';
-                    }
+                // Handle 401 Unauthorized - refresh the access token and retry once
+                if (response.status === 401 && await this.recoverFromUnauthorized(endpoint, token, options.retried)) {
+                    return this.post(endpoint, data, { ...options, retried: true });
                 }
                 throw new Error(result.error || `Request failed with status ${response.status}`);
             }